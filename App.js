@@ -7,15 +7,22 @@
 //   - Modern navigation system with bottom tabs and FAB
 //   - Clean separation of concerns and maintainable structure
 //   - Data migrations run at startup (image persistence, etc.)
+//   - Closet data lives in a local SQLite database, moved there from AsyncStorage by a migration
+//   - Unfinished background jobs (GarmentVision pipeline) resume at startup
 //
 // Designed for scalability and clear navigation.
 import React, { useEffect, useState } from 'react';
 import { PostHogProvider } from 'posthog-react-native';
 import { View, Text, ActivityIndicator, StyleSheet } from 'react-native';
 import * as SplashScreen from 'expo-splash-screen';
+import * as SQLite from 'expo-sqlite';
 import AppNavigator from './src/navigation/AppNavigator';
-import { runMigrations } from './src/services/migrationService';
+import { runMigrations, repairReferentialIntegrity } from './src/services/migrationService';
+import { attachClosetDatabase } from './src/services/closetRepository';
+import { createSqliteClosetRepository, CLOSET_DATABASE_NAME } from './src/services/closetDatabase';
 import { initializeImageStorage } from './src/services/imageStorageService';
+import { resumeJobQueue } from './src/services/jobQueueService';
+import { OPENAI_API_KEY } from '@env';
 import Constants from 'expo-constants';
 
 // Keep the splash screen visible while we fetch resources
@@ -45,12 +52,23 @@ export default function App() {
         setLoadingStatus('Setting up image storage...');
         await initializeImageStorage();
         
+        // Open the closet database before migrations, which move the closet into it.
+        // Without it the closet stays in AsyncStorage.
+        setLoadingStatus('Opening closet database...');
+        try {
+          const database = await SQLite.openDatabaseAsync(CLOSET_DATABASE_NAME);
+          const inDatabase = await attachClosetDatabase(await createSqliteClosetRepository(database));
+          console.log(`[App] Closet database ready${inDatabase ? '' : ' (closet not moved yet)'}`);
+        } catch (error) {
+          console.warn('[App] Could not open the closet database, using AsyncStorage:', error);
+        }
+        
         // Run migrations (including image persistence)
         setLoadingStatus('Running data migrations...');
         const migrationResult = await runMigrations(appVersion);
         
         if (migrationResult.success) {
-          console.log('[App] Migrations completed successfully:', migrationResult.migrations);
+          console.log(`[App] Migrations completed (schema version ${migrationResult.schemaVersion}):`, migrationResult.migrations);
           if (migrationResult.migrations.some(m => m.name === 'image-persistence' && m.migratedCount > 0)) {
             console.log(`[App] Successfully migrated ${migrationResult.migrations.find(m => m.name === 'image-persistence').migratedCount} images for persistence`);
           }
@@ -58,6 +76,15 @@ export default function App() {
           console.warn('[App] Some migrations failed:', migrationResult.error);
         }
 
+        // Drop references to deleted articles and outfits that an interrupted change may have left behind
+        const integrityResult = await repairReferentialIntegrity();
+        if (!integrityResult.success) {
+          console.warn('[App] Closet reference check failed:', integrityResult.error);
+        }
+
+        // Resume queued processing in the background; the UI does not wait for it
+        resumeJobQueue({ openaiApiKey: OPENAI_API_KEY });
+
         // App is ready to display
         setIsReady(true);
       } catch (error) {
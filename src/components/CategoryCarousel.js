@@ -5,11 +5,11 @@ import { View, Text, FlatList, StyleSheet } from 'react-native';
 import { colors } from '../theme';
 import ArticleCard from './common/ArticleCard';
 
-export default function CategoryCarousel({ category, articles, onItemPress, selectionMode = false, selectedIds = [] }) {
+export default function CategoryCarousel({ category, title, articles, onItemPress, onItemLongPress, selectionMode = false, selectedIds = [] }) {
   
   return (
     <View style={styles.section}>
-      <Text style={styles.sectionTitle}>{category.charAt(0).toUpperCase() + category.slice(1)}</Text>
+      <Text style={styles.sectionTitle}>{title || category.charAt(0).toUpperCase() + category.slice(1)}</Text>
       <FlatList
         data={articles}
         keyExtractor={(item) => item.id}
@@ -25,6 +25,7 @@ export default function CategoryCarousel({ category, articles, onItemPress, sele
               selectionMode={selectionMode}
               selected={selected}
               onPress={onItemPress}
+              onLongPress={onItemLongPress}
               validateUrls={true}
               style={styles.card}
             />
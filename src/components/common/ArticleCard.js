@@ -11,6 +11,7 @@ import { View, Text, Image, TouchableOpacity, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { colors, shadows, spacing, typography } from '../../theme';
 import Button from './Button';
+import { primaryImageUri } from '../../models/ClothingArticle';
 
 export default function ArticleCard({
   // Article data
@@ -36,6 +37,7 @@ export default function ArticleCard({
   
   // Actions
   onPress,
+  onLongPress,
   onRemove,
   removeIcon = 'close-circle',
   
@@ -52,13 +54,8 @@ export default function ArticleCard({
   testID,
 }) {
   
-  // Get the best available image URI using the standard fallback chain
-  const getImageUri = () => {
-    return article.localImageUri || 
-           article.croppedImageUri || 
-           article.imageUri || 
-           article.imageUrl;
-  };
+  // Get the best available image URI (see ClothingArticle's primaryImageUri)
+  const getImageUri = () => primaryImageUri(article);
   
   // Check if image URL is valid/expired (for carousel variant)
   const checkImageStatus = () => {
@@ -260,12 +257,15 @@ export default function ArticleCard({
     }
   };
   
-  const Component = (onPress || (selectionMode && onSelect)) ? TouchableOpacity : View;
+  const handleLongPress = onLongPress ? () => onLongPress(article) : undefined;
+  
+  const Component = (onPress || onLongPress || (selectionMode && onSelect)) ? TouchableOpacity : View;
   
   return (
     <Component
       style={containerStyles}
       onPress={handlePress}
+      onLongPress={handleLongPress}
       activeOpacity={0.8}
       accessibilityLabel={accessibilityLabel || getDisplayName()}
       testID={testID}
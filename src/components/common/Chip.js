@@ -0,0 +1,68 @@
+// Chip.js
+//
+// Reusable Selectable Chip Component for Digital Closet
+// ----------------------------------------------------
+// Small pill-shaped toggle used for category pickers and filters
+
+import React from 'react';
+import { TouchableOpacity, Text, StyleSheet } from 'react-native';
+import { colors, spacing } from '../../theme';
+
+export default function Chip({
+  label,
+  selected = false,
+  onPress,
+  disabled = false,
+  style,
+  testID,
+  accessibilityLabel,
+}) {
+  return (
+    <TouchableOpacity
+      style={[
+        styles.chip,
+        selected && styles.selectedChip,
+        disabled && styles.disabledChip,
+        style
+      ]}
+      onPress={onPress}
+      disabled={disabled}
+      testID={testID}
+      accessibilityRole="button"
+      accessibilityState={{ selected, disabled }}
+      accessibilityLabel={accessibilityLabel || label}
+      activeOpacity={0.8}
+    >
+      <Text style={[styles.label, selected && styles.selectedLabel]}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.borderMedium,
+    backgroundColor: colors.white,
+    marginRight: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  selectedChip: {
+    backgroundColor: colors.primaryBackground,
+    borderColor: colors.primary,
+  },
+  disabledChip: {
+    opacity: 0.5,
+  },
+  label: {
+    fontSize: 14,
+    color: colors.textPrimary,
+    textTransform: 'capitalize',
+  },
+  selectedLabel: {
+    color: colors.primaryDark,
+    fontWeight: '600',
+  },
+});
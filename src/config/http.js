@@ -0,0 +1,11 @@
+// http.js
+// Defaults for the shared HTTP client (services/httpClient.js)
+// Individual calls can override any of these, e.g. image generation allows a longer timeout.
+export const HTTP_TIMEOUT_MS = 30000;
+
+// Retries after the first attempt for 429, 5xx, timeouts and network errors
+export const HTTP_MAX_RETRIES = 2;
+
+// Backoff between retries doubles from the base delay up to the max; a Retry-After header wins (up to the max)
+export const HTTP_RETRY_BASE_DELAY_MS = 1000;
+export const HTTP_RETRY_MAX_DELAY_MS = 30000;
@@ -1,4 +1,5 @@
 // imageProvider.js
-// Configurable provider selector for image processing
-// Options: 'clarifai', 'garmentVision'
+// Default provider for image processing, used until one is picked in Settings
+// Options: any id registered in services/detectionProviders.js ('garmentVision', 'clarifai', 'openai', 'mock')
+// Use 'mock' to run the capture flow offline with fixture articles
 export const IMAGE_PROCESSING_PROVIDER = 'garmentVision';
@@ -0,0 +1,8 @@
+// weather.js
+// Location for the automatic weather source used by outfit suggestions
+// Set to { latitude, longitude } to fetch today's forecast over HTTP (Open-Meteo, no API key needed).
+// Leave null to rely on conditions entered by hand on the Outfits screen.
+export const WEATHER_LOCATION = null;
+
+// How long to wait for the weather before suggesting outfits without it
+export const WEATHER_TIMEOUT_MS = 8000;
@@ -0,0 +1,70 @@
+// ClosetContext.js
+//
+// Closet state for screens
+// ------------------------
+// ClosetProvider loads the closet store (see services/closetStore.js) and re-renders its children whenever
+// galleryService or outfitService commits a change, so every screen shows the same articles and outfits.
+// Hooks:
+//   - useArticles(filter): articles, optionally filtered (filterArticles criteria or a predicate)
+//   - useOutfits(): outfits, newest first
+//   - useCloset(): everything, plus loading/error state and reload() for pull-to-refresh
+
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { getClosetState, subscribeToCloset, loadCloset } from '../services/closetStore';
+import { filterArticles } from '../services/galleryService';
+
+const ClosetContext = createContext(null);
+
+export function ClosetProvider({ children }) {
+  const [closet, setCloset] = useState(getClosetState);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToCloset(setCloset);
+    // Changes made before subscribing are in the state loadCloset() publishes
+    loadCloset();
+    return unsubscribe;
+  }, []);
+
+  return <ClosetContext.Provider value={closet}>{children}</ClosetContext.Provider>;
+}
+
+// Read the provider's state; hooks only work below a ClosetProvider
+function useClosetState(hookName) {
+  const closet = useContext(ClosetContext);
+  if (!closet) {
+    throw new Error(`${hookName} must be used inside a ClosetProvider.`);
+  }
+  return closet;
+}
+
+/**
+ * The closet with its loading state.
+ * @returns {{articles: Array, outfits: Array, loading: boolean, error: string|null, reload: Function}}
+ *   reload() re-reads storage and resolves with the new state
+ */
+export function useCloset() {
+  const { articles, outfits, loaded, error } = useClosetState('useCloset');
+  return { articles, outfits, loading: !loaded && !error, error, reload: loadCloset };
+}
+
+/**
+ * Articles in storage order, re-rendering when they change.
+ * @param {Object|Function} [filter] - filterArticles() criteria (active articles only unless statuses is given)
+ *   or a predicate; memoize it, the result is recomputed when it changes
+ * @returns {Array} Matching articles (all articles without a filter)
+ */
+export function useArticles(filter) {
+  const { articles } = useClosetState('useArticles');
+  return useMemo(() => {
+    if (!filter) return articles;
+    return typeof filter === 'function' ? articles.filter(filter) : filterArticles(articles, filter);
+  }, [articles, filter]);
+}
+
+/**
+ * Outfits, newest first, re-rendering when they change.
+ * @returns {Array}
+ */
+export function useOutfits() {
+  return useClosetState('useOutfits').outfits;
+}
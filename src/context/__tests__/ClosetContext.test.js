@@ -0,0 +1,78 @@
+// ClosetContext.test.js
+//
+// Tests for ClosetProvider and the closet hooks
+// ---------------------------------------------
+// Ensures that screens re-render with changes the services commit
+
+import React from 'react';
+import { renderHook, act, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ClosetProvider, useArticles, useOutfits, useCloset } from '../ClosetContext';
+import { resetClosetStore } from '../../services/closetStore';
+import { incrementWearCount, setArticleStatus } from '../../services/galleryService';
+import { saveOutfit } from '../../services/outfitService';
+import { GALLERY_ARTICLES_KEY } from '../../services/constants';
+
+jest.mock('../../services/errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+const article = (id, category) => ({ id, category, localImageUri: `file:///${id}.jpg`, wearCount: 0 });
+
+const wrapper = ({ children }) => <ClosetProvider>{children}</ClosetProvider>;
+
+describe('ClosetContext', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([article('a', 'tops'), article('b', 'bottoms')]));
+    resetClosetStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should load the closet and report loading until then', async () => {
+    const { result } = renderHook(() => useCloset(), { wrapper });
+
+    expect(result.current.loading).toBe(true);
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.articles.map(a => a.id)).toEqual(['a', 'b']);
+    expect(result.current.error).toBeNull();
+  });
+
+  it('should re-render articles and outfits when the services change them', async () => {
+    const { result } = renderHook(() => ({ articles: useArticles(), outfits: useOutfits() }), { wrapper });
+    await waitFor(() => expect(result.current.articles).toHaveLength(2));
+
+    await act(async () => {
+      await incrementWearCount(['a']);
+      await saveOutfit({ name: 'Work', articles: [{ id: 'a' }, { id: 'b' }] });
+    });
+
+    expect(result.current.articles.find(a => a.id === 'a').wearCount).toBe(1);
+    expect(result.current.outfits.map(o => o.name)).toEqual(['Work']);
+  });
+
+  it('should filter articles with filterArticles criteria or a predicate', async () => {
+    const criteria = { categories: ['tops'] };
+    const isBottom = a => a.category === 'bottoms';
+    const { result } = renderHook(() => ({ tops: useArticles(criteria), bottoms: useArticles(isBottom) }), { wrapper });
+    await waitFor(() => expect(result.current.tops.map(a => a.id)).toEqual(['a']));
+    expect(result.current.bottoms.map(a => a.id)).toEqual(['b']);
+
+    // Criteria only match active articles unless statuses are given
+    await act(() => setArticleStatus(['a'], 'archived'));
+
+    expect(result.current.tops).toEqual([]);
+  });
+
+  it('should need a ClosetProvider', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => renderHook(() => useOutfits())).toThrow('useOutfits must be used inside a ClosetProvider.');
+  });
+});
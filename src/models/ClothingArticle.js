@@ -1,20 +1,199 @@
 // ClothingArticle.js
-// Model for a clothing article
-// ClothingArticle.js
-// Model for a clothing article
-// Accepted categories: 'outerwear', 'tops', 'bottoms', 'shoes'
+// Model for a clothing article: the fields an article can have, how it is stored and how it is checked
+// Categories come from the taxonomy in services/categoryService.js (built-in plus user-added)
+// Articles are stored as plain objects (see closetRepository); fromJSON/toJSON convert between the two.
+// Fields the model does not describe (status, lastWorn, notes, warmth, ...) are kept as they are, so a round trip
+// through the model never loses data.
+
+// Image fields in the order they are preferred for display: the downloaded copy, the crop from the photo,
+// the photo itself, then the remote URL (which may expire)
+export const IMAGE_URI_FIELDS = ['localImageUri', 'croppedImageUri', 'imageUri', 'imageUrl'];
+
+// Seasons an article can be tagged with ('all' for year-round pieces)
+export const ARTICLE_SEASONS = ['spring', 'summer', 'fall', 'winter', 'all'];
+
+// Fields and their values when unset
+const DEFAULTS = {
+  id: null,
+  category: null,
+  subcategory: null,
+  confirmed: false,
+  description: null,
+  color: null,
+  brand: null,
+  size: null,
+  material: null,
+  price: null,
+  purchaseDate: null,
+  season: null,
+  tags: [],
+  imageUri: null,
+  imageUrl: null,
+  localImageUri: null,
+  croppedImageUri: null,
+  boundingBox: null,
+  confidence: null,
+  wearCount: 0,
+};
+
+const TEXT_FIELDS = [
+  'category', 'subcategory', 'description', 'color', 'brand', 'size', 'material', ...IMAGE_URI_FIELDS,
+];
+
+const BOUNDING_BOX_EDGES = ['top_row', 'left_col', 'bottom_row', 'right_col'];
+
+const isUnset = value => value === null || value === undefined;
+const isFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+/**
+ * Best image to show for an article: the first of IMAGE_URI_FIELDS that is set.
+ * @param {Object} article - Stored article or ClothingArticle
+ * @returns {string|null}
+ */
+export function primaryImageUri(article) {
+  if (!article) return null;
+  const field = IMAGE_URI_FIELDS.find(key => typeof article[key] === 'string' && article[key]);
+  return field ? article[field] : null;
+}
+
+/**
+ * Check one field's value.
+ * @param {string} field - Field name (see DEFAULTS)
+ * @param {*} value - Value to check; null is allowed wherever the field is optional
+ * @throws {Error} If the value is not valid for the field
+ */
+export function validateArticleField(field, value) {
+  if (field === 'id') {
+    if (typeof value !== 'string' || !value) {
+      throw new Error('id must be a non-empty string.');
+    }
+  } else if (TEXT_FIELDS.includes(field)) {
+    if (!isUnset(value) && typeof value !== 'string') {
+      throw new Error(`${field} must be text.`);
+    }
+  } else if (field === 'confirmed') {
+    if (typeof value !== 'boolean') {
+      throw new Error('confirmed must be true or false.');
+    }
+  } else if (field === 'wearCount') {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error('wearCount must be a non-negative whole number.');
+    }
+  } else if (field === 'price') {
+    if (!isUnset(value) && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      throw new Error('price must be a non-negative number.');
+    }
+  } else if (field === 'confidence') {
+    if (!isUnset(value) && !isFraction(value)) {
+      throw new Error('confidence must be a number from 0 to 1.');
+    }
+  } else if (field === 'purchaseDate') {
+    if (!isUnset(value) && (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) ||
+      Number.isNaN(new Date(value).getTime()))) {
+      throw new Error('purchaseDate must be a date as YYYY-MM-DD.');
+    }
+  } else if (field === 'season') {
+    if (!isUnset(value) && !ARTICLE_SEASONS.includes(value)) {
+      throw new Error(`season must be one of: ${ARTICLE_SEASONS.join(', ')}.`);
+    }
+  } else if (field === 'tags') {
+    if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string' || !tag.trim())) {
+      throw new Error('tags must be a list of non-empty text.');
+    }
+  } else if (field === 'boundingBox') {
+    if (isUnset(value)) return;
+    const valid = typeof value === 'object' &&
+      BOUNDING_BOX_EDGES.every(edge => isFraction(value[edge])) &&
+      value.top_row < value.bottom_row && value.left_col < value.right_col;
+    if (!valid) {
+      throw new Error('boundingBox must have top_row, left_col, bottom_row and right_col from 0 to 1 enclosing an area.');
+    }
+  } else {
+    throw new Error(`Unknown article field "${field}".`);
+  }
+}
+
 export default class ClothingArticle {
   /**
-   * @param {string} id - Unique identifier for the article
-   * @param {string} imageUri - URI to the image of the article
-   * @param {string} category - Category of the article (outerwear, tops, bottoms, shoes)
-   * @param {boolean} confirmed - Whether the article has been verified by the user
+   * @param {Object} fields - Article fields; unset ones take their defaults (null, false, 0 or [])
+   * @param {string} fields.id - Unique identifier for the article
+   * @param {string} [fields.category] - Category id from the taxonomy (e.g. 'tops', 'dresses')
+   * @param {string} [fields.subcategory] - Subcategory id within the category (e.g. 'knitwear')
+   * @param {boolean} [fields.confirmed] - Whether the article has been verified by the user
+   * @param {string} [fields.description] - Short description shown as the article's name
+   * @param {string} [fields.color]
+   * @param {string} [fields.brand]
+   * @param {string} [fields.size]
+   * @param {string} [fields.material]
+   * @param {number} [fields.price] - Purchase price
+   * @param {string} [fields.purchaseDate] - YYYY-MM-DD
+   * @param {string} [fields.season] - One of ARTICLE_SEASONS
+   * @param {Array<string>} [fields.tags] - Free-form tags, trimmed and without duplicates
+   * @param {string} [fields.imageUri] - Photo the article was found in (or a crop of it)
+   * @param {string} [fields.imageUrl] - Remote image URL (e.g. a generated product image)
+   * @param {string} [fields.localImageUri] - Copy of the image in app storage
+   * @param {string} [fields.croppedImageUri] - Image cropped to the article's bounding box
+   * @param {Object} [fields.boundingBox] - { top_row, left_col, bottom_row, right_col } as fractions of the photo
+   * @param {number} [fields.confidence] - Detection confidence from 0 to 1
+   * @param {number} [fields.wearCount] - Times worn (derived from the wear log)
    */
-  constructor(id, imageUri, category, confirmed = false) {
-    this.id = id;
-    this.imageUri = imageUri;
-    this.category = category; // 'outerwear', 'tops', 'bottoms', or 'shoes'
-    this.confirmed = confirmed;
+  constructor(fields = {}) {
+    const otherFields = { ...fields };
+    Object.keys(DEFAULTS).forEach(key => {
+      const value = fields[key];
+      this[key] = isUnset(value) ? DEFAULTS[key] : value;
+      delete otherFields[key];
+    });
+    if (Array.isArray(this.tags)) {
+      this.tags = [...new Set(this.tags.map(tag => (typeof tag === 'string' ? tag.trim() : tag)))];
+    }
+    // Stored fields the model does not describe, written back unchanged by toJSON
+    this.otherFields = otherFields;
+  }
+
+  /**
+   * Build an article from its stored form.
+   * @param {Object} json - Stored article
+   * @returns {ClothingArticle}
+   * @throws {Error} If json is not an object
+   */
+  static fromJSON(json) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      throw new Error('Article data must be an object.');
+    }
+    return new ClothingArticle(json);
+  }
+
+  /**
+   * Stored form of the article. Fields left at their defaults (null, unconfirmed, no tags) are left out to keep
+   * storage small; wearCount is always written.
+   * @returns {Object}
+   */
+  toJSON() {
+    const json = { ...this.otherFields };
+    Object.keys(DEFAULTS).forEach(key => {
+      const value = this[key];
+      if (isUnset(value) || (key === 'confirmed' && value === false) || (key === 'tags' && value.length === 0)) return;
+      json[key] = key === 'tags' ? [...value] : value;
+    });
+    return json;
   }
-}
 
+  /**
+   * Check every field.
+   * @returns {ClothingArticle} This article, for chaining
+   * @throws {Error} Naming the first invalid field
+   */
+  validate() {
+    Object.keys(DEFAULTS).forEach(key => validateArticleField(key, this[key]));
+    return this;
+  }
+
+  /**
+   * Best image to show for the article (see primaryImageUri).
+   * @returns {string|null}
+   */
+  get primaryImageUri() {
+    return primaryImageUri(this);
+  }
+}
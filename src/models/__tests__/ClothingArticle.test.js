@@ -0,0 +1,111 @@
+// ClothingArticle.test.js
+//
+// Tests for the ClothingArticle model
+// -----------------------------------
+// Ensures stored articles round-trip without losing data, fields are validated and the display image is chosen
+// from the image fields in one place
+
+import ClothingArticle, { primaryImageUri, validateArticleField, IMAGE_URI_FIELDS } from '../ClothingArticle';
+
+const stored = {
+  id: 'a1',
+  category: 'tops',
+  subcategory: 'knitwear',
+  description: 'Navy sweater',
+  color: 'navy',
+  brand: 'Uniqlo',
+  price: 39.9,
+  purchaseDate: '2024-10-02',
+  season: 'winter',
+  tags: ['work', 'cozy'],
+  imageUri: 'file:///photo.jpg',
+  localImageUri: 'file:///images/a1.jpg',
+  boundingBox: { top_row: 0.1, left_col: 0.2, bottom_row: 0.6, right_col: 0.8 },
+  confidence: 0.92,
+  wearCount: 4,
+  // Fields the model does not describe
+  status: 'active',
+  lastWorn: '2025-01-05T08:00:00.000Z',
+  addedAt: '2024-10-03T12:00:00.000Z',
+};
+
+describe('ClothingArticle', () => {
+  describe('fromJSON / toJSON', () => {
+    it('should round-trip a stored article, keeping fields the model does not describe', () => {
+      const article = ClothingArticle.fromJSON(stored);
+
+      expect(article).toBeInstanceOf(ClothingArticle);
+      expect(article.brand).toBe('Uniqlo');
+      expect(article.size).toBeNull();
+      expect(article.toJSON()).toEqual(stored);
+      expect(JSON.parse(JSON.stringify(article))).toEqual(stored);
+    });
+
+    it('should fill in defaults and leave unset fields out of the stored form', () => {
+      const article = ClothingArticle.fromJSON({ id: 'a2', imageUrl: 'https://example.com/a2.png', brand: null });
+
+      expect(article).toEqual(expect.objectContaining({ confirmed: false, tags: [], wearCount: 0, brand: null }));
+      expect(article.toJSON()).toEqual({ id: 'a2', imageUrl: 'https://example.com/a2.png', wearCount: 0 });
+      expect(new ClothingArticle({ id: 'a3', confirmed: true }).toJSON()).toEqual({ id: 'a3', confirmed: true, wearCount: 0 });
+    });
+
+    it('should trim tags and drop duplicates', () => {
+      expect(new ClothingArticle({ id: 'a', tags: [' work', 'work ', 'party'] }).tags).toEqual(['work', 'party']);
+    });
+
+    it('should reject data that is not an object', () => {
+      expect(() => ClothingArticle.fromJSON(null)).toThrow('Article data must be an object.');
+      expect(() => ClothingArticle.fromJSON([stored])).toThrow('Article data must be an object.');
+    });
+  });
+
+  describe('validate', () => {
+    it('should accept a complete article and return it', () => {
+      const article = ClothingArticle.fromJSON(stored);
+
+      expect(article.validate()).toBe(article);
+    });
+
+    it('should name the first invalid field', () => {
+      const invalid = changes => () => ClothingArticle.fromJSON({ ...stored, ...changes }).validate();
+
+      expect(invalid({ id: '' })).toThrow('id must be a non-empty string.');
+      expect(invalid({ color: 7 })).toThrow('color must be text.');
+      expect(invalid({ wearCount: 1.5 })).toThrow('wearCount must be a non-negative whole number.');
+      expect(invalid({ price: -3 })).toThrow('price must be a non-negative number.');
+      expect(invalid({ purchaseDate: '2024-13-40' })).toThrow('purchaseDate must be a date as YYYY-MM-DD.');
+      expect(invalid({ season: 'autumn' })).toThrow('season must be one of: spring, summer, fall, winter, all.');
+      expect(invalid({ tags: ['ok', ''] })).toThrow('tags must be a list of non-empty text.');
+      expect(invalid({ confidence: 92 })).toThrow('confidence must be a number from 0 to 1.');
+      expect(invalid({ boundingBox: { top_row: 0.6, left_col: 0.2, bottom_row: 0.1, right_col: 0.8 } }))
+        .toThrow('boundingBox must have top_row, left_col, bottom_row and right_col');
+    });
+
+    it('should refuse fields it does not know', () => {
+      expect(() => validateArticleField('status', 'active')).toThrow('Unknown article field "status".');
+    });
+  });
+
+  describe('primaryImageUri', () => {
+    it('should prefer the local copy, then the crop, the photo and the remote URL', () => {
+      const all = {
+        localImageUri: 'local.jpg',
+        croppedImageUri: 'cropped.png',
+        imageUri: 'image.png',
+        imageUrl: 'https://example.com/url.png'
+      };
+
+      expect(IMAGE_URI_FIELDS).toEqual(['localImageUri', 'croppedImageUri', 'imageUri', 'imageUrl']);
+      expect(primaryImageUri(all)).toBe('local.jpg');
+      expect(primaryImageUri({ ...all, localImageUri: '' })).toBe('cropped.png');
+      expect(primaryImageUri({ imageUri: 'image.png', imageUrl: 'https://example.com/url.png' })).toBe('image.png');
+      expect(primaryImageUri({ imageUrl: 'https://example.com/url.png' })).toBe('https://example.com/url.png');
+      expect(primaryImageUri({ description: 'No image fields' })).toBeNull();
+      expect(primaryImageUri(null)).toBeNull();
+    });
+
+    it('should be available on model instances', () => {
+      expect(ClothingArticle.fromJSON(stored).primaryImageUri).toBe('file:///images/a1.jpg');
+    });
+  });
+});
@@ -3,9 +3,10 @@
 // Main Navigation Configuration for Digital Closet
 // ----------------------------------------------
 // Implements a modern navigation system with:
-//   - Bottom tab navigator for main sections (Home, Wardrobe, Outfits)
-//   - Floating Action Button (FAB) for primary actions
+//   - Bottom tab navigator for main sections (Home, Wardrobe, Outfits, Calendar)
+//   - Floating Action Button (FAB) for primary actions (picking several photos starts a batch capture)
 //   - Stack navigators within each tab for proper navigation flow
+//   - ClosetProvider around all screens, so they share one live copy of the closet
 //
 // Follows Clean Architecture principles with UI-only concerns in this file.
 
@@ -20,6 +21,7 @@ import { enableScreens } from 'react-native-screens';
 import { PostHogProvider } from 'posthog-react-native';
 import { POSTHOG_API_KEY } from '@env';
 import { colors, shadows } from '../theme';
+import { ClosetProvider } from '../context/ClosetContext';
 
 // Enable screens for better performance
 enableScreens();
@@ -31,13 +33,20 @@ import OutfitsScreen from '../screens/OutfitsScreen';
 import VerificationScreen from '../screens/VerificationScreen';
 import CreateOutfitScreen from '../screens/CreateOutfitScreen';
 import OutfitDetailScreen from '../screens/OutfitDetailScreen';
+import ArticleDetailScreen from '../screens/ArticleDetailScreen';
+import CalendarScreen from '../screens/CalendarScreen';
+import SettingsScreen from '../screens/SettingsScreen';
+import CategoriesScreen from '../screens/CategoriesScreen';
+import StorageScreen from '../screens/StorageScreen';
+import DeclutterScreen from '../screens/DeclutterScreen';
+import JobsScreen from '../screens/JobsScreen';
 
 // Create navigators
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
 
 // Import media service for camera and image picker
-import { takePhotoWithPermission, pickImageWithPermission } from '../services/mediaService';
+import { takePhotoWithPermission, pickImagesWithPermission } from '../services/mediaService';
 import * as FileSystem from 'expo-file-system';
 import { Alert } from 'react-native';
 import { clearAllArticles } from '../services/galleryService';
@@ -69,17 +78,16 @@ function FabMenu({ navigation, onClose }) {
     }
   };
 
-  // Handles picking a photo from gallery using the media service
+  // Handles picking photos from gallery using the media service
+  // Several photos open a batch review; a single photo takes the one-photo path
   const pickImage = async () => {
     onClose();
-    const result = await pickImageWithPermission();
-    console.log('[AppNavigator] pickImage result:', result);
-    if (result.assets && result.assets[0]?.base64) {
-      navigation.navigate('Verify', { imageUri: `data:image/jpeg;base64,${result.assets[0].base64}` });
-    } else if (result.base64) {
-      navigation.navigate('Verify', { imageUri: `data:image/jpeg;base64,${result.base64}` });
-    } else if (result.imageUri || result.uri) {
-      const uri = result.imageUri || result.uri;
+    const result = await pickImagesWithPermission();
+    console.log('[AppNavigator] pickImage result:', result.imageUris ? `${result.imageUris.length} photos` : result);
+    if (result.imageUris && result.imageUris.length > 1) {
+      navigation.navigate('Verify', { imageUris: result.imageUris });
+    } else if (result.imageUris && result.imageUris.length === 1) {
+      const uri = result.imageUris[0];
       try {
         const base64 = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
         navigation.navigate('Verify', { imageUri: `data:image/jpeg;base64,${base64}` });
@@ -228,6 +236,26 @@ function HomeStack() {
         name="Verify" 
         component={VerificationScreen} 
       />
+      <Stack.Screen 
+        name="Settings" 
+        component={SettingsScreen} 
+        options={{ headerShown: false }} 
+      />
+      <Stack.Screen 
+        name="Categories" 
+        component={CategoriesScreen} 
+        options={{ headerShown: false }} 
+      />
+      <Stack.Screen 
+        name="Storage" 
+        component={StorageScreen} 
+        options={{ headerShown: false }} 
+      />
+      <Stack.Screen 
+        name="Jobs" 
+        component={JobsScreen} 
+        options={{ headerShown: false }} 
+      />
     </Stack.Navigator>
   );
 }
@@ -241,6 +269,16 @@ function WardrobeStack() {
         component={GalleryScreen} 
         options={{ headerShown: false }} 
       />
+      <Stack.Screen 
+        name="ArticleDetail" 
+        component={ArticleDetailScreen} 
+        options={{ headerShown: false }} 
+      />
+      <Stack.Screen 
+        name="Declutter" 
+        component={DeclutterScreen} 
+        options={{ headerShown: false }} 
+      />
     </Stack.Navigator>
   );
 }
@@ -264,6 +302,34 @@ function OutfitsStack() {
         component={CreateOutfitScreen} 
         options={{ headerShown: false }} 
       />
+      <Stack.Screen 
+        name="OutfitArticlePicker" 
+        component={GalleryScreen} 
+        options={{ headerShown: false }} 
+      />
+    </Stack.Navigator>
+  );
+}
+
+// Calendar Stack Navigator
+function CalendarStack() {
+  return (
+    <Stack.Navigator>
+      <Stack.Screen 
+        name="CalendarScreen" 
+        component={CalendarScreen} 
+        options={{ headerShown: false }} 
+      />
+      <Stack.Screen 
+        name="OutfitDetail" 
+        component={OutfitDetailScreen} 
+        options={{ headerShown: false }} 
+      />
+      <Stack.Screen 
+        name="OutfitArticlePicker" 
+        component={GalleryScreen} 
+        options={{ headerShown: false }} 
+      />
     </Stack.Navigator>
   );
 }
@@ -298,6 +364,13 @@ function TabNavigator() {
           tabBarIconName: 'shirt-outline',
         }}
       />
+      <Tab.Screen 
+        name="Calendar" 
+        component={CalendarStack} 
+        options={{
+          tabBarIconName: 'calendar-outline',
+        }}
+      />
       <Tab.Screen 
         name="FabTab" 
         component={View} 
@@ -322,11 +395,13 @@ export default function AppNavigator() {
           }}
           autocapture
         >
-          <Stack.Navigator screenOptions={{ headerShown: false }}>
-            <Stack.Screen name="Main" component={TabNavigator} />
-            <Stack.Screen name="Verify" component={VerificationScreen} />
-            <Stack.Screen name="CreateOutfit" component={CreateOutfitScreen} />
-          </Stack.Navigator>
+          <ClosetProvider>
+            <Stack.Navigator screenOptions={{ headerShown: false }}>
+              <Stack.Screen name="Main" component={TabNavigator} />
+              <Stack.Screen name="Verify" component={VerificationScreen} />
+              <Stack.Screen name="CreateOutfit" component={CreateOutfitScreen} />
+            </Stack.Navigator>
+          </ClosetProvider>
         </PostHogProvider>
       </NavigationContainer>
     </SafeAreaProvider>
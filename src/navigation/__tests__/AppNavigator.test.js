@@ -50,6 +50,13 @@ jest.mock('../../screens/OutfitsScreen', () => 'OutfitsScreen');
 jest.mock('../../screens/VerificationScreen', () => 'VerificationScreen');
 jest.mock('../../screens/CreateOutfitScreen', () => 'CreateOutfitScreen');
 jest.mock('../../screens/OutfitDetailScreen', () => 'OutfitDetailScreen');
+jest.mock('../../screens/ArticleDetailScreen', () => 'ArticleDetailScreen');
+jest.mock('../../screens/CalendarScreen', () => 'CalendarScreen');
+jest.mock('../../screens/SettingsScreen', () => 'SettingsScreen');
+jest.mock('../../screens/CategoriesScreen', () => 'CategoriesScreen');
+jest.mock('../../screens/StorageScreen', () => 'StorageScreen');
+jest.mock('../../screens/DeclutterScreen', () => 'DeclutterScreen');
+jest.mock('../../screens/JobsScreen', () => 'JobsScreen');
 
 describe('AppNavigator', () => {
   it('renders without crashing', () => {
@@ -0,0 +1,414 @@
+// ArticleDetailScreen.js
+//
+// Article Detail / Edit Screen for Digital Closet
+// -----------------------------------------------
+// Shows a single article and lets the user correct what detection got wrong.
+// Features:
+//   - Editable category (with subcategory), description, color, brand, size, material, price, purchase date,
+//     season, tags and notes
+//   - Warmth and water resistance, used by weather-aware outfit suggestions
+//   - Validation and persistence handled by galleryService.updateArticle
+//   - Lifecycle status (active, archived, donated, sold with sale price, lost)
+//   - Reachable from the wardrobe carousels
+//
+// Designed so a wrong guess from GarmentVision is a quick fix, not a re-capture.
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  Image,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import {
+  getAllArticles,
+  updateArticle,
+  setArticleStatus,
+  getArticleStatus,
+  ARTICLE_STATUSES,
+  ARTICLE_WARMTH_LEVELS
+} from '../services/galleryService';
+import { getTaxonomy, findCategory } from '../services/categoryService';
+import { primaryImageUri, ARTICLE_SEASONS } from '../models/ClothingArticle';
+import { colors, spacing } from '../theme';
+import AppHeader from '../components/common/AppHeader';
+import Button from '../components/common/Button';
+import Chip from '../components/common/Chip';
+import EmptyState from '../components/common/EmptyState';
+
+// Text inputs shown in the edit form, in display order
+const FORM_FIELDS = [
+  { key: 'description', label: 'Description', placeholder: 'e.g. Navy wool blazer' },
+  { key: 'color', label: 'Color', placeholder: 'e.g. Navy' },
+  { key: 'brand', label: 'Brand', placeholder: 'e.g. Uniqlo' },
+  { key: 'size', label: 'Size', placeholder: 'e.g. M' },
+  { key: 'material', label: 'Material', placeholder: 'e.g. Suede' },
+  { key: 'price', label: 'Price', placeholder: 'e.g. 49.99', keyboardType: 'decimal-pad' },
+  { key: 'purchaseDate', label: 'Purchase date', placeholder: 'YYYY-MM-DD' },
+  { key: 'tags', label: 'Tags', placeholder: 'e.g. work, favorite' },
+  { key: 'notes', label: 'Notes', placeholder: 'Anything worth remembering', multiline: true },
+];
+
+// Chip labels for lifecycle statuses
+const STATUS_LABELS = {
+  active: 'In closet',
+  archived: 'Archived',
+  donated: 'Donated',
+  sold: 'Sold',
+  lost: 'Lost',
+};
+
+// Chip labels for warmth levels
+const WARMTH_LABELS = {
+  light: 'Light',
+  medium: 'Medium',
+  warm: 'Warm',
+};
+
+// Chip labels for seasons
+const SEASON_LABELS = {
+  spring: 'Spring',
+  summer: 'Summer',
+  fall: 'Fall',
+  winter: 'Winter',
+  all: 'All year',
+};
+
+// Tags are edited as comma-separated text
+const parseTags = text => text.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Build the editable form state from a stored article
+function toFormState(article) {
+  const form = {
+    category: article.category,
+    subcategory: article.subcategory || null,
+    warmth: article.warmth || null,
+    season: article.season || null,
+    waterResistant: article.waterResistant === true,
+  };
+  FORM_FIELDS.forEach(({ key }) => {
+    const value = article[key];
+    if (value === null || value === undefined) {
+      form[key] = '';
+    } else {
+      form[key] = Array.isArray(value) ? value.join(', ') : String(value);
+    }
+  });
+  return form;
+}
+
+export default function ArticleDetailScreen() {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { articleId } = route.params || {};
+
+  const [article, setArticle] = useState(null);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [taxonomy, setTaxonomy] = useState([]);
+  const [sellingPrice, setSellingPrice] = useState(null); // Sale price input while marking as sold
+
+  // Load the article fresh from storage so edits never start from a stale copy
+  useEffect(() => {
+    (async () => {
+      const [articles, loadedTaxonomy] = await Promise.all([getAllArticles(), getTaxonomy()]);
+      setTaxonomy(loadedTaxonomy);
+      const found = articles.find(a => a.id === articleId) || null;
+      setArticle(found);
+      setForm(found ? toFormState(found) : null);
+      setLoading(false);
+    })();
+  }, [articleId]);
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Picking a new category clears the subcategory; tapping the selected subcategory clears it
+  const selectCategory = (categoryId) => {
+    setForm(prev => ({
+      ...prev,
+      category: categoryId,
+      subcategory: prev.category === categoryId ? prev.subcategory : null
+    }));
+  };
+
+  const toggleSubcategory = (subcategoryId) => {
+    setForm(prev => ({
+      ...prev,
+      subcategory: prev.subcategory === subcategoryId ? null : subcategoryId
+    }));
+  };
+
+  // Status changes apply immediately; selling first asks for an optional sale price
+  const applyStatus = async (status, options) => {
+    try {
+      const updated = await setArticleStatus([articleId], status, options);
+      setArticle(updated.find(a => a.id === articleId));
+      setSellingPrice(null);
+    } catch (e) {
+      Alert.alert('Could not update status', e.message || 'Please try again.');
+    }
+  };
+
+  const selectStatus = (status) => {
+    if (status === getArticleStatus(article)) return;
+    if (status === 'sold') {
+      setSellingPrice('');
+      return;
+    }
+    setSellingPrice(null);
+    applyStatus(status);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const updated = await updateArticle(articleId, { ...form, tags: parseTags(form.tags) });
+      setArticle(updated);
+      setForm(toFormState(updated));
+      navigation.goBack();
+    } catch (e) {
+      Alert.alert('Could not save', e.message || 'Failed to update article.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <EmptyState loading={true} loadingText="Loading article..." variant="fullscreen" />;
+  }
+
+  if (!article) {
+    return (
+      <View style={styles.container}>
+        <AppHeader title="Article" showBackButton={true} variant="navigation" />
+        <EmptyState
+          error={true}
+          title="Article not found"
+          actionText="Go Back"
+          onActionPress={() => navigation.goBack()}
+          actionVariant="secondary"
+          variant="fullscreen"
+        />
+      </View>
+    );
+  }
+
+  const selectedCategory = findCategory(taxonomy, form.category);
+  const imageUri = primaryImageUri(article);
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <AppHeader
+        title="Edit Article"
+        showBackButton={true}
+        variant="navigation"
+        showBorder={true}
+      />
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {imageUri ? (
+          <Image source={{ uri: imageUri }} style={styles.image} resizeMode="cover" />
+        ) : null}
+        <Text style={styles.wearCount}>
+          Worn {article.wearCount || 0} time{article.wearCount === 1 ? '' : 's'}
+        </Text>
+
+        <Text style={styles.label}>Status</Text>
+        <View style={styles.chipRow}>
+          {ARTICLE_STATUSES.map(status => (
+            <Chip
+              key={status}
+              label={STATUS_LABELS[status]}
+              selected={sellingPrice !== null ? status === 'sold' : getArticleStatus(article) === status}
+              onPress={() => selectStatus(status)}
+            />
+          ))}
+        </View>
+        {sellingPrice !== null ? (
+          <View style={styles.saleRow}>
+            <TextInput
+              style={[styles.input, styles.saleInput]}
+              value={sellingPrice}
+              onChangeText={setSellingPrice}
+              placeholder="Sale price (optional)"
+              placeholderTextColor={colors.textDisabled}
+              keyboardType="decimal-pad"
+              accessibilityLabel="Sale price input"
+            />
+            <Button
+              title="Mark as Sold"
+              size="small"
+              onPress={() => applyStatus('sold', { salePrice: sellingPrice.trim() || null })}
+            />
+          </View>
+        ) : getArticleStatus(article) !== 'active' && article.statusChangedAt ? (
+          <Text style={styles.statusNote}>
+            {STATUS_LABELS[getArticleStatus(article)]} on {new Date(article.statusChangedAt).toLocaleDateString()}
+            {typeof article.salePrice === 'number' ? ` for ${article.salePrice.toFixed(2)}` : ''}
+          </Text>
+        ) : null}
+
+        <Text style={styles.label}>Category</Text>
+        <View style={styles.chipRow}>
+          {taxonomy.map(cat => (
+            <Chip
+              key={cat.id}
+              label={cat.label}
+              selected={form.category === cat.id}
+              onPress={() => selectCategory(cat.id)}
+            />
+          ))}
+        </View>
+
+        {selectedCategory && selectedCategory.subcategories.length > 0 && (
+          <>
+            <Text style={styles.label}>Subcategory</Text>
+            <View style={styles.chipRow}>
+              {selectedCategory.subcategories.map(sub => (
+                <Chip
+                  key={sub.id}
+                  label={sub.label}
+                  selected={form.subcategory === sub.id}
+                  onPress={() => toggleSubcategory(sub.id)}
+                />
+              ))}
+            </View>
+          </>
+        )}
+
+        <Text style={styles.label}>Warmth</Text>
+        <View style={styles.chipRow}>
+          {ARTICLE_WARMTH_LEVELS.map(level => (
+            <Chip
+              key={level}
+              label={WARMTH_LABELS[level]}
+              selected={form.warmth === level}
+              onPress={() => updateField('warmth', form.warmth === level ? null : level)}
+            />
+          ))}
+          <Chip
+            label="Water-resistant"
+            selected={form.waterResistant}
+            onPress={() => updateField('waterResistant', !form.waterResistant)}
+          />
+        </View>
+
+        <Text style={styles.label}>Season</Text>
+        <View style={styles.chipRow}>
+          {ARTICLE_SEASONS.map(season => (
+            <Chip
+              key={season}
+              label={SEASON_LABELS[season]}
+              selected={form.season === season}
+              onPress={() => updateField('season', form.season === season ? null : season)}
+            />
+          ))}
+        </View>
+
+        {FORM_FIELDS.map(({ key, label, placeholder, multiline, keyboardType }) => (
+          <View key={key} style={styles.field}>
+            <Text style={styles.label}>{label}</Text>
+            <TextInput
+              style={[styles.input, multiline && styles.multilineInput]}
+              value={form[key]}
+              onChangeText={value => updateField(key, value)}
+              placeholder={placeholder}
+              placeholderTextColor={colors.textDisabled}
+              multiline={multiline}
+              keyboardType={keyboardType}
+              accessibilityLabel={`${label} input`}
+            />
+          </View>
+        ))}
+
+        <Button
+          title="Save Changes"
+          onPress={handleSave}
+          loading={saving}
+          disabled={saving || !selectedCategory}
+          variant="primary"
+          style={styles.saveButton}
+        />
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.white,
+  },
+  content: {
+    padding: spacing.screenPadding,
+    paddingBottom: spacing.xxxl,
+  },
+  image: {
+    width: '100%',
+    aspectRatio: 1,
+    borderRadius: 12,
+    backgroundColor: colors.backgroundLight,
+    marginBottom: spacing.sm,
+  },
+  wearCount: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+    textAlign: 'center',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: spacing.sm,
+  },
+  field: {
+    marginBottom: spacing.md,
+  },
+  saleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.md,
+  },
+  saleInput: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  statusNote: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.borderMedium,
+    borderRadius: spacing.borderRadius,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: colors.textPrimary,
+    backgroundColor: colors.backgroundSubtle,
+  },
+  multilineInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  saveButton: {
+    marginTop: spacing.sm,
+  },
+});
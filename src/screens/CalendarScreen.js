@@ -0,0 +1,524 @@
+// CalendarScreen.js
+// Outfit calendar / wear diary
+// Features:
+//   - Month and week views of what was worn each day (from the wear log)
+//   - Plan outfits for today or future dates
+//   - Mark a planned outfit as worn on the day
+//   - Works fully offline on AsyncStorage; refreshes whenever the tab is focused
+
+import React, { useState, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  Modal,
+  FlatList,
+  SafeAreaView
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { getOutfits, deleteWearEvent } from '../services/outfitService';
+import { getWearEvents } from '../services/wearLogService';
+import { getPlans, planOutfit, removePlan, markPlanAsWorn } from '../services/outfitPlanService';
+import {
+  buildCalendarEntries,
+  getMonthGrid,
+  getWeekDays,
+  toDateKey,
+  fromDateKey,
+  addDays,
+  todayKey
+} from '../services/calendarService';
+import { colors, shadows, spacing } from '../theme';
+import AppHeader from '../components/common/AppHeader';
+import Button from '../components/common/Button';
+import Chip from '../components/common/Chip';
+import EmptyState from '../components/common/EmptyState';
+
+const WEEKDAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+export default function CalendarScreen() {
+  const navigation = useNavigation();
+  const [viewMode, setViewMode] = useState('month');
+  const [selectedDate, setSelectedDate] = useState(todayKey());
+  const [outfits, setOutfits] = useState([]);
+  const [entries, setEntries] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [pickerVisible, setPickerVisible] = useState(false);
+
+  const today = todayKey();
+  const selected = fromDateKey(selectedDate);
+
+  // Days visible in the current view, as rows of seven
+  const weeks = useMemo(() => {
+    if (viewMode === 'week') {
+      return [getWeekDays(selectedDate).map(dateKey => ({ dateKey, inMonth: true }))];
+    }
+    return getMonthGrid(selected.getFullYear(), selected.getMonth());
+  }, [viewMode, selectedDate]);
+
+  const rangeStart = weeks[0][0].dateKey;
+  const rangeEnd = weeks[weeks.length - 1][6].dateKey;
+
+  // Load wears and plans for the visible range
+  const loadData = useCallback(async () => {
+    try {
+      const [outfitsData, events, plans] = await Promise.all([
+        getOutfits(),
+        getWearEvents({
+          from: fromDateKey(rangeStart).toISOString(),
+          to: fromDateKey(addDays(rangeEnd, 1)).toISOString()
+        }),
+        getPlans({ from: rangeStart, to: rangeEnd })
+      ]);
+      setOutfits(outfitsData);
+      setEntries(buildCalendarEntries(events, plans, outfitsData));
+    } catch (error) {
+      console.error('[CalendarScreen] Error loading calendar:', error);
+      Alert.alert('Error', 'Failed to load your calendar.');
+    } finally {
+      setLoading(false);
+    }
+  }, [rangeStart, rangeEnd]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+      return () => {};
+    }, [loadData])
+  );
+
+  // Move back or forward by one month or one week
+  const shiftPeriod = (direction) => {
+    if (viewMode === 'week') {
+      setSelectedDate(addDays(selectedDate, 7 * direction));
+    } else {
+      setSelectedDate(toDateKey(new Date(selected.getFullYear(), selected.getMonth() + direction, 1)));
+    }
+  };
+
+  const periodTitle = viewMode === 'week'
+    ? `${formatDay(rangeStart)} – ${formatDay(rangeEnd)}`
+    : selected.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+  const dayEntry = entries[selectedDate] || { worn: [], planned: [] };
+  const canPlan = selectedDate >= today;
+
+  const handlePlan = async (outfit) => {
+    setPickerVisible(false);
+    try {
+      await planOutfit(outfit.id, selectedDate);
+      await loadData();
+    } catch (error) {
+      Alert.alert('Could not plan outfit', error.message);
+    }
+  };
+
+  const handleMarkPlanWorn = async (plan) => {
+    const result = await markPlanAsWorn(plan.id);
+    if (result.success) {
+      await loadData();
+    } else {
+      Alert.alert('Error', result.error || 'Failed to mark outfit as worn.');
+    }
+  };
+
+  const confirmRemovePlan = (plan, outfit) => {
+    Alert.alert(
+      'Remove Plan',
+      `Remove "${outfit.name}" from ${formatDay(plan.date)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            await removePlan(plan.id);
+            await loadData();
+          }
+        }
+      ]
+    );
+  };
+
+  const confirmRemoveWear = (event) => {
+    Alert.alert(
+      'Remove Wear',
+      `Remove this wear from ${formatDay(selectedDate)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await deleteWearEvent(event.id);
+            if (!result.success) {
+              Alert.alert('Error', result.error || 'Failed to remove wear.');
+            }
+            await loadData();
+          }
+        }
+      ]
+    );
+  };
+
+  // Render a single day cell with dots for wears and plans
+  const renderDay = ({ dateKey, inMonth }) => {
+    const entry = entries[dateKey];
+    const isSelected = dateKey === selectedDate;
+    const isToday = dateKey === today;
+    return (
+      <TouchableOpacity
+        key={dateKey}
+        style={[styles.dayCell, viewMode === 'week' && styles.weekDayCell]}
+        onPress={() => setSelectedDate(dateKey)}
+        accessibilityLabel={`${formatDay(dateKey)}${entry ? `, ${entry.worn.length} worn, ${entry.planned.length} planned` : ''}`}
+      >
+        <View style={[styles.dayNumber, isToday && styles.todayNumber, isSelected && styles.selectedNumber]}>
+          <Text
+            style={[
+              styles.dayText,
+              !inMonth && styles.outsideMonthText,
+              isSelected && styles.selectedDayText
+            ]}
+          >
+            {fromDateKey(dateKey).getDate()}
+          </Text>
+        </View>
+        <View style={styles.dotRow}>
+          {entry && entry.worn.length > 0 && <View style={styles.wornDot} />}
+          {entry && entry.planned.length > 0 && <View style={styles.plannedDot} />}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  if (loading) {
+    return <EmptyState loading={true} loadingText="Loading calendar..." variant="fullscreen" />;
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AppHeader title="Calendar" variant="main" />
+
+      <View style={styles.toolbar}>
+        <View style={styles.modeRow}>
+          <Chip label="month" selected={viewMode === 'month'} onPress={() => setViewMode('month')} />
+          <Chip label="week" selected={viewMode === 'week'} onPress={() => setViewMode('week')} />
+        </View>
+        <TouchableOpacity onPress={() => setSelectedDate(today)} accessibilityLabel="Jump to today">
+          <Text style={styles.todayLink}>Today</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.periodRow}>
+        <TouchableOpacity onPress={() => shiftPeriod(-1)} accessibilityLabel="Previous period">
+          <Ionicons name="chevron-back" size={24} color={colors.primary} />
+        </TouchableOpacity>
+        <Text style={styles.periodTitle}>{periodTitle}</Text>
+        <TouchableOpacity onPress={() => shiftPeriod(1)} accessibilityLabel="Next period">
+          <Ionicons name="chevron-forward" size={24} color={colors.primary} />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.grid}>
+        <View style={styles.weekRow}>
+          {WEEKDAY_LABELS.map((label, i) => (
+            <Text key={i} style={styles.weekdayLabel}>{label}</Text>
+          ))}
+        </View>
+        {weeks.map(week => (
+          <View key={week[0].dateKey} style={styles.weekRow}>
+            {week.map(renderDay)}
+          </View>
+        ))}
+      </View>
+
+      <ScrollView contentContainerStyle={styles.dayDetails}>
+        <Text style={styles.sectionTitle}>{formatDay(selectedDate)}</Text>
+
+        {dayEntry.worn.length === 0 && dayEntry.planned.length === 0 && (
+          <Text style={styles.emptyText}>
+            {canPlan ? 'Nothing planned yet.' : 'Nothing logged for this day.'}
+          </Text>
+        )}
+
+        {dayEntry.worn.map(({ event, outfit }) => (
+          <View key={event.id} style={styles.entryRow}>
+            <Ionicons name="checkmark-circle" size={20} color={colors.success} />
+            <TouchableOpacity
+              style={styles.entryInfo}
+              disabled={!outfit}
+              onPress={() => navigation.navigate('OutfitDetail', { outfit })}
+            >
+              <Text style={styles.entryName}>{outfit ? outfit.name : 'Individual items'}</Text>
+              <Text style={styles.entryMeta}>
+                Worn · {event.articleIds.length} item{event.articleIds.length === 1 ? '' : 's'}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => confirmRemoveWear(event)}
+              accessibilityLabel="Remove wear"
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            >
+              <Ionicons name="close-circle-outline" size={20} color={colors.gray500} />
+            </TouchableOpacity>
+          </View>
+        ))}
+
+        {dayEntry.planned.map(({ plan, outfit }) => (
+          <View key={plan.id} style={styles.entryRow}>
+            <Ionicons name="time-outline" size={20} color={colors.primary} />
+            <TouchableOpacity
+              style={styles.entryInfo}
+              onPress={() => navigation.navigate('OutfitDetail', { outfit })}
+            >
+              <Text style={styles.entryName}>{outfit.name}</Text>
+              <Text style={styles.entryMeta}>Planned</Text>
+            </TouchableOpacity>
+            {plan.date <= today && (
+              <Button
+                title="Wore it"
+                size="small"
+                onPress={() => handleMarkPlanWorn(plan)}
+                style={styles.wearButton}
+              />
+            )}
+            <TouchableOpacity
+              onPress={() => confirmRemovePlan(plan, outfit)}
+              accessibilityLabel="Remove plan"
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            >
+              <Ionicons name="close-circle-outline" size={20} color={colors.gray500} />
+            </TouchableOpacity>
+          </View>
+        ))}
+
+        {canPlan && (
+          <Button
+            title="Plan an Outfit"
+            variant="secondary"
+            icon="add-circle-outline"
+            iconPosition="left"
+            onPress={() => setPickerVisible(true)}
+            disabled={outfits.length === 0}
+            style={styles.planButton}
+          />
+        )}
+      </ScrollView>
+
+      <Modal
+        visible={pickerVisible}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setPickerVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Plan for {formatDay(selectedDate)}</Text>
+            <FlatList
+              data={outfits}
+              keyExtractor={item => item.id}
+              style={styles.pickerList}
+              renderItem={({ item }) => (
+                <TouchableOpacity style={styles.pickerRow} onPress={() => handlePlan(item)}>
+                  <Text style={styles.entryName}>{item.name}</Text>
+                  <Text style={styles.entryMeta}>{item.articleIds?.length || 0} items</Text>
+                </TouchableOpacity>
+              )}
+            />
+            <Button
+              title="Cancel"
+              variant="secondary"
+              size="small"
+              onPress={() => setPickerVisible(false)}
+            />
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+}
+
+// Format a date key for display, e.g. "Tue, Mar 4"
+function formatDay(dateKey) {
+  return fromDateKey(dateKey).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.white,
+  },
+  toolbar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: spacing.screenPadding,
+  },
+  modeRow: {
+    flexDirection: 'row',
+  },
+  todayLink: {
+    fontSize: 14,
+    color: colors.primaryDark,
+    fontWeight: '500',
+  },
+  periodRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: spacing.screenPadding,
+    paddingVertical: spacing.sm,
+  },
+  periodTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  grid: {
+    paddingHorizontal: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+    paddingBottom: spacing.sm,
+  },
+  weekRow: {
+    flexDirection: 'row',
+  },
+  weekdayLabel: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  dayCell: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+  },
+  weekDayCell: {
+    paddingVertical: spacing.sm,
+  },
+  dayNumber: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  todayNumber: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  selectedNumber: {
+    backgroundColor: colors.primary,
+  },
+  dayText: {
+    fontSize: 14,
+    color: colors.textPrimary,
+  },
+  outsideMonthText: {
+    color: colors.textDisabled,
+  },
+  selectedDayText: {
+    color: colors.white,
+    fontWeight: '600',
+  },
+  dotRow: {
+    flexDirection: 'row',
+    height: 6,
+    marginTop: 2,
+  },
+  wornDot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: colors.success,
+    marginHorizontal: 1,
+  },
+  plannedDot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    marginHorizontal: 1,
+  },
+  dayDetails: {
+    padding: spacing.md,
+    paddingBottom: spacing.xxxl,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.sm,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: spacing.sm,
+  },
+  entryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+  entryInfo: {
+    flex: 1,
+    marginLeft: spacing.sm,
+  },
+  entryName: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.textPrimary,
+  },
+  entryMeta: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  wearButton: {
+    marginRight: spacing.sm,
+  },
+  planButton: {
+    marginTop: spacing.md,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: colors.overlayDark,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalCard: {
+    width: 300,
+    maxHeight: '70%',
+    backgroundColor: colors.white,
+    borderRadius: 16,
+    padding: spacing.lg,
+    ...shadows.medium,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.md,
+  },
+  pickerList: {
+    marginBottom: spacing.md,
+  },
+  pickerRow: {
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+});
@@ -0,0 +1,281 @@
+// CategoriesScreen.js
+// Manage the article category taxonomy
+// Features:
+//   - Lists built-in and user-added categories with their subcategories
+//   - Add new categories and subcategories (e.g. "Tops > Knitwear")
+//   - Remove user-added categories and subcategories
+// Built-in categories are always available and cannot be removed.
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  SafeAreaView
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  getTaxonomy,
+  addCategory,
+  addSubcategory,
+  removeCategory,
+  removeSubcategory
+} from '../services/categoryService';
+import { colors, spacing } from '../theme';
+import AppHeader from '../components/common/AppHeader';
+import Button from '../components/common/Button';
+
+export default function CategoriesScreen() {
+  const [taxonomy, setTaxonomy] = useState([]);
+  const [newCategory, setNewCategory] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [newSubcategory, setNewSubcategory] = useState('');
+
+  const refresh = async () => {
+    setTaxonomy(await getTaxonomy());
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  // Run a taxonomy change, surfacing validation errors from the service
+  const runChange = async (change) => {
+    try {
+      await change();
+      await refresh();
+      return true;
+    } catch (error) {
+      Alert.alert('Could not update categories', error.message || 'Please try again.');
+      return false;
+    }
+  };
+
+  const handleAddCategory = async () => {
+    if (await runChange(() => addCategory(newCategory))) {
+      setNewCategory('');
+    }
+  };
+
+  const handleAddSubcategory = async (parentId) => {
+    if (await runChange(() => addSubcategory(parentId, newSubcategory))) {
+      setNewSubcategory('');
+    }
+  };
+
+  const confirmRemove = (title, message, change) => {
+    Alert.alert(title, message, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Remove', style: 'destructive', onPress: () => runChange(change) }
+    ]);
+  };
+
+  const toggleExpanded = (id) => {
+    setExpandedId(prev => (prev === id ? null : id));
+    setNewSubcategory('');
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AppHeader
+        title="Categories"
+        showBackButton={true}
+        variant="navigation"
+        showBorder={true}
+      />
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.sectionText}>
+          Articles are grouped by these categories. Add your own, or subcategories like "Tops &gt; Knitwear".
+        </Text>
+
+        {taxonomy.map(category => {
+          const expanded = expandedId === category.id;
+          return (
+            <View key={category.id} style={styles.categoryCard}>
+              <TouchableOpacity
+                style={styles.categoryRow}
+                onPress={() => toggleExpanded(category.id)}
+                accessibilityLabel={`${expanded ? 'Collapse' : 'Expand'} ${category.label}`}
+              >
+                <Ionicons
+                  name={expanded ? 'chevron-down' : 'chevron-forward'}
+                  size={18}
+                  color={colors.gray500}
+                />
+                <Text style={styles.categoryLabel}>{category.label}</Text>
+                <Text style={styles.subCount}>
+                  {category.subcategories.length} sub{category.subcategories.length === 1 ? '' : 's'}
+                </Text>
+                {!category.builtIn && (
+                  <TouchableOpacity
+                    onPress={() => confirmRemove(
+                      'Remove Category',
+                      `Remove "${category.label}"? Articles in it will show under Other until you recategorize them.`,
+                      () => removeCategory(category.id)
+                    )}
+                    accessibilityLabel={`Remove ${category.label}`}
+                    hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                  >
+                    <Ionicons name="trash-outline" size={18} color={colors.error} />
+                  </TouchableOpacity>
+                )}
+              </TouchableOpacity>
+
+              {expanded && (
+                <View style={styles.subList}>
+                  {category.subcategories.map(sub => (
+                    <View key={sub.id} style={styles.subRow}>
+                      <Text style={styles.subLabel}>{sub.label}</Text>
+                      {!sub.builtIn && (
+                        <TouchableOpacity
+                          onPress={() => confirmRemove(
+                            'Remove Subcategory',
+                            `Remove "${category.label} > ${sub.label}"?`,
+                            () => removeSubcategory(category.id, sub.id)
+                          )}
+                          accessibilityLabel={`Remove ${sub.label}`}
+                          hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                        >
+                          <Ionicons name="close-circle-outline" size={18} color={colors.gray500} />
+                        </TouchableOpacity>
+                      )}
+                    </View>
+                  ))}
+                  <View style={styles.addRow}>
+                    <TextInput
+                      style={styles.input}
+                      value={newSubcategory}
+                      onChangeText={setNewSubcategory}
+                      placeholder={`New ${category.label.toLowerCase()} subcategory`}
+                      placeholderTextColor={colors.textDisabled}
+                      onSubmitEditing={() => handleAddSubcategory(category.id)}
+                      accessibilityLabel={`New subcategory for ${category.label}`}
+                    />
+                    <TouchableOpacity
+                      onPress={() => handleAddSubcategory(category.id)}
+                      disabled={!newSubcategory.trim()}
+                      accessibilityLabel="Add subcategory"
+                    >
+                      <Ionicons
+                        name="add-circle"
+                        size={28}
+                        color={newSubcategory.trim() ? colors.primary : colors.gray400}
+                      />
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              )}
+            </View>
+          );
+        })}
+
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>New Category</Text>
+        <TextInput
+          style={[styles.input, styles.categoryInput]}
+          value={newCategory}
+          onChangeText={setNewCategory}
+          placeholder="e.g. Swimwear"
+          placeholderTextColor={colors.textDisabled}
+          onSubmitEditing={handleAddCategory}
+          accessibilityLabel="New category name"
+        />
+        <Button
+          title="Add Category"
+          icon="add"
+          iconPosition="left"
+          onPress={handleAddCategory}
+          disabled={!newCategory.trim()}
+        />
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.white,
+  },
+  content: {
+    padding: spacing.screenPadding,
+    paddingBottom: spacing.xxxl,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  sectionText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+  sectionSpacing: {
+    marginTop: spacing.lg,
+  },
+  categoryCard: {
+    borderWidth: 1,
+    borderColor: colors.borderMedium,
+    borderRadius: spacing.borderRadius,
+    marginBottom: spacing.sm,
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.md,
+  },
+  categoryLabel: {
+    flex: 1,
+    marginLeft: spacing.sm,
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.textPrimary,
+  },
+  subCount: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginRight: spacing.sm,
+  },
+  subList: {
+    paddingHorizontal: spacing.md,
+    paddingBottom: spacing.md,
+  },
+  subRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    paddingLeft: spacing.lg,
+  },
+  subLabel: {
+    fontSize: 15,
+    color: colors.textPrimary,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.borderMedium,
+    borderRadius: spacing.borderRadius,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: colors.textPrimary,
+    backgroundColor: colors.backgroundSubtle,
+    marginRight: spacing.sm,
+  },
+  categoryInput: {
+    flex: 0,
+    marginRight: 0,
+    marginBottom: spacing.sm,
+  },
+});
@@ -0,0 +1,244 @@
+// DeclutterScreen.js
+// Suggests articles to let go of, from the wear data galleryService already tracks
+// Features:
+//   - Look-back period chips (3, 6 or 12 months)
+//   - Never worn, not worn recently and rarely worn articles, each with its reason
+//   - Archive, donate or sell straight from the list (selling asks for an optional price)
+//   - "Keep" hides a suggestion for this visit
+// Nothing is deleted: the article's status changes and it leaves the wardrobe view.
+
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  FlatList,
+  StyleSheet,
+  Alert,
+  Modal,
+  SafeAreaView
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { setArticleStatus } from '../services/galleryService';
+import { loadDeclutterSuggestions, DECLUTTER_PERIOD_OPTIONS } from '../services/declutterService';
+import { colors, shadows, spacing } from '../theme';
+import AppHeader from '../components/common/AppHeader';
+import Button from '../components/common/Button';
+import Chip from '../components/common/Chip';
+import EmptyState from '../components/common/EmptyState';
+import ArticleCard from '../components/common/ArticleCard';
+
+// Short explanation shown under each suggestion
+function describeSuggestion({ reason, wearCount, lastWorn }, months) {
+  if (reason === 'neverWorn') {
+    return 'Never worn';
+  }
+  const last = lastWorn
+    ? new Date(lastWorn).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+    : 'unknown';
+  if (reason === 'notWornRecently') {
+    return `Not worn in ${months} months (last worn ${last})`;
+  }
+  return `Worn only ${wearCount} time${wearCount === 1 ? '' : 's'}`;
+}
+
+export default function DeclutterScreen() {
+  const [months, setMonths] = useState(6);
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [keptIds, setKeptIds] = useState([]);
+  const [sellArticle, setSellArticle] = useState(null);
+  const [salePrice, setSalePrice] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setSuggestions(await loadDeclutterSuggestions({ months }));
+    setLoading(false);
+  }, [months]);
+
+  useFocusEffect(
+    useCallback(() => {
+      load();
+    }, [load])
+  );
+
+  const applyStatus = async (article, status, options) => {
+    try {
+      await setArticleStatus([article.id], status, options);
+      setSuggestions(prev => prev.filter(s => s.article.id !== article.id));
+    } catch (error) {
+      Alert.alert('Could not update article', error.message || 'Please try again.');
+    }
+  };
+
+  const confirmSale = async () => {
+    const article = sellArticle;
+    setSellArticle(null);
+    await applyStatus(article, 'sold', { salePrice: salePrice.trim() || null });
+    setSalePrice('');
+  };
+
+  const visible = suggestions.filter(s => !keptIds.includes(s.article.id));
+
+  const renderSuggestion = ({ item }) => (
+    <View style={styles.suggestion}>
+      <ArticleCard
+        article={item.article}
+        variant="list"
+        showName={true}
+        showCategory={true}
+        showWearCount={true}
+      />
+      <Text style={styles.reason}>{describeSuggestion(item, months)}</Text>
+      <View style={styles.actions}>
+        <Button title="Keep" size="small" variant="secondary" onPress={() => setKeptIds(prev => [...prev, item.article.id])} />
+        <Button title="Archive" size="small" variant="secondary" onPress={() => applyStatus(item.article, 'archived')} style={styles.action} />
+        <Button title="Donate" size="small" variant="secondary" onPress={() => applyStatus(item.article, 'donated')} style={styles.action} />
+        <Button title="Sell" size="small" onPress={() => setSellArticle(item.article)} style={styles.action} />
+      </View>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AppHeader
+        title="Declutter"
+        showBackButton={true}
+        variant="navigation"
+        showBorder={true}
+      />
+      <View style={styles.periodRow}>
+        <Text style={styles.periodLabel}>Not worn much in the last</Text>
+        <View style={styles.chipRow}>
+          {DECLUTTER_PERIOD_OPTIONS.map(option => (
+            <Chip
+              key={option}
+              label={`${option} months`}
+              selected={months === option}
+              onPress={() => setMonths(option)}
+            />
+          ))}
+        </View>
+      </View>
+
+      {loading ? (
+        <EmptyState loading={true} loadingText="Looking through your closet..." variant="fullscreen" />
+      ) : (
+        <FlatList
+          data={visible}
+          keyExtractor={item => item.article.id}
+          renderItem={renderSuggestion}
+          contentContainerStyle={styles.list}
+          ListEmptyComponent={
+            <EmptyState
+              icon="leaf-outline"
+              title="Nothing to declutter"
+              message={`Everything has been worn in the last ${months} months.`}
+              variant="inline"
+            />
+          }
+        />
+      )}
+
+      <Modal
+        visible={!!sellArticle}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setSellArticle(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Sale price (optional)</Text>
+            <TextInput
+              style={styles.priceInput}
+              value={salePrice}
+              onChangeText={setSalePrice}
+              placeholder="e.g. 25"
+              placeholderTextColor={colors.textDisabled}
+              keyboardType="decimal-pad"
+              accessibilityLabel="Sale price input"
+            />
+            <View style={styles.modalButtons}>
+              <Button title="Cancel" variant="secondary" size="small" onPress={() => setSellArticle(null)} />
+              <Button title="Mark as Sold" size="small" onPress={confirmSale} style={styles.action} />
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.white,
+  },
+  periodRow: {
+    paddingHorizontal: spacing.screenPadding,
+    paddingTop: spacing.md,
+  },
+  periodLabel: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  list: {
+    padding: spacing.screenPadding,
+  },
+  suggestion: {
+    marginBottom: spacing.md,
+    paddingBottom: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+  reason: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginVertical: spacing.xs,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  action: {
+    marginLeft: spacing.sm,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: colors.overlayDark,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalCard: {
+    width: 280,
+    backgroundColor: colors.white,
+    borderRadius: 16,
+    padding: spacing.lg,
+    ...shadows.medium,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.md,
+  },
+  priceInput: {
+    borderWidth: 1,
+    borderColor: colors.borderMedium,
+    borderRadius: spacing.borderRadius,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: colors.textPrimary,
+    marginBottom: spacing.md,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+});
@@ -5,28 +5,80 @@
 // Displays the user's confirmed clothing articles in a grid ("My Wardrobe").
 // Features:
 //   - Modular data model and AsyncStorage persistence
+//   - Live closet (useArticles): wear counts and edits made on other screens show up right away
 //   - Category carousel and grid layout for articles
+//   - Text search plus category, color, wear count and untagged/never-worn filters
+//   - Sort by newest, most worn or least worn
+//   - Archived, donated, sold and lost articles are hidden unless shown from the filter panel
+//   - Declutter button opens suggestions for rarely worn articles
+//   - Tap an article to edit it, long press to multi-select
+//   - Deleting articles used in outfits offers to remove them from the outfits or archive them instead
+//   - Pick mode (route param pickMode) reuses the selection UI to choose an outfit's articles
 //   - Clean, modern UI with easy backend/image source swaps
 //   - Robust error handling and user feedback
 //
 // Designed for extensibility and a polished user experience.
-import React, { useEffect, useState } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, TextInput } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { getAllArticles, addArticles, deleteArticlesById, clearAllArticles } from '../services/galleryService';
+import {
+  addArticles,
+  deleteArticlesById,
+  archiveArticles,
+  clearAllArticles,
+  getArticleColors
+} from '../services/galleryService';
+import { getTaxonomy, buildTaxonomy, UNCATEGORIZED } from '../services/categoryService';
+import { getOutfitsUsingArticles } from '../services/outfitService';
+import { useArticles } from '../context/ClosetContext';
 import CategoryCarousel from '../components/CategoryCarousel';
 import { Alert } from 'react-native';
-import { colors, shadows } from '../theme';
+import { colors, shadows, spacing } from '../theme';
 import AppHeader from '../components/common/AppHeader';
+import Chip from '../components/common/Chip';
+import EmptyState from '../components/common/EmptyState';
 
 import { useFocusEffect } from '@react-navigation/native';
 
+const SORT_CHIPS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'mostWorn', label: 'Most worn' },
+  { value: 'leastWorn', label: 'Least worn' },
+];
+
+// Wear count ranges offered as filter chips (max omitted = no upper bound)
+const WEAR_RANGE_CHIPS = [
+  { key: '1-5', label: '1–5 wears', minWears: 1, maxWears: 5 },
+  { key: '6-15', label: '6–15 wears', minWears: 6, maxWears: 15 },
+  { key: '16+', label: '16+ wears', minWears: 16 },
+];
+
+// Non-active lifecycle statuses that can be shown alongside active articles
+const STATUS_CHIPS = [
+  { value: 'archived', label: 'Archived' },
+  { value: 'donated', label: 'Donated' },
+  { value: 'sold', label: 'Sold' },
+  { value: 'lost', label: 'Lost' },
+];
+
+const EMPTY_FILTERS = {
+  categories: [],
+  statuses: [],
+  colors: [],
+  wearRange: null,
+  untagged: false,
+  neverWorn: false,
+};
+
 export default function GalleryScreen({ navigation, route }) {
+  // Pick mode: opened from OutfitDetailScreen to choose the outfit's articles; selection is
+  // always on and the result is handed back as the pickedArticleIds route param
+  const pickMode = route.params?.pickMode === true;
+
   // Developer utility: Clear closet button
   const handleClearCloset = async () => {
     try {
       await clearAllArticles();
-      setArticles([]);
       setSelectedIds([]);
     } catch (e) {
       console.error('[GalleryScreen] Error clearing closet:', e);
@@ -54,27 +106,30 @@ export default function GalleryScreen({ navigation, route }) {
     }, [route.params?.resetSelection, route.params?.selectMode])
   );
 
-  const [articles, setArticles] = useState([]);
-  const [selectedIds, setSelectedIds] = useState([]); // Track selected articles
-  const [isSelectionMode, setIsSelectionMode] = useState(false); // Track if in selection mode
+  const articles = useArticles();
+  const [selectedIds, setSelectedIds] = useState(() => (pickMode ? route.params?.selectedIds || [] : [])); // Track selected articles
+  const [isSelectionMode, setIsSelectionMode] = useState(pickMode); // Track if in selection mode
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState(null);
+  const [showFilters, setShowFilters] = useState(false);
+  const [taxonomy, setTaxonomy] = useState(buildTaxonomy);
 
 
-  // Load articles from galleryService on mount
-  useEffect(() => {
-    (async () => {
-      const loaded = await getAllArticles();
-      setArticles(loaded);
-    })();
-  }, []);
+  // Reload the taxonomy whenever the screen is focused (picks up edits made on CategoriesScreen)
+  useFocusEffect(
+    React.useCallback(() => {
+      getTaxonomy().then(setTaxonomy);
+    }, [])
+  );
 
-  // Add new articles from VerificationScreen, then persist via service
+  // Add new articles from VerificationScreen, then persist via service (the closet store shows them)
   useEffect(() => {
     if (route.params?.newArticles) {
-      (async () => {
-        // Received new articles from VerificationScreen
-        const combined = await addArticles(route.params.newArticles);
-        setArticles(combined);
-      })();
+      addArticles(route.params.newArticles).catch(e => {
+        console.error('[GalleryScreen] Error adding articles:', e);
+        Alert.alert('Could not add articles', e.message || 'Failed to add the new articles.');
+      });
     }
   }, [route.params]);
 
@@ -83,29 +138,72 @@ export default function GalleryScreen({ navigation, route }) {
   // Multi-select discard: delete all selected articles via service
   const discardSelected = async () => {
     if (selectedIds.length === 0) return;
+
+    const ids = selectedIds;
+    const runChange = async (change) => {
+      try {
+        await change();
+        setSelectedIds([]); // Clear selection
+        setIsSelectionMode(false); // Exit selection mode
+      } catch (e) {
+        Alert.alert('Error', 'Failed to update selected articles.');
+      }
+    };
+
+    // Warn when outfits use the articles: they can be removed from those outfits
+    // (optionally deleting outfits left empty) or archived instead
+    const { outfits: usedIn, emptiedOutfits } = await getOutfitsUsingArticles(ids);
+    if (usedIn.length === 0) {
+      Alert.alert(
+        'Delete Selected',
+        `Are you sure you want to delete ${ids.length} article(s) from your closet? This cannot be undone.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Delete', style: 'destructive', onPress: () => runChange(() => deleteArticlesById(ids)) }
+        ]
+      );
+      return;
+    }
+
+    // Android shows at most three alert buttons, so outfits left empty are asked about in a second step
+    const removeFromOutfits = () => {
+      if (emptiedOutfits.length === 0) {
+        runChange(() => deleteArticlesById(ids));
+        return;
+      }
+      const count = emptiedOutfits.length;
+      Alert.alert(
+        'Empty Outfits',
+        `${count} outfit${count === 1 ? ' is' : 's are'} left with no articles. Delete ${count === 1 ? 'it' : 'them'} too?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Keep Outfits', onPress: () => runChange(() => deleteArticlesById(ids)) },
+          {
+            text: 'Delete Outfits',
+            style: 'destructive',
+            onPress: () => runChange(() => deleteArticlesById(ids, { deleteEmptyOutfits: true }))
+          }
+        ]
+      );
+    };
+
+    const emptiedNote = emptiedOutfits.length > 0
+      ? ` ${emptiedOutfits.length} of them would be left with no articles.`
+      : '';
     Alert.alert(
-      'Delete Selected',
-      `Are you sure you want to delete ${selectedIds.length} article(s) from your closet? This cannot be undone.`,
+      'Used in Outfits',
+      `The selected article(s) are used in ${usedIn.length} outfit${usedIn.length === 1 ? '' : 's'}.${emptiedNote} Deleting removes them from those outfits and cannot be undone; archiving hides them from your wardrobe but keeps your outfits intact.`,
       [
         { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Delete', style: 'destructive', onPress: async () => {
-            try {
-              const updated = await deleteArticlesById(selectedIds);
-              setArticles(updated);
-              setSelectedIds([]); // Clear selection
-              setIsSelectionMode(false); // Exit selection mode
-            } catch (e) {
-              Alert.alert('Error', 'Failed to delete selected articles.');
-            }
-          }
-        }
+        { text: 'Archive Instead', onPress: () => runChange(() => archiveArticles(ids)) },
+        { text: 'Remove from Outfits', style: 'destructive', onPress: removeFromOutfits }
       ]
     );
   };
 
 
 
+
   // Toggle selection for an article
   const toggleSelect = (id) => {
     setSelectedIds((prev) => {
@@ -116,7 +214,7 @@ export default function GalleryScreen({ navigation, route }) {
         setIsSelectionMode(true);
       }
       // Auto-disable selection mode when no items selected (unless enforced by route param)
-      else if (newSelection.length === 0 && isSelectionMode) {
+      else if (newSelection.length === 0 && isSelectionMode && !pickMode) {
         setIsSelectionMode(false);
       }
       
@@ -133,40 +231,242 @@ export default function GalleryScreen({ navigation, route }) {
   // Deselect all articles
   const deselectAll = () => {
     setSelectedIds([]);
-    setIsSelectionMode(false);
+    setIsSelectionMode(pickMode);
+  };
+
+  // Hand the picked articles back to the outfit being edited
+  const finishPicking = () => {
+    navigation.navigate({
+      name: 'OutfitDetail',
+      params: { pickedArticleIds: selectedIds },
+      merge: true
+    });
+  };
+
+
+
+
+  // Toggle a value in one of the list filters (categories, colors)
+  const toggleListFilter = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value]
+    }));
+  };
+
+  const clearFilters = () => {
+    setQuery('');
+    setFilters(EMPTY_FILTERS);
+    setSort(null);
   };
 
+  const activeFilterCount = filters.categories.length + filters.colors.length + filters.statuses.length +
+    (filters.wearRange ? 1 : 0) + (filters.untagged ? 1 : 0) + (filters.neverWorn ? 1 : 0);
+  const isFiltering = query.trim().length > 0 || activeFilterCount > 0;
 
+  const colorOptions = useMemo(() => getArticleColors(articles), [articles]);
 
+  const criteria = useMemo(() => {
+    const range = WEAR_RANGE_CHIPS.find(r => r.key === filters.wearRange);
+    return {
+      query,
+      categories: filters.categories,
+      colors: filters.colors,
+      minWears: range?.minWears,
+      maxWears: range?.maxWears,
+      untagged: filters.untagged,
+      neverWorn: filters.neverWorn,
+      statuses: ['active', ...filters.statuses],
+      sort: sort || undefined,
+      taxonomy
+    };
+  }, [query, filters, sort, taxonomy]);
+  const visibleArticles = useArticles(criteria);
 
-  // Group articles by category
-  // Categories are hardcoded for now; update if your data model changes
-  const categories = ['outerwear', 'tops', 'bottoms', 'shoes'];
-  const articlesByCategory = categories.reduce((acc, cat) => {
-    acc[cat] = articles.filter(a => a.category === cat);
+  // Group the visible articles into one carousel per taxonomy category (in taxonomy order),
+  // with anything outside the taxonomy collected under "Other"
+  const sections = [
+    ...taxonomy.map(cat => ({ id: cat.id, title: cat.label })),
+    { id: UNCATEGORIZED, title: 'Other' }
+  ];
+  const categoryIds = taxonomy.map(cat => cat.id);
+  const articlesByCategory = sections.reduce((acc, section) => {
+    acc[section.id] = section.id === UNCATEGORIZED
+      ? visibleArticles.filter(a => !categoryIds.includes(a.category))
+      : visibleArticles.filter(a => a.category === section.id);
     return acc;
   }, {});
 
-  // Handle item press: toggle selection; if none selected, revert to normal mode
+  // Handle item press: toggle selection while selecting, otherwise open the article for editing
   const handleArticlePress = (item) => {
+    if (isSelectionMode || selectedIds.length > 0) {
+      toggleSelect(item.id);
+    } else {
+      navigation.navigate('ArticleDetail', { articleId: item.id });
+    }
+  };
+
+  // Long press starts (or extends) a multi-select
+  const handleArticleLongPress = (item) => {
     toggleSelect(item.id);
   };
 
   return (
     <View style={styles.container}>
-      <AppHeader 
-        title="My Wardrobe"
-        variant="main"
-      />
+      {pickMode ? (
+        <AppHeader
+          title="Choose Articles"
+          showBackButton={true}
+          variant="navigation"
+          showBorder={true}
+        />
+      ) : (
+        <AppHeader 
+          title="My Wardrobe"
+          variant="main"
+          rightElement={
+            <TouchableOpacity
+              onPress={() => navigation.navigate('Declutter')}
+              accessibilityLabel="Declutter suggestions"
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            >
+              <Ionicons name="leaf-outline" size={24} color={colors.primary} />
+            </TouchableOpacity>
+          }
+        />
+      )}
+
+      <View style={styles.searchRow}>
+        <View style={styles.searchBox}>
+          <Ionicons name="search" size={18} color={colors.gray500} />
+          <TextInput
+            style={styles.searchInput}
+            value={query}
+            onChangeText={setQuery}
+            placeholder="Search description, name or color"
+            placeholderTextColor={colors.textDisabled}
+            autoCorrect={false}
+            returnKeyType="search"
+            accessibilityLabel="Search wardrobe"
+          />
+          {query.length > 0 && (
+            <TouchableOpacity onPress={() => setQuery('')} accessibilityLabel="Clear search">
+              <Ionicons name="close-circle" size={18} color={colors.gray500} />
+            </TouchableOpacity>
+          )}
+        </View>
+        <TouchableOpacity
+          style={[styles.filterButton, (showFilters || activeFilterCount > 0) && styles.filterButtonActive]}
+          onPress={() => setShowFilters(prev => !prev)}
+          accessibilityLabel={`${showFilters ? 'Hide' : 'Show'} filters`}
+        >
+          <Ionicons name="options-outline" size={20} color={colors.primaryDark} />
+          {activeFilterCount > 0 && (
+            <Text style={styles.filterCount}>{activeFilterCount}</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {showFilters && (
+        <View style={styles.filterPanel}>
+          <Text style={styles.filterLabel}>Sort</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {SORT_CHIPS.map(option => (
+              <Chip
+                key={option.value}
+                label={option.label}
+                selected={sort === option.value}
+                onPress={() => setSort(prev => (prev === option.value ? null : option.value))}
+              />
+            ))}
+          </ScrollView>
+
+          <Text style={styles.filterLabel}>Filter</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {taxonomy.map(cat => (
+              <Chip
+                key={cat.id}
+                label={cat.label}
+                selected={filters.categories.includes(cat.id)}
+                onPress={() => toggleListFilter('categories', cat.id)}
+              />
+            ))}
+            <Chip
+              label="Never worn"
+              selected={filters.neverWorn}
+              onPress={() => setFilters(prev => ({ ...prev, neverWorn: !prev.neverWorn }))}
+            />
+            <Chip
+              label="Untagged"
+              selected={filters.untagged}
+              onPress={() => setFilters(prev => ({ ...prev, untagged: !prev.untagged }))}
+            />
+          </ScrollView>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {WEAR_RANGE_CHIPS.map(range => (
+              <Chip
+                key={range.key}
+                label={range.label}
+                selected={filters.wearRange === range.key}
+                onPress={() => setFilters(prev => ({
+                  ...prev,
+                  wearRange: prev.wearRange === range.key ? null : range.key
+                }))}
+              />
+            ))}
+          </ScrollView>
+          {colorOptions.length > 0 && (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+              {colorOptions.map(color => (
+                <Chip
+                  key={color}
+                  label={color}
+                  selected={filters.colors.includes(color)}
+                  onPress={() => toggleListFilter('colors', color)}
+                />
+              ))}
+            </ScrollView>
+          )}
+          <Text style={styles.filterLabel}>Also show</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {STATUS_CHIPS.map(status => (
+              <Chip
+                key={status.value}
+                label={status.label}
+                selected={filters.statuses.includes(status.value)}
+                onPress={() => toggleListFilter('statuses', status.value)}
+              />
+            ))}
+          </ScrollView>
+          {(isFiltering || sort) && (
+            <TouchableOpacity onPress={clearFilters} accessibilityLabel="Clear all filters">
+              <Text style={styles.clearFiltersText}>Clear all</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
 
       <ScrollView contentContainerStyle={styles.scrollContent} showsVerticalScrollIndicator={false}>
-        {categories.map((cat) =>
-          articlesByCategory[cat] && articlesByCategory[cat].length > 0 ? (
+        {isFiltering && visibleArticles.length === 0 && (
+          <EmptyState
+            icon="search-outline"
+            title="No matching articles"
+            message="Try a different search or fewer filters."
+            actionText="Clear Filters"
+            onActionPress={clearFilters}
+            actionVariant="secondary"
+            variant="inline"
+          />
+        )}
+        {sections.map((section) =>
+          articlesByCategory[section.id] && articlesByCategory[section.id].length > 0 ? (
             <CategoryCarousel
-              key={cat}
-              category={cat}
-              articles={articlesByCategory[cat]}
+              key={section.id}
+              category={section.id}
+              title={section.title}
+              articles={articlesByCategory[section.id]}
               onItemPress={handleArticlePress}
+              onItemLongPress={handleArticleLongPress}
               selectionMode={isSelectionMode || selectedIds.length > 0}
               selectedIds={selectedIds}
             />
@@ -174,7 +474,35 @@ export default function GalleryScreen({ navigation, route }) {
         )}
       </ScrollView>
       {/* Floating bottom action bar for selection actions */}
-      {(isSelectionMode || selectedIds.length > 0) && (
+      {pickMode && (
+        <View style={styles.fabBar}>
+          <TouchableOpacity
+            style={styles.deselectAllButton}
+            onPress={deselectAll}
+            accessibilityLabel="Deselect all selected articles"
+            hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+          >
+            <Ionicons name="close-circle-outline" size={22} color={colors.gray500} />
+          </TouchableOpacity>
+          <Text
+            style={styles.selectedCountNumber}
+            accessibilityLabel={`${selectedIds.length} items selected`}
+            accessible={true}
+          >
+            {selectedIds.length}
+          </Text>
+          <TouchableOpacity
+            style={[styles.createFitButton, selectedIds.length === 0 && styles.pickButtonDisabled]}
+            onPress={finishPicking}
+            disabled={selectedIds.length === 0}
+            accessibilityLabel="Use selected articles in outfit"
+          >
+            <Ionicons name="checkmark-circle" size={24} color={colors.primary} style={{ marginRight: 6 }} />
+            <Text style={styles.createFitText}>Use Selected</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      {!pickMode && (isSelectionMode || selectedIds.length > 0) && (
         <View style={styles.fabBar}>
           {/* Left: Deselect All + # selected */}
           <TouchableOpacity
@@ -341,6 +669,67 @@ const styles = StyleSheet.create({
     fontSize: 15,
     marginLeft: 6,
   },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 16,
+    marginBottom: spacing.sm,
+  },
+  searchBox: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.backgroundLight,
+    borderRadius: spacing.borderRadius,
+    paddingHorizontal: 10,
+    height: 40,
+  },
+  searchInput: {
+    flex: 1,
+    marginHorizontal: 6,
+    fontSize: 15,
+    color: colors.textPrimary,
+  },
+  filterButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: spacing.sm,
+    paddingHorizontal: 10,
+    height: 40,
+    borderRadius: spacing.borderRadius,
+    borderWidth: 1,
+    borderColor: colors.borderMedium,
+  },
+  filterButtonActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primaryBackground,
+  },
+  filterCount: {
+    marginLeft: 4,
+    color: colors.primaryDark,
+    fontWeight: 'bold',
+  },
+  filterPanel: {
+    paddingHorizontal: 16,
+    paddingBottom: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+    marginBottom: spacing.sm,
+  },
+  filterLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  chipRow: {
+    paddingRight: 16,
+  },
+  clearFiltersText: {
+    color: colors.primaryDark,
+    fontWeight: '600',
+    fontSize: 14,
+  },
   scrollContent: {
     paddingBottom: 90, // Increased to prevent last row from being covered by select bar
   },
@@ -359,6 +748,9 @@ const styles = StyleSheet.create({
     ...shadows.medium,
     zIndex: 100,
   },
+  pickButtonDisabled: {
+    opacity: 0.5,
+  },
   createFitButton: {
     flexDirection: 'row',
     alignItems: 'center',
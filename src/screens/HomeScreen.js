@@ -4,21 +4,82 @@
 // ------------------------------
 // Main dashboard screen showing user stats and recent activity.
 // Features:
-//   - Usage statistics and visualizations
-//   - Recent outfits and articles
+//   - Live usage statistics from statsService (refreshed on focus)
+//   - Most/least worn items, category breakdown and cost per wear
+//   - Recent activity feed of wears, outfits and articles
 //   - Clean, modern UI with bottom tab navigation
 //
 // Designed for an engaging and informative user experience.
-import React from 'react';
-import { View, StyleSheet, Text } from 'react-native';
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, Text, ScrollView, RefreshControl, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
 import { colors, shadows } from '../theme';
 import AppHeader from '../components/common/AppHeader';
 import EmptyState from '../components/common/EmptyState';
+import { getClosetStats } from '../services/statsService';
+
+// Format a currency amount for display
+const formatMoney = (amount) => `$${amount.toFixed(2)}`;
+
+// Format an activity timestamp relative to today
+const formatActivityDate = (isoString) => {
+  const date = new Date(isoString);
+  const days = Math.floor((Date.now() - date.getTime()) / 86400000);
+  if (days <= 0) return 'Today';
+  if (days === 1) return 'Yesterday';
+  if (days < 7) return `${days} days ago`;
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+const articleName = (article) => article.description || article.name || article.category || 'Article';
 
 export default function HomeScreen({ navigation }) {
-  // We'll keep the media functions for reference, but they'll be called from the FAB now
-  // These functions can be moved to a separate service if needed
+  const [stats, setStats] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+
+  // Recompute stats whenever the tab comes into focus
+  const loadStats = useCallback(async () => {
+    try {
+      setStats(await getClosetStats());
+    } catch (error) {
+      console.error('[HomeScreen] Error loading stats:', error);
+    } finally {
+      setRefreshing(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadStats();
+      return () => {};
+    }, [loadStats])
+  );
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadStats();
+  };
+
+  const renderWearList = (title, articles) => (
+    <View style={styles.listCard}>
+      <Text style={styles.listTitle}>{title}</Text>
+      {articles.length === 0 ? (
+        <Text style={styles.mutedText}>Nothing yet</Text>
+      ) : (
+        articles.map(article => (
+          <View key={article.id} style={styles.listRow}>
+            <Text style={styles.listName} numberOfLines={1}>{articleName(article)}</Text>
+            <Text style={styles.listValue}>{article.wearCount || 0}×</Text>
+          </View>
+        ))
+      )}
+    </View>
+  );
+
+  if (!stats) {
+    return <EmptyState loading={true} loadingText="Loading your closet..." variant="fullscreen" />;
+  }
 
   return (
     <View style={styles.container}>
@@ -26,43 +87,120 @@ export default function HomeScreen({ navigation }) {
         title="Digital Closet"
         variant="main"
         backgroundColor={colors.backgroundPrimary}
+        rightElement={
+          <TouchableOpacity
+            onPress={() => navigation.navigate('Settings')}
+            accessibilityLabel="Open settings"
+          >
+            <Ionicons name="settings-outline" size={24} color={colors.primary} />
+          </TouchableOpacity>
+        }
       />
       
-      <View style={styles.statsContainer}>
-        <Text style={styles.sectionTitle}>Your Stats</Text>
-        <View style={styles.statsGrid}>
-          <View style={styles.statCard}>
-            <Text style={styles.statNumber}>12</Text>
-            <Text style={styles.statLabel}>Articles</Text>
+      <ScrollView
+        showsVerticalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContent}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+      >
+        <View style={styles.statsContainer}>
+          <Text style={styles.sectionTitle}>Your Stats</Text>
+          <View style={styles.statsGrid}>
+            <View style={styles.statCard}>
+              <Text style={styles.statNumber}>{stats.articleCount}</Text>
+              <Text style={styles.statLabel}>Articles</Text>
+            </View>
+            <View style={styles.statCard}>
+              <Text style={styles.statNumber}>{stats.outfitCount}</Text>
+              <Text style={styles.statLabel}>Outfits</Text>
+            </View>
+            <View style={styles.statCard}>
+              <Text style={styles.statNumber}>{stats.wearsThisWeek}</Text>
+              <Text style={styles.statLabel}>This Week</Text>
+            </View>
           </View>
-          <View style={styles.statCard}>
-            <Text style={styles.statNumber}>5</Text>
-            <Text style={styles.statLabel}>Outfits</Text>
-          </View>
-          <View style={styles.statCard}>
-            <Text style={styles.statNumber}>3</Text>
-            <Text style={styles.statLabel}>This Week</Text>
+        </View>
+
+        {stats.articleCount > 0 && (
+          <>
+            <View style={styles.sectionContainer}>
+              <Text style={styles.sectionTitle}>Wear</Text>
+              <View style={styles.listGrid}>
+                {renderWearList('Most Worn', stats.mostWorn)}
+                {renderWearList('Least Worn', stats.leastWorn)}
+              </View>
+            </View>
+
+            <View style={styles.sectionContainer}>
+              <Text style={styles.sectionTitle}>Categories</Text>
+              {stats.categoryBreakdown.map(({ category, count, percentage }) => (
+                <View key={category} style={styles.categoryRow}>
+                  <Text style={styles.categoryName}>{category}</Text>
+                  <View style={styles.categoryBarTrack}>
+                    <View style={[styles.categoryBar, { width: `${percentage}%` }]} />
+                  </View>
+                  <Text style={styles.categoryCount}>{count}</Text>
+                </View>
+              ))}
+            </View>
+          </>
+        )}
+
+        {stats.costPerWear.pricedCount > 0 && (
+          <View style={styles.sectionContainer}>
+            <Text style={styles.sectionTitle}>Cost per Wear</Text>
+            <View style={styles.listCard}>
+              <View style={styles.listRow}>
+                <Text style={styles.listName}>Closet value ({stats.costPerWear.pricedCount} priced)</Text>
+                <Text style={styles.listValue}>{formatMoney(stats.costPerWear.totalValue)}</Text>
+              </View>
+              <View style={styles.listRow}>
+                <Text style={styles.listName}>Average per wear</Text>
+                <Text style={styles.listValue}>
+                  {stats.costPerWear.averageCostPerWear === null ? '—' : formatMoney(stats.costPerWear.averageCostPerWear)}
+                </Text>
+              </View>
+              {stats.costPerWear.items.slice(0, 3).map(({ article, costPerWear }) => (
+                <View key={article.id} style={styles.listRow}>
+                  <Text style={styles.listName} numberOfLines={1}>{articleName(article)}</Text>
+                  <Text style={styles.listValue}>
+                    {costPerWear === null ? 'Not worn' : `${formatMoney(costPerWear)}/wear`}
+                  </Text>
+                </View>
+              ))}
+            </View>
           </View>
+        )}
+        
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionTitle}>Recent Activity</Text>
+          {stats.recentActivity.length === 0 ? (
+            <EmptyState
+              icon="time-outline"
+              iconSize={48}
+              message="Your recent activity will appear here"
+              variant="card"
+            />
+          ) : (
+            <View style={styles.listCard}>
+              {stats.recentActivity.map(item => (
+                <View key={item.id} style={styles.activityRow}>
+                  <Ionicons name={item.icon} size={20} color={colors.primary} style={styles.activityIcon} />
+                  <Text style={styles.listName} numberOfLines={1}>{item.title}</Text>
+                  <Text style={styles.mutedText}>{formatActivityDate(item.date)}</Text>
+                </View>
+              ))}
+            </View>
+          )}
         </View>
-      </View>
-      
-      <View style={styles.recentContainer}>
-        <Text style={styles.sectionTitle}>Recent Activity</Text>
-        <EmptyState
-          icon="time-outline"
-          iconSize={48}
-          message="Your recent activity will appear here"
-          variant="card"
-        />
-      </View>
-      
-      <View style={styles.tipsContainer}>
-        <Text style={styles.sectionTitle}>Tips</Text>
-        <View style={styles.tipCard}>
-          <Ionicons name="bulb-outline" size={24} color={colors.primary} style={styles.tipIcon} />
-          <Text style={styles.tipText}>Use the + button to add new items to your wardrobe</Text>
+        
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionTitle}>Tips</Text>
+          <View style={styles.tipCard}>
+            <Ionicons name="bulb-outline" size={24} color={colors.primary} style={styles.tipIcon} />
+            <Text style={styles.tipText}>Use the + button to add new items to your wardrobe</Text>
+          </View>
         </View>
-      </View>
+      </ScrollView>
     </View>
   );
 }
@@ -104,12 +242,87 @@ const styles = StyleSheet.create({
     color: colors.textLight,
     marginTop: 4,
   },
-  recentContainer: {
-    marginTop: 30,
+  scrollContent: {
+    paddingBottom: 30,
   },
-  tipsContainer: {
+  sectionContainer: {
     marginTop: 30,
   },
+  listGrid: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  listCard: {
+    flex: 1,
+    backgroundColor: colors.backgroundLight,
+    borderRadius: 12,
+    padding: 12,
+    marginHorizontal: 2,
+  },
+  listTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textLight,
+    marginBottom: 8,
+  },
+  listRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  listName: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.textPrimary,
+    marginRight: 8,
+  },
+  listValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.primaryDark,
+  },
+  mutedText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  categoryName: {
+    width: 90,
+    fontSize: 14,
+    color: colors.textPrimary,
+    textTransform: 'capitalize',
+  },
+  categoryBarTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: colors.backgroundLight,
+    overflow: 'hidden',
+  },
+  categoryBar: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: colors.primary,
+  },
+  categoryCount: {
+    width: 32,
+    textAlign: 'right',
+    fontSize: 14,
+    color: colors.textLight,
+  },
+  activityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  activityIcon: {
+    marginRight: 8,
+  },
   tipCard: {
     flexDirection: 'row',
     alignItems: 'center',
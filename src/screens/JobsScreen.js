@@ -0,0 +1,185 @@
+// JobsScreen.js
+// Background processing queue for Digital Closet
+// Features:
+//   - Lists queued, running, waiting-to-retry, failed and finished GarmentVision jobs (see jobQueueService)
+//   - Live updates while jobs run
+//   - Retry failed or waiting jobs now, cancel any job
+//   - Review the results of jobs that finished after the app was closed (opens VerificationScreen)
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  FlatList,
+  StyleSheet,
+  Alert,
+  SafeAreaView
+} from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { getJobs, subscribeToJobs, retryJob, removeJob } from '../services/jobQueueService';
+import { getUserFacingError } from '../services/errorHandlingService';
+import { colors, spacing } from '../theme';
+import AppHeader from '../components/common/AppHeader';
+import Button from '../components/common/Button';
+import EmptyState from '../components/common/EmptyState';
+
+// What each job state means to the user
+const STATE_LABELS = {
+  pending: 'Waiting to start',
+  describing: 'Finding garments',
+  generating: 'Creating product images',
+  downloading: 'Saving images',
+  done: 'Ready to review',
+  failed: 'Failed',
+};
+
+// One-line status, including retry information
+function describeJob(job) {
+  if (job.state === 'failed') {
+    return getUserFacingError({ type: job.lastErrorType, stage: job.lastErrorStage }).message;
+  }
+  if (job.nextAttemptAt) {
+    const time = new Date(job.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `${STATE_LABELS[job.state]} - retrying at ${time} (${job.lastError})`;
+  }
+  if (job.state === 'generating' || job.state === 'downloading') {
+    const finished = job.items.filter(item => (job.state === 'generating' ? item.imageUrl : item.localImageUri)).length;
+    return `${STATE_LABELS[job.state]} (${finished} of ${job.items.length})`;
+  }
+  return STATE_LABELS[job.state] || job.state;
+}
+
+export default function JobsScreen() {
+  const navigation = useNavigation();
+  const [jobs, setJobs] = useState(null);
+
+  useEffect(() => {
+    getJobs().then(setJobs);
+    return subscribeToJobs(setJobs);
+  }, []);
+
+  const handleRetry = async (job) => {
+    try {
+      await retryJob(job.id);
+    } catch (error) {
+      Alert.alert('Could not retry', error.message || 'Please try again.');
+    }
+  };
+
+  const handleCancel = (job) => {
+    Alert.alert(
+      job.state === 'done' ? 'Discard Results' : 'Cancel Job',
+      job.state === 'done'
+        ? 'Discard the garments found in this photo without adding them?'
+        : 'Stop processing this photo? Work done so far is lost.',
+      [
+        { text: 'Keep', style: 'cancel' },
+        { text: job.state === 'done' ? 'Discard' : 'Cancel Job', style: 'destructive', onPress: () => removeJob(job.id) }
+      ]
+    );
+  };
+
+  const renderJob = ({ item: job }) => (
+    <View style={styles.job}>
+      <Image source={{ uri: job.inputUri }} style={styles.thumbnail} />
+      <View style={styles.jobInfo}>
+        <Text style={styles.jobTitle}>
+          Photo from {new Date(job.createdAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+        </Text>
+        <Text style={[styles.jobStatus, job.state === 'failed' && styles.jobStatusFailed]}>{describeJob(job)}</Text>
+        <View style={styles.actions}>
+          {job.state === 'done' ? (
+            <Button title="Review" size="small" onPress={() => navigation.navigate('Verify', { jobId: job.id })} />
+          ) : null}
+          {job.state === 'failed' || job.nextAttemptAt ? (
+            <Button title="Retry" size="small" onPress={() => handleRetry(job)} />
+          ) : null}
+          <Button
+            title={job.state === 'done' ? 'Discard' : 'Cancel'}
+            size="small"
+            variant="secondary"
+            onPress={() => handleCancel(job)}
+            style={styles.action}
+          />
+        </View>
+      </View>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AppHeader
+        title="Processing Queue"
+        showBackButton={true}
+        variant="navigation"
+        showBorder={true}
+      />
+      {jobs === null ? (
+        <EmptyState loading={true} loadingText="Loading jobs..." variant="fullscreen" />
+      ) : (
+        <FlatList
+          data={jobs}
+          keyExtractor={job => job.id}
+          renderItem={renderJob}
+          contentContainerStyle={styles.list}
+          ListEmptyComponent={
+            <EmptyState
+              icon="checkmark-done-outline"
+              title="Nothing in the queue"
+              message="Photos being processed in the background show up here."
+              variant="inline"
+            />
+          }
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.white,
+  },
+  list: {
+    padding: spacing.screenPadding,
+  },
+  job: {
+    flexDirection: 'row',
+    marginBottom: spacing.md,
+    paddingBottom: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+  thumbnail: {
+    width: 64,
+    height: 64,
+    borderRadius: 8,
+    backgroundColor: colors.gray100,
+  },
+  jobInfo: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+  jobTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.textPrimary,
+  },
+  jobStatus: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginVertical: spacing.xs,
+  },
+  jobStatusFailed: {
+    color: colors.error,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  action: {
+    marginLeft: spacing.sm,
+  },
+});
@@ -1,82 +1,158 @@
 // OutfitDetailScreen.js
 // Displays details of a specific outfit and allows marking it as worn
 // Features:
-//   - Shows all articles in the outfit
+//   - Shows all articles in the outfit, kept current by the closet store (useCloset)
 //   - Provides a button to mark the outfit as worn
 //   - Tracks wear count for articles
+//   - Wear history with undo/delete and backfilling past dates
+//   - Edit mode: rename, reorder, remove, and pick articles via the Wardrobe selection UI
+//   - Duplicate an outfit as the starting point for a variation
 //   - Clean, modern UI consistent with app design
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   View,
   Text,
+  TextInput,
   StyleSheet,
   FlatList,
   Alert,
+  Modal,
+  TouchableOpacity,
   SafeAreaView
 } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import { useNavigation, useRoute } from '@react-navigation/native';
-import { markOutfitAsWorn } from '../services/outfitService';
-import { getAllArticles } from '../services/galleryService';
-import { colors, shadows } from '../theme';
+import {
+  markOutfitAsWorn,
+  deleteWearEvent,
+  updateOutfit,
+  duplicateOutfit,
+  moveArticleId
+} from '../services/outfitService';
+import { getWearEvents } from '../services/wearLogService';
+import { colors, shadows, spacing } from '../theme';
 import AppHeader from '../components/common/AppHeader';
 import Button from '../components/common/Button';
 import EmptyState from '../components/common/EmptyState';
 import ArticleCard from '../components/common/ArticleCard';
+import { useCloset } from '../context/ClosetContext';
 
 export default function OutfitDetailScreen() {
   const navigation = useNavigation();
   const route = useRoute();
   const { outfit } = route.params || {};
   
-  const [articles, setArticles] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { articles: allArticles, outfits, loading } = useCloset();
   const [markingAsWorn, setMarkingAsWorn] = useState(false);
-  const [outfitDetails, setOutfitDetails] = useState(outfit);
+  const [wearEvents, setWearEvents] = useState([]);
+  const [backfillVisible, setBackfillVisible] = useState(false);
+  const [backfillDate, setBackfillDate] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [draftName, setDraftName] = useState('');
+  const [draftIds, setDraftIds] = useState([]);
+  const [saving, setSaving] = useState(false);
+  
+  // Load this outfit's wear history from the wear log
+  const loadWearEvents = useCallback(async () => {
+    if (!outfit || !outfit.id) return;
+    const events = await getWearEvents({ outfitId: outfit.id });
+    setWearEvents(events);
+  }, [outfit]);
   
-  // Load the articles for this outfit
   useEffect(() => {
-    async function loadArticles() {
-      if (!outfit || !outfit.articleIds) {
-        setLoading(false);
-        return;
-      }
-      
-      try {
-        const allArticles = await getAllArticles();
-        const outfitArticles = allArticles.filter(article => 
-          outfit.articleIds.includes(article.id)
-        );
-        setArticles(outfitArticles);
-      } catch (error) {
-        console.error('[OutfitDetailScreen] Error loading articles:', error);
-        Alert.alert('Error', 'Failed to load outfit articles.');
-      } finally {
-        setLoading(false);
-      }
+    loadWearEvents();
+  }, [loadWearEvents]);
+  
+  // The stored outfit, so edits and wears show up as they are saved (the route's copy until the closet loads)
+  const outfitDetails = useMemo(
+    () => (outfit && outfits.find(o => o.id === outfit.id)) || outfit,
+    [outfit, outfits]
+  );
+  
+  // Articles shown in the list, in the outfit's (or the draft's) order
+  const articleIds = editing ? draftIds : outfitDetails?.articleIds || [];
+  const articles = useMemo(
+    () => articleIds.map(id => allArticles.find(article => article.id === id)).filter(Boolean),
+    [articleIds, allArticles]
+  );
+  
+  // Articles picked in the Wardrobe selection UI replace the draft list:
+  // articles that stay keep their position, new ones are appended
+  useEffect(() => {
+    const picked = route.params?.pickedArticleIds;
+    if (!picked) return;
+    setDraftIds(prev => [
+      ...prev.filter(id => picked.includes(id)),
+      ...picked.filter(id => !prev.includes(id))
+    ]);
+    navigation.setParams({ pickedArticleIds: undefined });
+  }, [route.params?.pickedArticleIds]);
+  
+  const startEditing = () => {
+    setDraftName(outfitDetails.name);
+    setDraftIds(outfitDetails.articleIds || []);
+    setEditing(true);
+  };
+  
+  const cancelEditing = () => {
+    setEditing(false);
+  };
+  
+  const saveEdits = async () => {
+    setSaving(true);
+    try {
+      await updateOutfit(outfit.id, { name: draftName, articleIds: draftIds });
+      setEditing(false);
+    } catch (error) {
+      Alert.alert('Could not save outfit', error.message || 'Please try again.');
+    } finally {
+      setSaving(false);
     }
-    
-    loadArticles();
-  }, [outfit]);
+  };
+  
+  const moveDraftArticle = (index, offset) => {
+    setDraftIds(prev => moveArticleId(prev, index, index + offset));
+  };
+  
+  const removeDraftArticle = (articleId) => {
+    setDraftIds(prev => prev.filter(id => id !== articleId));
+  };
   
-  // Handle marking the outfit as worn
-  const handleMarkAsWorn = async () => {
+  const pickArticles = () => {
+    navigation.navigate('OutfitArticlePicker', { pickMode: true, selectedIds: draftIds });
+  };
+  
+  // Copy the outfit (without its wear history) and open the copy
+  const handleDuplicate = async () => {
+    try {
+      const copy = await duplicateOutfit(outfit.id);
+      navigation.push('OutfitDetail', { outfit: copy });
+    } catch (error) {
+      console.error('[OutfitDetailScreen] Error duplicating outfit:', error);
+      Alert.alert('Error', 'Failed to duplicate outfit.');
+    }
+  };
+  
+  // Record a wear (today by default, or a past date when backfilling)
+  const recordWear = async (wornAt) => {
     if (!outfit || !outfit.id) return;
     
     setMarkingAsWorn(true);
     try {
-      const result = await markOutfitAsWorn(outfit.id);
+      const result = await markOutfitAsWorn(outfit.id, { wornAt });
       
       if (result.success) {
-        // Update the local state with the updated outfit
-        if (result.outfit) {
-          setOutfitDetails(result.outfit);
-        }
+        await loadWearEvents();
         
+        const buttons = [{ text: 'OK' }];
+        if (result.event) {
+          buttons.unshift({ text: 'Undo', style: 'destructive', onPress: () => removeWear(result.event.id) });
+        }
         Alert.alert(
           'Outfit Marked as Worn',
           `You've worn this outfit ${result.outfit?.wearCount || 1} time${result.outfit?.wearCount !== 1 ? 's' : ''}. Wear counts for ${result.articlesUpdated} articles have been updated.`,
-          [{ text: 'OK' }]
+          buttons
         );
       } else {
         Alert.alert('Error', result.error || 'Failed to mark outfit as worn.');
@@ -89,22 +165,92 @@ export default function OutfitDetailScreen() {
     }
   };
   
-  // Render an individual article
-  const renderArticle = ({ item }) => {
-    return (
+  // Handle marking the outfit as worn today
+  const handleMarkAsWorn = () => recordWear();
+  
+  // Backfill a wear on a past date entered as YYYY-MM-DD
+  const handleBackfill = async () => {
+    const date = backfillDate.trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(date).getTime())) {
+      Alert.alert('Invalid date', 'Enter the date as YYYY-MM-DD.');
+      return;
+    }
+    setBackfillVisible(false);
+    setBackfillDate('');
+    await recordWear(date);
+  };
+  
+  // Delete a wear event and refresh the derived counters
+  const removeWear = async (eventId) => {
+    const result = await deleteWearEvent(eventId);
+    if (result.success) {
+      await loadWearEvents();
+    } else {
+      Alert.alert('Error', result.error || 'Failed to remove wear.');
+    }
+  };
+  
+  const confirmRemoveWear = (event) => {
+    Alert.alert(
+      'Remove Wear',
+      `Remove the wear from ${formatDate(event.wornAt)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => removeWear(event.id) }
+      ]
+    );
+  };
+  
+  // Render an individual article; in edit mode with reorder and remove controls
+  const renderArticle = ({ item, index }) => {
+    const card = (
       <ArticleCard
         article={item}
         variant="list"
         showName={true}
         showCategory={true}
         showWearCount={true}
+        style={editing ? styles.editingCard : undefined}
       />
     );
+    if (!editing) return card;
+    return (
+      <View style={styles.editRow}>
+        {card}
+        <View style={styles.editControls}>
+          <TouchableOpacity
+            onPress={() => moveDraftArticle(index, -1)}
+            disabled={index === 0}
+            accessibilityLabel="Move article up"
+          >
+            <Ionicons name="chevron-up" size={22} color={index === 0 ? colors.gray400 : colors.primary} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => moveDraftArticle(index, 1)}
+            disabled={index === articles.length - 1}
+            accessibilityLabel="Move article down"
+          >
+            <Ionicons
+              name="chevron-down"
+              size={22}
+              color={index === articles.length - 1 ? colors.gray400 : colors.primary}
+            />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => removeDraftArticle(item.id)}
+            disabled={draftIds.length <= 1}
+            accessibilityLabel="Remove article from outfit"
+          >
+            <Ionicons name="remove-circle-outline" size={22} color={draftIds.length <= 1 ? colors.gray400 : colors.error} />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
   };
   
   // Format the date for display
   const formatDate = (dateString) => {
-    if (!dateString) return 'Never worn';
+    if (!dateString) return 'Unknown date';
     
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', { 
@@ -132,10 +278,20 @@ export default function OutfitDetailScreen() {
   return (
     <SafeAreaView style={styles.container}>
       <AppHeader 
-        title={outfitDetails.name}
-        showBackButton={true}
+        title={editing ? 'Edit Outfit' : outfitDetails.name}
+        showBackButton={!editing}
         variant="navigation"
         showBorder={true}
+        rightElement={editing ? null : (
+          <View style={styles.headerActions}>
+            <TouchableOpacity onPress={handleDuplicate} accessibilityLabel="Duplicate outfit">
+              <Ionicons name="copy-outline" size={22} color={colors.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={startEditing} accessibilityLabel="Edit outfit" style={styles.headerAction}>
+              <Ionicons name="create-outline" size={22} color={colors.primary} />
+            </TouchableOpacity>
+          </View>
+        )}
       />
       
       <View style={styles.statsContainer}>
@@ -161,7 +317,28 @@ export default function OutfitDetailScreen() {
         />
       ) : (
         <>
-          <Text style={styles.sectionTitle}>Articles in this Outfit</Text>
+          {editing ? (
+            <View style={styles.editHeader}>
+              <TextInput
+                style={styles.nameInput}
+                value={draftName}
+                onChangeText={setDraftName}
+                placeholder="Outfit name"
+                placeholderTextColor={colors.textDisabled}
+                accessibilityLabel="Outfit name input"
+              />
+              <Button
+                title="Change Articles"
+                variant="secondary"
+                size="small"
+                icon="swap-horizontal"
+                iconPosition="left"
+                onPress={pickArticles}
+              />
+            </View>
+          ) : (
+            <Text style={styles.sectionTitle}>Articles in this Outfit</Text>
+          )}
           <FlatList
             data={articles}
             keyExtractor={(item) => item.id}
@@ -173,18 +350,104 @@ export default function OutfitDetailScreen() {
                 variant="inline"
               />
             }
+            ListFooterComponent={editing ? null : (
+              <View style={styles.historySection}>
+                <View style={styles.historyHeader}>
+                  <Text style={styles.historyTitle}>Wear History</Text>
+                  <TouchableOpacity
+                    onPress={() => setBackfillVisible(true)}
+                    accessibilityLabel="Log an earlier wear"
+                  >
+                    <Text style={styles.historyAction}>Log earlier wear</Text>
+                  </TouchableOpacity>
+                </View>
+                {wearEvents.length === 0 ? (
+                  <Text style={styles.historyEmpty}>Not worn yet.</Text>
+                ) : (
+                  wearEvents.map(event => (
+                    <View key={event.id} style={styles.historyRow}>
+                      <Text style={styles.historyDate}>{formatDate(event.wornAt)}</Text>
+                      <TouchableOpacity
+                        onPress={() => confirmRemoveWear(event)}
+                        accessibilityLabel={`Remove wear from ${formatDate(event.wornAt)}`}
+                        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                      >
+                        <Ionicons name="close-circle-outline" size={20} color={colors.gray500} />
+                      </TouchableOpacity>
+                    </View>
+                  ))
+                )}
+              </View>
+            )}
           />
           
-          <Button
-            title="I Wore This Today"
-            onPress={handleMarkAsWorn}
-            disabled={markingAsWorn}
-            loading={markingAsWorn}
-            variant="primary"
-            icon="checkmark-circle"
-            iconPosition="left"
-            style={styles.wearButton}
-          />
+          <Modal
+            visible={backfillVisible}
+            transparent={true}
+            animationType="fade"
+            onRequestClose={() => setBackfillVisible(false)}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={styles.modalCard}>
+                <Text style={styles.modalTitle}>When did you wear it?</Text>
+                <TextInput
+                  style={styles.dateInput}
+                  value={backfillDate}
+                  onChangeText={setBackfillDate}
+                  placeholder="YYYY-MM-DD"
+                  placeholderTextColor={colors.textDisabled}
+                  autoCorrect={false}
+                  keyboardType="numbers-and-punctuation"
+                  accessibilityLabel="Wear date input"
+                />
+                <View style={styles.modalButtons}>
+                  <Button
+                    title="Cancel"
+                    variant="secondary"
+                    size="small"
+                    onPress={() => setBackfillVisible(false)}
+                  />
+                  <Button
+                    title="Log Wear"
+                    size="small"
+                    onPress={handleBackfill}
+                    style={styles.modalConfirm}
+                  />
+                </View>
+              </View>
+            </View>
+          </Modal>
+          
+          {editing ? (
+            <View style={styles.editButtons}>
+              <Button
+                title="Cancel"
+                variant="secondary"
+                onPress={cancelEditing}
+                disabled={saving}
+                style={styles.editButton}
+              />
+              <Button
+                title="Save"
+                onPress={saveEdits}
+                disabled={saving || draftIds.length === 0}
+                loading={saving}
+                variant="primary"
+                style={styles.editButton}
+              />
+            </View>
+          ) : (
+            <Button
+              title="I Wore This Today"
+              onPress={handleMarkAsWorn}
+              disabled={markingAsWorn}
+              loading={markingAsWorn}
+              variant="primary"
+              icon="checkmark-circle"
+              iconPosition="left"
+              style={styles.wearButton}
+            />
+          )}
         </>
       )}
     </SafeAreaView>
@@ -231,6 +494,118 @@ const styles = StyleSheet.create({
   wearButton: {
     margin: 16,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerAction: {
+    marginLeft: spacing.md,
+  },
+  editHeader: {
+    paddingHorizontal: 16,
+    paddingTop: 16,
+  },
+  nameInput: {
+    borderWidth: 1,
+    borderColor: colors.borderMedium,
+    borderRadius: spacing.borderRadius,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: colors.textPrimary,
+    marginBottom: spacing.sm,
+  },
+  editRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  editingCard: {
+    flex: 1,
+  },
+  editControls: {
+    marginLeft: spacing.sm,
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  editButtons: {
+    flexDirection: 'row',
+    margin: 16,
+  },
+  editButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  historySection: {
+    marginTop: spacing.sm,
+  },
+  historyHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  historyTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  historyAction: {
+    fontSize: 14,
+    color: colors.primaryDark,
+    fontWeight: '500',
+  },
+  historyEmpty: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  historyRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+  historyDate: {
+    fontSize: 14,
+    color: colors.textPrimary,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: colors.overlayDark,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalCard: {
+    width: 280,
+    backgroundColor: colors.white,
+    borderRadius: 16,
+    padding: spacing.lg,
+    ...shadows.medium,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.md,
+  },
+  dateInput: {
+    borderWidth: 1,
+    borderColor: colors.borderMedium,
+    borderRadius: spacing.borderRadius,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: colors.textPrimary,
+    marginBottom: spacing.md,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  modalConfirm: {
+    marginLeft: spacing.sm,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -1,14 +1,16 @@
 // OutfitsScreen.js
 // Displays the user's saved outfits in a modern grid layout
 // Features:
-//   - Fetches and displays all saved outfits
+//   - Displays all saved outfits from the live closet (useCloset), updated as outfits are saved, edited or worn
 //   - Allows viewing outfit details
 //   - Supports deleting outfits
 //   - Empty state with prompt to create first outfit
+//   - "Suggest an outfit": rule-based suggestion with pinning, shuffle and save
+//   - Today's weather for suggestions, from the weather source or entered by hand
 //   - Pull-to-refresh functionality
 //   - Clean, modern UI consistent with app design
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useCallback } from 'react';
 import { 
   View, 
   Text, 
@@ -19,64 +21,68 @@ import {
   RefreshControl,
   Image,
   ActivityIndicator,
+  Modal,
   SafeAreaView
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
-import { getOutfits, removeOutfit } from '../services/outfitService';
-import { getAllArticles } from '../services/galleryService';
+import { removeOutfit, saveOutfit } from '../services/outfitService';
+import {
+  SUGGESTION_SLOTS,
+  loadOutfitSuggestions,
+  nameSuggestedOutfit,
+  getPinnedArticleIds,
+  setArticlePinned
+} from '../services/outfitSuggestionService';
+import { setManualConditions, getTemperatureBand } from '../services/weatherService';
+import { getTaxonomy, buildTaxonomy, sortArticlesByTaxonomy } from '../services/categoryService';
 import AppHeader from '../components/common/AppHeader';
 import Button from '../components/common/Button';
+import Chip from '../components/common/Chip';
 import EmptyState from '../components/common/EmptyState';
-import { colors, shadows } from '../theme';
+import { useCloset } from '../context/ClosetContext';
+import { primaryImageUri } from '../models/ClothingArticle';
+import { colors, shadows, spacing } from '../theme';
+
+// Temperatures stored when the weather is entered by hand, one per band
+const WEATHER_PRESETS = [
+  { band: 'cold', label: 'Cold', temperatureC: 5 },
+  { band: 'cool', label: 'Cool', temperatureC: 13 },
+  { band: 'mild', label: 'Mild', temperatureC: 20 },
+  { band: 'hot', label: 'Hot', temperatureC: 28 },
+];
 
 export default function OutfitsScreen() {
   console.log('[OutfitsScreen] Component mounted');
   const navigation = useNavigation();
-  const [outfits, setOutfits] = useState([]);
-  const [articles, setArticles] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { outfits, articles, loading, reload } = useCloset();
+  const [taxonomy, setTaxonomy] = useState(buildTaxonomy);
   const [refreshing, setRefreshing] = useState(false);
+  const [suggestionVisible, setSuggestionVisible] = useState(false);
+  const [suggestion, setSuggestion] = useState(null);
+  const [missingSlots, setMissingSlots] = useState([]);
+  const [pinnedIds, setPinnedIds] = useState([]);
+  const [weather, setWeather] = useState(null);
+  const [savingSuggestion, setSavingSuggestion] = useState(false);
   
-  // Load outfits and articles when screen is focused and when mounted
-  useEffect(() => {
-    loadData();
-  }, []);
-  
+  // Outfits and articles come from the closet store; the taxonomy (preview order) is reloaded on focus
   useFocusEffect(
     useCallback(() => {
-      loadData();
+      getTaxonomy().then(setTaxonomy);
       return () => {};
     }, [])
   );
   
-  // Load outfits and all articles (needed to display outfit previews)
-  const loadData = async () => {
-    try {
-      setLoading(true);
-      const [outfitsData, articlesData] = await Promise.all([
-        getOutfits(),
-        getAllArticles()
-      ]);
-      console.log('[OutfitsScreen] Loaded outfits:', outfitsData.length);
-      console.log('[OutfitsScreen] Loaded articles:', articlesData.length);
-      setOutfits(outfitsData);
-      setArticles(articlesData);
-    } catch (error) {
-      console.error('[OutfitsScreen] Error loading data:', error);
+  // Handle pull-to-refresh: re-read the closet from storage
+  const onRefresh = async () => {
+    setRefreshing(true);
+    const [closet] = await Promise.all([reload(), getTaxonomy().then(setTaxonomy)]);
+    setRefreshing(false);
+    if (closet.error) {
       Alert.alert('Error', 'Failed to load outfits. Please try again.');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
     }
   };
   
-  // Handle pull-to-refresh
-  const onRefresh = () => {
-    setRefreshing(true);
-    loadData();
-  };
-  
   // Delete an outfit after confirmation
   const handleDeleteOutfit = (outfit) => {
     Alert.alert(
@@ -90,8 +96,6 @@ export default function OutfitsScreen() {
           onPress: async () => {
             try {
               await removeOutfit(outfit.id);
-              // Update the local state to remove the deleted outfit
-              setOutfits(outfits.filter(o => o.id !== outfit.id));
             } catch (error) {
               console.error('[OutfitsScreen] Error deleting outfit:', error);
               Alert.alert('Error', 'Failed to delete outfit. Please try again.');
@@ -114,22 +118,70 @@ export default function OutfitsScreen() {
   const getOutfitPreviewImages = (outfit) => {
     const outfitArticles = getOutfitArticles(outfit);
     
-    // Define category priority order (this determines display order)
-    const categoryOrder = ['tops', 'outerwear', 'bottoms', 'shoes', 'accessory'];
-    
-    // Sort articles by category priority
-    const sortedArticles = [...outfitArticles].sort((a, b) => {
-      const aIndex = categoryOrder.indexOf(a.category) !== -1 ? categoryOrder.indexOf(a.category) : 999;
-      const bIndex = categoryOrder.indexOf(b.category) !== -1 ? categoryOrder.indexOf(b.category) : 999;
-      return aIndex - bIndex;
-    });
+    // Sort articles by their category's position in the taxonomy (this determines display order)
+    const sortedArticles = sortArticlesByTaxonomy(outfitArticles, taxonomy);
     
     // Return image URIs in the sorted order (up to 4)
-    return sortedArticles.slice(0, 4).map(article => {
-      return article.localImageUri || article.croppedImageUri || article.imageUri || article.imageUrl;
-    });
+    return sortedArticles.slice(0, 4).map(primaryImageUri);
   };
   
+  // Generate a fresh suggestion from the closet and the stored pins
+  const loadSuggestion = async () => {
+    try {
+      const [result, pins] = await Promise.all([loadOutfitSuggestions(), getPinnedArticleIds()]);
+      setSuggestion(result.suggestions[0] || null);
+      setMissingSlots(result.missingSlots);
+      setWeather(result.weather);
+      setPinnedIds(pins);
+    } catch (error) {
+      console.error('[OutfitsScreen] Error suggesting outfit:', error);
+      setSuggestion(null);
+      setMissingSlots([]);
+      Alert.alert('Error', error.message || 'Could not suggest an outfit.');
+    }
+  };
+
+  const openSuggestion = () => {
+    setSuggestionVisible(true);
+    loadSuggestion();
+  };
+
+  // Entering the weather by hand overrides the weather source for the rest of the day
+  const updateWeather = async (changes) => {
+    try {
+      await setManualConditions({
+        temperatureC: weather ? weather.temperatureC : WEATHER_PRESETS[1].temperatureC,
+        precipitation: weather ? weather.precipitation : false,
+        ...changes
+      });
+      loadSuggestion();
+    } catch (error) {
+      console.error('[OutfitsScreen] Error setting weather:', error);
+    }
+  };
+
+  const togglePin = async (articleId) => {
+    try {
+      setPinnedIds(await setArticlePinned(articleId, !pinnedIds.includes(articleId)));
+    } catch (error) {
+      console.error('[OutfitsScreen] Error pinning article:', error);
+    }
+  };
+
+  const handleSaveSuggestion = async () => {
+    if (!suggestion) return;
+    setSavingSuggestion(true);
+    try {
+      await saveOutfit({ name: nameSuggestedOutfit(suggestion), articles: suggestion.articles });
+      setSuggestionVisible(false);
+    } catch (error) {
+      console.error('[OutfitsScreen] Error saving suggested outfit:', error);
+      Alert.alert('Error', error.message || 'Failed to save outfit. Please try again.');
+    } finally {
+      setSavingSuggestion(false);
+    }
+  };
+
   // Navigate to create a new outfit
   const navigateToCreateOutfit = () => {
     console.log('[OutfitsScreen] Navigating to create outfit');
@@ -208,6 +260,15 @@ export default function OutfitsScreen() {
       <AppHeader 
         title="My Outfits"
         variant="main"
+        rightElement={
+          <TouchableOpacity
+            onPress={openSuggestion}
+            accessibilityLabel="Suggest an outfit"
+            hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+          >
+            <Ionicons name="sparkles-outline" size={24} color={colors.primary} />
+          </TouchableOpacity>
+        }
       />
       
       <FlatList
@@ -220,6 +281,90 @@ export default function OutfitsScreen() {
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
         }
       />
+
+      <Modal
+        visible={suggestionVisible}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setSuggestionVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Suggested Outfit</Text>
+            <Text style={styles.weatherText}>
+              {weather
+                ? `Today: ${weather.temperatureC}°C${weather.precipitation ? ', rain' : ''}`
+                : 'Set today\'s weather for weather-aware picks.'}
+            </Text>
+            <View style={styles.weatherChips}>
+              {WEATHER_PRESETS.map(preset => (
+                <Chip
+                  key={preset.band}
+                  label={preset.label}
+                  selected={!!weather && getTemperatureBand(weather.temperatureC) === preset.band}
+                  onPress={() => updateWeather({ temperatureC: preset.temperatureC })}
+                />
+              ))}
+              <Chip
+                label="Rain"
+                selected={!!weather && weather.precipitation}
+                onPress={() => updateWeather({ precipitation: !(weather && weather.precipitation) })}
+              />
+            </View>
+            {suggestion ? (
+              <>
+                {SUGGESTION_SLOTS.filter(({ slot }) => suggestion.slots[slot]).map(({ slot }) => {
+                  const article = suggestion.slots[slot];
+                  const pinned = pinnedIds.includes(article.id);
+                  return (
+                    <View key={slot} style={styles.suggestionRow}>
+                      <Image
+                        source={{ uri: primaryImageUri(article) }}
+                        style={styles.suggestionImage}
+                      />
+                      <View style={styles.suggestionText}>
+                        <Text style={styles.suggestionSlot}>{slot}</Text>
+                        <Text style={styles.suggestionLabel} numberOfLines={1}>
+                          {article.description || article.name || article.category}
+                        </Text>
+                      </View>
+                      <TouchableOpacity
+                        onPress={() => togglePin(article.id)}
+                        accessibilityLabel={pinned ? 'Unpin article' : 'Pin article'}
+                        accessibilityState={{ selected: pinned }}
+                        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                      >
+                        <Ionicons name={pinned ? 'pin' : 'pin-outline'} size={22} color={pinned ? colors.primary : colors.gray500} />
+                      </TouchableOpacity>
+                    </View>
+                  );
+                })}
+                {suggestion.colorVerdict === 'clashing' ? (
+                  <Text style={styles.suggestionNote}>These colors may clash.</Text>
+                ) : null}
+              </>
+            ) : (
+              <Text style={styles.suggestionNote}>
+                {missingSlots.length > 0
+                  ? `Add ${missingSlots.join(', ')} that suits today's weather and you haven't worn in the last few days to get suggestions.`
+                  : 'No suggestion available yet.'}
+              </Text>
+            )}
+            <View style={styles.modalButtons}>
+              <Button title="Close" variant="secondary" size="small" onPress={() => setSuggestionVisible(false)} />
+              <Button title="Shuffle" variant="secondary" size="small" onPress={loadSuggestion} style={styles.modalAction} />
+              <Button
+                title="Save"
+                size="small"
+                onPress={handleSaveSuggestion}
+                loading={savingSuggestion}
+                disabled={!suggestion || savingSuggestion}
+                style={styles.modalAction}
+              />
+            </View>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 }
@@ -308,4 +453,71 @@ const styles = StyleSheet.create({
     right: 10,
     zIndex: 2,
   },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: colors.overlayDark,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalCard: {
+    width: 320,
+    backgroundColor: colors.white,
+    borderRadius: 16,
+    padding: spacing.lg,
+    ...shadows.medium,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.md,
+  },
+  weatherText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  weatherChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: spacing.md,
+  },
+  suggestionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  suggestionImage: {
+    width: 48,
+    height: 48,
+    borderRadius: 8,
+    backgroundColor: colors.gray100,
+  },
+  suggestionText: {
+    flex: 1,
+    marginHorizontal: spacing.md,
+  },
+  suggestionSlot: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    textTransform: 'capitalize',
+  },
+  suggestionLabel: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: colors.textPrimary,
+  },
+  suggestionNote: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: spacing.sm,
+  },
+  modalAction: {
+    marginLeft: spacing.sm,
+  },
 });
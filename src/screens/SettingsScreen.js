@@ -0,0 +1,286 @@
+// SettingsScreen.js
+// App settings for Digital Closet
+// Features:
+//   - Detection provider: choose which service finds garments in new photos
+//   - Categories: manage the category taxonomy (opens CategoriesScreen)
+//   - Storage: image storage usage and unused-file clean up (opens StorageScreen)
+//   - Processing queue: photos still being processed in the background (opens JobsScreen)
+//   - Backup: export the whole closet (data + images) to a shareable file
+//   - Restore: import a backup, merging into or replacing the current closet
+
+import React, { useState, useEffect } from 'react';
+import { useNavigation } from '@react-navigation/native';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  SafeAreaView
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { exportCloset, importCloset } from '../services/backupService';
+import { listProviders, getActiveProviderId, setActiveProvider } from '../services/detectionProviders';
+import { colors, spacing } from '../theme';
+import AppHeader from '../components/common/AppHeader';
+import Button from '../components/common/Button';
+
+export default function SettingsScreen() {
+  const navigation = useNavigation();
+  const [exporting, setExporting] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [providers] = useState(listProviders);
+  const [activeProviderId, setActiveProviderId] = useState(null);
+
+  useEffect(() => {
+    getActiveProviderId().then(setActiveProviderId);
+  }, []);
+
+  const handleSelectProvider = async (id) => {
+    try {
+      await setActiveProvider(id);
+      setActiveProviderId(id);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not change the detection provider.');
+    }
+  };
+
+  // Write a backup file and hand it to the system share sheet
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const { uri, manifest, missingImages } = await exportCloset();
+      const { articles, outfits, images } = manifest.counts;
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(uri, {
+          mimeType: 'application/zip',
+          dialogTitle: 'Save your closet backup'
+        });
+      } else {
+        Alert.alert('Backup Saved', `Backup written to ${uri}`);
+      }
+      if (missingImages > 0) {
+        Alert.alert(
+          'Backup Created',
+          `Saved ${articles} articles, ${outfits} outfits and ${images} images. ${missingImages} images could not be read and were skipped.`
+        );
+      }
+    } catch (error) {
+      console.error('[SettingsScreen] Error exporting closet:', error);
+      Alert.alert('Export Failed', error.message || 'Could not create a backup.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const runImport = async (uri, mode) => {
+    setImporting(true);
+    try {
+      const { imported, remappedCount } = await importCloset(uri, { mode });
+      const remapNote = remappedCount > 0 ? ` ${remappedCount} conflicting items were given new ids.` : '';
+      Alert.alert(
+        'Import Complete',
+        `Imported ${imported.articles} articles and ${imported.outfits} outfits.${remapNote}`
+      );
+    } catch (error) {
+      console.error('[SettingsScreen] Error importing backup:', error);
+      Alert.alert('Import Failed', error.message || 'Could not import the backup.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Pick a backup file, then ask whether to merge or replace
+  const handleImport = async () => {
+    const result = await DocumentPicker.getDocumentAsync({
+      // Zip backups, and JSON backups from older versions
+      type: ['application/zip', 'application/x-zip-compressed', 'application/json', 'text/plain'],
+      copyToCacheDirectory: true
+    });
+    if (result.canceled || !result.assets || !result.assets[0]) {
+      return;
+    }
+    const { uri } = result.assets[0];
+    Alert.alert(
+      'Import Backup',
+      'Merge the backup into your closet, or replace everything with the backup?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Merge', onPress: () => runImport(uri, 'merge') },
+        {
+          text: 'Replace',
+          style: 'destructive',
+          onPress: () => Alert.alert(
+            'Replace Closet',
+            'This deletes your current articles, outfits and wear history. Continue?',
+            [
+              { text: 'Cancel', style: 'cancel' },
+              { text: 'Replace', style: 'destructive', onPress: () => runImport(uri, 'replace') }
+            ]
+          )
+        }
+      ]
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AppHeader
+        title="Settings"
+        showBackButton={true}
+        variant="navigation"
+        showBorder={true}
+      />
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.sectionTitle}>Detection Provider</Text>
+        <Text style={styles.sectionText}>
+          Choose the service that finds clothing in new photos.
+        </Text>
+        {providers.map(provider => {
+          const selected = provider.id === activeProviderId;
+          return (
+            <TouchableOpacity
+              key={provider.id}
+              style={[styles.optionRow, selected && styles.optionRowSelected]}
+              onPress={() => handleSelectProvider(provider.id)}
+              accessibilityRole="radio"
+              accessibilityState={{ selected }}
+            >
+              <Ionicons
+                name={selected ? 'radio-button-on' : 'radio-button-off'}
+                size={22}
+                color={selected ? colors.primary : colors.gray500}
+              />
+              <View style={styles.optionText}>
+                <Text style={styles.optionLabel}>{provider.label}</Text>
+                {provider.description ? (
+                  <Text style={styles.optionDescription}>{provider.description}</Text>
+                ) : null}
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Categories</Text>
+        <Text style={styles.sectionText}>
+          Add your own categories and subcategories for grouping your wardrobe.
+        </Text>
+        <Button
+          title="Manage Categories"
+          variant="secondary"
+          icon="pricetags-outline"
+          iconPosition="left"
+          onPress={() => navigation.navigate('Categories')}
+          style={styles.button}
+        />
+
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Storage</Text>
+        <Text style={styles.sectionText}>
+          See how much space your photos use and clean up files no article needs.
+        </Text>
+        <Button
+          title="Manage Storage"
+          variant="secondary"
+          icon="folder-outline"
+          iconPosition="left"
+          onPress={() => navigation.navigate('Storage')}
+          style={styles.button}
+        />
+
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Processing Queue</Text>
+        <Text style={styles.sectionText}>
+          Photos keep processing in the background and resume after the app restarts. Retry or cancel them here.
+        </Text>
+        <Button
+          title="View Queue"
+          variant="secondary"
+          icon="hourglass-outline"
+          iconPosition="left"
+          onPress={() => navigation.navigate('Jobs')}
+          style={styles.button}
+        />
+
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Backup & Restore</Text>
+        <Text style={styles.sectionText}>
+          Export your articles, outfits, wear history and photos into a single file you can keep somewhere safe.
+        </Text>
+        <Button
+          title="Export Closet"
+          icon="cloud-upload-outline"
+          iconPosition="left"
+          onPress={handleExport}
+          loading={exporting}
+          disabled={exporting || importing}
+          style={styles.button}
+        />
+        <Button
+          title="Import Backup"
+          variant="secondary"
+          icon="cloud-download-outline"
+          iconPosition="left"
+          onPress={handleImport}
+          loading={importing}
+          disabled={exporting || importing}
+          style={styles.button}
+        />
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.white,
+  },
+  content: {
+    padding: spacing.screenPadding,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  sectionText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+  sectionSpacing: {
+    marginTop: spacing.lg,
+  },
+  button: {
+    marginBottom: spacing.sm,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.md,
+    borderWidth: 1,
+    borderColor: colors.borderMedium,
+    borderRadius: spacing.borderRadius,
+    marginBottom: spacing.sm,
+  },
+  optionRowSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primaryBackground,
+  },
+  optionText: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+  optionLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.textPrimary,
+  },
+  optionDescription: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+});
@@ -0,0 +1,171 @@
+// StorageScreen.js
+// Storage settings for Digital Closet
+// Features:
+//   - Shows how many image files the closet keeps on the device and how much space they use
+//   - Scans for orphaned image files no article references (left behind by older versions
+//     or interrupted imports) and reports the reclaimable space
+//   - Deletes orphaned files on demand, and only when the closet and the job queue could both be read
+// Files written in the last few minutes, and files held by queued jobs, are skipped so in-progress
+// verifications are safe.
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  SafeAreaView
+} from 'react-native';
+import { findUnreferencedImages, deleteUnreferencedImages } from '../services/galleryService';
+import { colors, spacing } from '../theme';
+import AppHeader from '../components/common/AppHeader';
+import Button from '../components/common/Button';
+
+// Human-readable byte count (e.g. "1.4 MB")
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / 1024 ** exponent;
+  return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+}
+
+export default function StorageScreen() {
+  const [report, setReport] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [cleaning, setCleaning] = useState(false);
+
+  const scan = useCallback(async () => {
+    setScanning(true);
+    try {
+      setReport(await findUnreferencedImages());
+    } catch (error) {
+      console.error('[StorageScreen] Scan failed:', error);
+      Alert.alert('Scan Failed', error.message || 'Could not read image storage.');
+    } finally {
+      setScanning(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    scan();
+  }, [scan]);
+
+  const cleanUp = async () => {
+    setCleaning(true);
+    try {
+      // References are re-read (and must all be readable) so files referenced since the last scan are never deleted
+      const result = await deleteUnreferencedImages();
+      Alert.alert(
+        'Storage Cleaned',
+        `Deleted ${result.deletedCount} file${result.deletedCount === 1 ? '' : 's'} and freed ${formatBytes(result.reclaimedBytes)}.`
+      );
+      await scan();
+    } catch (error) {
+      console.error('[StorageScreen] Clean up failed:', error);
+      Alert.alert('Clean Up Failed', error.message || 'Please try again.');
+    } finally {
+      setCleaning(false);
+    }
+  };
+
+  const confirmCleanUp = () => {
+    Alert.alert(
+      'Delete Orphaned Files',
+      `Delete ${report.files.length} image file${report.files.length === 1 ? '' : 's'} that no article uses? This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: cleanUp }
+      ]
+    );
+  };
+
+  const orphanCount = report ? report.files.length : 0;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AppHeader
+        title="Storage"
+        showBackButton={true}
+        variant="navigation"
+        showBorder={true}
+      />
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.sectionText}>
+          Photos of your articles are stored on this device. Deleting an article deletes its photos;
+          files left behind by earlier versions can be cleaned up here.
+        </Text>
+
+        <View style={styles.statRow}>
+          <Text style={styles.statLabel}>Image files</Text>
+          <Text style={styles.statValue}>
+            {report ? `${report.totalFiles} (${formatBytes(report.totalBytes)})` : '—'}
+          </Text>
+        </View>
+        <View style={styles.statRow}>
+          <Text style={styles.statLabel}>Unused files</Text>
+          <Text style={styles.statValue}>{report ? orphanCount : '—'}</Text>
+        </View>
+        <View style={styles.statRow}>
+          <Text style={styles.statLabel}>Reclaimable</Text>
+          <Text style={styles.statValue}>{report ? formatBytes(report.reclaimableBytes) : '—'}</Text>
+        </View>
+
+        <Button
+          title="Delete Unused Files"
+          icon="trash-outline"
+          iconPosition="left"
+          onPress={confirmCleanUp}
+          loading={cleaning}
+          disabled={scanning || cleaning || orphanCount === 0}
+          style={styles.button}
+        />
+        <Button
+          title="Scan Again"
+          variant="secondary"
+          icon="refresh"
+          iconPosition="left"
+          onPress={scan}
+          loading={scanning}
+          disabled={scanning || cleaning}
+          style={styles.button}
+        />
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.white,
+  },
+  content: {
+    padding: spacing.screenPadding,
+  },
+  sectionText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+  statRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+  statLabel: {
+    fontSize: 15,
+    color: colors.textPrimary,
+  },
+  statValue: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  button: {
+    marginTop: spacing.md,
+  },
+});
@@ -6,16 +6,32 @@
 // Features:
 //   - Clean Architecture: UI only, all business logic in verificationService
 //   - Bounding box overlays and selection UI
+//   - Editable category picker for articles whose category mapping is uncertain
+//   - Batch capture: several photos are queued through detection with progress and reviewed together;
+//     more photos can be added from the library or camera while reviewing
+//   - Reviews results of a background job (route param jobId) that finished while the app was closed
+//   - Actionable error messages (see errorHandlingService.getUserFacingError) with retry buttons
+//     for a failed photo and for a failed finish step
 //   - Robust error handling and loading states
 //   - Clean, modern UI with user feedback
 //
 // Designed for flexibility and robust user experience.
-import React, { useState, useEffect } from 'react';
-import { View, Text, FlatList, StyleSheet } from 'react-native';
-import { processImageForVerification, processSelectedArticles } from '../services/verificationService';
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, FlatList, StyleSheet, Modal, ScrollView, TouchableOpacity, Alert } from 'react-native';
+import {
+  processImageForVerification,
+  processImagesForVerification,
+  processSelectedBatch,
+  processJobForVerification,
+  setArticleCategoryChoice
+} from '../services/verificationService';
+import { removeJob } from '../services/jobQueueService';
+import { takePhotoWithPermission, pickImagesWithPermission } from '../services/mediaService';
+import { getTaxonomy, formatCategory } from '../services/categoryService';
 import { colors, shadows } from '../theme';
 import Button from '../components/common/Button';
 import ArticleCard from '../components/common/ArticleCard';
+import Chip from '../components/common/Chip';
 
 // Import OpenAI API key from environment variables
 import { OPENAI_API_KEY } from '@env';
@@ -24,61 +40,143 @@ import { OPENAI_API_KEY } from '@env';
 const BOUNDING_BOX_OVERLAY_ENABLED = true;
 
 export default function VerificationScreen({ route, navigation }) {
-  const { imageUri } = route.params;
+  const { imageUri, imageUris, jobId } = route.params;
   // Log only the type of imageUri for debugging, not the full string (avoid leaking base64 data)
   console.log('[VerificationScreen] imageUri param type:', typeof imageUri, imageUri && imageUri.startsWith('data:') ? '[base64]' : '[file path]');
   
   // Screen state - following Clean Architecture, this component only manages UI state
 
 
-  const [articles, setArticles] = useState([]);
+  const [photos, setPhotos] = useState([]); // One entry per photo, each with its detected articles
   const [selectedIds, setSelectedIds] = useState([]); // Track confirmed articles
 
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null); // { completed, total } while photos are queued
+  const [error, setError] = useState(null); // { message, title?, retryable?, retryLabel? } from getUserFacingError
+  const [providerId, setProviderId] = useState(null); // Provider that detected the current articles
+  const [taxonomy, setTaxonomy] = useState([]);
+  const [pickerArticleId, setPickerArticleId] = useState(null); // Article whose category is being edited
+  const mountedRef = useRef(true);
 
   useEffect(() => {
-    async function processImage() {
-      // Log only the type of imageUri for debugging
-      console.log('[VerificationScreen] processImage, imageUri type:', typeof imageUri, imageUri && imageUri.startsWith('data:') ? '[base64]' : '[file path]');
-      if (!imageUri) return;
-      
-      setLoading(true);
-      setError(null);
-      
-      // Use the verificationService to process the image
-      const { articles, error } = await processImageForVerification(imageUri, { 
-        openaiApiKey: OPENAI_API_KEY 
-      });
-      
-      if (error) {
-        setError(error);
-        setArticles([]);
-        setSelectedIds([]);
-      } else {
-        setArticles(articles);
-        setSelectedIds([]); // Reset selection on new image
-      }
-      
-      setLoading(false);
+    getTaxonomy().then(setTaxonomy);
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // Queue photos through detection one at a time, appending them to the review
+  const processPhotos = async (uris, baseCount) => {
+    setLoading(true);
+    setError(null);
+    
+    // Keep photos that already finished (and any category choices made on them) as later progress arrives
+    const mergePhotos = (queued) => setPhotos(prev => [
+      ...prev.slice(0, baseCount),
+      ...queued.map((photo, i) => {
+        const existing = prev[baseCount + i];
+        return existing && (existing.status === 'done' || existing.status === 'failed') ? existing : photo;
+      })
+    ]);
+    
+    // Use the verificationService to process the photos
+    const result = await processImagesForVerification(uris, {
+      openaiApiKey: OPENAI_API_KEY,
+      providerId,
+      onProgress: ({ completed, total, photos: queued }) => {
+        if (!mountedRef.current) return;
+        setProgress({ completed, total });
+        mergePhotos(queued);
+      },
+      shouldContinue: () => mountedRef.current
+    });
+    if (!mountedRef.current) return;
+    
+    if (result.error) {
+      setError({ message: result.error });
+    } else {
+      setProviderId(result.providerId);
+      mergePhotos(result.photos);
+    }
+    setProgress(null);
+    setLoading(false);
+  };
+
+  // Results of a finished background job are reviewed like a single processed photo
+  const loadJob = async () => {
+    setLoading(true);
+    setError(null);
+    const { articles, error, errorInfo, providerId: usedProviderId } = await processJobForVerification(jobId);
+    if (!mountedRef.current) return;
+    setProviderId(usedProviderId || null);
+    setPhotos([{ imageUri: null, status: error ? 'failed' : 'done', articles, error, errorInfo: errorInfo || null }]);
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    if (jobId) {
+      setSelectedIds([]);
+      loadJob();
+      return;
     }
+    const uris = imageUris || (imageUri ? [imageUri] : []);
+    // Log only the number of photos for debugging
+    console.log('[VerificationScreen] processing photos:', uris.length);
+    if (uris.length === 0) return;
     
-    processImage();
-  }, [imageUri]);
+    setPhotos([]);
+    setSelectedIds([]); // Reset selection on new photos
+    processPhotos(uris, 0);
+  }, [imageUri, imageUris, jobId]);
+
+  // Run detection again for one photo that failed
+  const retryPhoto = async (index) => {
+    const photo = photos[index];
+    setLoading(true);
+    setPhotos(prev => prev.map((entry, i) => (i === index ? { ...entry, status: 'processing', error: null, errorInfo: null } : entry)));
+    const { articles, error, errorInfo } = await processImageForVerification(photo.imageUri, {
+      openaiApiKey: OPENAI_API_KEY,
+      providerId
+    });
+    if (!mountedRef.current) return;
+    setPhotos(prev => prev.map((entry, i) => (i === index
+      ? { ...entry, status: error ? 'failed' : 'done', articles: articles || [], error: error || null, errorInfo: errorInfo || null }
+      : entry)));
+    setLoading(false);
+  };
+
+  // Add more photos to the current review (batch capture)
+  const addPhotos = async (fromCamera) => {
+    const result = fromCamera ? await takePhotoWithPermission() : await pickImagesWithPermission();
+    if (result.error) {
+      Alert.alert(fromCamera ? 'Camera Error' : 'Gallery Error', result.error);
+      return;
+    }
+    const uris = fromCamera ? [result.imageUri].filter(Boolean) : result.imageUris || [];
+    if (uris.length > 0) {
+      processPhotos(uris, photos.length);
+    }
+  };
 
-  // Confirm-only: Only send selected articles to gallery, processing each article as needed
+  // Confirm-only: Only send selected articles to gallery, processing each photo's articles as needed
   const onFinish = async () => {
     setLoading(true);
     setError(null);
     
-    // Use the verificationService to process selected articles
-    const { finalArticles, error } = await processSelectedArticles(imageUri, articles, selectedIds);
+    // Use the verificationService to process selected articles from every photo
+    const { finalArticles, error, errorInfo } = await processSelectedBatch(photos, selectedIds, { providerId });
     
     if (error) {
       console.error('[VerificationScreen] onFinish error:', error);
-      setError(error);
-      setLoading(false);
-      return;
+      if (finalArticles.length === 0) {
+        setError(errorInfo ? { ...errorInfo, message: error } : { message: error });
+        setLoading(false);
+        return;
+      }
+      Alert.alert('Some photos failed', `${error} The other items were added to your closet.`);
+    }
+    if (jobId) {
+      await removeJob(jobId);
     }
     
     // Navigate to Wardrobe tab with the processed articles
@@ -89,6 +187,13 @@ export default function VerificationScreen({ route, navigation }) {
     setLoading(false);
   };
 
+  const articles = photos.flatMap(photo => photo.articles);
+  const failedPhotos = photos.filter(photo => photo.status === 'failed');
+  // Photo number shown under each article when reviewing several photos
+  const photoNumbers = {};
+  photos.forEach((photo, index) => photo.articles.forEach(article => {
+    photoNumbers[article.id] = index + 1;
+  }));
 
   // Toggle selection for an article
   const toggleSelect = (id) => {
@@ -107,11 +212,84 @@ export default function VerificationScreen({ route, navigation }) {
     setSelectedIds([]);
   };
 
+  // Category the article will be saved with: the user's choice, else the detected suggestion
+  const getArticleCategory = (article) => article.categoryChoice || article.categorySuggestion || {};
+
+  // Apply a category picked by the user; picking a new category clears the subcategory
+  const chooseCategory = (categoryId, subcategoryId = null) => {
+    const choice = { category: categoryId, subcategory: subcategoryId };
+    setPhotos(prev => prev.map(photo => ({
+      ...photo,
+      articles: setArticleCategoryChoice(photo.articles, pickerArticleId, choice)
+    })));
+  };
+
+  const pickerArticle = articles.find(a => a.id === pickerArticleId);
+  const pickerChoice = pickerArticle ? getArticleCategory(pickerArticle) : {};
+  const pickerCategory = taxonomy.find(c => c.id === pickerChoice.category);
+
   return (
     <View style={styles.container}>
       <Text style={styles.title}>Select Items to Confirm</Text>
-      {loading && <Text style={{marginVertical: 12, color: colors.primary}}>Processing image...</Text>}
-      {error && <Text style={{marginVertical: 12, color: colors.error}}>{error}</Text>}
+      {loading && (
+        <Text style={{marginVertical: 12, color: colors.primary}}>
+          {progress && progress.total > 1
+            ? `Processing photo ${Math.min(progress.completed + 1, progress.total)} of ${progress.total}...`
+            : 'Processing image...'}
+        </Text>
+      )}
+      {error && (
+        <View style={styles.errorBox}>
+          {error.title && <Text style={styles.errorTitle}>{error.title}</Text>}
+          <Text style={styles.errorText}>{error.message}</Text>
+          {error.retryable && (
+            <Button title={error.retryLabel} onPress={onFinish} disabled={loading} variant="secondary" size="small" />
+          )}
+        </View>
+      )}
+      {failedPhotos.length > 1 && (
+        <Text style={styles.errorText}>
+          {failedPhotos.length} of {photos.length} photos could not be processed.
+        </Text>
+      )}
+      {photos.map((photo, index) => (photo.status === 'failed' ? (
+        <View key={`failed-${index}`} style={styles.errorBox}>
+          <Text style={styles.errorTitle}>
+            {photos.length > 1 ? `Photo ${index + 1}: ` : ''}{photo.errorInfo ? photo.errorInfo.title : 'Could not process photo'}
+          </Text>
+          <Text style={styles.errorText}>{photo.error}</Text>
+          {photo.imageUri && photo.errorInfo && photo.errorInfo.retryable && (
+            <Button
+              title={photo.errorInfo.retryLabel}
+              onPress={() => retryPhoto(index)}
+              disabled={loading}
+              variant="secondary"
+              size="small"
+            />
+          )}
+        </View>
+      ) : null))}
+      <View style={styles.addPhotosBar}>
+        <Button
+          title="Add Photos"
+          icon="images-outline"
+          iconPosition="left"
+          onPress={() => addPhotos(false)}
+          disabled={loading}
+          variant="secondary"
+          size="small"
+        />
+        <Button
+          title="Take Photo"
+          icon="camera-outline"
+          iconPosition="left"
+          onPress={() => addPhotos(true)}
+          disabled={loading}
+          variant="secondary"
+          size="small"
+          style={styles.addPhotosButton}
+        />
+      </View>
       <View style={styles.selectAllBar}>
         <Text style={styles.selectedCount}>{selectedIds.length} selected</Text>
         <Button
@@ -127,17 +305,35 @@ export default function VerificationScreen({ route, navigation }) {
         numColumns={2}
         renderItem={({ item }) => {
           const selected = selectedIds.includes(item.id);
+          const showPicker = item.categorySuggestion?.uncertain || item.categoryChoice;
+          const current = getArticleCategory(item);
           return (
-            <ArticleCard
-              article={item}
-              variant="verification"
-              showName={true}
-              showConfidence={true}
-              selectionMode={true}
-              selected={selected}
-              onSelect={toggleSelect}
-              style={[styles.card, selected && styles.selectedCard]}
-            />
+            <View>
+              <ArticleCard
+                article={item}
+                variant="verification"
+                showName={true}
+                showConfidence={true}
+                selectionMode={true}
+                selected={selected}
+                onSelect={toggleSelect}
+                style={[styles.card, selected && styles.selectedCard]}
+              />
+              {photos.length > 1 && (
+                <Text style={styles.photoLabel}>Photo {photoNumbers[item.id]}</Text>
+              )}
+              {showPicker && (
+                <TouchableOpacity
+                  style={[styles.categoryButton, !item.categoryChoice && styles.categoryButtonUncertain]}
+                  onPress={() => setPickerArticleId(item.id)}
+                  accessibilityLabel={`Choose category for ${item.name || item.description || 'article'}`}
+                >
+                  <Text style={styles.categoryButtonText} numberOfLines={1}>
+                    {item.categoryChoice ? '' : 'Check: '}{formatCategory(taxonomy, current.category, current.subcategory)}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </View>
           );
         }}
         contentContainerStyle={styles.grid}
@@ -145,11 +341,55 @@ export default function VerificationScreen({ route, navigation }) {
       <Button
         title={`Finish (${selectedIds.length})`}
         onPress={onFinish}
-        disabled={selectedIds.length === 0}
+        disabled={selectedIds.length === 0 || loading}
         loading={loading}
         variant="primary"
         style={styles.confirmButton}
       />
+      <Modal
+        visible={!!pickerArticle}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setPickerArticleId(null)}
+      >
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalSheet}>
+            <Text style={styles.modalTitle}>Choose Category</Text>
+            <ScrollView>
+              <View style={styles.chipRow}>
+                {taxonomy.map(cat => (
+                  <Chip
+                    key={cat.id}
+                    label={cat.label}
+                    selected={pickerChoice.category === cat.id}
+                    onPress={() => chooseCategory(cat.id)}
+                  />
+                ))}
+              </View>
+              {pickerCategory && pickerCategory.subcategories.length > 0 && (
+                <>
+                  <Text style={styles.modalLabel}>Subcategory</Text>
+                  <View style={styles.chipRow}>
+                    {pickerCategory.subcategories.map(sub => (
+                      <Chip
+                        key={sub.id}
+                        label={sub.label}
+                        selected={pickerChoice.subcategory === sub.id}
+                        onPress={() => chooseCategory(pickerCategory.id, pickerChoice.subcategory === sub.id ? null : sub.id)}
+                      />
+                    ))}
+                  </View>
+                </>
+              )}
+            </ScrollView>
+            <Button
+              title="Done"
+              onPress={() => setPickerArticleId(null)}
+              variant="primary"
+            />
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 }
@@ -180,6 +420,36 @@ function BoundingBoxOverlay({ boundingBox }) {
 }
 
 const styles = StyleSheet.create({
+  errorBox: {
+    alignItems: 'center',
+    marginBottom: 12,
+    paddingHorizontal: 20,
+  },
+  errorTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.error,
+  },
+  errorText: {
+    marginVertical: 6,
+    color: colors.error,
+    textAlign: 'center',
+  },
+  addPhotosBar: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 12,
+  },
+  addPhotosButton: {
+    marginLeft: 8,
+  },
+  photoLabel: {
+    fontSize: 12,
+    color: colors.gray700,
+    textAlign: 'center',
+    marginTop: -6,
+    marginBottom: 4,
+  },
   selectAllBar: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -236,6 +506,56 @@ const styles = StyleSheet.create({
   selectedCard: {
     borderColor: colors.primary, // Match Finish button
   },
+  categoryButton: {
+    marginHorizontal: 10,
+    marginTop: -4,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.borderMedium,
+    backgroundColor: colors.white,
+    width: 150,
+  },
+  categoryButtonUncertain: {
+    borderColor: colors.warning,
+  },
+  categoryButtonText: {
+    fontSize: 13,
+    color: colors.gray700,
+    textAlign: 'center',
+  },
+  modalBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: colors.overlayDark,
+  },
+  modalSheet: {
+    maxHeight: '70%',
+    backgroundColor: colors.white,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 36,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 12,
+    color: colors.textDark,
+  },
+  modalLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 8,
+    color: colors.gray700,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
   image: {
     width: 120,
     height: 120,
@@ -0,0 +1,308 @@
+// backupService.test.js
+// Unit tests for closet backup export/import
+// Run with: npx jest src/services/__tests__/backupService.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  buildBackupArchive,
+  validateBackup,
+  mergeClosetData,
+  collectImageUris,
+  exportCloset,
+  importCloset,
+  BACKUP_SCHEMA_VERSION
+} from '../backupService';
+import { openZipReader, decodeText } from '../zipArchive';
+import { planOutfit } from '../outfitPlanService';
+import { todayKey } from '../calendarService';
+import { GALLERY_ARTICLES_KEY, OUTFITS_KEY, WEAR_LOG_KEY, OUTFIT_PLANS_KEY, CATEGORY_TAXONOMY_KEY } from '../constants';
+
+// In-memory file system keyed by URI: strings from the legacy API, bytes from expo-file-system/next
+const mockFiles = {};
+jest.mock('expo-file-system', () => ({
+  documentDirectory: 'file:///docs/',
+  EncodingType: { Base64: 'base64' },
+  getInfoAsync: jest.fn(uri => Promise.resolve({ exists: uri in mockFiles || uri.endsWith('/') })),
+  makeDirectoryAsync: jest.fn(() => Promise.resolve()),
+  readAsStringAsync: jest.fn(uri => (uri in mockFiles
+    ? Promise.resolve(mockFiles[uri])
+    : Promise.reject(new Error(`No file at ${uri}`)))),
+  writeAsStringAsync: jest.fn((uri, contents) => {
+    mockFiles[uri] = contents;
+    return Promise.resolve();
+  }),
+  deleteAsync: jest.fn(uri => {
+    delete mockFiles[uri];
+    return Promise.resolve();
+  })
+}));
+jest.mock('expo-file-system/next', () => {
+  const toBytes = contents => (typeof contents === 'string' ? new TextEncoder().encode(contents) : contents);
+  class File {
+    constructor(uri) {
+      this.uri = uri;
+    }
+    get exists() {
+      return this.uri in mockFiles;
+    }
+    get size() {
+      return this.exists ? toBytes(mockFiles[this.uri]).length : null;
+    }
+    bytes() {
+      if (!this.exists) throw new Error(`No file at ${this.uri}`);
+      return toBytes(mockFiles[this.uri]);
+    }
+    write(contents) {
+      mockFiles[this.uri] = toBytes(contents);
+    }
+    create() {
+      mockFiles[this.uri] = new Uint8Array(0);
+    }
+    delete() {
+      delete mockFiles[this.uri];
+    }
+    open() {
+      const { uri } = this;
+      if (!this.exists) throw new Error(`No file at ${uri}`);
+      return {
+        offset: 0,
+        readBytes(length) {
+          const bytes = toBytes(mockFiles[uri]).slice(this.offset, this.offset + length);
+          this.offset += bytes.length;
+          return bytes;
+        },
+        writeBytes(bytes) {
+          const current = toBytes(mockFiles[uri]);
+          const next = new Uint8Array(Math.max(current.length, this.offset + bytes.length));
+          next.set(current);
+          next.set(bytes, this.offset);
+          mockFiles[uri] = next;
+          this.offset += bytes.length;
+        },
+        close() {}
+      };
+    }
+  }
+  return { File };
+});
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+const readStore = async key => JSON.parse(await AsyncStorage.getItem(key));
+
+describe('backupService', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Object.keys(mockFiles).forEach(key => delete mockFiles[key]);
+    await AsyncStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateBackup', () => {
+    const valid = buildBackupArchive({ articles: [], outfits: [] });
+
+    it('should accept archives built by this version', () => {
+      expect(validateBackup(valid).schemaVersion).toBe(BACKUP_SCHEMA_VERSION);
+    });
+
+    it('should reject files that are not backups', () => {
+      expect(() => validateBackup({ foo: 1 })).toThrow('This file is not a Digital Closet backup.');
+      expect(() => validateBackup(null)).toThrow('This file is not a Digital Closet backup.');
+    });
+
+    it('should reject newer schema versions', () => {
+      const future = { ...valid, manifest: { ...valid.manifest, schemaVersion: BACKUP_SCHEMA_VERSION + 1 } };
+      expect(() => validateBackup(future)).toThrow(`Backup schema version ${BACKUP_SCHEMA_VERSION + 1} is newer`);
+    });
+
+    it('should reject archives without closet data', () => {
+      expect(() => validateBackup({ manifest: valid.manifest })).toThrow('Backup is missing closet data.');
+    });
+  });
+
+  describe('collectImageUris', () => {
+    it('should collect distinct local file URIs only', () => {
+      const uris = collectImageUris([
+        { localImageUri: 'file:///docs/images/a.jpg', imageUrl: 'https://example.com/a.jpg' },
+        { croppedImageUri: 'file:///docs/images/a.jpg', imageUri: 'data:image/png;base64,AAA' }
+      ]);
+      expect(uris).toEqual(['file:///docs/images/a.jpg']);
+    });
+  });
+
+  describe('mergeClosetData', () => {
+    it('should remap conflicting ids and follow references', () => {
+      const current = {
+        articles: [{ id: 'a' }],
+        outfits: [{ id: 'o1', articleIds: ['a'] }],
+        wearLog: [{ id: 'e1', outfitId: 'o1', articleIds: ['a'] }],
+        outfitPlans: []
+      };
+      const incoming = {
+        articles: [{ id: 'a' }, { id: 'b' }],
+        outfits: [{ id: 'o1', articleIds: ['a', 'b'] }],
+        wearLog: [{ id: 'e1', outfitId: 'o1', articleIds: ['a', 'b'] }],
+        outfitPlans: [{ id: 'p1', outfitId: 'o1', wornEventId: 'e1' }]
+      };
+
+      const { data, remappedCount } = mergeClosetData(current, incoming);
+
+      expect(remappedCount).toBe(3);
+      expect(data.articles).toHaveLength(3);
+      const newArticleId = data.articles[1].id;
+      expect(newArticleId).not.toBe('a');
+      expect(data.articles[2].id).toBe('b');
+
+      const importedOutfit = data.outfits[1];
+      expect(importedOutfit.id).not.toBe('o1');
+      expect(importedOutfit.articleIds).toEqual([newArticleId, 'b']);
+
+      const importedEvent = data.wearLog[1];
+      expect(importedEvent.outfitId).toBe(importedOutfit.id);
+      expect(importedEvent.articleIds).toEqual([newArticleId, 'b']);
+
+      expect(data.outfitPlans[0]).toEqual({ id: 'p1', outfitId: importedOutfit.id, wornEventId: importedEvent.id });
+    });
+  });
+
+  describe('export and import', () => {
+    const article = { id: 'a', category: 'tops', localImageUri: 'file:///docs/images/a.jpg', wearCount: 1 };
+
+    beforeEach(async () => {
+      mockFiles['file:///docs/images/a.jpg'] = 'BASE64DATA';
+      await AsyncStorage.multiSet([
+        [GALLERY_ARTICLES_KEY, JSON.stringify([article])],
+        [OUTFITS_KEY, JSON.stringify([{ id: 'o1', name: 'Work', articleIds: ['a'] }])],
+        [WEAR_LOG_KEY, JSON.stringify([{ id: 'e1', outfitId: 'o1', articleIds: ['a'], wornAt: '2025-01-01T12:00:00.000Z' }])]
+      ]);
+    });
+
+    it('should export data and images into one zip archive, each image as its own entry', async () => {
+      const { uri, manifest, missingImages } = await exportCloset();
+
+      expect(uri).toMatch(/^file:\/\/\/docs\/backups\/digital-closet-.*\.zip$/);
+      expect(missingImages).toBe(0);
+      expect(manifest.counts).toEqual({ articles: 1, outfits: 1, wearEvents: 1, plans: 0, images: 1 });
+      expect(manifest.images).toEqual([{ path: 'images/a.jpg', sourceUri: 'file:///docs/images/a.jpg' }]);
+      const zip = openZipReader(uri);
+      expect(zip.paths).toEqual(['images/a.jpg', 'closet.json', 'manifest.json']);
+      expect(decodeText(zip.read('images/a.jpg'))).toBe('BASE64DATA');
+      expect(JSON.parse(decodeText(zip.read('closet.json'))).articles).toEqual([article]);
+      zip.close();
+    });
+
+    it('should skip images that cannot be read', async () => {
+      delete mockFiles['file:///docs/images/a.jpg'];
+
+      const { manifest, missingImages } = await exportCloset();
+
+      expect(missingImages).toBe(1);
+      expect(manifest.images).toEqual([]);
+    });
+
+    it('should replace the closet and restore images to new files', async () => {
+      const { uri } = await exportCloset();
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([{ id: 'z' }]));
+
+      const result = await importCloset(uri, { mode: 'replace' });
+
+      expect(result.imported.images).toBe(1);
+      const articles = await readStore(GALLERY_ARTICLES_KEY);
+      expect(articles.map(a => a.id)).toEqual(['a']);
+      expect(articles[0].localImageUri).not.toBe(article.localImageUri);
+      expect(decodeText(mockFiles[articles[0].localImageUri])).toBe('BASE64DATA');
+      expect(await readStore(OUTFIT_PLANS_KEY)).toEqual([]);
+    });
+
+    it('should import schema version 1 backups', async () => {
+      const legacy = {
+        manifest: { format: 'digital-closet-backup', schemaVersion: 1, createdAt: '2025-01-01T00:00:00.000Z' },
+        data: { articles: [article], outfits: [], wearLog: [], outfitPlans: [] },
+        images: [{ path: 'images/a.jpg', sourceUri: article.localImageUri, base64: 'OLDBASE64' }]
+      };
+      mockFiles['file:///backup-v1.json'] = JSON.stringify(legacy);
+
+      const result = await importCloset('file:///backup-v1.json', { mode: 'replace' });
+
+      expect(result.imported.images).toBe(1);
+      const [restored] = await readStore(GALLERY_ARTICLES_KEY);
+      expect(mockFiles[restored.localImageUri]).toBe('OLDBASE64');
+    });
+
+    it('should merge a backup alongside existing data', async () => {
+      const { uri } = await exportCloset();
+
+      const result = await importCloset(uri);
+
+      expect(result.mode).toBe('merge');
+      expect(result.remappedCount).toBe(3);
+      expect(await readStore(GALLERY_ARTICLES_KEY)).toHaveLength(2);
+      expect(await readStore(OUTFITS_KEY)).toHaveLength(2);
+      expect(await readStore(WEAR_LOG_KEY)).toHaveLength(2);
+    });
+
+    it('should merge plans and keep a plan made while importing', async () => {
+      await planOutfit('o1', todayKey());
+      const { uri } = await exportCloset();
+
+      const [, added] = await Promise.all([importCloset(uri), planOutfit('o1', todayKey())]);
+
+      const plans = await readStore(OUTFIT_PLANS_KEY);
+      expect(plans).toHaveLength(3);
+      expect(plans.map(p => p.id)).toContain(added.id);
+      expect(new Set(plans.map(p => p.id)).size).toBe(3);
+    });
+
+    it('should drop references the backup cannot resolve', async () => {
+      const archive = buildBackupArchive({
+        articles: [article],
+        outfits: [{ id: 'o1', name: 'Work', articleIds: ['a', 'lost'] }],
+        outfitPlans: [{ id: 'p1', outfitId: 'o1', date: '2025-01-01' }, { id: 'p2', outfitId: 'gone', date: '2025-01-02' }]
+      });
+      mockFiles['file:///partial.json'] = JSON.stringify({ ...archive, images: [] });
+
+      await importCloset('file:///partial.json', { mode: 'replace' });
+
+      expect((await readStore(OUTFITS_KEY))[0].articleIds).toEqual(['a']);
+      expect((await readStore(OUTFIT_PLANS_KEY)).map(p => p.id)).toEqual(['p1']);
+    });
+
+    it('should change nothing and delete restored images when the closet cannot be saved', async () => {
+      await planOutfit('o1', todayKey());
+      await AsyncStorage.setItem(CATEGORY_TAXONOMY_KEY, JSON.stringify({ categories: [], subcategories: { tops: ['Polo'] } }));
+      const { uri } = await exportCloset();
+      const archiveFiles = Object.keys(mockFiles);
+      const before = await AsyncStorage.multiGet([GALLERY_ARTICLES_KEY, OUTFITS_KEY, WEAR_LOG_KEY, OUTFIT_PLANS_KEY]);
+      await AsyncStorage.setItem(CATEGORY_TAXONOMY_KEY, JSON.stringify({ categories: [], subcategories: {} }));
+
+      AsyncStorage.setItem.mockRejectedValueOnce(new Error('Storage full'));
+      await expect(importCloset(uri, { mode: 'replace' })).rejects.toThrow('Storage full');
+
+      expect(await AsyncStorage.multiGet([GALLERY_ARTICLES_KEY, OUTFITS_KEY, WEAR_LOG_KEY, OUTFIT_PLANS_KEY])).toEqual(before);
+      expect(await readStore(CATEGORY_TAXONOMY_KEY)).toEqual({ categories: [], subcategories: {} });
+      expect(Object.keys(mockFiles)).toEqual(archiveFiles);
+    });
+
+    it('should reject backups with articles the article model rejects', async () => {
+      const archive = buildBackupArchive({ articles: [article, { id: 'b', category: 'tops', confidence: 5 }] });
+      mockFiles['file:///invalid.json'] = JSON.stringify({ ...archive, images: [] });
+
+      await expect(importCloset('file:///invalid.json', { mode: 'replace' }))
+        .rejects.toThrow('Backup has invalid articles. Article b: confidence must be a number from 0 to 1.');
+      expect((await readStore(GALLERY_ARTICLES_KEY)).map(a => a.id)).toEqual(['a']);
+    });
+
+    it('should reject unreadable or invalid files', async () => {
+      await expect(importCloset('file:///missing.json')).rejects.toThrow('Could not read the backup file.');
+      mockFiles['file:///bad.json'] = JSON.stringify({ hello: 'world' });
+      await expect(importCloset('file:///bad.json')).rejects.toThrow('This file is not a Digital Closet backup.');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+// calendarService.test.js
+// Unit tests for calendar date helpers and day grouping
+// Run with: npx jest src/services/__tests__/calendarService.test.js
+
+import {
+  toDateKey,
+  addDays,
+  getWeekDays,
+  getMonthGrid,
+  buildCalendarEntries
+} from '../calendarService';
+
+describe('calendarService', () => {
+  describe('date helpers', () => {
+    it('should key dates by local calendar day', () => {
+      expect(toDateKey(new Date(2025, 0, 5, 23, 30))).toBe('2025-01-05');
+    });
+
+    it('should add days across month and year boundaries', () => {
+      expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+      expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+    });
+
+    it('should build a Sunday-first week', () => {
+      // 2025-03-05 is a Wednesday
+      expect(getWeekDays('2025-03-05')).toEqual([
+        '2025-03-02', '2025-03-03', '2025-03-04', '2025-03-05',
+        '2025-03-06', '2025-03-07', '2025-03-08'
+      ]);
+    });
+
+    it('should build a month grid of full weeks', () => {
+      // March 2025 starts on a Saturday and ends on a Monday
+      const weeks = getMonthGrid(2025, 2);
+
+      expect(weeks).toHaveLength(6);
+      weeks.forEach(week => expect(week).toHaveLength(7));
+      expect(weeks[0][0]).toEqual({ dateKey: '2025-02-23', inMonth: false });
+      expect(weeks[0][6]).toEqual({ dateKey: '2025-03-01', inMonth: true });
+      expect(weeks[5][1]).toEqual({ dateKey: '2025-03-31', inMonth: true });
+    });
+  });
+
+  describe('buildCalendarEntries', () => {
+    const outfits = [{ id: 'o1', name: 'Work' }, { id: 'o2', name: 'Weekend' }];
+
+    it('should group wears and plans by day', () => {
+      const events = [
+        { id: 'e1', outfitId: 'o1', articleIds: ['a'], wornAt: new Date(2025, 2, 4, 12).toISOString() },
+        { id: 'e2', outfitId: null, articleIds: ['b'], wornAt: new Date(2025, 2, 4, 18).toISOString() },
+        { id: 'e3', outfitId: null, articleIds: ['c'], wornAt: null }
+      ];
+      const plans = [{ id: 'p1', outfitId: 'o2', date: '2025-03-06', wornEventId: null }];
+
+      const entries = buildCalendarEntries(events, plans, outfits);
+
+      expect(Object.keys(entries).sort()).toEqual(['2025-03-04', '2025-03-06']);
+      expect(entries['2025-03-04'].worn.map(w => w.outfit && w.outfit.name)).toEqual(['Work', null]);
+      expect(entries['2025-03-06'].planned[0].outfit.name).toBe('Weekend');
+    });
+
+    it('should hide worn plans and plans for deleted outfits', () => {
+      const events = [{ id: 'e1', outfitId: 'o1', articleIds: ['a'], wornAt: new Date(2025, 2, 4, 12).toISOString() }];
+      const plans = [
+        { id: 'p1', outfitId: 'o1', date: '2025-03-04', wornEventId: 'e1' },
+        { id: 'p2', outfitId: 'gone', date: '2025-03-05', wornEventId: null },
+        { id: 'p3', outfitId: 'o2', date: '2025-03-06', wornEventId: 'undone' }
+      ];
+
+      const entries = buildCalendarEntries(events, plans, outfits);
+
+      expect(entries['2025-03-04'].planned).toEqual([]);
+      expect(entries['2025-03-05']).toBeUndefined();
+      expect(entries['2025-03-06'].planned.map(p => p.plan.id)).toEqual(['p3']);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+// categoryNormalizationService.test.js
+// Unit tests for provider-aware category normalization
+// Run with: npx jest src/services/__tests__/categoryNormalizationService.test.js
+
+import {
+  normalizeCategory,
+  normalizeArticleCategory,
+  isUncertainCategory,
+  GARMENT_VISION_CATEGORY_TABLE,
+  CLARIFAI_CATEGORY_TABLE,
+  CATEGORY_CONFIDENCE_THRESHOLD
+} from '../categoryNormalizationService';
+import { buildTaxonomy } from '../categoryService';
+
+describe('categoryNormalizationService', () => {
+  describe('normalizeCategory', () => {
+    it('should map every GarmentVision category with full confidence', () => {
+      const mapped = Object.keys(GARMENT_VISION_CATEGORY_TABLE).map(label =>
+        normalizeCategory(label, { table: GARMENT_VISION_CATEGORY_TABLE }));
+
+      expect(mapped.map(r => r.category)).toEqual([
+        'outerwear', 'tops', 'bottoms', 'bottoms', 'dresses', 'shoes', 'accessories'
+      ]);
+      expect(mapped.every(r => r.confidence === 1 && r.matchedBy === 'provider')).toBe(true);
+      expect(normalizeCategory('Skirt', { table: GARMENT_VISION_CATEGORY_TABLE }).subcategory).toBe('skirts');
+    });
+
+    it('should report low confidence for generic provider labels', () => {
+      const result = normalizeCategory('Clothing', { table: CLARIFAI_CATEGORY_TABLE });
+
+      expect(result).toEqual({ category: 'tops', subcategory: null, confidence: 0.4, matchedBy: 'provider' });
+      expect(isUncertainCategory(result)).toBe(true);
+    });
+
+    it('should fall through to the taxonomy when the provider table has no entry', () => {
+      expect(normalizeCategory('Sweater', { table: CLARIFAI_CATEGORY_TABLE })).toEqual({
+        category: 'tops', subcategory: 'knitwear', confidence: 0.9, matchedBy: 'taxonomy'
+      });
+    });
+
+    it('should ignore table entries for categories missing from the taxonomy', () => {
+      const taxonomy = buildTaxonomy().filter(c => c.id !== 'dresses');
+      const result = normalizeCategory('dress', { table: GARMENT_VISION_CATEGORY_TABLE, taxonomy });
+
+      expect(result.matchedBy).toBe('none');
+      expect(result.category).toBe('other');
+    });
+
+    it('should match singular and plural variants', () => {
+      expect(normalizeCategory('Blazer')).toEqual(expect.objectContaining({ category: 'outerwear', matchedBy: 'taxonomy' }));
+      expect(normalizeCategory('dungarees')).toEqual(expect.objectContaining({ category: 'other' }));
+      expect(normalizeCategory('gowns')).toEqual({ category: 'dresses', subcategory: null, confidence: 0.8, matchedBy: 'stem' });
+    });
+
+    it('should match words inside longer labels, preferring the last word', () => {
+      expect(normalizeCategory("women's slim-fit navy blazer")).toEqual({
+        category: 'outerwear', subcategory: 'blazers', confidence: 0.7, matchedBy: 'token'
+      });
+      expect(normalizeCategory('shirt dress').category).toBe('dresses');
+    });
+
+    it('should match small misspellings with reduced confidence', () => {
+      const result = normalizeCategory('sweter');
+
+      expect(result).toEqual(expect.objectContaining({ category: 'tops', subcategory: 'knitwear', matchedBy: 'fuzzy' }));
+      expect(result.confidence).toBeLessThan(CATEGORY_CONFIDENCE_THRESHOLD);
+    });
+
+    it('should return other with zero confidence when nothing matches', () => {
+      expect(normalizeCategory('spaceship')).toEqual({ category: 'other', subcategory: null, confidence: 0, matchedBy: 'none' });
+      expect(normalizeCategory(null).matchedBy).toBe('none');
+    });
+  });
+
+  describe('normalizeArticleCategory', () => {
+    const clarifai = { labelKey: 'name', categoryTable: CLARIFAI_CATEGORY_TABLE };
+
+    it('should use the provider label when it is confident', () => {
+      const result = normalizeArticleCategory({ name: 'Footwear', description: 'denim jacket' }, clarifai);
+
+      expect(result.category).toBe('shoes');
+    });
+
+    it('should fall back to the description when the label is uncertain', () => {
+      const result = normalizeArticleCategory({ name: 'Clothing', description: 'Red knit cardigan' }, clarifai);
+
+      expect(result).toEqual(expect.objectContaining({ category: 'tops', subcategory: 'knitwear', matchedBy: 'token' }));
+    });
+  });
+});
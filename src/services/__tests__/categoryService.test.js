@@ -0,0 +1,203 @@
+// categoryService.test.js
+// Unit tests for the category taxonomy
+// Run with: npx jest src/services/__tests__/categoryService.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  DEFAULT_TAXONOMY,
+  buildTaxonomy,
+  getTaxonomy,
+  getCategoryIds,
+  isValidCategory,
+  mapLabelToTaxonomy,
+  formatCategory,
+  sortArticlesByTaxonomy,
+  slugifyCategory,
+  addCategory,
+  addSubcategory,
+  removeCategory,
+  removeSubcategory,
+  mergeCustomTaxonomy,
+  resolveBuiltInCategory
+} from '../categoryService';
+import { mapClarifaiLabelToCategory } from '../clarifaiCategoryMapper';
+import { CATEGORY_TAXONOMY_KEY } from '../constants';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+describe('categoryService', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  describe('built-in taxonomy', () => {
+    it('should include dresses, accessories and bags alongside the original categories', () => {
+      expect(getCategoryIds()).toEqual(['outerwear', 'tops', 'bottoms', 'dresses', 'shoes', 'accessories', 'bags']);
+      expect(buildTaxonomy().every(category => category.builtIn)).toBe(true);
+    });
+
+    it('should return the built-in taxonomy when nothing is stored', async () => {
+      expect(getCategoryIds(await getTaxonomy())).toEqual(DEFAULT_TAXONOMY.map(c => c.id));
+    });
+  });
+
+  describe('mapLabelToTaxonomy', () => {
+    it('should map detector labels to categories and subcategories', () => {
+      expect(mapLabelToTaxonomy('Sweater')).toEqual({ category: 'tops', subcategory: 'knitwear' });
+      expect(mapLabelToTaxonomy('footwear')).toEqual({ category: 'shoes', subcategory: null });
+      expect(mapLabelToTaxonomy(' Dress ')).toEqual({ category: 'dresses', subcategory: null });
+      expect(mapLabelToTaxonomy('handbag')).toEqual({ category: 'bags', subcategory: null });
+      expect(mapLabelToTaxonomy('Fashion accessory')).toEqual({ category: 'accessories', subcategory: null });
+    });
+
+    it('should fall back to other for unknown or missing labels', () => {
+      expect(mapLabelToTaxonomy('spaceship')).toEqual({ category: 'other', subcategory: null });
+      expect(mapLabelToTaxonomy(undefined)).toEqual({ category: 'other', subcategory: null });
+    });
+
+    it('should pick up labels from user-added categories', () => {
+      const taxonomy = buildTaxonomy({
+        categories: [{ id: 'swimwear', label: 'Swimwear', labels: ['Bikini', 'swimsuit'] }]
+      });
+      expect(mapLabelToTaxonomy('bikini', taxonomy)).toEqual({ category: 'swimwear', subcategory: null });
+      expect(mapClarifaiLabelToCategory('Swimsuit', taxonomy)).toBe('swimwear');
+    });
+
+    it('should keep the Clarifai mapper working with the built-in taxonomy', () => {
+      expect(mapClarifaiLabelToCategory('Jacket')).toBe('outerwear');
+      expect(mapClarifaiLabelToCategory('jeans')).toBe('bottoms');
+      expect(mapClarifaiLabelToCategory('')).toBe('other');
+    });
+  });
+
+  describe('helpers', () => {
+    const taxonomy = buildTaxonomy();
+
+    it('should validate categories and subcategories', () => {
+      expect(isValidCategory(taxonomy, 'tops')).toBe(true);
+      expect(isValidCategory(taxonomy, 'tops', 'knitwear')).toBe(true);
+      expect(isValidCategory(taxonomy, 'tops', 'jeans')).toBe(false);
+      expect(isValidCategory(taxonomy, 'hats')).toBe(false);
+    });
+
+    it('should format category paths', () => {
+      expect(formatCategory(taxonomy, 'tops', 'knitwear')).toBe('Tops > Knitwear');
+      expect(formatCategory(taxonomy, 'dresses')).toBe('Dresses');
+      expect(formatCategory(taxonomy, 'mystery')).toBe('Other');
+    });
+
+    it('should sort articles by taxonomy order with unknown categories last', () => {
+      const sorted = sortArticlesByTaxonomy([
+        { id: '1', category: 'shoes' },
+        { id: '2', category: 'mystery' },
+        { id: '3', category: 'outerwear' },
+        { id: '4', category: 'tops' }
+      ], taxonomy);
+      expect(sorted.map(a => a.id)).toEqual(['3', '4', '1', '2']);
+    });
+
+    it('should resolve categories to the built-in category they belong to', () => {
+      const custom = buildTaxonomy({
+        categories: [
+          { id: 'rain-jackets', label: 'Rain Jackets', labels: [] },
+          { id: 'gym-wear', label: 'Gym wear', labels: ['hoodie'] },
+          { id: 'swimwear', label: 'Swimwear', labels: ['bikini'] }
+        ]
+      });
+
+      expect(resolveBuiltInCategory(custom, 'tops')).toBe('tops');
+      expect(resolveBuiltInCategory(custom, 'rain-jackets')).toBe('outerwear');
+      expect(resolveBuiltInCategory(custom, 'gym-wear')).toBe('tops');
+      expect(resolveBuiltInCategory(custom, 'swimwear')).toBeNull();
+      expect(resolveBuiltInCategory(custom, 'mystery')).toBeNull();
+    });
+
+    it('should slugify labels into ids', () => {
+      expect(slugifyCategory('  Work Wear! ')).toBe('work-wear');
+    });
+  });
+
+  describe('user-defined categories', () => {
+    it('should add a category after the built-ins and persist only the addition', async () => {
+      const added = await addCategory('Swimwear', { labels: ['Bikini'] });
+
+      expect(added).toEqual({ id: 'swimwear', label: 'Swimwear', labels: ['bikini'], builtIn: false, subcategories: [] });
+      expect(getCategoryIds(await getTaxonomy()).slice(-1)).toEqual(['swimwear']);
+      const stored = JSON.parse(await AsyncStorage.getItem(CATEGORY_TAXONOMY_KEY));
+      expect(stored.categories).toEqual([{ id: 'swimwear', label: 'Swimwear', labels: ['bikini'] }]);
+    });
+
+    it('should reject empty, reserved and duplicate category names', async () => {
+      await expect(addCategory('   ')).rejects.toThrow('Category name cannot be empty.');
+      await expect(addCategory('Other')).rejects.toThrow('cannot be used as a category name');
+      await expect(addCategory('TOPS')).rejects.toThrow('Category "TOPS" already exists.');
+      await expect(addCategory('x'.repeat(31))).rejects.toThrow('at most 30 characters');
+    });
+
+    it('should add subcategories to built-in and custom categories', async () => {
+      await addSubcategory('tops', 'Linen Shirts');
+      await addCategory('Swimwear');
+      await addSubcategory('swimwear', 'Trunks');
+
+      const taxonomy = await getTaxonomy();
+      expect(isValidCategory(taxonomy, 'tops', 'linen-shirts')).toBe(true);
+      expect(isValidCategory(taxonomy, 'swimwear', 'trunks')).toBe(true);
+      expect(formatCategory(taxonomy, 'tops', 'linen-shirts')).toBe('Tops > Linen Shirts');
+    });
+
+    it('should reject subcategories for unknown parents or with taken names', async () => {
+      await expect(addSubcategory('hats', 'Caps')).rejects.toThrow('Category hats not found.');
+      await expect(addSubcategory('tops', 'Knitwear')).rejects.toThrow('Subcategory "Knitwear" already exists.');
+    });
+
+    it('should remove custom categories with their subcategories', async () => {
+      await addCategory('Swimwear');
+      await addSubcategory('swimwear', 'Trunks');
+
+      await removeCategory('swimwear');
+
+      expect(getCategoryIds(await getTaxonomy())).not.toContain('swimwear');
+      const stored = JSON.parse(await AsyncStorage.getItem(CATEGORY_TAXONOMY_KEY));
+      expect(stored.subcategories).toEqual({});
+    });
+
+    it('should remove custom subcategories but protect built-ins', async () => {
+      await addSubcategory('tops', 'Linen Shirts');
+
+      await removeSubcategory('tops', 'linen-shirts');
+
+      expect(isValidCategory(await getTaxonomy(), 'tops', 'linen-shirts')).toBe(false);
+      await expect(removeSubcategory('tops', 'knitwear')).rejects.toThrow('Built-in subcategories cannot be removed.');
+      await expect(removeCategory('tops')).rejects.toThrow('Built-in categories cannot be removed.');
+      await expect(removeCategory('nope')).rejects.toThrow('Category nope not found.');
+    });
+  });
+
+  describe('mergeCustomTaxonomy', () => {
+    it('should add new entries and keep current ones on collisions', () => {
+      const current = {
+        categories: [{ id: 'swimwear', label: 'Swimwear', labels: [] }],
+        subcategories: { tops: [{ id: 'linen', label: 'Linen', labels: [] }] }
+      };
+      const incoming = {
+        categories: [
+          { id: 'swimwear', label: 'Swim', labels: ['bikini'] },
+          { id: 'tops', label: 'Tops again', labels: [] },
+          { id: 'sleepwear', label: 'Sleepwear', labels: [] }
+        ],
+        subcategories: {
+          tops: [{ id: 'linen', label: 'Linen 2', labels: [] }, { id: 'knitwear', label: 'Knits', labels: [] }, { id: 'silk', label: 'Silk', labels: [] }]
+        }
+      };
+
+      const merged = mergeCustomTaxonomy(current, incoming);
+
+      expect(merged.categories.map(c => c.label)).toEqual(['Swimwear', 'Sleepwear']);
+      expect(merged.subcategories.tops.map(s => s.label)).toEqual(['Linen', 'Silk']);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+// closetDatabase.test.js
+// Unit tests for the SQLite closet backend, against a fake database that records the SQL it is given
+// Run with: npx jest src/services/__tests__/closetDatabase.test.js
+
+import {
+  createSqliteClosetRepository,
+  initializeClosetSchema,
+  CLOSET_DATABASE_VERSION
+} from '../closetDatabase';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+// Fake expo-sqlite database: answers reads from `rows` by table (filtered on "WHERE <column> IN") and records every
+// statement
+function fakeDatabase({ userVersion = CLOSET_DATABASE_VERSION, rows = {} } = {}) {
+  const db = {
+    statements: [],
+    inTransaction: false,
+    execAsync: jest.fn(async sql => {
+      db.statements.push({ sql, params: [], inTransaction: db.inTransaction });
+    }),
+    runAsync: jest.fn(async (sql, params = []) => {
+      db.statements.push({ sql, params, inTransaction: db.inTransaction });
+      return { changes: 1, lastInsertRowId: 0 };
+    }),
+    getFirstAsync: jest.fn(async () => ({ user_version: userVersion })),
+    getAllAsync: jest.fn(async (sql, params = []) => {
+      const table = sql.match(/FROM (\w+)/)[1];
+      const filter = sql.match(/WHERE (\w+) IN/);
+      return (rows[table] || []).filter(row => !filter || params.includes(row[filter[1]]));
+    }),
+    withExclusiveTransactionAsync: jest.fn(async fn => {
+      db.inTransaction = true;
+      try {
+        await fn(db);
+      } finally {
+        db.inTransaction = false;
+      }
+    }),
+  };
+  return db;
+}
+
+const writes = db => db.statements.filter(s => /^(INSERT|DELETE|UPDATE)/.test(s.sql));
+
+describe('closetDatabase', () => {
+  describe('initializeClosetSchema', () => {
+    it('should create the tables on a new database and record the version', async () => {
+      const db = fakeDatabase({ userVersion: 0 });
+
+      await expect(initializeClosetSchema(db)).resolves.toBe(CLOSET_DATABASE_VERSION);
+
+      const ddl = db.statements.map(s => s.sql).join('\n');
+      ['articles', 'outfits', 'outfit_articles', 'wear_events'].forEach(table => {
+        expect(ddl).toContain(`CREATE TABLE IF NOT EXISTS ${table} (`);
+      });
+      expect(ddl).toContain('CREATE INDEX IF NOT EXISTS idx_outfit_articles_article ON outfit_articles (article_id)');
+      expect(db.statements[db.statements.length - 1]).toEqual(expect.objectContaining({
+        sql: `PRAGMA user_version = ${CLOSET_DATABASE_VERSION}`,
+        inTransaction: true
+      }));
+    });
+
+    it('should leave an up-to-date database alone', async () => {
+      const db = fakeDatabase();
+
+      await initializeClosetSchema(db);
+
+      expect(db.withExclusiveTransactionAsync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('repository', () => {
+    it('should read rows in order and put outfit articles back on their outfits', async () => {
+      const db = fakeDatabase({
+        rows: {
+          articles: [{ data: JSON.stringify({ id: 'a', category: 'top' }) }],
+          outfits: [{ data: JSON.stringify({ id: 'o1', name: 'Work' }) }, { data: JSON.stringify({ id: 'o2', name: 'Empty' }) }],
+          outfit_articles: [
+            { outfit_id: 'o1', article_id: 'b' },
+            { outfit_id: 'o1', article_id: 'a' }
+          ]
+        }
+      });
+      const repository = await createSqliteClosetRepository(db);
+
+      expect(await repository.getArticles()).toEqual([{ id: 'a', category: 'top' }]);
+      expect(await repository.getOutfits()).toEqual([
+        { id: 'o1', name: 'Work', articleIds: ['b', 'a'] },
+        { id: 'o2', name: 'Empty', articleIds: [] }
+      ]);
+      expect(db.getAllAsync.mock.calls[0][0]).toBe('SELECT data FROM articles ORDER BY position');
+      expect(await repository.hasWearLog()).toBe(true);
+    });
+
+    it('should upsert only the changed rows, in one exclusive transaction', async () => {
+      const db = fakeDatabase();
+      const repository = await createSqliteClosetRepository(db);
+      const article = { id: 'a', category: 'top', status: 'active', wearCount: 3, lastWorn: '2025-01-01T12:00:00.000Z' };
+
+      await repository.transaction(async tx => {
+        await tx.putArticles([article]);
+        await tx.deleteWearEvents(['e1', 'e2']);
+      });
+
+      expect(db.withExclusiveTransactionAsync).toHaveBeenCalledTimes(1);
+      const [upsert, remove] = writes(db);
+      expect(upsert.inTransaction).toBe(true);
+      expect(upsert.sql).toMatch(/^INSERT INTO articles \(id, position, category, status, wear_count, last_worn, added_at, data\)/);
+      expect(upsert.sql).toContain('(SELECT COALESCE(MAX(position) + 1, 0) FROM articles)');
+      expect(upsert.sql).toContain('ON CONFLICT (id) DO UPDATE SET category = excluded.category');
+      expect(upsert.sql).not.toContain('position = excluded.position');
+      expect(upsert.params).toEqual(['a', 'top', 'active', 3, '2025-01-01T12:00:00.000Z', null, JSON.stringify(article)]);
+      expect(remove).toEqual(expect.objectContaining({ sql: 'DELETE FROM wear_events WHERE id IN (?, ?)', params: ['e1', 'e2'] }));
+    });
+
+    it('should store outfit articles in their own table and prepend in the given order', async () => {
+      const db = fakeDatabase();
+      const repository = await createSqliteClosetRepository(db);
+
+      await repository.putOutfits([
+        { id: 'o1', name: 'Work', articleIds: ['a', 'b'] },
+        { id: 'o2', name: 'Gym', articleIds: [] }
+      ], { prepend: true });
+
+      const statements = writes(db).map(s => [s.sql.split(' (')[0], s.params[0], s.params[1]]);
+      // o2 goes in first so that o1 ends up in front of it
+      expect(statements).toEqual([
+        ['INSERT INTO outfits', 'o2', 'Gym'],
+        ['DELETE FROM outfit_articles WHERE outfit_id = ?', 'o2', undefined],
+        ['INSERT INTO outfits', 'o1', 'Work'],
+        ['DELETE FROM outfit_articles WHERE outfit_id = ?', 'o1', undefined],
+        ['INSERT INTO outfit_articles', 'o1', 'a'],
+        ['INSERT INTO outfit_articles', 'o1', 'b']
+      ]);
+      expect(writes(db)[0].sql).toContain('(SELECT COALESCE(MIN(position) - 1, 0) FROM outfits)');
+      expect(JSON.parse(writes(db)[2].params[5])).toEqual({ id: 'o1', name: 'Work' });
+    });
+
+    it('should replace a whole collection and delete outfit links with their outfits', async () => {
+      const db = fakeDatabase();
+      const repository = await createSqliteClosetRepository(db);
+
+      await repository.transaction(async tx => {
+        await tx.replaceWearEvents([{ id: 'e1', outfitId: null, articleIds: ['a'], wornAt: null }]);
+        await tx.deleteOutfits(['o1']);
+      });
+
+      expect(writes(db).map(s => s.sql.split(' (')[0])).toEqual([
+        'DELETE FROM wear_events',
+        'INSERT INTO wear_events',
+        'DELETE FROM outfits WHERE id IN',
+        'DELETE FROM outfit_articles WHERE outfit_id IN'
+      ]);
+    });
+
+    it('should find rows by id and outfits by article through the indexes', async () => {
+      const db = fakeDatabase({
+        rows: {
+          articles: [{ id: 'a', data: JSON.stringify({ id: 'a', category: 'top' }) }],
+          outfits: [
+            { id: 'o1', data: JSON.stringify({ id: 'o1', name: 'Work' }) },
+            { id: 'o2', data: JSON.stringify({ id: 'o2', name: 'Gym' }) }
+          ],
+          outfit_articles: [
+            { outfit_id: 'o1', article_id: 'a' },
+            { outfit_id: 'o2', article_id: 'b' },
+            { outfit_id: 'o2', article_id: 'a' }
+          ]
+        }
+      });
+      const repository = await createSqliteClosetRepository(db);
+
+      expect(await repository.getArticlesById(['a', 'missing'])).toEqual([{ id: 'a', category: 'top' }]);
+      expect(await repository.getOutfitsWithArticles(['b'])).toEqual([{ id: 'o2', name: 'Gym', articleIds: ['b', 'a'] }]);
+
+      expect(db.getAllAsync.mock.calls).toEqual([
+        ['SELECT data FROM articles WHERE id IN (?, ?) ORDER BY position', ['a', 'missing']],
+        ['SELECT DISTINCT outfit_id FROM outfit_articles WHERE article_id IN (?)', ['b']],
+        ['SELECT data FROM outfits WHERE id IN (?) ORDER BY position', ['o2']],
+        ['SELECT outfit_id, article_id FROM outfit_articles WHERE outfit_id IN (?) ORDER BY outfit_id, position', ['o2']]
+      ]);
+    });
+
+    it('should update existing rows in place by id', async () => {
+      const db = fakeDatabase();
+      const repository = await createSqliteClosetRepository(db);
+      const article = { id: 'a', category: 'top', wearCount: 4 };
+
+      await repository.updateArticles([article]);
+      await repository.updateOutfits([{ id: 'o1', name: 'Work', articleIds: ['a'] }]);
+
+      expect(writes(db).map(s => [s.sql, s.params])).toEqual([
+        [
+          'UPDATE articles SET category = ?, status = ?, wear_count = ?, last_worn = ?, added_at = ?, data = ? WHERE id = ?',
+          ['top', null, 4, null, null, JSON.stringify(article), 'a']
+        ],
+        [
+          'UPDATE outfits SET name = ?, wear_count = ?, last_worn = ?, created_at = ?, data = ? WHERE id = ?',
+          ['Work', 0, null, null, JSON.stringify({ id: 'o1', name: 'Work' }), 'o1']
+        ],
+        ['DELETE FROM outfit_articles WHERE outfit_id = ?', ['o1']],
+        ['INSERT INTO outfit_articles (outfit_id, article_id, position) VALUES (?, ?, ?)', ['o1', 'a', 0]]
+      ]);
+    });
+
+    it('should not write anything when the transaction fails', async () => {
+      const db = fakeDatabase();
+      const repository = await createSqliteClosetRepository(db);
+
+      await expect(repository.transaction(async tx => {
+        await tx.putArticles([{ id: 'a' }]);
+        throw new Error('nope');
+      })).rejects.toThrow('nope');
+
+      expect(db.withExclusiveTransactionAsync).not.toHaveBeenCalled();
+      expect(writes(db)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+// closetRepository.test.js
+// Unit tests for the closet repository and its AsyncStorage backend (runs against the in-memory AsyncStorage mock)
+// Run with: npx jest src/services/__tests__/closetRepository.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  applyChanges,
+  createAsyncStorageClosetRepository,
+  createClosetRepository,
+  getClosetRepository
+} from '../closetRepository';
+import { GALLERY_ARTICLES_KEY, OUTFITS_KEY, WEAR_LOG_KEY } from '../constants';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+const stored = async key => JSON.parse(await AsyncStorage.getItem(key));
+
+describe('closetRepository', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('applyChanges', () => {
+    it('should update in place, append, prepend, delete and replace in order', () => {
+      const items = [{ id: 'a', v: 1 }, { id: 'b', v: 1 }];
+
+      expect(applyChanges(items, [{ type: 'put', items: [{ id: 'b', v: 2 }, { id: 'c', v: 1 }] }]))
+        .toEqual([{ id: 'a', v: 1 }, { id: 'b', v: 2 }, { id: 'c', v: 1 }]);
+      expect(applyChanges(items, [{ type: 'put', items: [{ id: 'x' }, { id: 'y' }], prepend: true }]).map(i => i.id))
+        .toEqual(['x', 'y', 'a', 'b']);
+      expect(applyChanges(items, [{ type: 'delete', ids: ['a'] }, { type: 'put', items: [{ id: 'a' }] }]).map(i => i.id))
+        .toEqual(['b', 'a']);
+      expect(applyChanges(items, [{ type: 'replace', items: [{ id: 'z' }] }])).toEqual([{ id: 'z' }]);
+      expect(applyChanges(items, [{ type: 'clear' }])).toBeNull();
+      expect(applyChanges(items, [{ type: 'update', items: [{ id: 'b', v: 2 }, { id: 'gone' }] }]))
+        .toEqual([{ id: 'a', v: 1 }, { id: 'b', v: 2 }]);
+      expect(items).toEqual([{ id: 'a', v: 1 }, { id: 'b', v: 1 }]);
+    });
+  });
+
+  describe('AsyncStorage backend', () => {
+    it('should be the default repository and keep each collection under its key', async () => {
+      const repository = getClosetRepository();
+      expect(repository.name).toBe('asyncStorage');
+
+      await repository.putArticles([{ id: 'a' }, { id: 'b' }]);
+      await repository.putOutfits([{ id: 'o1', articleIds: ['a'] }]);
+      await repository.putOutfits([{ id: 'o2', articleIds: ['b'] }], { prepend: true });
+      await repository.addWearEvents([{ id: 'e1', articleIds: ['a'] }]);
+
+      expect(await stored(GALLERY_ARTICLES_KEY)).toEqual([{ id: 'a' }, { id: 'b' }]);
+      expect((await stored(OUTFITS_KEY)).map(o => o.id)).toEqual(['o2', 'o1']);
+      expect(await stored(WEAR_LOG_KEY)).toEqual([{ id: 'e1', articleIds: ['a'] }]);
+      expect(await repository.hasWearLog()).toBe(true);
+    });
+
+    it('should only change the rows it is given', async () => {
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([{ id: 'a', wearCount: 0 }, { id: 'b', wearCount: 0 }]));
+      const repository = createAsyncStorageClosetRepository();
+
+      await repository.putArticles([{ id: 'b', wearCount: 1 }]);
+      await repository.deleteArticles(['a']);
+
+      expect(await repository.getArticles()).toEqual([{ id: 'b', wearCount: 1 }]);
+      await repository.clearArticles();
+      expect(await AsyncStorage.getItem(GALLERY_ARTICLES_KEY)).toBeNull();
+      expect(await repository.getArticles()).toEqual([]);
+    });
+
+    it('should report a missing wear log', async () => {
+      expect(await createAsyncStorageClosetRepository().hasWearLog()).toBe(false);
+    });
+  });
+
+  describe('transaction', () => {
+    it('should read each collection once, see its own writes and write each collection once', async () => {
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([{ id: 'a' }]));
+      const repository = createAsyncStorageClosetRepository();
+      const getItem = jest.spyOn(AsyncStorage, 'getItem');
+      const setItem = jest.spyOn(AsyncStorage, 'setItem');
+      getItem.mockClear();
+      setItem.mockClear();
+
+      const result = await repository.transaction(async tx => {
+        await tx.putArticles([{ id: 'b' }]);
+        await tx.putArticles([{ id: 'c' }]);
+        await tx.deleteOutfits(['missing']);
+        expect(setItem).not.toHaveBeenCalled();
+        return (await tx.getArticles()).map(a => a.id);
+      });
+
+      expect(result).toEqual(['a', 'b', 'c']);
+      expect(getItem.mock.calls.map(call => call[0])).toEqual([GALLERY_ARTICLES_KEY, OUTFITS_KEY]);
+      expect(setItem.mock.calls.map(call => call[0])).toEqual([GALLERY_ARTICLES_KEY, OUTFITS_KEY]);
+    });
+
+    it('should write nothing when the transaction fails', async () => {
+      const repository = createAsyncStorageClosetRepository();
+
+      await expect(repository.transaction(async tx => {
+        await tx.putArticles([{ id: 'a' }]);
+        await tx.addWearEvents([{ id: 'e1', articleIds: ['a'] }]);
+        throw new Error('validation failed');
+      })).rejects.toThrow('validation failed');
+
+      expect(await AsyncStorage.getItem(GALLERY_ARTICLES_KEY)).toBeNull();
+      expect(await AsyncStorage.getItem(WEAR_LOG_KEY)).toBeNull();
+    });
+
+    it('should join nested transactions and reject writes after the commit', async () => {
+      const repository = createAsyncStorageClosetRepository();
+      let outer;
+
+      await repository.transaction(async tx => {
+        outer = tx;
+        await tx.transaction(inner => inner.putArticles([{ id: 'a' }]));
+        expect(await tx.getArticles()).toEqual([{ id: 'a' }]);
+      });
+
+      expect(await stored(GALLERY_ARTICLES_KEY)).toEqual([{ id: 'a' }]);
+      await expect(outer.putArticles([{ id: 'b' }])).rejects.toThrow('already been committed');
+    });
+
+    it('should look rows up through the backend without reading whole collections, seeing its own writes', async () => {
+      const outfits = [{ id: 'o1', articleIds: ['a'] }, { id: 'o2', articleIds: ['b'] }, { id: 'o3', articleIds: ['c'] }];
+      const backend = {
+        name: 'memory',
+        read: jest.fn(),
+        exists: async () => true,
+        find: jest.fn(async (collection, query) => outfits.filter(o => (query.ids
+          ? query.ids.includes(o.id)
+          : o.articleIds.some(id => query.articleIds.includes(id))))),
+        commit: jest.fn(async () => {}),
+      };
+      const repository = createClosetRepository(backend);
+
+      const found = await repository.transaction(async tx => {
+        await tx.updateOutfits([{ id: 'o2', articleIds: ['a', 'b'] }]);
+        await tx.deleteOutfits(['o1']);
+        return tx.getOutfitsWithArticles(['a']);
+      });
+
+      expect(found).toEqual([{ id: 'o2', articleIds: ['a', 'b'] }]);
+      expect(await repository.getOutfitsById(['o3', 'missing'])).toEqual([outfits[2]]);
+      expect(await repository.getOutfitsById([])).toEqual([]);
+      expect(backend.read).not.toHaveBeenCalled();
+      expect(backend.commit.mock.calls[0][0][0].changes.map(change => change.type)).toEqual(['update', 'delete']);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// closetStore.test.js
+// Tests for the closet store: loading, and following the changes galleryService and outfitService commit
+// Run with: npx jest src/services/__tests__/closetStore.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getClosetState, subscribeToCloset, loadCloset, resetClosetStore } from '../closetStore';
+import { createAsyncStorageClosetRepository, getClosetRepository } from '../closetRepository';
+import { addArticles, incrementWearCount, deleteArticlesById } from '../galleryService';
+import { saveOutfit, markOutfitAsWorn, removeOutfit } from '../outfitService';
+import { GALLERY_ARTICLES_KEY } from '../constants';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+const article = id => ({ id, category: 'top', localImageUri: `file:///${id}.jpg`, wearCount: 0 });
+
+describe('closetStore', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    resetClosetStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should start empty and load articles and outfits from storage', async () => {
+    await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([article('a')]));
+    expect(getClosetState()).toEqual({ articles: [], outfits: [], loaded: false, error: null });
+
+    const state = await loadCloset();
+
+    expect(state).toBe(getClosetState());
+    expect(state.loaded).toBe(true);
+    expect(state.articles).toEqual([article('a')]);
+    expect(state.outfits).toEqual([]);
+  });
+
+  it('should share a load that is already running', async () => {
+    const getItem = jest.spyOn(AsyncStorage, 'getItem');
+    getItem.mockClear();
+
+    const [first, second] = await Promise.all([loadCloset(), loadCloset()]);
+
+    expect(first).toBe(second);
+    expect(getItem.mock.calls.filter(call => call[0] === GALLERY_ARTICLES_KEY)).toHaveLength(1);
+  });
+
+  it('should follow the article and outfit changes the services commit', async () => {
+    await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([article('a'), article('b')]));
+    await loadCloset();
+    const listener = jest.fn();
+    subscribeToCloset(listener);
+
+    await addArticles([article('c')]);
+    const outfit = await saveOutfit({ name: 'Work', articles: [{ id: 'a' }, { id: 'c' }] });
+    await markOutfitAsWorn(outfit.id);
+    await incrementWearCount(['b']);
+
+    const state = getClosetState();
+    expect(state.articles.map(a => [a.id, a.wearCount])).toEqual([['a', 1], ['b', 1], ['c', 1]]);
+    expect(state.outfits).toEqual([expect.objectContaining({ id: outfit.id, wearCount: 1 })]);
+    expect(listener).toHaveBeenLastCalledWith(state);
+
+    await deleteArticlesById(['c']);
+    await removeOutfit(outfit.id);
+    expect(getClosetState().articles.map(a => a.id)).toEqual(['a', 'b']);
+    expect(getClosetState().outfits).toEqual([]);
+  });
+
+  it('should only hand out new arrays for the collections that changed', async () => {
+    await loadCloset();
+    const before = getClosetState();
+
+    await addArticles([article('a')]);
+
+    expect(getClosetState()).not.toBe(before);
+    expect(getClosetState().articles).not.toBe(before.articles);
+    expect(getClosetState().outfits).toBe(before.outfits);
+  });
+
+  it('should ignore changes until it is loaded and stop telling unsubscribed listeners', async () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToCloset(listener);
+
+    await addArticles([article('a')]);
+    expect(listener).not.toHaveBeenCalled();
+    expect(getClosetState().articles).toEqual([]);
+
+    await loadCloset();
+    expect(getClosetState().articles.map(a => a.id)).toEqual(['a']);
+    unsubscribe();
+    await addArticles([article('b')]);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not follow repositories the services do not use', async () => {
+    await loadCloset();
+
+    await createAsyncStorageClosetRepository({ articles: 'other.articles' }).putArticles([article('x')]);
+
+    expect(getClosetState().articles).toEqual([]);
+  });
+
+  it('should keep the loaded copy and report the error when a load fails', async () => {
+    await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([article('a')]));
+    await loadCloset();
+    jest.spyOn(getClosetRepository(), 'transaction').mockRejectedValueOnce(new Error('disk full'));
+
+    const state = await loadCloset();
+
+    expect(state.error).toBe('disk full');
+    expect(state.articles.map(a => a.id)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,66 @@
+// declutterService.test.js
+// Unit tests for declutter suggestions
+// Run with: npx jest src/services/__tests__/declutterService.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDeclutterSuggestions, loadDeclutterSuggestions } from '../declutterService';
+import { GALLERY_ARTICLES_KEY } from '../constants';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+const NOW = '2025-07-01T12:00:00.000Z';
+
+const closet = [
+  { id: 'favorite', wearCount: 30, lastWorn: '2025-06-28T08:00:00.000Z', addedAt: '2024-01-01T00:00:00.000Z' },
+  { id: 'never', wearCount: 0, addedAt: '2024-05-01T00:00:00.000Z' },
+  { id: 'stale', wearCount: 9, lastWorn: '2024-11-01T08:00:00.000Z', addedAt: '2024-01-01T00:00:00.000Z' },
+  { id: 'staler', wearCount: 4, lastWorn: '2024-08-01T08:00:00.000Z' },
+  { id: 'rare', wearCount: 1, lastWorn: '2025-05-01T08:00:00.000Z', addedAt: '2024-01-01T00:00:00.000Z' },
+  { id: 'new', wearCount: 0, addedAt: '2025-06-01T00:00:00.000Z' },
+  { id: 'sold', wearCount: 0, status: 'sold', addedAt: '2024-01-01T00:00:00.000Z' },
+  { id: 'archived', wearCount: 0, archived: true }
+];
+
+describe('declutterService', () => {
+  describe('getDeclutterSuggestions', () => {
+    it('should suggest never, not recently and rarely worn active articles', () => {
+      const suggestions = getDeclutterSuggestions(closet, { now: NOW });
+
+      expect(suggestions.map(s => [s.article.id, s.reason])).toEqual([
+        ['never', 'neverWorn'],
+        ['staler', 'notWornRecently'],
+        ['stale', 'notWornRecently'],
+        ['rare', 'lowWear']
+      ]);
+    });
+
+    it('should use the requested look-back period and low wear threshold', () => {
+      const ids = options => getDeclutterSuggestions(closet, { now: NOW, ...options }).map(s => s.article.id);
+
+      expect(ids({ months: 12 })).toEqual(['never', 'rare']);
+      expect(ids({ months: 1, lowWearCount: 0 })).toEqual(['never', 'new', 'staler', 'stale', 'rare']);
+    });
+
+    it('should reject an invalid period', () => {
+      expect(() => getDeclutterSuggestions(closet, { months: 0 })).toThrow('months must be a positive number.');
+    });
+  });
+
+  describe('loadDeclutterSuggestions', () => {
+    beforeEach(async () => {
+      await AsyncStorage.clear();
+    });
+
+    it('should read articles from storage', async () => {
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(closet));
+
+      const suggestions = await loadDeclutterSuggestions({ now: NOW });
+
+      expect(suggestions).toHaveLength(4);
+    });
+  });
+});
@@ -2,7 +2,8 @@
 // Unit tests for errorHandlingService.js
 // Run with: npx jest src/services/__tests__/errorHandlingService.test.js
 
-import { logError, logWarning, logInfo } from '../errorHandlingService';
+import { logError, logWarning, logInfo, getUserFacingError } from '../errorHandlingService';
+import { PipelineError } from '../pipelineErrors';
 
 // Mock console methods to test logging behavior
 describe('errorHandlingService', () => {
@@ -339,4 +340,42 @@ describe('errorHandlingService', () => {
       );
     });
   });
+
+  describe('getUserFacingError', () => {
+    it('should map pipeline errors to a title, message and retry action', () => {
+      const info = getUserFacingError(new PipelineError('quota', 'OpenAI request failed with status 429', { stage: 'generate' }));
+
+      expect(info).toEqual({
+        type: 'quota',
+        stage: 'generate',
+        title: 'Service busy',
+        message: expect.stringContaining('Wait a minute'),
+        retryable: true,
+        retryLabel: 'Retry Images'
+      });
+    });
+
+    it('should not offer a retry for errors retrying cannot fix', () => {
+      expect(getUserFacingError(new PipelineError('auth', 'Missing OpenAI API key', { stage: 'detect' }))).toEqual(
+        expect.objectContaining({ title: 'API key problem', retryable: false, retryLabel: 'Retry Photo' })
+      );
+      expect(getUserFacingError(new PipelineError('no-garments', 'None found')).retryable).toBe(false);
+    });
+
+    it('should treat plain errors and missing errors as unknown', () => {
+      expect(getUserFacingError(new Error('boom'))).toEqual(expect.objectContaining({
+        type: 'unknown',
+        stage: null,
+        title: 'Something went wrong',
+        retryable: true,
+        retryLabel: 'Try Again'
+      }));
+      expect(getUserFacingError(null).type).toBe('unknown');
+    });
+
+    it('should never show technical messages', () => {
+      const info = getUserFacingError(new PipelineError('network', 'TypeError: Network request failed at fetch'));
+      expect(info.message).not.toMatch(/TypeError/);
+    });
+  });
 });
\ No newline at end of file
@@ -8,16 +8,27 @@ import {
   deleteArticlesById,
   clearAllArticles,
   incrementWearCount,
-  migrateArticlesWearCount
+  migrateArticlesWearCount,
+  updateArticle,
+  filterArticles,
+  getArticleColors,
+  archiveArticles,
+  setArticleStatus,
+  getArticleWarmth,
+  getArticleStatus,
+  getImageReferences,
+  deleteUnreferencedImages
 } from '../galleryService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { migrateAllArticleImages, migrateArticleImage } from '../imageStorageService';
+import { migrateAllArticleImages, migrateArticleImage, deleteArticleImages, deleteOrphanedImages } from '../imageStorageService';
 import { logError, logWarning, logInfo } from '../errorHandlingService';
 
 // Mock the image storage service
 jest.mock('../imageStorageService', () => ({
   migrateAllArticleImages: jest.fn(),
-  migrateArticleImage: jest.fn((article) => Promise.resolve({ ...article, localImageUri: 'local://migrated.jpg' }))
+  migrateArticleImage: jest.fn((article) => Promise.resolve({ ...article, localImageUri: 'local://migrated.jpg' })),
+  deleteArticleImages: jest.fn(() => Promise.resolve(0)),
+  deleteOrphanedImages: jest.fn(() => Promise.resolve({ deletedCount: 0, reclaimedBytes: 0 }))
 }));
 
 // Mock the error handling service
@@ -27,6 +38,12 @@ jest.mock('../errorHandlingService', () => ({
   logInfo: jest.fn()
 }));
 
+// The taxonomy is read from its own storage key; keep it out of the AsyncStorage call sequence below
+jest.mock('../categoryService', () => {
+  const actual = jest.requireActual('../categoryService');
+  return { ...actual, getTaxonomy: jest.fn(async () => actual.buildTaxonomy()) };
+});
+
 jest.mock('@react-native-async-storage/async-storage', () => ({
   getItem: jest.fn(),
   setItem: jest.fn(),
@@ -67,7 +84,8 @@ describe('galleryService', () => {
       { id: 'b', name: 'Pants' }, // duplicate
       { id: 'c', name: 'Jacket', imageUrl: 'http://example.com/jacket.jpg' }
     ];
-    AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+    // Read once to skip duplicates before downloading and again when saving
+    AsyncStorage.getItem.mockResolvedValue(JSON.stringify(existing));
     AsyncStorage.setItem.mockResolvedValueOnce();
     migrateArticleImage.mockResolvedValueOnce({ id: 'c', name: 'Jacket', imageUrl: 'http://example.com/jacket.jpg', localImageUri: 'local://migrated.jpg', wearCount: 0 });
     
@@ -132,13 +150,78 @@ describe('galleryService', () => {
     ]);
   });
 
+  it('should delete the image files of deleted articles', async () => {
+    const existing = [
+      { id: 'a', localImageUri: 'file:///mock/images/a.jpg' },
+      { id: 'b', localImageUri: 'file:///mock/images/b.jpg' }
+    ];
+    AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+    AsyncStorage.setItem.mockResolvedValueOnce();
+
+    await deleteArticlesById(['b']);
+
+    expect(deleteArticleImages).toHaveBeenCalledWith([existing[1]], [existing[0]]);
+  });
+
+  it('should still delete articles when removing their images fails', async () => {
+    AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify([{ id: 'a' }]));
+    AsyncStorage.setItem.mockResolvedValueOnce();
+    deleteArticleImages.mockRejectedValueOnce(new Error('disk error'));
+
+    await expect(deleteArticlesById(['a'])).resolves.toEqual([]);
+    expect(logWarning).toHaveBeenCalledWith('[galleryService]', 'Failed to delete article images', expect.any(Error));
+  });
+
+  describe('article lifecycle', () => {
+    it('should archive and restore articles without deleting them', async () => {
+      const existing = [{ id: 'a', name: 'Shirt' }, { id: 'b', name: 'Pants' }];
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+      AsyncStorage.setItem.mockResolvedValueOnce();
+
+      const archived = await archiveArticles(['b']);
+
+      expect(archived).toEqual([
+        { id: 'a', name: 'Shirt' },
+        { id: 'b', name: 'Pants', status: 'archived', statusChangedAt: expect.any(String), salePrice: null }
+      ]);
+
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(archived));
+      AsyncStorage.setItem.mockResolvedValueOnce();
+      const restored = await archiveArticles(['b'], false);
+      expect(getArticleStatus(restored[1])).toBe('active');
+    });
+
+    it('should record a sale with its date and price, replacing the old archived flag', async () => {
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify([{ id: 'a', archived: true, archivedAt: '2025-01-01' }]));
+      AsyncStorage.setItem.mockResolvedValueOnce();
+
+      const [sold] = await setArticleStatus(['a'], 'sold', { date: '2025-03-02', salePrice: '12.499' });
+
+      expect(sold).toEqual({ id: 'a', status: 'sold', statusChangedAt: '2025-03-02T00:00:00.000Z', salePrice: 12.5 });
+    });
+
+    it('should reject unknown statuses, bad dates and sale prices on unsold articles', async () => {
+      await expect(setArticleStatus(['a'], 'burned')).rejects.toThrow('Status must be one of');
+      await expect(setArticleStatus(['a'], 'donated', { date: 'soon' })).rejects.toThrow('not a valid date');
+      await expect(setArticleStatus(['a'], 'donated', { salePrice: 5 })).rejects.toThrow('Only sold articles');
+      await expect(setArticleStatus(['a'], 'sold', { salePrice: -1 })).rejects.toThrow('non-negative');
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should treat legacy and missing statuses sensibly', () => {
+      expect(getArticleStatus({ id: 'a' })).toBe('active');
+      expect(getArticleStatus({ id: 'a', archived: true })).toBe('archived');
+      expect(getArticleStatus({ id: 'a', status: 'lost' })).toBe('lost');
+    });
+  });
+
   it('should clear all articles', async () => {
     await clearAllArticles();
     expect(AsyncStorage.removeItem).toHaveBeenCalled();
   });
 
   describe('incrementWearCount', () => {
-    it('should increment wearCount for specified articles', async () => {
+    it('should increment wearCount for specified articles and return them', async () => {
       const existing = [
         { id: 'a', name: 'Shirt', wearCount: 2 },
         { id: 'b', name: 'Pants', wearCount: 0 },
@@ -150,12 +233,39 @@ describe('galleryService', () => {
       const result = await incrementWearCount(['a', 'c']);
       
       expect(result).toEqual([
-        { id: 'a', name: 'Shirt', wearCount: 3 },
+        { id: 'a', name: 'Shirt', wearCount: 3, lastWorn: expect.any(String) },
+        { id: 'c', name: 'Jacket', wearCount: 2, lastWorn: expect.any(String) }
+      ]);
+      expect(JSON.parse(AsyncStorage.setItem.mock.calls[0][1])).toEqual([
+        result[0],
         { id: 'b', name: 'Pants', wearCount: 0 },
-        { id: 'c', name: 'Jacket', wearCount: 2 }
+        result[1]
       ]);
     });
 
+    it('should record a wear event for the articles', async () => {
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify([{ id: 'a', wearCount: 0 }])); // articles
+      AsyncStorage.getItem.mockResolvedValueOnce(null); // wear log
+
+      await incrementWearCount(['a'], { wornAt: '2025-05-01' });
+
+      expect(AsyncStorage.setItem.mock.calls[1][0]).toBe('wearLog');
+      const events = JSON.parse(AsyncStorage.setItem.mock.calls[1][1]);
+      expect(events).toHaveLength(1);
+      expect(events[0]).toEqual(expect.objectContaining({ articleIds: ['a'], outfitId: null }));
+    });
+
+    it('should not move lastWorn backwards when backfilling', async () => {
+      const existing = [{ id: 'a', wearCount: 1, lastWorn: '2030-01-01T12:00:00.000Z' }];
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+
+      const result = await incrementWearCount(['a'], { wornAt: '2025-05-01', recordEvent: false });
+
+      expect(result[0].wearCount).toBe(2);
+      expect(result[0].lastWorn).toBe('2030-01-01T12:00:00.000Z');
+      expect(AsyncStorage.setItem).toHaveBeenCalledTimes(1);
+    });
+
     it('should handle articles without existing wearCount', async () => {
       const existing = [
         { id: 'a', name: 'Shirt' }, // no wearCount
@@ -166,17 +276,171 @@ describe('galleryService', () => {
       
       const result = await incrementWearCount(['a']);
       
-      expect(result[0].wearCount).toBe(1);
-      expect(result[1].wearCount).toBe(1);
+      expect(result.map(a => a.wearCount)).toEqual([1]);
+      expect(JSON.parse(AsyncStorage.setItem.mock.calls[0][1])[1].wearCount).toBe(1);
     });
 
-    it('should return all articles if no IDs provided', async () => {
-      const existing = [{ id: 'a', name: 'Shirt', wearCount: 0 }];
-      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
-      
+    it('should change nothing if no IDs provided', async () => {
       const result = await incrementWearCount([]);
       
-      expect(result).toEqual(existing);
+      expect(result).toEqual([]);
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateArticle', () => {
+    const existing = [
+      { id: 'a', description: 'Shirt', category: 'tops', wearCount: 2 },
+      { id: 'b', description: 'Pants', category: 'bottoms', wearCount: 0 }
+    ];
+
+    it('should update editable fields and persist the article', async () => {
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing)); // articles
+      AsyncStorage.getItem.mockResolvedValueOnce(null); // outfits
+
+      const result = await updateArticle('a', {
+        category: 'outerwear',
+        description: '  Navy blazer ',
+        color: 'navy',
+        brand: 'Uniqlo',
+        size: 'M',
+        notes: ''
+      });
+
+      expect(result).toEqual(expect.objectContaining({
+        id: 'a',
+        category: 'outerwear',
+        description: 'Navy blazer',
+        color: 'navy',
+        brand: 'Uniqlo',
+        size: 'M',
+        notes: null,
+        wearCount: 2,
+        updatedAt: expect.any(String)
+      }));
+      const saved = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+      expect(saved[0]).toEqual(result);
+      expect(saved[1]).toEqual(existing[1]);
+    });
+
+    it('should write through to outfits that reference the article', async () => {
+      const outfits = [
+        { id: 'o1', name: 'Work', articleIds: ['a', 'b'] },
+        { id: 'o2', name: 'Gym', articleIds: ['b'] }
+      ];
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(outfits));
+
+      const result = await updateArticle('a', { color: 'black' });
+
+      expect(AsyncStorage.setItem).toHaveBeenCalledTimes(2);
+      expect(AsyncStorage.setItem.mock.calls[1][0]).toBe('OUTFITS');
+      const savedOutfits = JSON.parse(AsyncStorage.setItem.mock.calls[1][1]);
+      expect(savedOutfits[0].updatedAt).toBe(result.updatedAt);
+      expect(savedOutfits[1].updatedAt).toBeUndefined();
+    });
+
+    it('should leave the article unchanged when its outfits cannot be updated', async () => {
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+      AsyncStorage.getItem.mockRejectedValueOnce(new Error('read failed'));
+
+      await expect(updateArticle('a', { color: 'black' })).rejects.toThrow('read failed');
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should reject categories outside the accepted set', async () => {
+      await expect(updateArticle('a', { category: 'hats' })).rejects.toThrow('Category must be one of');
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should accept any taxonomy category, including ones added after the original four', async () => {
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+      AsyncStorage.getItem.mockResolvedValueOnce(null); // outfits
+
+      const result = await updateArticle('b', { category: 'dresses' });
+
+      expect(result.category).toBe('dresses');
+    });
+
+    it('should validate subcategories against the article category', async () => {
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+      AsyncStorage.getItem.mockResolvedValueOnce(null); // outfits
+      const result = await updateArticle('a', { subcategory: 'knitwear' });
+      expect(result.subcategory).toBe('knitwear');
+
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+      await expect(updateArticle('a', { subcategory: 'jeans' })).rejects.toThrow('Subcategory must be one of');
+    });
+
+    it('should clear a subcategory that does not belong to the new category', async () => {
+      const knit = [{ id: 'a', category: 'tops', subcategory: 'knitwear', wearCount: 0 }];
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(knit));
+      AsyncStorage.getItem.mockResolvedValueOnce(null); // outfits
+
+      const result = await updateArticle('a', { category: 'outerwear' });
+
+      expect(result).toEqual(expect.objectContaining({ category: 'outerwear', subcategory: null }));
+    });
+
+    it('should reject fields that cannot be edited', async () => {
+      await expect(updateArticle('a', { id: 'z' })).rejects.toThrow('Field "id" cannot be edited.');
+      await expect(updateArticle('a', { wearCount: 10 })).rejects.toThrow('Field "wearCount" cannot be edited.');
+    });
+
+    it('should reject non-text and overlong values', async () => {
+      await expect(updateArticle('a', { color: 5 })).rejects.toThrow('color must be text.');
+      await expect(updateArticle('a', { size: 'x'.repeat(21) })).rejects.toThrow('size must be at most 20 characters.');
+    });
+
+    it('should normalize and validate price', async () => {
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+      AsyncStorage.getItem.mockResolvedValueOnce(null); // outfits
+
+      const result = await updateArticle('a', { price: '49.999' });
+      expect(result.price).toBe(50);
+
+      await expect(updateArticle('a', { price: -1 })).rejects.toThrow('price must be a non-negative number.');
+      await expect(updateArticle('a', { price: 'cheap' })).rejects.toThrow('price must be a non-negative number.');
+    });
+
+    it('should validate warmth and water resistance', async () => {
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+      AsyncStorage.getItem.mockResolvedValueOnce(null); // outfits
+
+      const result = await updateArticle('a', { warmth: 'warm', waterResistant: true, material: ' Suede ' });
+      expect(result).toEqual(expect.objectContaining({ warmth: 'warm', waterResistant: true, material: 'Suede' }));
+
+      await expect(updateArticle('a', { warmth: 'toasty' })).rejects.toThrow('warmth must be one of: light, medium, warm.');
+      await expect(updateArticle('a', { waterResistant: 'yes' })).rejects.toThrow('waterResistant must be true or false.');
+    });
+
+    it('should validate purchase date, season and tags with the article model', async () => {
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+      AsyncStorage.getItem.mockResolvedValueOnce(null); // outfits
+
+      const result = await updateArticle('a', { purchaseDate: '2024-09-14', season: 'fall', tags: [' work', 'work ', 'navy'] });
+      expect(result).toEqual(expect.objectContaining({ purchaseDate: '2024-09-14', season: 'fall', tags: ['work', 'navy'] }));
+
+      await expect(updateArticle('a', { purchaseDate: '14/09/2024' })).rejects.toThrow('purchaseDate must be a date as YYYY-MM-DD.');
+      await expect(updateArticle('a', { season: 'monsoon' })).rejects.toThrow('season must be one of: spring, summer, fall, winter, all.');
+      await expect(updateArticle('a', { tags: 'work' })).rejects.toThrow('tags must be a list of non-empty text.');
+    });
+
+    it('should throw and log when the article does not exist', async () => {
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
+
+      await expect(updateArticle('missing', { color: 'red' })).rejects.toThrow('Article missing not found.');
+      expect(logError).toHaveBeenCalledWith('[galleryService]', 'updateArticle error', expect.any(Error));
+    });
+  });
+
+  describe('getArticleWarmth', () => {
+    it('should prefer the stored warmth and otherwise guess from category and wording', () => {
+      expect(getArticleWarmth({ category: 'outerwear', warmth: 'light' })).toBe('light');
+      expect(getArticleWarmth({ category: 'outerwear' })).toBe('warm');
+      expect(getArticleWarmth({ category: 'tops', description: 'Wool sweater' })).toBe('warm');
+      expect(getArticleWarmth({ category: 'shoes', description: 'Leather sandals' })).toBe('light');
+      expect(getArticleWarmth({ category: 'tops', description: 'Oxford shirt' })).toBe('medium');
     });
   });
 
@@ -232,6 +496,8 @@ describe('galleryService', () => {
         { id: 'b', name: 'Pants', localImageUri: 'local://pants.jpg' }
       ];
       
+      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(articles));
+      // The migrated articles are merged into the stored list, which is read again when saving
       AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(articles));
       migrateAllArticleImages.mockResolvedValueOnce(migratedArticles);
       AsyncStorage.setItem.mockResolvedValueOnce();
@@ -270,7 +536,49 @@ describe('galleryService', () => {
       const result = await addArticles(newArticles, { migrateImages: false });
       
       expect(migrateArticleImage).not.toHaveBeenCalled();
-      expect(result[0]).toEqual({ ...newArticles[0], wearCount: 0 });
+      expect(result[0]).toEqual({ ...newArticles[0], wearCount: 0, addedAt: expect.any(String) });
+    });
+
+    it('should normalize new articles through the article model', async () => {
+      AsyncStorage.getItem.mockResolvedValueOnce('[]');
+
+      const result = await addArticles([{ id: 'a', imageUri: 'file:///a.jpg', confidence: 0.9, tags: ['summer ', 'summer'] }],
+        { migrateImages: false });
+
+      expect(result).toEqual([expect.objectContaining({ id: 'a', tags: ['summer'], wearCount: 0 })]);
+    });
+
+    it('should refuse the whole add and name the articles the article model rejects', async () => {
+      const newArticles = [
+        { id: 'a', imageUri: 'file:///a.jpg', confidence: 0.9 },
+        { id: 'b', imageUri: 'file:///b.jpg', confidence: 87 },
+        { id: 'c', imageUri: 'file:///c.jpg', season: 'monsoon' }
+      ];
+
+      await expect(addArticles(newArticles, { migrateImages: false })).rejects.toThrow(
+        'No articles were added. Article b: confidence must be a number from 0 to 1. ' +
+        'Article c: season must be one of: spring, summer, fall, winter, all.'
+      );
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should download images without holding up other closet changes', async () => {
+      let finishDownload;
+      migrateArticleImage.mockImplementationOnce(article =>
+        new Promise(resolve => { finishDownload = () => resolve({ ...article, localImageUri: 'local://a.jpg' }); }));
+      const stored = [{ id: 'b', imageUri: 'local://b.jpg' }];
+      AsyncStorage.getItem.mockImplementation(async () => JSON.stringify(stored));
+      AsyncStorage.setItem.mockImplementation(async (key, value) => { stored.splice(0, stored.length, ...JSON.parse(value)); });
+
+      const adding = addArticles([{ id: 'a', imageUrl: 'http://example.com/a.jpg' }]);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await archiveArticles(['b']);
+      finishDownload();
+
+      expect((await adding).map(a => [a.id, a.status, a.localImageUri])).toEqual([
+        ['b', 'archived', undefined],
+        ['a', undefined, 'local://a.jpg']
+      ]);
     });
 
     it('should handle migration errors gracefully', async () => {
@@ -367,12 +675,121 @@ describe('galleryService', () => {
     });
 
     it('should use logWarning for incrementWearCount with no IDs', async () => {
-      const existing = [{ id: 'a', name: 'Shirt', wearCount: 0 }];
-      AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify(existing));
-      
       await incrementWearCount([]);
       
       expect(logWarning).toHaveBeenCalledWith('[galleryService]', 'No article IDs provided to incrementWearCount');
     });
   });
+  describe('filterArticles', () => {
+    const closet = [
+      { id: 'a', description: 'Navy blazer', category: 'outerwear', color: 'Navy', wearCount: 12, addedAt: '2025-01-01T00:00:00.000Z' },
+      { id: 'b', name: 'shirt', description: 'White oxford', category: 'tops', color: 'white', wearCount: 3, addedAt: '2025-03-01T00:00:00.000Z' },
+      { id: 'c', description: 'Navy chinos', category: 'bottoms', color: 'navy', wearCount: 0, addedAt: '2025-02-01T00:00:00.000Z' },
+      { id: 'd', name: 'clothing', category: 'other', wearCount: 1 },
+      { id: 'e', description: 'Trainers', category: 'shoes', wearCount: 0 }
+    ];
+    const ids = list => list.map(a => a.id);
+
+    it('should return every article in storage order with no criteria', () => {
+      expect(ids(filterArticles(closet))).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    it('should match every search word against description, name and color', () => {
+      expect(ids(filterArticles(closet, { query: 'navy' }))).toEqual(['a', 'c']);
+      expect(ids(filterArticles(closet, { query: '  NAVY blazer ' }))).toEqual(['a']);
+      expect(ids(filterArticles(closet, { query: 'shirt white' }))).toEqual(['b']);
+      expect(filterArticles(closet, { query: 'tweed' })).toEqual([]);
+    });
+
+    it('should filter by categories and colors', () => {
+      expect(ids(filterArticles(closet, { categories: ['tops', 'bottoms'] }))).toEqual(['b', 'c']);
+      expect(ids(filterArticles(closet, { colors: ['NAVY'] }))).toEqual(['a', 'c']);
+      expect(ids(filterArticles(closet, { categories: ['outerwear'], colors: ['white'] }))).toEqual([]);
+    });
+
+    it('should only show active articles unless other statuses are requested', () => {
+      const withInactive = [
+        ...closet,
+        { id: 'f', description: 'Old coat', category: 'outerwear', archived: true },
+        { id: 'g', description: 'Sold coat', category: 'outerwear', status: 'sold' }
+      ];
+      expect(ids(filterArticles(withInactive))).toEqual(['a', 'b', 'c', 'd', 'e']);
+      expect(ids(filterArticles(withInactive, { statuses: ['active', 'archived'], categories: ['outerwear'] }))).toEqual(['a', 'f']);
+      expect(ids(filterArticles(withInactive, { statuses: ['sold'] }))).toEqual(['g']);
+    });
+
+    it('should filter by wear count range', () => {
+      expect(ids(filterArticles(closet, { minWears: 1, maxWears: 5 }))).toEqual(['b', 'd']);
+      expect(ids(filterArticles(closet, { minWears: 10 }))).toEqual(['a']);
+    });
+
+    it('should filter untagged and never-worn articles', () => {
+      expect(ids(filterArticles(closet, { untagged: true }))).toEqual(['d', 'e']);
+      expect(ids(filterArticles(closet, { neverWorn: true }))).toEqual(['c', 'e']);
+      expect(ids(filterArticles(closet, { untagged: true, neverWorn: true }))).toEqual(['e']);
+    });
+
+    it('should sort newest first, falling back to storage order for undated articles', () => {
+      expect(ids(filterArticles(closet, { sort: 'newest' }))).toEqual(['b', 'c', 'a', 'e', 'd']);
+    });
+
+    it('should sort by wear count with stable ties', () => {
+      expect(ids(filterArticles(closet, { sort: 'mostWorn' }))).toEqual(['a', 'b', 'd', 'c', 'e']);
+      expect(ids(filterArticles(closet, { sort: 'leastWorn' }))).toEqual(['c', 'e', 'd', 'b', 'a']);
+    });
+
+    it('should not modify the input array', () => {
+      const copy = [...closet];
+      filterArticles(closet, { sort: 'mostWorn' });
+      expect(closet).toEqual(copy);
+    });
+
+    it('should reject unknown sort orders', () => {
+      expect(() => filterArticles(closet, { sort: 'alphabetical' })).toThrow('Sort must be one of');
+    });
+
+    it('should list distinct colors for filter chips', () => {
+      expect(getArticleColors(closet)).toEqual(['navy', 'white']);
+    });
+  });
+
+  describe('deleteUnreferencedImages', () => {
+    const stored = {
+      galleryArticles: JSON.stringify([{ id: 'a', localImageUri: 'file:///images/a.jpg' }]),
+      OUTFITS: JSON.stringify([{ id: 'o1', articleIds: ['a'] }]),
+      jobQueue: JSON.stringify([{ id: 'j1', items: [{ localImageUri: 'file:///images/job.jpg' }, { imageUrl: 'https://x' }] }])
+    };
+    const readFrom = values => key => Promise.resolve(key in values ? values[key] : null);
+
+    it('should protect article, outfit and job images', async () => {
+      AsyncStorage.getItem.mockImplementation(readFrom(stored));
+
+      expect(await getImageReferences()).toEqual([
+        { id: 'a', localImageUri: 'file:///images/a.jpg' },
+        { id: 'o1', articleIds: ['a'] },
+        { localImageUri: 'file:///images/job.jpg' }
+      ]);
+      await deleteUnreferencedImages({ minAgeMs: 0 });
+      expect(deleteOrphanedImages).toHaveBeenCalledWith(
+        expect.arrayContaining([{ localImageUri: 'file:///images/job.jpg' }]),
+        { minAgeMs: 0 }
+      );
+    });
+
+    it('should delete nothing when the job queue is corrupt', async () => {
+      AsyncStorage.getItem.mockImplementation(readFrom({ ...stored, jobQueue: '[{"id": "j1", ' }));
+
+      await expect(deleteUnreferencedImages()).rejects.toThrow();
+      expect(deleteOrphanedImages).not.toHaveBeenCalled();
+    });
+
+    it('should delete nothing when the closet cannot be read', async () => {
+      AsyncStorage.getItem.mockImplementation(key => (key === 'galleryArticles'
+        ? Promise.reject(new Error('storage unavailable'))
+        : readFrom(stored)(key)));
+
+      await expect(deleteUnreferencedImages()).rejects.toThrow('storage unavailable');
+      expect(deleteOrphanedImages).not.toHaveBeenCalled();
+    });
+  });
 });
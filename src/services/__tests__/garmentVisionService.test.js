@@ -6,6 +6,7 @@ import { processGarmentImage, dataUriToBlob } from '../garmentVisionService';
 import { describeGarmentImage } from '../garmentDescriptionService';
 import { generateGarmentImage } from '../garmentImageGenerationService';
 import { downloadAndSaveImage } from '../imageStorageService';
+import { PipelineError } from '../pipelineErrors';
 
 // Mock dependencies
 jest.mock('../garmentDescriptionService');
@@ -32,31 +33,37 @@ describe('garmentVisionService', () => {
     jest.restoreAllMocks();
   });
 
-  it('should return error object if no API key is provided', async () => {
-    const result = await processGarmentImage('dummy', {});
-    expect(result.error).toBe(true);
-    expect(result.message).toBe('Missing OpenAI API key');
-    expect(result.stage).toBe('pipeline');
+  it('should throw an auth PipelineError if no API key is provided', async () => {
+    const error = await processGarmentImage('dummy', {}).catch(e => e);
+    expect(error).toBeInstanceOf(PipelineError);
+    expect(error).toEqual(expect.objectContaining({ type: 'auth', stage: 'detect', retryable: false }));
+    expect(error.message).toBe('Missing OpenAI API key');
   });
 
-  it('should return error object if describeGarmentImage fails', async () => {
+  it('should throw a PipelineError if describeGarmentImage fails', async () => {
     describeGarmentImage.mockRejectedValue(new Error('Description failed'));
     
-    const result = await processGarmentImage('dummy', { openaiApiKey: 'test-key' });
+    const error = await processGarmentImage('dummy', { openaiApiKey: 'test-key' }).catch(e => e);
     
-    expect(result.error).toBe(true);
-    expect(result.message).toBe('Description failed');
-    expect(result.stage).toBe('describeGarmentImage');
+    expect(error).toBeInstanceOf(PipelineError);
+    expect(error.message).toBe('Description failed');
+    expect(error.stage).toBe('detect');
   });
 
-  it('should return error object if no clothing items detected', async () => {
+  it('should keep the type of typed errors from describeGarmentImage', async () => {
+    describeGarmentImage.mockRejectedValue(new PipelineError('quota', 'Rate limit reached', { stage: 'detect' }));
+    
+    await expect(processGarmentImage('dummy', { openaiApiKey: 'test-key' }))
+      .rejects.toMatchObject({ type: 'quota', retryable: true });
+  });
+
+  it('should throw a no-garments PipelineError if no clothing items detected', async () => {
     describeGarmentImage.mockResolvedValue([]);
     
-    const result = await processGarmentImage('dummy', { openaiApiKey: 'test-key' });
+    const error = await processGarmentImage('dummy', { openaiApiKey: 'test-key' }).catch(e => e);
     
-    expect(result.error).toBe(true);
-    expect(result.message).toBe('No clothing items detected in the image.');
-    expect(result.stage).toBe('describeGarmentImage');
+    expect(error).toEqual(expect.objectContaining({ type: 'no-garments', stage: 'detect', retryable: false }));
+    expect(error.message).toBe('No clothing items detected in the image.');
   });
 
   it('should successfully process clothing items and return array of articles', async () => {
@@ -106,7 +113,8 @@ describe('garmentVisionService', () => {
       description: 'Blue shirt',
       category: 'shirt',
       imageUrl: null,
-      error: 'DALL-E failed'
+      error: 'DALL-E failed',
+      errorType: 'unknown'
     });
   });
 
@@ -178,24 +186,15 @@ describe('garmentVisionService', () => {
 
   describe('validation functions', () => {
     it('should throw error for missing API key', async () => {
-      const result = await processGarmentImage('base64image', {});
-      
-      expect(result.error).toBe(true);
-      expect(result.message).toBe('Missing OpenAI API key');
+      await expect(processGarmentImage('base64image', {})).rejects.toMatchObject({ type: 'auth', message: 'Missing OpenAI API key' });
     });
 
     it('should throw error for null API key', async () => {
-      const result = await processGarmentImage('base64image', { openaiApiKey: null });
-      
-      expect(result.error).toBe(true);
-      expect(result.message).toBe('Missing OpenAI API key');
+      await expect(processGarmentImage('base64image', { openaiApiKey: null })).rejects.toMatchObject({ type: 'auth', message: 'Missing OpenAI API key' });
     });
 
     it('should throw error for empty string API key', async () => {
-      const result = await processGarmentImage('base64image', { openaiApiKey: '' });
-      
-      expect(result.error).toBe(true);
-      expect(result.message).toBe('Missing OpenAI API key');
+      await expect(processGarmentImage('base64image', { openaiApiKey: '' })).rejects.toMatchObject({ type: 'auth', message: 'Missing OpenAI API key' });
     });
   });
 
@@ -206,31 +205,22 @@ describe('garmentVisionService', () => {
         throw new Error('Unexpected pipeline error');
       });
       
-      const result = await processGarmentImage('invalid-base64', { openaiApiKey: 'test-key' });
-      
-      expect(result.error).toBe(true);
-      expect(result.message).toBe('Unexpected pipeline error');
-      expect(result.stage).toBe('describeGarmentImage');
+      await expect(processGarmentImage('invalid-base64', { openaiApiKey: 'test-key' }))
+        .rejects.toMatchObject({ type: 'unknown', message: 'Unexpected pipeline error', stage: 'detect' });
     });
 
     it('should handle string errors from garment description', async () => {
       describeGarmentImage.mockRejectedValue('String error message');
       
-      const result = await processGarmentImage('base64image', { openaiApiKey: 'test-key' });
-      
-      expect(result.error).toBe(true);
-      expect(result.message).toBe('String error message');
-      expect(result.stage).toBe('describeGarmentImage');
+      await expect(processGarmentImage('base64image', { openaiApiKey: 'test-key' }))
+        .rejects.toMatchObject({ type: 'unknown', message: 'String error message', stage: 'detect' });
     });
 
     it('should handle non-array response from garment description', async () => {
       describeGarmentImage.mockResolvedValue({ notAnArray: true });
       
-      const result = await processGarmentImage('base64image', { openaiApiKey: 'test-key' });
-      
-      expect(result.error).toBe(true);
-      expect(result.message).toBe('No clothing items detected in the image.');
-      expect(result.stage).toBe('describeGarmentImage');
+      await expect(processGarmentImage('base64image', { openaiApiKey: 'test-key' }))
+        .rejects.toMatchObject({ type: 'no-garments', message: 'No clothing items detected in the image.' });
     });
   });
 
@@ -261,7 +251,7 @@ describe('garmentVisionService', () => {
     it('should log warnings for no clothing items', async () => {
       describeGarmentImage.mockResolvedValue([]);
       
-      await processGarmentImage('base64image', { openaiApiKey: 'test-key' });
+      await processGarmentImage('base64image', { openaiApiKey: 'test-key' }).catch(() => {});
       
       expect(console.warn).toHaveBeenCalledWith(
         '[garmentVisionService] No clothing items detected in the image.'
@@ -271,7 +261,7 @@ describe('garmentVisionService', () => {
     it('should log errors for failed operations', async () => {
       describeGarmentImage.mockRejectedValue(new Error('Test error'));
       
-      await processGarmentImage('base64image', { openaiApiKey: 'test-key' });
+      await processGarmentImage('base64image', { openaiApiKey: 'test-key' }).catch(() => {});
       
       expect(console.error).toHaveBeenCalledWith(
         '[garmentVisionService] Error in describeGarmentImage:',
@@ -0,0 +1,228 @@
+// httpClient.test.js
+// Tests for the shared HTTP client and the services ported to it
+// Run with: npx jest src/services/__tests__/httpClient.test.js
+
+import {
+  request,
+  requestJson,
+  HttpError,
+  HTTP_ERROR_CODES,
+  parseRetryAfter,
+  getRetryDelay,
+  isRetryableStatus
+} from '../httpClient';
+import { describeGarmentImage } from '../garmentDescriptionService';
+import { generateGarmentImage } from '../garmentImageGenerationService';
+import { logWarning } from '../errorHandlingService';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+function mockResponse(status, body, headers = {}) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => (headers[name.toLowerCase()] !== undefined ? headers[name.toLowerCase()] : null) },
+    text: async () => text,
+    json: async () => JSON.parse(text)
+  };
+}
+
+// fetch that answers with the given responses in order (an Error is thrown instead of answered)
+function sequenceFetch(...responses) {
+  const fetchImpl = jest.fn(async () => {
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  });
+  return fetchImpl;
+}
+
+// fetch that never answers, only rejects when its signal aborts
+function hangingFetch() {
+  return jest.fn((url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new Error('Aborted')));
+  }));
+}
+
+const FAST = { baseDelayMs: 1, maxDelayMs: 5 };
+
+describe('httpClient', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('helpers', () => {
+    it('should parse Retry-After in seconds and as an HTTP date', () => {
+      const now = Date.parse('2025-07-01T12:00:00Z');
+      expect(parseRetryAfter('3', now)).toBe(3000);
+      expect(parseRetryAfter('Tue, 01 Jul 2025 12:00:10 GMT', now)).toBe(10000);
+      expect(parseRetryAfter('Tue, 01 Jul 2025 11:00:00 GMT', now)).toBe(0);
+      expect(parseRetryAfter('soon', now)).toBeNull();
+      expect(parseRetryAfter(null, now)).toBeNull();
+    });
+
+    it('should back off exponentially, prefer Retry-After and cap both', () => {
+      const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+      expect([1, 2, 3, 4].map(retry => getRetryDelay(retry, options))).toEqual([1000, 2000, 4000, 5000]);
+      expect(getRetryDelay(1, { ...options, retryAfterMs: 3000 })).toBe(3000);
+      expect(getRetryDelay(1, { ...options, retryAfterMs: 60000 })).toBe(5000);
+    });
+
+    it('should retry rate limits and transient server errors only', () => {
+      expect([429, 500, 502, 503, 504].every(isRetryableStatus)).toBe(true);
+      expect([400, 401, 403, 404, 422, 501].some(isRetryableStatus)).toBe(false);
+    });
+  });
+
+  describe('request', () => {
+    it('should send JSON bodies and return successful responses', async () => {
+      const fetchImpl = sequenceFetch(mockResponse(200, { ok: true }));
+
+      const data = await requestJson('https://api.example/things', {
+        method: 'POST',
+        headers: { Authorization: 'Bearer key' },
+        json: { name: 'coat' },
+        fetchImpl
+      });
+
+      expect(data).toEqual({ ok: true });
+      const [url, init] = fetchImpl.mock.calls[0];
+      expect(url).toBe('https://api.example/things');
+      expect(init).toEqual(expect.objectContaining({ method: 'POST', body: JSON.stringify({ name: 'coat' }) }));
+      expect(init.headers).toEqual({ Accept: 'application/json', 'Content-Type': 'application/json', Authorization: 'Bearer key' });
+      expect(init.signal).toBeDefined();
+    });
+
+    it('should retry 5xx responses and network errors, then succeed', async () => {
+      const fetchImpl = sequenceFetch(
+        mockResponse(503, 'Service Unavailable'),
+        new Error('Network request failed'),
+        mockResponse(200, { ok: true })
+      );
+
+      await expect(requestJson('https://api.example/x', { fetchImpl, ...FAST })).resolves.toEqual({ ok: true });
+      expect(fetchImpl).toHaveBeenCalledTimes(3);
+      expect(logWarning).toHaveBeenCalledTimes(2);
+    });
+
+    it('should wait as long as Retry-After asks on 429', async () => {
+      const fetchImpl = sequenceFetch(
+        mockResponse(429, { error: { message: 'Rate limit reached' } }, { 'retry-after': '0' }),
+        mockResponse(200, { ok: true })
+      );
+
+      await requestJson('https://api.example/x', { fetchImpl, baseDelayMs: 60000 });
+
+      expect(fetchImpl).toHaveBeenCalledTimes(2);
+      expect(logWarning).toHaveBeenCalledWith('[httpClient]', expect.stringContaining('retrying in 0 ms'));
+    });
+
+    it('should throw an HttpError with the status and API message once retries run out', async () => {
+      const fetchImpl = sequenceFetch(
+        ...[1, 2, 3].map(() => mockResponse(429, { error: { message: 'Rate limit reached' } }))
+      );
+
+      const error = await request('https://api.example/x', { fetchImpl, retries: 2, label: 'OpenAI', ...FAST }).catch(e => e);
+
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error).toEqual(expect.objectContaining({
+        code: HTTP_ERROR_CODES.HTTP,
+        status: 429,
+        retryable: true,
+        attempts: 3,
+        body: { error: { message: 'Rate limit reached' } }
+      }));
+      expect(error.message).toBe('OpenAI request failed with status 429: Rate limit reached');
+    });
+
+    it('should not retry client errors', async () => {
+      const fetchImpl = sequenceFetch(mockResponse(401, { status: { description: 'Invalid API key' } }));
+
+      const error = await request('https://api.example/x', { fetchImpl, label: 'Clarifai', ...FAST }).catch(e => e);
+
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+      expect(error).toEqual(expect.objectContaining({ status: 401, retryable: false, attempts: 1 }));
+      expect(error.message).toBe('Clarifai request failed with status 401: Invalid API key');
+    });
+
+    it('should time out requests that take too long', async () => {
+      const fetchImpl = hangingFetch();
+
+      const error = await request('https://api.example/slow', { fetchImpl, timeoutMs: 10, retries: 1, ...FAST }).catch(e => e);
+
+      expect(error).toEqual(expect.objectContaining({ code: HTTP_ERROR_CODES.TIMEOUT, retryable: true, attempts: 2 }));
+      expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop when the caller aborts, without retrying', async () => {
+      const fetchImpl = hangingFetch();
+      const controller = new AbortController();
+
+      const pending = request('https://api.example/slow', { fetchImpl, signal: controller.signal, ...FAST });
+      controller.abort();
+      const error = await pending.catch(e => e);
+
+      expect(error).toEqual(expect.objectContaining({ code: HTTP_ERROR_CODES.ABORTED, retryable: false }));
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+      await expect(request('https://api.example/x', { fetchImpl, signal: controller.signal }))
+        .rejects.toMatchObject({ code: HTTP_ERROR_CODES.ABORTED });
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report bodies that are not JSON', async () => {
+      const fetchImpl = sequenceFetch(mockResponse(200, '<html>oops</html>'));
+
+      await expect(requestJson('https://api.example/x', { fetchImpl }))
+        .rejects.toMatchObject({ code: HTTP_ERROR_CODES.PARSE, status: 200, retryable: false });
+    });
+  });
+
+  describe('ported services', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should throw a typed error when the description request is rejected', async () => {
+      global.fetch = sequenceFetch(mockResponse(401, { error: { message: 'Incorrect API key provided' } }));
+
+      const error = await describeGarmentImage('base64', { openaiApiKey: 'bad-key' }).catch(e => e);
+
+      expect(error).toEqual(expect.objectContaining({ type: 'auth', stage: 'detect', retryable: false }));
+      expect(error.cause).toBeInstanceOf(HttpError);
+      expect(error.cause.status).toBe(401);
+      expect(error.message).toBe('OpenAI request failed with status 401: Incorrect API key provided');
+    });
+
+    it('should throw a parse error when the model output is not JSON', async () => {
+      global.fetch = sequenceFetch(mockResponse(200, { choices: [{ message: { content: 'Sorry, I cannot help.' } }] }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(describeGarmentImage('base64', { openaiApiKey: 'key' })).rejects.toMatchObject({ type: 'parse', retryable: true });
+      console.error.mockRestore();
+    });
+
+    it('should parse garments from a successful description response', async () => {
+      const content = '```json\n{"clothingItems":[{"id":1,"description":"navy blazer","category":"jacket","color":"navy"}]}\n```';
+      global.fetch = sequenceFetch(mockResponse(200, { choices: [{ message: { content } }] }));
+
+      const items = await describeGarmentImage('base64', { openaiApiKey: 'key' });
+
+      expect(items).toEqual([{ id: 1, description: 'navy blazer', category: 'jacket', color: 'navy' }]);
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer key');
+    });
+
+    it('should return the generated image URL', async () => {
+      global.fetch = sequenceFetch(mockResponse(200, { data: [{ url: 'https://images.example/coat.png' }] }));
+
+      await expect(generateGarmentImage('navy blazer', { openaiApiKey: 'key' })).resolves.toBe('https://images.example/coat.png');
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual(expect.objectContaining({ prompt: 'navy blazer', size: '512x512' }));
+    });
+  });
+});
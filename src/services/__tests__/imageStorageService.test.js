@@ -7,7 +7,11 @@ import {
   downloadAndSaveImage, 
   checkImageExists,
   migrateArticleImage,
-  migrateAllArticleImages
+  migrateAllArticleImages,
+  isOwnedImageUri,
+  deleteArticleImages,
+  findOrphanedImages,
+  deleteOrphanedImages
 } from '../imageStorageService';
 
 // Mock the uuid module
@@ -19,7 +23,8 @@ jest.mock('expo-file-system', () => ({
   makeDirectoryAsync: jest.fn(() => Promise.resolve()),
   getInfoAsync: jest.fn().mockReturnValue(Promise.resolve({ exists: false })),
   downloadAsync: jest.fn().mockReturnValue(Promise.resolve({ status: 200 })),
-  deleteAsync: jest.fn().mockReturnValue(Promise.resolve())
+  deleteAsync: jest.fn().mockReturnValue(Promise.resolve()),
+  readDirectoryAsync: jest.fn().mockReturnValue(Promise.resolve([]))
 }));
 
 describe('imageStorageService', () => {
@@ -181,4 +186,61 @@ describe('imageStorageService', () => {
       expect(result[2].localImageUri).toBeUndefined();
     });
   });
+
+  describe('image cleanup', () => {
+    const owned = name => `${mockImageDirectory}${name}`;
+    const NOW = Date.UTC(2025, 5, 1);
+    // Files a.jpg (referenced), b.jpg (orphan), new.jpg (orphan, written a minute ago)
+    const files = {
+      [owned('a.jpg')]: { exists: true, size: 100, modificationTime: NOW / 1000 - 3600 },
+      [owned('b.jpg')]: { exists: true, size: 250, modificationTime: NOW / 1000 - 3600 },
+      [owned('new.jpg')]: { exists: true, size: 40, modificationTime: NOW / 1000 - 60 }
+    };
+
+    beforeEach(() => {
+      FileSystem.getInfoAsync.mockImplementation(uri =>
+        Promise.resolve(uri === mockImageDirectory ? { exists: true, isDirectory: true } : files[uri] || { exists: false }));
+      FileSystem.readDirectoryAsync.mockResolvedValue(['a.jpg', 'b.jpg', 'new.jpg']);
+    });
+
+    it('should only treat files in the images directory as owned', () => {
+      expect(isOwnedImageUri(owned('a.jpg'))).toBe(true);
+      expect(isOwnedImageUri('file:///mock/path/cache/crop.jpg')).toBe(false);
+      expect(isOwnedImageUri('https://example.com/a.jpg')).toBe(false);
+      expect(isOwnedImageUri(mockImageDirectory)).toBe(false);
+    });
+
+    it('should delete owned files of removed articles unless another article still uses them', async () => {
+      const removed = [
+        { id: '1', localImageUri: owned('a.jpg'), imageUri: 'file:///DCIM/photo.jpg' },
+        { id: '2', localImageUri: owned('b.jpg') }
+      ];
+      const remaining = [{ id: '3', croppedImageUri: owned('b.jpg') }];
+
+      const deleted = await deleteArticleImages(removed, remaining);
+
+      expect(deleted).toBe(1);
+      expect(FileSystem.deleteAsync).toHaveBeenCalledTimes(1);
+      expect(FileSystem.deleteAsync).toHaveBeenCalledWith(owned('a.jpg'));
+    });
+
+    it('should report unreferenced files older than the grace period', async () => {
+      const report = await findOrphanedImages([{ id: '1', localImageUri: owned('a.jpg') }], { now: NOW });
+
+      expect(report.files.map(f => f.uri)).toEqual([owned('b.jpg')]);
+      expect(report).toEqual(expect.objectContaining({ totalFiles: 3, totalBytes: 390, reclaimableBytes: 250 }));
+    });
+
+    it('should delete orphaned files and report reclaimed bytes', async () => {
+      const result = await deleteOrphanedImages([], { now: NOW, minAgeMs: 0 });
+
+      expect(result).toEqual({ deletedCount: 3, reclaimedBytes: 390 });
+    });
+
+    it('should report nothing when the images directory does not exist', async () => {
+      FileSystem.getInfoAsync.mockResolvedValue({ exists: false });
+
+      expect(await findOrphanedImages([])).toEqual({ files: [], totalFiles: 0, totalBytes: 0, reclaimableBytes: 0 });
+    });
+  });
 });
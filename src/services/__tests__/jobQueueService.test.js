@@ -0,0 +1,290 @@
+// jobQueueService.test.js
+// Tests for the durable GarmentVision job queue
+// Run with: npx jest src/services/__tests__/jobQueueService.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import {
+  getRetryDelay,
+  getJobs,
+  getJob,
+  enqueueGarmentVisionJob,
+  configureJobQueue,
+  processJobs,
+  resumeJobQueue,
+  retryJob,
+  removeJob,
+  waitForJob,
+  subscribeToJobs,
+  getJobImageReferences,
+  runGarmentVisionJob,
+  MAX_ATTEMPTS
+} from '../jobQueueService';
+import { describeGarmentImage } from '../garmentDescriptionService';
+import { generateGarmentImage } from '../garmentImageGenerationService';
+import { downloadAndSaveImage } from '../imageStorageService';
+import { HttpError } from '../httpClient';
+import { JOB_QUEUE_KEY } from '../constants';
+
+jest.mock('expo-file-system', () => ({
+  documentDirectory: 'file:///mock/path/',
+  EncodingType: { Base64: 'base64' },
+  getInfoAsync: jest.fn(() => Promise.resolve({ exists: true })),
+  makeDirectoryAsync: jest.fn(() => Promise.resolve()),
+  writeAsStringAsync: jest.fn(() => Promise.resolve()),
+  readAsStringAsync: jest.fn(() => Promise.resolve('stored-base64')),
+  deleteAsync: jest.fn(() => Promise.resolve())
+}));
+jest.mock('../garmentDescriptionService');
+jest.mock('../garmentImageGenerationService');
+jest.mock('../imageStorageService');
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+let mockUuidCounter = 0;
+jest.mock('../uuid', () => jest.fn(() => `job-${++mockUuidCounter}`));
+
+const ITEMS = [
+  { id: 1, description: 'navy blazer', category: 'jacket', color: 'navy' },
+  { id: 2, description: 'white sneakers', category: 'shoes', color: 'white' }
+];
+
+describe('jobQueueService', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    configureJobQueue({ openaiApiKey: 'test-key' });
+    describeGarmentImage.mockResolvedValue(ITEMS);
+    generateGarmentImage.mockImplementation(async description => `https://images.example/${description.replace(' ', '-')}.png`);
+    downloadAndSaveImage.mockImplementation(async url => `file:///mock/path/images/${url.split('/').pop()}`);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  it('should back off exponentially up to five minutes', () => {
+    expect([1, 2, 3, 4].map(getRetryDelay)).toEqual([5000, 10000, 20000, 40000]);
+    expect(getRetryDelay(20)).toBe(5 * 60 * 1000);
+  });
+
+  it('should persist queued photos as files and jobs as pending', async () => {
+    const job = await enqueueGarmentVisionJob('abc123');
+
+    expect(FileSystem.writeAsStringAsync).toHaveBeenCalledWith(
+      `file:///mock/path/jobs/${job.id}.jpg`, 'abc123', { encoding: 'base64' }
+    );
+    expect(await getJobs()).toEqual([expect.objectContaining({ id: job.id, state: 'pending', attempts: 0 })]);
+    await expect(enqueueGarmentVisionJob('')).rejects.toThrow('No image provided');
+  });
+
+  it('should run every step and save progress after each one', async () => {
+    const job = await enqueueGarmentVisionJob('abc123');
+    const states = [];
+    const unsubscribe = subscribeToJobs(jobs => states.push(jobs[0].state));
+
+    await processJobs();
+    unsubscribe();
+
+    expect(describeGarmentImage).toHaveBeenCalledWith('stored-base64', { openaiApiKey: 'test-key', signal: expect.any(AbortSignal) });
+    expect([...new Set(states)]).toEqual(['describing', 'generating', 'downloading', 'done']);
+    const done = await getJob(job.id);
+    expect(done.items).toEqual([
+      expect.objectContaining({ description: 'navy blazer', imageUrl: 'https://images.example/navy-blazer.png',
+        localImageUri: 'file:///mock/path/images/navy-blazer.png' }),
+      expect.objectContaining({ description: 'white sneakers', localImageUri: 'file:///mock/path/images/white-sneakers.png' })
+    ]);
+  });
+
+  it('should resume an interrupted job from its last saved step', async () => {
+    await AsyncStorage.setItem(JOB_QUEUE_KEY, JSON.stringify([{
+      id: 'old',
+      state: 'generating',
+      inputUri: 'file:///mock/path/jobs/old.jpg',
+      items: [{ ...ITEMS[0], imageUrl: 'https://images.example/saved.png' }, ITEMS[1]],
+      attempts: 0
+    }]));
+
+    await resumeJobQueue({ openaiApiKey: 'test-key' });
+
+    expect(describeGarmentImage).not.toHaveBeenCalled();
+    expect(generateGarmentImage).toHaveBeenCalledTimes(1);
+    expect(generateGarmentImage).toHaveBeenCalledWith('white sneakers', { openaiApiKey: 'test-key', signal: expect.any(AbortSignal) });
+    expect((await getJob('old')).state).toBe('done');
+  });
+
+  it('should retry a failed step with backoff and fail after the last attempt', async () => {
+    const job = await enqueueGarmentVisionJob('abc123');
+    generateGarmentImage.mockRejectedValue(new Error('Network request failed'));
+
+    await processJobs();
+    let stored = await getJob(job.id);
+    expect(stored).toEqual(expect.objectContaining({
+      state: 'generating',
+      attempts: 1,
+      lastError: 'Network request failed',
+      lastErrorType: 'unknown',
+      lastErrorStage: 'generate'
+    }));
+    expect(new Date(stored.nextAttemptAt).getTime() - Date.now()).toBe(5000);
+
+    for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+      jest.setSystemTime(Date.now() + getRetryDelay(attempt - 1));
+      await processJobs();
+    }
+    stored = await getJob(job.id);
+    expect(stored).toEqual(expect.objectContaining({ state: 'failed', attempts: MAX_ATTEMPTS, nextAttemptAt: null }));
+    expect(describeGarmentImage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fail at once when no garments are found', async () => {
+    describeGarmentImage.mockResolvedValue([]);
+    const job = await enqueueGarmentVisionJob('abc123');
+
+    await processJobs();
+
+    expect(await getJob(job.id)).toEqual(expect.objectContaining({
+      state: 'failed',
+      attempts: 1,
+      lastError: 'No clothing items detected in the image.'
+    }));
+  });
+
+  it('should fail at once on an HTTP error that retrying cannot fix', async () => {
+    describeGarmentImage.mockRejectedValue(new HttpError('OpenAI request failed with status 401: Incorrect API key', { code: 'http', status: 401 }));
+    const job = await enqueueGarmentVisionJob('abc123');
+
+    await processJobs();
+
+    expect(await getJob(job.id)).toEqual(expect.objectContaining({
+      state: 'failed',
+      attempts: 1,
+      nextAttemptAt: null,
+      lastErrorType: 'auth',
+      lastErrorStage: 'detect'
+    }));
+  });
+
+  it('should retry a failed job from the step that failed', async () => {
+    await AsyncStorage.setItem(JOB_QUEUE_KEY, JSON.stringify([{
+      id: 'broken',
+      state: 'failed',
+      inputUri: 'file:///mock/path/jobs/broken.jpg',
+      items: [{ ...ITEMS[0], imageUrl: 'https://images.example/a.png' }],
+      attempts: MAX_ATTEMPTS,
+      lastError: 'Download failed'
+    }]));
+
+    const retried = await retryJob('broken');
+    expect(retried).toEqual(expect.objectContaining({ state: 'downloading', attempts: 0, lastError: null }));
+    await processJobs();
+
+    expect((await getJob('broken')).state).toBe('done');
+    expect(generateGarmentImage).not.toHaveBeenCalled();
+    await expect(retryJob('missing')).rejects.toThrow('Job missing not found.');
+  });
+
+  it('should remove a job with its photo and stop waiters', async () => {
+    const job = await enqueueGarmentVisionJob('abc123');
+    const waiting = waitForJob(job.id);
+
+    expect(await removeJob(job.id)).toBe(true);
+
+    await expect(waiting).rejects.toThrow('Job was cancelled.');
+    expect(FileSystem.deleteAsync).toHaveBeenCalledWith(job.inputUri, { idempotent: true });
+    expect(await getJobs()).toEqual([]);
+    expect(await removeJob(job.id)).toBe(false);
+  });
+
+  it('should abort the request of a running job when it is removed', async () => {
+    let signal;
+    describeGarmentImage.mockImplementation((image, options) => new Promise((resolve, reject) => {
+      signal = options.signal;
+      signal.addEventListener('abort', () => reject(new HttpError('OpenAI request was cancelled', { code: 'aborted' })));
+    }));
+    const job = await enqueueGarmentVisionJob('abc123');
+    const running = processJobs();
+    await jest.advanceTimersByTimeAsync(0);
+
+    await removeJob(job.id);
+    await running;
+
+    expect(signal.aborted).toBe(true);
+    expect(await getJobs()).toEqual([]);
+  });
+
+  it('should keep every change made to the queue at once', async () => {
+    const first = await enqueueGarmentVisionJob('abc123');
+    const second = await enqueueGarmentVisionJob('def456');
+
+    const [retried, , third, fourth] = await Promise.all([
+      retryJob(first.id),
+      removeJob(second.id),
+      enqueueGarmentVisionJob('ghi789'),
+      enqueueGarmentVisionJob('jkl012')
+    ]);
+
+    expect(retried.id).toBe(first.id);
+    expect((await getJobs()).map(job => job.id)).toEqual([first.id, third.id, fourth.id]);
+  });
+
+  it('should leave the queue alone when it cannot be read', async () => {
+    const job = await enqueueGarmentVisionJob('abc123');
+    const stored = await AsyncStorage.getItem(JOB_QUEUE_KEY);
+
+    AsyncStorage.getItem.mockRejectedValueOnce(new Error('Storage unavailable'));
+    await expect(enqueueGarmentVisionJob('def456')).rejects.toThrow('Storage unavailable');
+    expect((await getJobs()).map(entry => entry.id)).toEqual([job.id]);
+
+    // A corrupt queue is kept for repair instead of being replaced by the new job
+    await AsyncStorage.setItem(JOB_QUEUE_KEY, stored.slice(0, -5));
+    await expect(enqueueGarmentVisionJob('ghi789')).rejects.toThrow(SyntaxError);
+    await expect(removeJob(job.id)).rejects.toThrow(SyntaxError);
+    expect(await AsyncStorage.getItem(JOB_QUEUE_KEY)).toBe(stored.slice(0, -5));
+  });
+
+  it('should report images held by jobs so storage clean up keeps them', async () => {
+    await AsyncStorage.setItem(JOB_QUEUE_KEY, JSON.stringify([
+      { id: 'a', state: 'done', items: [{ localImageUri: 'file:///img/1.png' }, { imageUrl: 'https://x' }] }
+    ]));
+
+    expect(await getJobImageReferences()).toEqual([{ localImageUri: 'file:///img/1.png' }]);
+  });
+
+  describe('runGarmentVisionJob', () => {
+    it('should return the articles and remove the finished job', async () => {
+      const articles = await runGarmentVisionJob('abc123', { openaiApiKey: 'other-key' });
+
+      expect(articles.map(a => a.description)).toEqual(['navy blazer', 'white sneakers']);
+      expect(describeGarmentImage).toHaveBeenCalledWith('stored-base64', { openaiApiKey: 'other-key', signal: expect.any(AbortSignal) });
+      expect(await getJobs()).toEqual([]);
+    });
+
+    it('should remove the job when the caller aborts', async () => {
+      const controller = new AbortController();
+      describeGarmentImage.mockImplementation((image, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new HttpError('OpenAI request was cancelled', { code: 'aborted' })));
+        controller.abort();
+      }));
+
+      await expect(runGarmentVisionJob('abc123', { signal: controller.signal })).rejects.toThrow('Job was cancelled.');
+      expect(await getJobs()).toEqual([]);
+    });
+
+    it('should throw and keep the job when it fails', async () => {
+      describeGarmentImage.mockResolvedValue([]);
+
+      await expect(runGarmentVisionJob('abc123')).rejects.toMatchObject({
+        type: 'no-garments',
+        stage: 'detect',
+        message: 'No clothing items detected in the image.'
+      });
+      expect(await getJobs()).toEqual([expect.objectContaining({ state: 'failed' })]);
+    });
+  });
+});
@@ -0,0 +1,277 @@
+// migrationService.test.js
+// Unit tests for startup data repairs in migrationService.js
+// Run with: npx jest src/services/__tests__/migrationService.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  repairReferentialIntegrity,
+  runMigrations,
+  validateMigrations,
+  getSchemaVersion,
+  getMigrationStatus,
+  MIGRATIONS
+} from '../migrationService';
+import { getOutfits } from '../outfitService';
+import { getPlans } from '../outfitPlanService';
+import {
+  attachClosetDatabase,
+  setClosetRepository,
+  getClosetRepository,
+  createAsyncStorageClosetRepository
+} from '../closetRepository';
+import {
+  GALLERY_ARTICLES_KEY,
+  OUTFITS_KEY,
+  OUTFIT_PLANS_KEY,
+  WEAR_LOG_KEY,
+  CLOSET_STORAGE_KEY,
+  SCHEMA_VERSION_KEY,
+  MIGRATION_SNAPSHOT_KEY
+} from '../constants';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+describe('migrationService', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await AsyncStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('repairReferentialIntegrity', () => {
+    it('should drop dangling article ids and plans for missing outfits', async () => {
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([{ id: 'a' }, { id: 'b' }]));
+      await AsyncStorage.setItem(OUTFITS_KEY, JSON.stringify([
+        { id: 'o1', name: 'Work', articleIds: ['a', 'gone'] },
+        { id: 'o2', name: 'Ghost', articleIds: ['gone'] },
+        { id: 'o3', name: 'Fine', articleIds: ['b'] }
+      ]));
+      await AsyncStorage.setItem(OUTFIT_PLANS_KEY, JSON.stringify([
+        { id: 'p1', outfitId: 'o1', date: '2025-01-01' },
+        { id: 'p2', outfitId: 'deleted', date: '2025-01-02' }
+      ]));
+
+      const result = await repairReferentialIntegrity();
+
+      expect(result).toEqual({ success: true, migratedCount: 3, totalCount: 5 });
+      const outfits = await getOutfits();
+      expect(outfits.map(o => o.articleIds)).toEqual([['a'], [], ['b']]);
+      expect((await getPlans()).map(p => p.id)).toEqual(['p1']);
+    });
+
+    it('should change nothing when the closet or plans cannot be read', async () => {
+      await AsyncStorage.setItem(OUTFITS_KEY, JSON.stringify([{ id: 'o1', name: 'Work', articleIds: ['a'] }]));
+      await AsyncStorage.setItem(OUTFIT_PLANS_KEY, JSON.stringify([{ id: 'p1', outfitId: 'o1', date: '2025-01-01' }]));
+      const getItem = AsyncStorage.getItem.getMockImplementation();
+      jest.spyOn(AsyncStorage, 'getItem').mockImplementation(key =>
+        (key === GALLERY_ARTICLES_KEY ? Promise.reject(new Error('read failed')) : getItem(key)));
+
+      const result = await repairReferentialIntegrity();
+      AsyncStorage.getItem.mockImplementation(getItem);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, error: 'read failed' }));
+      expect((await getOutfits())[0].articleIds).toEqual(['a']);
+
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([]));
+      await AsyncStorage.setItem(OUTFIT_PLANS_KEY, '[{"id":');
+      expect((await repairReferentialIntegrity()).success).toBe(false);
+      expect(await AsyncStorage.getItem(OUTFIT_PLANS_KEY)).toBe('[{"id":');
+    });
+
+    it('should report nothing to repair for consistent data', async () => {
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([{ id: 'a' }]));
+      await AsyncStorage.setItem(OUTFITS_KEY, JSON.stringify([{ id: 'o1', name: 'Work', articleIds: ['a'] }]));
+
+      const result = await repairReferentialIntegrity();
+
+      expect(result).toEqual({ success: true, migratedCount: 0, totalCount: 1 });
+    });
+  });
+
+  describe('runMigrations', () => {
+    // Stands in for the SQLite database App.js attaches: a repository on other AsyncStorage keys
+    const DATABASE_KEYS = { articles: 'db.articles', outfits: 'db.outfits', wearEvents: 'db.wearLog' };
+    let database;
+
+    beforeEach(async () => {
+      database = createAsyncStorageClosetRepository(DATABASE_KEYS);
+      await attachClosetDatabase(database);
+    });
+
+    afterEach(async () => {
+      await attachClosetDatabase(null);
+      setClosetRepository(null);
+    });
+
+    // Test migrations writing a single 'testStore' key
+    const write = (version, name, value) => ({
+      version,
+      name,
+      keys: ['testStore'],
+      up: jest.fn(async ({ dryRun }) => {
+        if (!dryRun) await AsyncStorage.setItem('testStore', value);
+        return { success: true, migratedCount: 1, totalCount: 1 };
+      })
+    });
+
+    it('should run every built-in migration once and record the schema version', async () => {
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([{ id: 'a', wearCount: undefined }]));
+
+      const first = await runMigrations('1.0.0');
+
+      expect(first.success).toBe(true);
+      expect(first.migrations.map(m => m.name)).toEqual(['image-persistence', 'wear-count', 'wear-log', 'referential-integrity', 'closet-database']);
+      expect(first.schemaVersion).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+      expect(await getSchemaVersion()).toBe(5);
+      expect(JSON.parse(await AsyncStorage.getItem(GALLERY_ARTICLES_KEY))[0].wearCount).toBe(0);
+      const status = await getMigrationStatus();
+      expect(status[2]).toEqual(expect.objectContaining({ name: 'wear-count', status: 'applied', appVersion: '1.0.0', migratedCount: 1 }));
+      expect(await AsyncStorage.getItem(MIGRATION_SNAPSHOT_KEY)).toBeNull();
+
+      // The closet now lives in the database
+      expect(getClosetRepository().name).toBe(database.name);
+      expect(JSON.parse(await AsyncStorage.getItem('db.articles'))).toEqual([{ id: 'a', wearCount: 0 }]);
+      expect(JSON.parse(await AsyncStorage.getItem('db.wearLog'))).toEqual([]);
+      expect(await AsyncStorage.getItem(CLOSET_STORAGE_KEY)).toBe(database.name);
+
+      const second = await runMigrations('1.0.0');
+      expect(second).toEqual({ success: true, dryRun: false, schemaVersion: 5, migrations: [] });
+    });
+
+    it('should keep the closet in AsyncStorage and retry the move when no database is attached', async () => {
+      await attachClosetDatabase(null);
+      await AsyncStorage.setItem(SCHEMA_VERSION_KEY, '4');
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([{ id: 'a', wearCount: 1 }]));
+
+      const failed = await runMigrations('1.0.0');
+
+      expect(failed.success).toBe(false);
+      expect(failed.error).toBe('Migration 5 (closet-database) failed: The closet database is not available');
+      expect(await getSchemaVersion()).toBe(4);
+      expect(await AsyncStorage.getItem(CLOSET_STORAGE_KEY)).toBeNull();
+      expect(getClosetRepository().name).toBe('asyncStorage');
+
+      // Next launch the database opens and the move goes through
+      await attachClosetDatabase(database);
+      const retried = await runMigrations('1.0.0');
+
+      expect(retried.success).toBe(true);
+      expect(getClosetRepository().name).toBe(database.name);
+      expect(JSON.parse(await AsyncStorage.getItem('db.articles'))).toEqual([{ id: 'a', wearCount: 1 }]);
+    });
+
+    it('should only run migrations newer than the stored schema version', async () => {
+      await AsyncStorage.setItem(SCHEMA_VERSION_KEY, '1');
+      const migrations = [write(1, 'one', 'a'), write(2, 'two', 'b'), write(3, 'three', 'c')];
+
+      const result = await runMigrations('1.0.0', { migrations });
+
+      expect(migrations[0].up).not.toHaveBeenCalled();
+      expect(result.migrations.map(m => m.version)).toEqual([2, 3]);
+      expect(await AsyncStorage.getItem('testStore')).toBe('c');
+      expect(await getSchemaVersion()).toBe(3);
+    });
+
+    it('should report pending changes in a dry run without writing anything', async () => {
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([{ id: 'a' }, { id: 'b', wearCount: 2 }]));
+      await AsyncStorage.setItem(OUTFITS_KEY, JSON.stringify([{ id: 'o1', name: 'Work', articleIds: ['a', 'gone'] }]));
+      const before = JSON.stringify(await AsyncStorage.multiGet([GALLERY_ARTICLES_KEY, OUTFITS_KEY, WEAR_LOG_KEY]));
+
+      const result = await runMigrations('1.0.0', { dryRun: true });
+
+      expect(result.success).toBe(true);
+      expect(result.dryRun).toBe(true);
+      expect(result.migrations.find(m => m.name === 'wear-count').migratedCount).toBe(1);
+      expect(result.migrations.find(m => m.name === 'referential-integrity').migratedCount).toBe(1);
+      expect(result.migrations.find(m => m.name === 'closet-database').migratedCount).toBe(3);
+      expect(JSON.stringify(await AsyncStorage.multiGet([GALLERY_ARTICLES_KEY, OUTFITS_KEY, WEAR_LOG_KEY]))).toBe(before);
+      expect(await AsyncStorage.getItem('db.articles')).toBeNull();
+      expect(await getSchemaVersion()).toBe(0);
+      expect(await getMigrationStatus()).toEqual({});
+    });
+
+    it('should roll a failed migration back from its snapshot and stop', async () => {
+      await AsyncStorage.setItem('testStore', 'original');
+      const failing = {
+        version: 2,
+        name: 'broken',
+        keys: ['testStore', 'newStore'],
+        up: jest.fn(async () => {
+          await AsyncStorage.setItem('testStore', 'half-written');
+          await AsyncStorage.setItem('newStore', 'created');
+          throw new Error('disk full');
+        })
+      };
+      const later = write(3, 'later', 'never');
+
+      const result = await runMigrations('1.0.0', { migrations: [write(1, 'one', 'migrated'), failing, later] });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Migration 2 (broken) failed: disk full');
+      expect(result.schemaVersion).toBe(1);
+      expect(later.up).not.toHaveBeenCalled();
+      expect(await AsyncStorage.getItem('testStore')).toBe('migrated');
+      expect(await AsyncStorage.getItem('newStore')).toBeNull();
+      expect(await getSchemaVersion()).toBe(1);
+      expect((await getMigrationStatus())[2]).toEqual(expect.objectContaining({ status: 'rolled-back', error: 'disk full' }));
+      expect(await AsyncStorage.getItem(MIGRATION_SNAPSHOT_KEY)).toBeNull();
+    });
+
+    it('should treat a reported failure like a thrown one', async () => {
+      const migration = { version: 1, name: 'reports', keys: ['testStore'], up: async () => {
+        await AsyncStorage.setItem('testStore', 'partial');
+        return { success: false, error: 'bad data', migratedCount: 0, totalCount: 0 };
+      } };
+
+      const result = await runMigrations('1.0.0', { migrations: [migration] });
+
+      expect(result.success).toBe(false);
+      expect(await AsyncStorage.getItem('testStore')).toBeNull();
+      expect(await getSchemaVersion()).toBe(0);
+    });
+
+    it('should roll back a migration interrupted on a previous launch, then run it again', async () => {
+      await AsyncStorage.setItem('testStore', 'partial');
+      await AsyncStorage.setItem(MIGRATION_SNAPSHOT_KEY, JSON.stringify({ version: 1, name: 'one', values: { testStore: 'original' } }));
+      const migration = { version: 1, name: 'one', keys: ['testStore'], up: jest.fn(async () => {
+        expect(await AsyncStorage.getItem('testStore')).toBe('original');
+        await AsyncStorage.setItem('testStore', 'done');
+        return { success: true, migratedCount: 1, totalCount: 1 };
+      }) };
+
+      const result = await runMigrations('1.0.0', { migrations: [migration] });
+
+      expect(result.success).toBe(true);
+      expect(migration.up).toHaveBeenCalledTimes(1);
+      expect(await AsyncStorage.getItem('testStore')).toBe('done');
+      expect((await getMigrationStatus())[1].status).toBe('applied');
+    });
+
+    it('should drop a stale snapshot of a migration that was already applied', async () => {
+      await AsyncStorage.setItem(SCHEMA_VERSION_KEY, '1');
+      await AsyncStorage.setItem('testStore', 'migrated');
+      await AsyncStorage.setItem(MIGRATION_SNAPSHOT_KEY, JSON.stringify({ version: 1, name: 'one', values: { testStore: 'original' } }));
+
+      await runMigrations('1.0.0', { migrations: [write(1, 'one', 'again')] });
+
+      expect(await AsyncStorage.getItem('testStore')).toBe('migrated');
+      expect(await AsyncStorage.getItem(MIGRATION_SNAPSHOT_KEY)).toBeNull();
+    });
+
+    it('should reject malformed migration lists', async () => {
+      expect(() => validateMigrations(MIGRATIONS)).not.toThrow();
+      expect(() => validateMigrations([write(2, 'two', 'x'), write(1, 'one', 'y')])).toThrow('Migration 1 is out of order.');
+      expect(() => validateMigrations([write(1, 'same', 'x'), write(2, 'same', 'y')])).toThrow('Migration 2 needs a unique name.');
+      expect((await runMigrations('1.0.0', { migrations: [write(0, 'zero', 'x')] })).success).toBe(false);
+    });
+  });
+});
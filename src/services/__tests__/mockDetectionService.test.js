@@ -0,0 +1,88 @@
+// mockDetectionService.test.js
+// Tests for the offline mock detection provider, including the full verification -> gallery flow
+// Run with: npx jest src/services/__tests__/mockDetectionService.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { detectMockArticles, cropMockArticles, MOCK_FIXTURE_ARTICLES } from '../mockDetectionService';
+import { getProvider, setActiveProvider } from '../detectionProviders';
+import { processImageForVerification, processSelectedArticles } from '../verificationService';
+import { addArticles, getAllArticles } from '../galleryService';
+
+jest.mock('../garmentVisionService');
+jest.mock('../clarifaiService');
+jest.mock('../openaiVisionService');
+
+describe('mockDetectionService', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('detectMockArticles', () => {
+    it('should return the same fixtures for any input', async () => {
+      const first = await detectMockArticles('file:///a.jpg');
+      const second = await detectMockArticles('data:image/jpeg;base64,xyz');
+
+      expect(first).toEqual(second);
+      expect(first.map(a => a.name)).toEqual(['jacket', 'shirt', 'jeans', 'sneakers']);
+      first.forEach(article => {
+        expect(article.boundingBox).toEqual(expect.objectContaining({
+          top_row: expect.any(Number),
+          left_col: expect.any(Number),
+          bottom_row: expect.any(Number),
+          right_col: expect.any(Number)
+        }));
+        expect(article.imageUri).toMatch(/^data:image\/png;base64,/);
+      });
+    });
+
+    it('should return copies so callers cannot change the fixtures', async () => {
+      const articles = await detectMockArticles('file:///a.jpg');
+      articles[0].name = 'changed';
+      articles[0].boundingBox.top_row = 1;
+
+      expect(MOCK_FIXTURE_ARTICLES[0].name).toBe('jacket');
+      expect(MOCK_FIXTURE_ARTICLES[0].boundingBox.top_row).toBe(0.05);
+    });
+  });
+
+  describe('cropMockArticles', () => {
+    it('should attach the fixture image as the cropped image', async () => {
+      const [jacket] = await detectMockArticles('file:///a.jpg');
+      const [cropped] = await cropMockArticles('file:///a.jpg', [jacket]);
+
+      expect(cropped.croppedImageUri).toBe(jacket.imageUri);
+    });
+  });
+
+  describe('capture flow', () => {
+    it('should be registered as the mock provider', () => {
+      expect(getProvider('mock')).toEqual(expect.objectContaining({ inputType: 'uri', labelKey: 'name' }));
+    });
+
+    it('should take a photo through verification into the gallery offline', async () => {
+      await setActiveProvider('mock');
+
+      const { articles, error, providerId } = await processImageForVerification('file:///photo.jpg');
+      expect(error).toBeNull();
+      expect(providerId).toBe('mock');
+      expect(articles).toHaveLength(4);
+
+      const selectedIds = [articles[0].id, articles[2].id];
+      const { finalArticles, error: finishError } = await processSelectedArticles(
+        'file:///photo.jpg', articles, selectedIds, { providerId }
+      );
+      expect(finishError).toBeNull();
+      expect(finalArticles.map(a => a.category)).toEqual(['outerwear', 'bottoms']);
+      finalArticles.forEach(article => expect(article.croppedImageUri).toMatch(/^data:image\/png/));
+
+      await addArticles(finalArticles);
+      const stored = await getAllArticles();
+      expect(stored.map(a => a.description)).toEqual(['Navy denim jacket', 'Dark wash jeans']);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// outfitPlanService.test.js
+// Unit tests for planning outfits on calendar days
+// Run with: npx jest src/services/__tests__/outfitPlanService.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getPlans, planOutfit, removePlan, markPlanAsWorn } from '../outfitPlanService';
+import { saveOutfit, getOutfits, deleteWearEvent } from '../outfitService';
+import { getWearEvents } from '../wearLogService';
+import { addDays, todayKey, toDateKey } from '../calendarService';
+import { GALLERY_ARTICLES_KEY } from '../constants';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+const articles = [
+  { id: 'a', description: 'Shirt', category: 'tops', wearCount: 0 },
+  { id: 'b', description: 'Pants', category: 'bottoms', wearCount: 0 }
+];
+
+describe('outfitPlanService', () => {
+  let outfitId;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(articles));
+    await saveOutfit({ name: 'Work', articles });
+    outfitId = (await getOutfits())[0].id;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should plan outfits and list them by date', async () => {
+    const later = await planOutfit(outfitId, addDays(todayKey(), 3));
+    const sooner = await planOutfit(outfitId, todayKey());
+
+    expect((await getPlans()).map(p => p.id)).toEqual([sooner.id, later.id]);
+    expect((await getPlans({ from: addDays(todayKey(), 1) })).map(p => p.id)).toEqual([later.id]);
+  });
+
+  it('should reject past or malformed dates', async () => {
+    await expect(planOutfit(outfitId, addDays(todayKey(), -1)))
+      .rejects.toThrow('Outfits can only be planned for today or a future date.');
+    await expect(planOutfit(outfitId, 'tomorrow')).rejects.toThrow('Plan date must be YYYY-MM-DD.');
+  });
+
+  it('should remove a plan', async () => {
+    const plan = await planOutfit(outfitId, todayKey());
+
+    expect(await removePlan(plan.id)).toBe(true);
+    expect(await removePlan(plan.id)).toBe(false);
+    expect(await getPlans()).toEqual([]);
+  });
+
+  it('should mark a plan as worn on its day', async () => {
+    const plan = await planOutfit(outfitId, todayKey());
+
+    const result = await markPlanAsWorn(plan.id);
+
+    expect(result.success).toBe(true);
+    expect(result.outfit.wearCount).toBe(1);
+    expect(toDateKey(result.event.wornAt)).toBe(plan.date);
+    expect((await getPlans())[0].wornEventId).toBe(result.event.id);
+    expect(await markPlanAsWorn(plan.id)).toEqual({ success: false, error: 'This plan was already marked as worn' });
+  });
+
+  it('should keep plans made while a plan is marked as worn', async () => {
+    const plan = await planOutfit(outfitId, todayKey());
+
+    const [result, added] = await Promise.all([
+      markPlanAsWorn(plan.id),
+      planOutfit(outfitId, addDays(todayKey(), 1))
+    ]);
+
+    const plans = await getPlans();
+    expect(plans.map(p => p.id)).toEqual([plan.id, added.id]);
+    expect(plans[0].wornEventId).toBe(result.event.id);
+  });
+
+  it('should record one wear when a plan is marked twice at once', async () => {
+    const plan = await planOutfit(outfitId, todayKey());
+
+    const results = await Promise.all([markPlanAsWorn(plan.id), markPlanAsWorn(plan.id)]);
+
+    expect(results.map(r => r.success)).toEqual([true, false]);
+    expect(results[1].error).toBe('This plan is already being marked as worn');
+    expect(await getWearEvents({ outfitId })).toHaveLength(1);
+    expect((await getOutfits())[0].wearCount).toBe(1);
+    // The claim is released once the first call finishes
+    expect(await markPlanAsWorn(plan.id)).toEqual({ success: false, error: 'This plan was already marked as worn' });
+  });
+
+  it('should allow marking again after the wear was undone', async () => {
+    const plan = await planOutfit(outfitId, todayKey());
+    const first = await markPlanAsWorn(plan.id);
+    await deleteWearEvent(first.event.id);
+
+    const second = await markPlanAsWorn(plan.id);
+
+    expect(second.success).toBe(true);
+    expect(await getWearEvents({ outfitId })).toHaveLength(1);
+  });
+
+  it('should not mark future plans as worn', async () => {
+    const plan = await planOutfit(outfitId, addDays(todayKey(), 1));
+
+    const result = await markPlanAsWorn(plan.id);
+
+    expect(result.success).toBe(false);
+    expect(await getWearEvents()).toEqual([]);
+  });
+});
@@ -0,0 +1,257 @@
+// outfitService.test.js
+// Unit tests for outfitService.js (runs against the in-memory AsyncStorage mock)
+// Run with: npx jest src/services/__tests__/outfitService.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  saveOutfit,
+  getOutfits,
+  markOutfitAsWorn,
+  deleteWearEvent,
+  updateOutfit,
+  addArticlesToOutfit,
+  removeArticleFromOutfit,
+  reorderOutfitArticles,
+  moveArticleId,
+  duplicateOutfit,
+  getOutfitsUsingArticles,
+  detachArticlesFromOutfits,
+  removeOutfit
+} from '../outfitService';
+import { getAllArticles, deleteArticlesById } from '../galleryService';
+import { planOutfit, getPlans } from '../outfitPlanService';
+import { todayKey } from '../calendarService';
+import { getWearEvents } from '../wearLogService';
+import { GALLERY_ARTICLES_KEY, OUTFITS_KEY } from '../constants';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+const articles = [
+  { id: 'a', description: 'Shirt', category: 'tops', wearCount: 0 },
+  { id: 'b', description: 'Pants', category: 'bottoms', wearCount: 0 }
+];
+
+describe('outfitService', () => {
+  let outfitId;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(articles));
+    await saveOutfit({ name: 'Work', articles });
+    outfitId = (await getOutfits())[0].id;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('removeOutfit', () => {
+    it('should remove the outfit and its plans', async () => {
+      await planOutfit(outfitId, todayKey());
+
+      await removeOutfit(outfitId);
+
+      expect(await getOutfits()).toEqual([]);
+      expect(await getPlans()).toEqual([]);
+    });
+  });
+
+  describe('markOutfitAsWorn', () => {
+    it('should record an outfit wear event and update counters', async () => {
+      const result = await markOutfitAsWorn(outfitId);
+
+      expect(result.success).toBe(true);
+      expect(result.outfit.wearCount).toBe(1);
+      expect(result.event).toEqual(expect.objectContaining({ outfitId, articleIds: ['a', 'b'] }));
+
+      const events = await getWearEvents({ outfitId });
+      expect(events).toHaveLength(1);
+      const stored = await getAllArticles();
+      expect(stored.map(a => a.wearCount)).toEqual([1, 1]);
+      expect(stored[0].lastWorn).toBe(result.event.wornAt);
+    });
+
+    it('should record nothing when the articles cannot be updated', async () => {
+      const getItem = AsyncStorage.getItem.getMockImplementation();
+      jest.spyOn(AsyncStorage, 'getItem').mockImplementation(key =>
+        (key === GALLERY_ARTICLES_KEY ? Promise.reject(new Error('read failed')) : getItem(key)));
+
+      const result = await markOutfitAsWorn(outfitId);
+      AsyncStorage.getItem.mockImplementation(getItem);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, error: 'read failed' }));
+      expect(await getWearEvents()).toEqual([]);
+      expect((await getOutfits())[0].wearCount || 0).toBe(0);
+    });
+
+    it('should backfill a past date without moving lastWorn backwards', async () => {
+      const today = await markOutfitAsWorn(outfitId);
+      const past = await markOutfitAsWorn(outfitId, { wornAt: '2020-06-01' });
+
+      expect(past.outfit.wearCount).toBe(2);
+      expect(past.outfit.lastWorn).toBe(today.event.wornAt);
+      expect(new Date(past.event.wornAt).getFullYear()).toBe(2020);
+    });
+
+    it('should fail for an unknown outfit', async () => {
+      const result = await markOutfitAsWorn('missing');
+      expect(result).toEqual({ success: false, articlesUpdated: 0, error: 'Outfit not found' });
+    });
+  });
+
+  describe('deleteWearEvent', () => {
+    it('should undo a wear and re-derive counters from the log', async () => {
+      const first = await markOutfitAsWorn(outfitId, { wornAt: '2025-01-01' });
+      const second = await markOutfitAsWorn(outfitId, { wornAt: '2025-02-01' });
+
+      const result = await deleteWearEvent(second.event.id);
+
+      expect(result.success).toBe(true);
+      expect(result.outfit.wearCount).toBe(1);
+      expect(result.outfit.lastWorn).toBe(first.event.wornAt);
+      const stored = await getAllArticles();
+      expect(stored.map(a => a.wearCount)).toEqual([1, 1]);
+      expect(stored[0].lastWorn).toBe(first.event.wornAt);
+    });
+
+    it('should report a missing event', async () => {
+      const result = await deleteWearEvent('missing');
+      expect(result).toEqual({ success: false, error: 'Wear event not found' });
+    });
+  });
+
+  describe('updateOutfit', () => {
+    it('should rename and swap articles while keeping wear history', async () => {
+      const worn = await markOutfitAsWorn(outfitId);
+
+      const updated = await updateOutfit(outfitId, { name: '  Office  ', articleIds: ['b', 'c'] });
+
+      expect(updated).toEqual(expect.objectContaining({
+        id: outfitId,
+        name: 'Office',
+        articleIds: ['b', 'c'],
+        wearCount: 1,
+        lastWorn: worn.event.wornAt
+      }));
+      expect(updated.updatedAt).toEqual(expect.any(String));
+      expect((await getOutfits())[0]).toEqual(updated);
+      expect(await getWearEvents({ outfitId })).toHaveLength(1);
+    });
+
+    it('should reject invalid patches and unknown outfits', async () => {
+      await expect(updateOutfit(outfitId, { name: '   ' })).rejects.toThrow('Outfit name cannot be empty.');
+      await expect(updateOutfit(outfitId, { articleIds: [] })).rejects.toThrow('at least 1 article');
+      await expect(updateOutfit(outfitId, { articleIds: ['a', 'a'] })).rejects.toThrow('only appear once');
+      await expect(updateOutfit('missing', { name: 'X' })).rejects.toThrow('Outfit missing not found.');
+    });
+  });
+
+  describe('article operations', () => {
+    it('should add new articles to the end, skipping ones already in the outfit', async () => {
+      const updated = await addArticlesToOutfit(outfitId, ['b', 'c', 'c']);
+      expect(updated.articleIds).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should remove an article but never the last one', async () => {
+      const updated = await removeArticleFromOutfit(outfitId, 'a');
+      expect(updated.articleIds).toEqual(['b']);
+
+      await expect(removeArticleFromOutfit(outfitId, 'b')).rejects.toThrow('at least 1 article');
+      await expect(removeArticleFromOutfit(outfitId, 'z')).rejects.toThrow('Article z is not in this outfit.');
+    });
+
+    it('should reorder articles only when the set of articles is unchanged', async () => {
+      const updated = await reorderOutfitArticles(outfitId, ['b', 'a']);
+      expect(updated.articleIds).toEqual(['b', 'a']);
+
+      await expect(reorderOutfitArticles(outfitId, ['a', 'c'])).rejects.toThrow('same articles');
+    });
+
+    it('should move an article id within a list', () => {
+      expect(moveArticleId(['a', 'b', 'c'], 0, 2)).toEqual(['b', 'c', 'a']);
+      expect(moveArticleId(['a', 'b', 'c'], 2, -5)).toEqual(['c', 'a', 'b']);
+      expect(moveArticleId(['a', 'b'], 4, 0)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('duplicateOutfit', () => {
+    it('should copy the articles without the wear history', async () => {
+      await markOutfitAsWorn(outfitId);
+
+      const copy = await duplicateOutfit(outfitId);
+
+      expect(copy).toEqual(expect.objectContaining({
+        name: 'Work (copy)',
+        articleIds: ['a', 'b'],
+        duplicatedFrom: outfitId
+      }));
+      expect(copy.id).not.toBe(outfitId);
+      expect(copy.wearCount).toBeUndefined();
+      const outfits = await getOutfits();
+      expect(outfits.map(o => o.id)).toEqual([copy.id, outfitId]);
+      expect(await getWearEvents({ outfitId: copy.id })).toHaveLength(0);
+    });
+
+    it('should accept a custom name', async () => {
+      expect((await duplicateOutfit(outfitId, { name: 'Weekend' })).name).toBe('Weekend');
+      await expect(duplicateOutfit('missing')).rejects.toThrow('not found');
+    });
+  });
+
+  describe('article deletion cascade', () => {
+    let soloId;
+
+    beforeEach(async () => {
+      await saveOutfit({ name: 'Solo', articles: [articles[0]] });
+      soloId = (await getOutfits())[0].id;
+    });
+
+    it('should report outfits using articles and which would be left empty', async () => {
+      const usage = await getOutfitsUsingArticles(['a']);
+
+      expect(usage.outfits.map(o => o.name)).toEqual(['Solo', 'Work']);
+      expect(usage.emptiedOutfits.map(o => o.id)).toEqual([soloId]);
+    });
+
+    it('should remove deleted articles from outfits and keep empty outfits by default', async () => {
+      await deleteArticlesById(['a']);
+
+      const outfits = await getOutfits();
+      expect(outfits.find(o => o.id === outfitId).articleIds).toEqual(['b']);
+      expect(outfits.find(o => o.id === soloId).articleIds).toEqual([]);
+    });
+
+    it('should delete outfits left empty when asked, with their plans', async () => {
+      const kept = await planOutfit(outfitId, todayKey());
+      await planOutfit(soloId, todayKey());
+
+      await deleteArticlesById(['a'], { deleteEmptyOutfits: true });
+
+      const outfits = await getOutfits();
+      expect(outfits.map(o => o.id)).toEqual([outfitId]);
+      expect(outfits[0].articleIds).toEqual(['b']);
+      expect((await getPlans()).map(p => p.id)).toEqual([kept.id]);
+    });
+
+    it('should keep the articles when their outfits cannot be updated', async () => {
+      const getItem = AsyncStorage.getItem.getMockImplementation();
+      jest.spyOn(AsyncStorage, 'getItem').mockImplementation(key =>
+        (key === OUTFITS_KEY ? Promise.reject(new Error('read failed')) : getItem(key)));
+
+      await expect(deleteArticlesById(['a'])).rejects.toThrow('read failed');
+      AsyncStorage.getItem.mockImplementation(getItem);
+
+      expect((await getAllArticles()).map(a => a.id)).toEqual(['a', 'b']);
+      expect((await getOutfits()).find(o => o.id === soloId).articleIds).toEqual(['a']);
+    });
+
+    it('should leave storage untouched when no outfit uses the articles', async () => {
+      expect(await detachArticlesFromOutfits(['z'])).toEqual({ updatedOutfitIds: [], deletedOutfitIds: [] });
+    });
+  });
+});
@@ -0,0 +1,222 @@
+// outfitSuggestionService.test.js
+// Unit tests for the rule-based outfit generator
+// Run with: npx jest src/services/__tests__/outfitSuggestionService.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  suggestOutfits,
+  scoreColorHarmony,
+  getColorFamily,
+  nameSuggestedOutfit,
+  isWaterSensitive,
+  scoreWeatherFit,
+  setArticlePinned,
+  getPinnedArticleIds,
+  loadOutfitSuggestions
+} from '../outfitSuggestionService';
+import { buildTaxonomy } from '../categoryService';
+import { GALLERY_ARTICLES_KEY, CATEGORY_TAXONOMY_KEY } from '../constants';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+const NOW = '2025-07-01T12:00:00.000Z';
+const noJitter = () => 0;
+
+const closet = [
+  { id: 'tee', category: 'tops', description: 'White tee', color: 'White', wearCount: 3, lastWorn: '2025-06-01T00:00:00.000Z' },
+  { id: 'red-top', category: 'tops', description: 'Red blouse', color: 'Red', wearCount: 0 },
+  { id: 'chinos', category: 'bottoms', description: 'Navy chinos', color: 'navy', wearCount: 5, lastWorn: '2025-06-10T00:00:00.000Z' },
+  { id: 'pink-skirt', category: 'bottoms', description: 'Pink skirt', color: 'Hot pink', wearCount: 0 },
+  { id: 'sneakers', category: 'shoes', description: 'White sneakers', color: 'white', wearCount: 20, lastWorn: '2025-06-20T00:00:00.000Z' },
+  { id: 'boots', category: 'shoes', description: 'Green boots', color: 'dark green', wearCount: 1, lastWorn: '2025-06-30T20:00:00.000Z' },
+  { id: 'coat', category: 'outerwear', description: 'Camel coat', color: 'Camel', wearCount: 2, lastWorn: '2025-03-01T00:00:00.000Z' },
+  { id: 'hat', category: 'accessories', color: 'black' },
+  { id: 'sold-top', category: 'tops', color: 'black', status: 'sold' }
+];
+
+describe('outfitSuggestionService', () => {
+  describe('color rules', () => {
+    it('should map free-text colors to families', () => {
+      expect(getColorFamily({ color: 'Dark Green' })).toBe('green');
+      expect(getColorFamily({ color: 'Navy' })).toBe('neutral');
+      expect(getColorFamily({ color: 'sparkly' })).toBe('neutral');
+      expect(getColorFamily({})).toBe('neutral');
+    });
+
+    it('should reward neutrals and matching colors and penalize clashes', () => {
+      expect(scoreColorHarmony([{ color: 'white' }, { color: 'navy' }, { color: 'black' }])).toEqual({ score: 3, verdict: 'neutral' });
+      expect(scoreColorHarmony([{ color: 'red' }, { color: 'navy' }, { color: 'green' }]).verdict).toBe('harmonious');
+      expect(scoreColorHarmony([{ color: 'red' }, { color: 'blue' }])).toEqual({ score: -2, verdict: 'clashing' });
+      expect(scoreColorHarmony([{ color: 'red' }, { color: 'blue' }, { color: 'yellow' }]).verdict).toBe('tooManyColors');
+    });
+  });
+
+  describe('suggestOutfits', () => {
+    it('should compose a top, bottom and shoes with optional outerwear from active articles', () => {
+      const { suggestions, missingSlots } = suggestOutfits(closet, { now: NOW, random: noJitter });
+
+      expect(missingSlots).toEqual([]);
+      expect(suggestions).toHaveLength(1);
+      const [best] = suggestions;
+      expect(Object.keys(best.slots)).toEqual(['outerwear', 'top', 'bottom', 'shoes']);
+      expect(best.articleIds).not.toContain('sold-top');
+      expect(best.articleIds).not.toContain('hat');
+      expect(best.colorVerdict).not.toBe('clashing');
+    });
+
+    it('should skip articles worn in the last few days', () => {
+      const { suggestions } = suggestOutfits(closet, { now: NOW, random: noJitter, count: 10 });
+
+      expect(suggestions.every(s => s.slots.shoes.id === 'sneakers')).toBe(true);
+    });
+
+    it('should prefer harmonious colors over clashing ones', () => {
+      const { suggestions } = suggestOutfits(closet, { now: NOW, random: noJitter, count: 4 });
+
+      // Red and pink are neighbours on the color wheel; all other options include neutrals
+      expect(suggestions.map(s => s.colorVerdict)).not.toContain('clashing');
+      expect(suggestions.length).toBeGreaterThan(1);
+      const pairs = suggestions.map(s => `${s.slots.top.id}/${s.slots.bottom.id}`);
+      expect(new Set(pairs).size).toBe(pairs.length);
+    });
+
+    it('should always use pinned articles, even recently worn ones', () => {
+      const { suggestions } = suggestOutfits(closet, { now: NOW, random: noJitter, pinnedIds: ['boots', 'pink-skirt'] });
+
+      expect(suggestions[0].slots.shoes.id).toBe('boots');
+      expect(suggestions[0].slots.bottom.id).toBe('pink-skirt');
+    });
+
+    it('should reject two pins for the same slot', () => {
+      expect(() => suggestOutfits(closet, { pinnedIds: ['tee', 'red-top'] })).toThrow('Only one top can be pinned.');
+    });
+
+    it('should report required slots the closet cannot fill', () => {
+      const { suggestions, missingSlots } = suggestOutfits(closet.filter(a => a.category !== 'shoes'), { now: NOW });
+
+      expect(suggestions).toEqual([]);
+      expect(missingSlots).toEqual(['shoes']);
+    });
+
+    it('should fill slots with articles in user-added categories', async () => {
+      const custom = { categories: [{ id: 'running-shoes', label: 'Running shoes', labels: [] }] };
+      const ownCloset = [
+        ...closet.filter(a => a.category !== 'shoes'),
+        { id: 'runners', category: 'running-shoes', description: 'Grey runners', color: 'grey' }
+      ];
+
+      expect(suggestOutfits(ownCloset, { now: NOW, random: noJitter }).missingSlots).toEqual(['shoes']);
+      const { suggestions } = suggestOutfits(ownCloset, { now: NOW, random: noJitter, taxonomy: buildTaxonomy(custom) });
+      expect(suggestions[0].slots.shoes.id).toBe('runners');
+
+      await AsyncStorage.clear();
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(ownCloset));
+      await AsyncStorage.setItem(CATEGORY_TAXONOMY_KEY, JSON.stringify(custom));
+      const loaded = await loadOutfitSuggestions({ now: NOW, random: noJitter, weather: null });
+      expect(loaded.suggestions[0].slots.shoes.id).toBe('runners');
+    });
+
+    it('should name suggestions after the top and bottom', () => {
+      const { suggestions } = suggestOutfits(closet, { now: NOW, random: noJitter, pinnedIds: ['tee', 'chinos'] });
+      expect(nameSuggestedOutfit(suggestions[0])).toBe('White tee + Navy chinos');
+    });
+  });
+
+  describe('weather', () => {
+    const cold = { temperatureC: 4, precipitation: false };
+    const hot = { temperatureC: 30, precipitation: false };
+    const rain = { temperatureC: 15, precipitation: true };
+    const wardrobe = [
+      { id: 'tee', category: 'tops', description: 'White tee', color: 'white', warmth: 'light' },
+      { id: 'sweater', category: 'tops', description: 'Wool sweater', color: 'grey' },
+      { id: 'shorts', category: 'bottoms', description: 'Linen shorts', color: 'beige' },
+      { id: 'jeans', category: 'bottoms', description: 'Jeans', color: 'denim' },
+      { id: 'suede', category: 'shoes', description: 'Suede loafers', color: 'tan' },
+      { id: 'boots', category: 'shoes', description: 'Rubber boots', color: 'black', waterResistant: true },
+      { id: 'parka', category: 'outerwear', description: 'Parka', color: 'olive' }
+    ];
+
+    it('should detect water-sensitive materials unless marked water-resistant', () => {
+      expect(isWaterSensitive({ description: 'Suede loafers' })).toBe(true);
+      expect(isWaterSensitive({ material: 'Silk' })).toBe(true);
+      expect(isWaterSensitive({ material: 'suede', waterResistant: true })).toBe(false);
+      expect(isWaterSensitive({ description: 'Canvas sneakers' })).toBe(false);
+    });
+
+    it('should score warmth against the temperature', () => {
+      expect(scoreWeatherFit({ category: 'tops', warmth: 'warm' }, cold, 'top')).toBe(0.5);
+      expect(scoreWeatherFit({ category: 'tops', warmth: 'warm' }, hot, 'top')).toBe(-0.5);
+      expect(scoreWeatherFit({ category: 'shoes', waterResistant: true }, rain, 'shoes')).toBe(0.75);
+      expect(scoreWeatherFit({ category: 'tops', waterResistant: true }, rain, 'top')).toBe(0.25);
+      expect(scoreWeatherFit({ category: 'tops' }, null, 'top')).toBe(0);
+    });
+
+    it('should require outerwear and skip light clothes when cold', () => {
+      const { suggestions } = suggestOutfits(wardrobe, { now: NOW, random: noJitter, weather: cold, count: 5 });
+
+      expect(suggestions.length).toBeGreaterThan(0);
+      suggestions.forEach(s => {
+        expect(s.slots.outerwear.id).toBe('parka');
+        expect(s.articleIds).not.toContain('tee');
+        expect(s.articleIds).not.toContain('shorts');
+      });
+    });
+
+    it('should report missing outerwear when cold', () => {
+      const { missingSlots } = suggestOutfits(wardrobe.filter(a => a.id !== 'parka'), { now: NOW, weather: cold });
+      expect(missingSlots).toEqual(['outerwear']);
+    });
+
+    it('should leave out outerwear and warm clothes when hot and dry', () => {
+      const { suggestions } = suggestOutfits(wardrobe, { now: NOW, random: noJitter, weather: hot, count: 5 });
+
+      suggestions.forEach(s => {
+        expect(s.slots.outerwear).toBeNull();
+        expect(s.articleIds).not.toContain('sweater');
+      });
+      expect(suggestions[0].articleIds).toEqual(['tee', 'shorts', 'suede']);
+    });
+
+    it('should never suggest suede shoes in rain', () => {
+      const { suggestions } = suggestOutfits(wardrobe, { now: NOW, random: noJitter, weather: rain, count: 5 });
+
+      suggestions.forEach(s => {
+        expect(s.slots.shoes.id).toBe('boots');
+        expect(s.slots.outerwear.id).toBe('parka');
+      });
+    });
+
+    it('should read today\'s weather when loading suggestions', async () => {
+      await AsyncStorage.clear();
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(wardrobe));
+
+      const result = await loadOutfitSuggestions({ now: NOW, random: noJitter, weather: hot });
+      expect(result.weather).toBe(hot);
+      expect(result.suggestions[0].slots.outerwear).toBeNull();
+
+      const unknown = await loadOutfitSuggestions({ now: NOW, random: noJitter });
+      expect(unknown.weather).toBeNull();
+    });
+  });
+
+  describe('pins', () => {
+    beforeEach(async () => {
+      await AsyncStorage.clear();
+    });
+
+    it('should persist pins and use them for stored closet suggestions', async () => {
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(closet));
+      await setArticlePinned('red-top', true);
+      await setArticlePinned('coat', true);
+      await setArticlePinned('coat', false);
+
+      expect(await getPinnedArticleIds()).toEqual(['red-top']);
+      const { suggestions } = await loadOutfitSuggestions({ now: NOW, random: noJitter });
+      expect(suggestions[0].slots.top.id).toBe('red-top');
+    });
+  });
+});
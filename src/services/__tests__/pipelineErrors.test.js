@@ -0,0 +1,62 @@
+// pipelineErrors.test.js
+// Tests for typed pipeline errors and their classification
+// Run with: npx jest src/services/__tests__/pipelineErrors.test.js
+
+import { PipelineError, PIPELINE_ERROR_TYPES, toPipelineError } from '../pipelineErrors';
+import { HttpError } from '../httpClient';
+
+function httpError(status, body = null) {
+  return new HttpError(`OpenAI request failed with status ${status}`, {
+    code: 'http',
+    status,
+    body,
+    retryable: [429, 500, 502, 503, 504].includes(status)
+  });
+}
+
+describe('pipelineErrors', () => {
+  it('should default retryable by type', () => {
+    expect(new PipelineError(PIPELINE_ERROR_TYPES.AUTH, 'x').retryable).toBe(false);
+    expect(new PipelineError(PIPELINE_ERROR_TYPES.NO_GARMENTS, 'x').retryable).toBe(false);
+    expect(new PipelineError(PIPELINE_ERROR_TYPES.NETWORK, 'x').retryable).toBe(true);
+    expect(new PipelineError(PIPELINE_ERROR_TYPES.PARSE, 'x', { retryable: false }).retryable).toBe(false);
+  });
+
+  it('should classify HTTP failures by status', () => {
+    expect(toPipelineError(httpError(401), 'detect')).toEqual(expect.objectContaining({ type: 'auth', stage: 'detect', retryable: false }));
+    expect(toPipelineError(httpError(403)).type).toBe('auth');
+    expect(toPipelineError(httpError(429))).toEqual(expect.objectContaining({ type: 'quota', retryable: true }));
+    expect(toPipelineError(httpError(503))).toEqual(expect.objectContaining({ type: 'network', retryable: true }));
+    expect(toPipelineError(httpError(400), 'generate')).toEqual(expect.objectContaining({ type: 'generation', retryable: false }));
+    expect(toPipelineError(httpError(404), 'detect')).toEqual(expect.objectContaining({ type: 'unknown', retryable: false }));
+  });
+
+  it('should not retry an exhausted OpenAI balance', () => {
+    const error = toPipelineError(httpError(429, { error: { code: 'insufficient_quota', message: 'You exceeded your current quota' } }));
+    expect(error).toEqual(expect.objectContaining({ type: 'quota', retryable: false }));
+  });
+
+  it('should classify timeouts, network failures and unreadable bodies', () => {
+    expect(toPipelineError(new HttpError('timed out', { code: 'timeout', retryable: true })).type).toBe('network');
+    expect(toPipelineError(new HttpError('offline', { code: 'network', retryable: true })).type).toBe('network');
+    expect(toPipelineError(new HttpError('not JSON', { code: 'parse' })).type).toBe('parse');
+  });
+
+  it('should keep pipeline errors and only fill in a missing stage', () => {
+    const original = new PipelineError('quota', 'busy');
+    expect(toPipelineError(original, 'generate')).toBe(original);
+    expect(original.stage).toBe('generate');
+    expect(toPipelineError(new PipelineError('quota', 'busy', { stage: 'detect' }), 'generate').stage).toBe('detect');
+  });
+
+  it('should wrap anything else as unknown, keeping the cause', () => {
+    const cause = new Error('disk full');
+    expect(toPipelineError(cause, 'download')).toEqual(expect.objectContaining({
+      type: 'unknown',
+      message: 'disk full',
+      stage: 'download',
+      cause
+    }));
+    expect(toPipelineError('String error').message).toBe('String error');
+  });
+});
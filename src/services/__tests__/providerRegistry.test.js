@@ -0,0 +1,83 @@
+// providerRegistry.test.js
+// Unit tests for the detection provider registry and runtime selection
+// Run with: npx jest src/services/__tests__/providerRegistry.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  getActiveProviderId,
+  getActiveProvider,
+  setActiveProvider
+} from '../providerRegistry';
+import { DETECTION_PROVIDER_KEY } from '../constants';
+
+jest.mock('../../config/imageProvider', () => ({ IMAGE_PROCESSING_PROVIDER: 'default-provider' }));
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+const provider = (id, extra = {}) => ({ id, inputType: 'uri', detect: jest.fn(), ...extra });
+
+describe('providerRegistry', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    listProviders().forEach(p => unregisterProvider(p.id));
+    registerProvider(provider('default-provider', { label: 'Default' }));
+  });
+
+  describe('registerProvider', () => {
+    it('should register providers with defaults for optional fields', () => {
+      const registered = registerProvider(provider('other'));
+
+      expect(getProvider('other')).toBe(registered);
+      expect(registered.label).toBe('other');
+      expect(registered.labelKey).toBe('category');
+      expect(listProviders().map(p => p.id)).toEqual(['default-provider', 'other']);
+    });
+
+    it('should reject providers that do not implement the interface', () => {
+      expect(() => registerProvider({ inputType: 'uri', detect: jest.fn() })).toThrow('Detection provider needs a string id.');
+      expect(() => registerProvider({ id: 'x', inputType: 'uri' })).toThrow('must implement detect()');
+      expect(() => registerProvider(provider('x', { inputType: 'blob' }))).toThrow('invalid inputType "blob"');
+      expect(() => registerProvider(provider('x', { crop: 'yes' }))).toThrow('crop must be a function');
+    });
+  });
+
+  describe('active provider', () => {
+    it('should default to the configured provider', async () => {
+      expect(await getActiveProviderId()).toBe('default-provider');
+      expect((await getActiveProvider()).label).toBe('Default');
+    });
+
+    it('should persist a selected provider', async () => {
+      registerProvider(provider('other'));
+
+      await setActiveProvider('other');
+
+      expect(await AsyncStorage.getItem(DETECTION_PROVIDER_KEY)).toBe('other');
+      expect(await getActiveProviderId()).toBe('other');
+    });
+
+    it('should refuse to select unknown providers', async () => {
+      await expect(setActiveProvider('missing')).rejects.toThrow('Unknown detection provider: missing');
+    });
+
+    it('should fall back to the default when the stored provider is gone', async () => {
+      await AsyncStorage.setItem(DETECTION_PROVIDER_KEY, 'removed');
+
+      expect(await getActiveProviderId()).toBe('default-provider');
+    });
+
+    it('should throw when no usable provider is registered', async () => {
+      unregisterProvider('default-provider');
+
+      await expect(getActiveProvider()).rejects.toThrow('Unknown detection provider: default-provider');
+    });
+  });
+});
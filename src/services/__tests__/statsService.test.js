@@ -0,0 +1,126 @@
+// statsService.test.js
+// Unit tests for closet analytics
+// Run with: npx jest src/services/__tests__/statsService.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { computeClosetStats, buildRecentActivity, countWearsThisWeek, getClosetStats } from '../statsService';
+import { GALLERY_ARTICLES_KEY } from '../constants';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+const noon = (y, m, d) => new Date(y, m, d, 12).toISOString();
+
+const articles = [
+  { id: 'a', description: 'Shirt', category: 'tops', wearCount: 4, price: 40 },
+  { id: 'b', description: 'Jeans', category: 'bottoms', wearCount: 1, price: 90 },
+  { id: 'c', description: 'Tee', category: 'tops', wearCount: 0, price: 10 },
+  { id: 'd', description: 'Scarf', wearCount: 2 }
+];
+
+describe('statsService', () => {
+  describe('countWearsThisWeek', () => {
+    it('should count dated wears in the Sunday-first week of the reference day', () => {
+      // 2025-03-05 is a Wednesday; its week runs 2025-03-02..08
+      const events = [
+        { wornAt: noon(2025, 2, 1) },
+        { wornAt: noon(2025, 2, 2) },
+        { wornAt: noon(2025, 2, 8) },
+        { wornAt: noon(2025, 2, 9) },
+        { wornAt: null }
+      ];
+      expect(countWearsThisWeek(events, '2025-03-05')).toBe(2);
+    });
+  });
+
+  describe('computeClosetStats', () => {
+    const stats = computeClosetStats({
+      articles,
+      outfits: [{ id: 'o1' }, { id: 'o2' }],
+      wearEvents: [],
+      limit: 2
+    });
+
+    it('should count articles and outfits', () => {
+      expect(stats.articleCount).toBe(4);
+      expect(stats.outfitCount).toBe(2);
+    });
+
+    it('should rank most and least worn items', () => {
+      expect(stats.mostWorn.map(a => a.id)).toEqual(['a', 'd']);
+      expect(stats.leastWorn.map(a => a.id)).toEqual(['c', 'b']);
+    });
+
+    it('should break down categories with uncategorized items as other', () => {
+      expect(stats.categoryBreakdown).toEqual([
+        { category: 'tops', count: 2, percentage: 50 },
+        { category: 'bottoms', count: 1, percentage: 25 },
+        { category: 'other', count: 1, percentage: 25 }
+      ]);
+    });
+
+    it('should compute cost per wear only for priced items', () => {
+      expect(stats.costPerWear.pricedCount).toBe(3);
+      expect(stats.costPerWear.totalValue).toBe(140);
+      expect(stats.costPerWear.averageCostPerWear).toBe(28);
+      expect(stats.costPerWear.items.map(i => [i.article.id, i.costPerWear])).toEqual([
+        ['c', null],
+        ['b', 90],
+        ['a', 10]
+      ]);
+    });
+
+    it('should handle an empty closet', () => {
+      const empty = computeClosetStats({});
+      expect(empty.articleCount).toBe(0);
+      expect(empty.categoryBreakdown).toEqual([]);
+      expect(empty.costPerWear.averageCostPerWear).toBeNull();
+    });
+  });
+
+  describe('buildRecentActivity', () => {
+    it('should merge wears, outfits and article changes newest first', () => {
+      const activity = buildRecentActivity({
+        articles: [
+          { id: 'a', description: 'Shirt', addedAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-04T00:00:00.000Z' }
+        ],
+        outfits: [{ id: 'o1', name: 'Work', createdAt: '2025-01-02T00:00:00.000Z' }],
+        wearEvents: [
+          { id: 'e1', outfitId: 'o1', articleIds: ['a'], wornAt: '2025-01-03T00:00:00.000Z' },
+          { id: 'e2', outfitId: null, articleIds: ['a'], wornAt: null }
+        ]
+      });
+
+      expect(activity.map(a => a.title)).toEqual([
+        'Edited Shirt',
+        'Wore Work',
+        'Created outfit Work',
+        'Added Shirt'
+      ]);
+    });
+  });
+
+  describe('getClosetStats', () => {
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      await AsyncStorage.clear();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should compute stats from storage', async () => {
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(articles));
+
+      const stats = await getClosetStats();
+
+      expect(stats.articleCount).toBe(4);
+      expect(stats.outfitCount).toBe(0);
+      expect(stats.recentActivity).toEqual([]);
+    });
+  });
+});
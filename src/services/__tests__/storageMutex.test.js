@@ -0,0 +1,150 @@
+// storageMutex.test.js
+// Tests for the storage mutex, and for galleryService/outfitService writes fired at the same time
+// (runs against the in-memory AsyncStorage mock, whose calls interleave like the real one)
+// Run with: npx jest src/services/__tests__/storageMutex.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createMutex } from '../storageMutex';
+import {
+  getAllArticles,
+  addArticles,
+  incrementWearCount,
+  setArticleStatus,
+  updateArticle
+} from '../galleryService';
+import {
+  getOutfits,
+  saveOutfit,
+  markOutfitAsWorn,
+  addArticlesToOutfit,
+  removeArticleFromOutfit,
+  updateOutfit
+} from '../outfitService';
+import { getWearEvents } from '../wearLogService';
+import { GALLERY_ARTICLES_KEY } from '../constants';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+// Let other queued promises run
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const article = (id, extra = {}) => ({ id, category: 'top', localImageUri: `file:///${id}.jpg`, wearCount: 0, ...extra });
+
+describe('storageMutex', () => {
+  describe('createMutex', () => {
+    it('should run work one at a time, in call order', async () => {
+      const runExclusive = createMutex();
+      const log = [];
+      const work = (name, delay) => runExclusive(async () => {
+        log.push(`${name} start`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        log.push(`${name} end`);
+        return name;
+      });
+
+      const results = await Promise.all([work('slow', 20), work('fast', 0), work('last', 0)]);
+
+      expect(results).toEqual(['slow', 'fast', 'last']);
+      expect(log).toEqual(['slow start', 'slow end', 'fast start', 'fast end', 'last start', 'last end']);
+    });
+
+    it('should keep going after a failure and hand the error to its caller', async () => {
+      const runExclusive = createMutex();
+
+      const failed = runExclusive(async () => {
+        await tick();
+        throw new Error('boom');
+      });
+      const next = runExclusive(async () => 'still runs');
+
+      await expect(failed).rejects.toThrow('boom');
+      await expect(next).resolves.toBe('still runs');
+    });
+  });
+
+  describe('concurrent closet writes', () => {
+    let outfitId;
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      await AsyncStorage.clear();
+      await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify([article('a'), article('b')]));
+      outfitId = (await saveOutfit({ name: 'Work', articles: [{ id: 'a' }, { id: 'b' }] })).id;
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should keep new articles added while an outfit is marked as worn', async () => {
+      const [, worn] = await Promise.all([
+        addArticles([article('c'), article('d')]),
+        markOutfitAsWorn(outfitId, { wornAt: '2025-03-01' }),
+        incrementWearCount(['a'], { wornAt: '2025-03-02' }),
+        addArticles([article('e')])
+      ]);
+
+      expect(worn.success).toBe(true);
+      const articles = await getAllArticles();
+      expect(articles.map(a => a.id).sort()).toEqual(['a', 'b', 'c', 'd', 'e']);
+      expect(articles.find(a => a.id === 'a').wearCount).toBe(2);
+      expect(articles.find(a => a.id === 'b').wearCount).toBe(1);
+      expect((await getOutfits())[0].wearCount).toBe(1);
+      expect(await getWearEvents()).toHaveLength(2);
+    });
+
+    it('should count every wear when the same article is worn many times at once', async () => {
+      await Promise.all(Array.from({ length: 20 }, () => incrementWearCount(['a'])));
+
+      expect((await getAllArticles()).find(a => a.id === 'a').wearCount).toBe(20);
+      expect(await getWearEvents({ articleId: 'a' })).toHaveLength(20);
+    });
+
+    it('should apply edits to different fields of the same article', async () => {
+      await Promise.all([
+        updateArticle('a', { color: 'navy' }),
+        updateArticle('a', { brand: 'Acme' }),
+        setArticleStatus(['a'], 'archived'),
+        incrementWearCount(['a'], { recordEvent: false })
+      ]);
+
+      expect((await getAllArticles()).find(a => a.id === 'a')).toEqual(expect.objectContaining({
+        color: 'navy',
+        brand: 'Acme',
+        status: 'archived',
+        wearCount: 1
+      }));
+    });
+
+    it('should keep every change made to the same outfit at once', async () => {
+      await addArticles([article('c'), article('d')]);
+
+      const results = await Promise.allSettled([
+        addArticlesToOutfit(outfitId, ['c']),
+        addArticlesToOutfit(outfitId, ['d']),
+        removeArticleFromOutfit(outfitId, 'a'),
+        updateOutfit(outfitId, { name: 'Office' }),
+        saveOutfit({ name: 'Weekend', articles: [{ id: 'b' }] })
+      ]);
+
+      expect(results.every(result => result.status === 'fulfilled')).toBe(true);
+      const outfits = await getOutfits();
+      expect(outfits.map(o => o.name)).toEqual(['Weekend', 'Office']);
+      expect(outfits[1].articleIds).toEqual(['b', 'c', 'd']);
+    });
+
+    it('should not let a failed write hold up the ones after it', async () => {
+      const [failed, added] = await Promise.allSettled([
+        updateArticle('missing', { color: 'red' }),
+        addArticles([article('c')])
+      ]);
+
+      expect(failed.status).toBe('rejected');
+      expect(added.value.map(a => a.id)).toEqual(['a', 'b', 'c']);
+    });
+  });
+});
@@ -1,16 +1,28 @@
 // verificationService.test.js
 // Tests for verificationService.js
 
-import { processImageForVerification, processSelectedArticles } from '../verificationService';
-import { processGarmentImage } from '../garmentVisionService';
-import { detectClothingArticles, cropArticlesFromImage } from '../imageProcessingService';
-import { mapClarifaiLabelToCategory } from '../clarifaiCategoryMapper';
+import {
+  processImageForVerification,
+  processSelectedArticles,
+  setArticleCategoryChoice,
+  processImagesForVerification,
+  processSelectedBatch,
+  processJobForVerification
+} from '../verificationService';
+import { runGarmentVisionJob, getJob, getJobArticles } from '../jobQueueService';
+import { cropArticlesFromImage } from '../imageProcessingService';
+import { separateClothingItemsWithClarifai } from '../clarifaiService';
+import { registerProvider, unregisterProvider } from '../detectionProviders';
 import * as ImageManipulator from 'expo-image-manipulator';
+import uuid from '../uuid';
+import { HttpError } from '../httpClient';
+import { PipelineError } from '../pipelineErrors';
 
 // Mock the dependencies
-jest.mock('../garmentVisionService');
+jest.mock('../jobQueueService');
 jest.mock('../imageProcessingService');
-jest.mock('../clarifaiCategoryMapper');
+jest.mock('../clarifaiService');
+jest.mock('../openaiVisionService');
 jest.mock('expo-image-manipulator');
 jest.mock('../uuid', () => jest.fn(() => 'test-uuid-123'));
 
@@ -34,21 +46,19 @@ describe('verificationService', () => {
       base64: 'test-base64-data'
     });
     
-    processGarmentImage.mockResolvedValue({
+    runGarmentVisionJob.mockResolvedValue([{
       name: 'Test Garment',
       category: 'shirt',
       imageUrl: 'https://example.com/image.jpg'
-    });
+    }]);
     
-    detectClothingArticles.mockResolvedValue([
+    separateClothingItemsWithClarifai.mockResolvedValue([
       { id: 'clarifai-1', name: 'Test Shirt', boundingBox: { x: 0, y: 0, w: 100, h: 100 } }
     ]);
     
     cropArticlesFromImage.mockResolvedValue([
       { id: 'crop-1', name: 'Test Shirt', croppedImageUri: 'cropped-uri-1' }
     ]);
-    
-    mapClarifaiLabelToCategory.mockReturnValue('tops');
   });
   
   describe('processImageForVerification', () => {
@@ -61,7 +71,7 @@ describe('verificationService', () => {
       expect(result.articles).toHaveLength(1);
       expect(result.articles[0]).toHaveProperty('id', 'test-uuid-123');
       expect(result.articles[0]).toHaveProperty('name', 'Test Garment');
-      expect(processGarmentImage).toHaveBeenCalledWith('test123', { openaiApiKey: 'test-key' });
+      expect(runGarmentVisionJob).toHaveBeenCalledWith('test123', { openaiApiKey: 'test-key' });
     });
     
     it('should handle base64 extraction from file URI', async () => {
@@ -75,7 +85,7 @@ describe('verificationService', () => {
     });
     
     it('should handle errors in image processing', async () => {
-      processGarmentImage.mockRejectedValue(new Error('API error'));
+      runGarmentVisionJob.mockRejectedValue(new Error('API error'));
       
       const result = await processImageForVerification('data:image/jpeg;base64,test123', {
         openaiApiKey: 'test-key'
@@ -85,6 +95,79 @@ describe('verificationService', () => {
       expect(result.articles).toHaveLength(0);
     });
     
+    it('should report typed pipeline errors with an actionable message', async () => {
+      runGarmentVisionJob.mockRejectedValue(new PipelineError('auth', 'Missing OpenAI API key', { stage: 'detect' }));
+      
+      const result = await processImageForVerification('data:image/jpeg;base64,test123');
+      
+      expect(result.error).toMatch(/API key/);
+      expect(result.errorInfo).toEqual(expect.objectContaining({ type: 'auth', stage: 'detect', retryable: false }));
+    });
+    
+    it('should not turn an unexpected provider result into an article', async () => {
+      separateClothingItemsWithClarifai.mockResolvedValueOnce({ error: true, message: 'boom' });
+      
+      const result = await processImageForVerification('file:///photo.jpg', { providerId: 'clarifai' });
+      
+      expect(result.articles).toHaveLength(0);
+      expect(result.errorInfo).toEqual(expect.objectContaining({ type: 'parse', retryable: true }));
+    });
+    
+    it('should report photos without clothing as no-garments', async () => {
+      separateClothingItemsWithClarifai.mockResolvedValueOnce([]);
+      
+      const result = await processImageForVerification('file:///photo.jpg', { providerId: 'clarifai' });
+      
+      expect(result.errorInfo).toEqual(expect.objectContaining({ type: 'no-garments', retryable: false }));
+      expect(result.error).toMatch(/No clothing was found/);
+    });
+    
+    it('should attach a category suggestion to each detected article', async () => {
+      const result = await processImageForVerification('data:image/jpeg;base64,test123');
+      
+      expect(result.articles[0].categorySuggestion).toEqual({
+        category: 'tops',
+        subcategory: 'shirts',
+        confidence: 1,
+        matchedBy: 'provider',
+        uncertain: false
+      });
+    });
+    
+    it('should flag uncertain category suggestions', async () => {
+      separateClothingItemsWithClarifai.mockResolvedValueOnce([{ name: 'Clothing' }]);
+      
+      const result = await processImageForVerification('file:///photo.jpg', { providerId: 'clarifai' });
+      
+      expect(result.articles[0].categorySuggestion).toEqual(expect.objectContaining({
+        category: 'tops',
+        uncertain: true
+      }));
+    });
+    
+    it('should use the requested provider and report it', async () => {
+      const { signal } = new AbortController();
+      const result = await processImageForVerification('file:///path/to/image.jpg', { providerId: 'clarifai', signal });
+      
+      expect(separateClothingItemsWithClarifai).toHaveBeenCalledWith('file:///path/to/image.jpg', { signal });
+      expect(runGarmentVisionJob).not.toHaveBeenCalled();
+      expect(result.providerId).toBe('clarifai');
+      expect(result.articles[0]).toHaveProperty('name', 'Test Shirt');
+    });
+    
+    it('should report the active provider when none is requested', async () => {
+      const result = await processImageForVerification('data:image/jpeg;base64,test123');
+      
+      expect(result.providerId).toBe('garmentVision');
+    });
+    
+    it('should fail cleanly for unknown providers', async () => {
+      const result = await processImageForVerification('data:image/jpeg;base64,test123', { providerId: 'nope' });
+      
+      expect(result.error).not.toBeNull();
+      expect(result.articles).toHaveLength(0);
+    });
+    
     it('should handle missing image URI', async () => {
       const result = await processImageForVerification(null);
       
@@ -104,8 +187,65 @@ describe('verificationService', () => {
       
       expect(result.error).toBeNull();
       expect(result.finalArticles).toHaveLength(1);
-      expect(result.finalArticles[0]).toHaveProperty('category', 'tops'); // Mapped category
-      expect(mapClarifaiLabelToCategory).toHaveBeenCalledWith('shirt');
+      expect(result.finalArticles[0]).toEqual(expect.objectContaining({
+        category: 'tops', // Mapped through the GarmentVision table
+        subcategory: 'shirts',
+        categoryConfidence: 1
+      }));
+    });
+    
+    it('should crop and map labels for cropping providers', async () => {
+      const articles = [{ id: '1', name: 'Test Shirt' }];
+      
+      const result = await processSelectedArticles('image-uri', articles, ['1'], { providerId: 'clarifai' });
+      
+      expect(cropArticlesFromImage).toHaveBeenCalledWith('image-uri', articles);
+      expect(result.finalArticles[0]).toEqual(expect.objectContaining({
+        croppedImageUri: 'cropped-uri-1',
+        category: 'tops'
+      }));
+    });
+    
+    it('should run a provider generate hook on the selected articles only', async () => {
+      const generate = jest.fn(async selected => selected.map(a => ({ ...a, imageUrl: `generated-${a.id}` })));
+      registerProvider({ id: 'test-generator', inputType: 'uri', labelKey: 'category', detect: jest.fn(), generate });
+      
+      try {
+        const articles = [{ id: '1', category: 'shirt' }, { id: '2', category: 'pants' }];
+        const result = await processSelectedArticles('image-uri', articles, ['2'], { providerId: 'test-generator' });
+        
+        expect(generate).toHaveBeenCalledWith([articles[1]], { providerId: 'test-generator' });
+        expect(result.finalArticles).toEqual([
+          { id: '2', category: 'bottoms', subcategory: 'trousers', categoryConfidence: 0.9, imageUrl: 'generated-2' }
+        ]);
+      } finally {
+        unregisterProvider('test-generator');
+      }
+    });
+    
+    it('should map GarmentVision dresses and accessories instead of dropping them into other', async () => {
+      const articles = [
+        { id: '1', description: 'floral midi dress', category: 'dress' },
+        { id: '2', description: 'leather belt', category: 'accessory' }
+      ];
+      
+      const result = await processSelectedArticles('image-uri', articles, ['1', '2']);
+      
+      expect(result.finalArticles.map(a => a.category)).toEqual(['dresses', 'accessories']);
+    });
+    
+    it('should prefer the category the user picked', async () => {
+      const detected = [{ id: '1', category: 'accessory', categorySuggestion: { category: 'accessories' } }];
+      const articles = setArticleCategoryChoice(detected, '1', { category: 'bags' });
+      
+      const result = await processSelectedArticles('image-uri', articles, ['1']);
+      
+      expect(result.finalArticles[0]).toEqual({
+        id: '1',
+        category: 'bags',
+        subcategory: null,
+        categoryConfidence: 1
+      });
     });
     
     it('should handle empty selection', async () => {
@@ -115,4 +255,128 @@ describe('verificationService', () => {
       expect(result.finalArticles).toHaveLength(0);
     });
   });
+  
+  describe('batch capture', () => {
+    let counter;
+    
+    beforeEach(() => {
+      counter = 0;
+      uuid.mockImplementation(() => `uuid-${++counter}`);
+    });
+    
+    afterEach(() => {
+      uuid.mockImplementation(() => 'test-uuid-123');
+    });
+    
+    it('should detect each photo in order and report progress', async () => {
+      const progress = [];
+      
+      const result = await processImagesForVerification(['photo-1', 'photo-2'], {
+        providerId: 'clarifai',
+        onProgress: ({ completed, total, photos }) => progress.push([completed, total, photos.map(p => p.status)])
+      });
+      
+      expect(result.error).toBeNull();
+      expect(result.providerId).toBe('clarifai');
+      expect(separateClothingItemsWithClarifai.mock.calls.map(call => call[0])).toEqual(['photo-1', 'photo-2']);
+      expect(result.photos.map(p => p.status)).toEqual(['done', 'done']);
+      expect(result.photos[0].articles[0].id).not.toBe(result.photos[1].articles[0].id);
+      expect(progress).toEqual([
+        [0, 2, ['processing', 'pending']],
+        [1, 2, ['done', 'processing']],
+        [2, 2, ['done', 'done']]
+      ]);
+    });
+    
+    it('should keep going when a photo fails', async () => {
+      separateClothingItemsWithClarifai.mockRejectedValueOnce(new HttpError('Clarifai request timed out after 30000 ms', { code: 'timeout', retryable: true }));
+      
+      const result = await processImagesForVerification(['bad', 'good'], { providerId: 'clarifai' });
+      
+      expect(result.photos.map(p => p.status)).toEqual(['failed', 'done']);
+      expect(result.photos[0].error).toBe('Could not reach the image service. Check your internet connection and try again.');
+      expect(result.photos[0].errorInfo).toEqual(expect.objectContaining({ type: 'network', stage: 'detect', retryable: true, retryLabel: 'Retry Photo' }));
+      expect(result.photos[1].articles).toHaveLength(1);
+      expect(result.photos[1].errorInfo).toBeNull();
+    });
+    
+    it('should stop when asked and leave the rest pending', async () => {
+      let calls = 0;
+      const result = await processImagesForVerification(['a', 'b', 'c'], {
+        providerId: 'clarifai',
+        shouldContinue: () => ++calls < 2
+      });
+      
+      expect(result.photos.map(p => p.status)).toEqual(['done', 'pending', 'pending']);
+    });
+    
+    it('should fail cleanly without photos or with an unknown provider', async () => {
+      expect((await processImagesForVerification([])).error).toBe('No images provided');
+      expect((await processImagesForVerification(['a'], { providerId: 'nope' })).error).toBe('Unknown detection provider: nope');
+    });
+    
+    it('should crop selected articles from their own photo and combine the results', async () => {
+      const photos = [
+        { imageUri: 'photo-1', status: 'done', articles: [{ id: 'a', name: 'Shirt' }, { id: 'b', name: 'Jeans' }] },
+        { imageUri: 'photo-2', status: 'failed', articles: [] },
+        { imageUri: 'photo-3', status: 'done', articles: [{ id: 'c', name: 'Sneaker' }] }
+      ];
+      cropArticlesFromImage.mockImplementation(async (uri, articles) =>
+        articles.map(a => ({ ...a, croppedImageUri: `${uri}-${a.id}` })));
+      
+      const result = await processSelectedBatch(photos, ['a', 'c'], { providerId: 'clarifai' });
+      
+      expect(cropArticlesFromImage.mock.calls.map(call => [call[0], call[1].map(a => a.id)])).toEqual([
+        ['photo-1', ['a']],
+        ['photo-3', ['c']]
+      ]);
+      expect(result.error).toBeNull();
+      expect(result.finalArticles.map(a => a.croppedImageUri)).toEqual(['photo-1-a', 'photo-3-c']);
+    });
+    
+    it('should return the articles that worked and summarize photos that failed', async () => {
+      const photos = [
+        { imageUri: 'photo-1', articles: [{ id: 'a', name: 'Shirt' }] },
+        { imageUri: 'photo-2', articles: [{ id: 'b', name: 'Jeans' }] }
+      ];
+      cropArticlesFromImage
+        .mockRejectedValueOnce(new Error('crop failed'))
+        .mockResolvedValueOnce([{ id: 'b', name: 'Jeans', croppedImageUri: 'cropped-b' }]);
+      
+      const result = await processSelectedBatch(photos, ['a', 'b'], { providerId: 'clarifai' });
+      
+      expect(result.finalArticles).toHaveLength(1);
+      expect(result.failedCount).toBe(1);
+      expect(result.error).toBe('1 of 2 photos could not be processed: Something went wrong while processing. Please try again.');
+      expect(result.errorInfo).toEqual(expect.objectContaining({ type: 'unknown', stage: 'finish', retryable: true, retryLabel: 'Try Again' }));
+    });
+    
+    it('should require a selection', async () => {
+      const result = await processSelectedBatch([{ imageUri: 'p', articles: [{ id: 'a' }] }], []);
+      expect(result.error).toBe('No articles selected');
+    });
+  });
+  
+  describe('processJobForVerification', () => {
+    it('should load the articles of a finished job with category suggestions', async () => {
+      getJob.mockResolvedValue({ id: 'job-1', type: 'garmentVision', state: 'done', items: [{ description: 'navy blazer', category: 'jacket' }] });
+      getJobArticles.mockImplementation(job => job.items);
+      
+      const result = await processJobForVerification('job-1');
+      
+      expect(result.error).toBeNull();
+      expect(result.providerId).toBe('garmentVision');
+      expect(result.articles[0]).toEqual(expect.objectContaining({
+        id: 'test-uuid-123',
+        description: 'navy blazer',
+        categorySuggestion: expect.objectContaining({ category: 'outerwear' })
+      }));
+    });
+    
+    it('should refuse jobs that are not finished', async () => {
+      getJob.mockResolvedValue({ id: 'job-1', type: 'garmentVision', state: 'generating', items: [] });
+      
+      expect((await processJobForVerification('job-1')).error).toBe('This job has no results to review.');
+    });
+  });
 });
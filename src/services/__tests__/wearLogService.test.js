@@ -0,0 +1,104 @@
+// wearLogService.test.js
+// Unit tests for the wear log (timestamped wear events)
+// Run with: npx jest src/services/__tests__/wearLogService.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  addWearEvent,
+  removeWearEvent,
+  getWearEvents,
+  hasWearLog,
+  deriveWearStats,
+  buildSeedWearEvents,
+  normalizeWornAt
+} from '../wearLogService';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+describe('wearLogService', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  describe('normalizeWornAt', () => {
+    it('should pin date-only strings to local noon on that day', () => {
+      const iso = normalizeWornAt('2025-03-04');
+      const date = new Date(iso);
+      expect(date.getFullYear()).toBe(2025);
+      expect(date.getMonth()).toBe(2);
+      expect(date.getDate()).toBe(4);
+      expect(date.getHours()).toBe(12);
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => normalizeWornAt('not-a-date')).toThrow('Invalid wear date: not-a-date');
+    });
+  });
+
+  describe('event storage', () => {
+    it('should report an uninitialized log until the first write', async () => {
+      expect(await hasWearLog()).toBe(false);
+      await addWearEvent({ articleIds: ['a'] });
+      expect(await hasWearLog()).toBe(true);
+    });
+
+    it('should add, filter and remove events', async () => {
+      const first = await addWearEvent({ articleIds: ['a', 'b'], outfitId: 'o1', wornAt: '2025-01-10T10:00:00.000Z' });
+      const second = await addWearEvent({ articleIds: ['b'], wornAt: '2025-02-10T10:00:00.000Z' });
+
+      expect((await getWearEvents()).map(e => e.id)).toEqual([second.id, first.id]);
+      expect((await getWearEvents({ articleId: 'a' })).map(e => e.id)).toEqual([first.id]);
+      expect((await getWearEvents({ outfitId: 'o1' })).map(e => e.id)).toEqual([first.id]);
+      expect((await getWearEvents({ from: '2025-02-01T00:00:00.000Z' })).map(e => e.id)).toEqual([second.id]);
+
+      const removed = await removeWearEvent(first.id);
+      expect(removed.id).toBe(first.id);
+      expect((await getWearEvents()).map(e => e.id)).toEqual([second.id]);
+      expect(await removeWearEvent('missing')).toBeNull();
+    });
+
+    it('should require at least one article', async () => {
+      await expect(addWearEvent({ articleIds: [] })).rejects.toThrow('A wear event needs at least one article.');
+    });
+  });
+
+  describe('deriveWearStats', () => {
+    it('should derive counts and latest dates per article and outfit', () => {
+      const stats = deriveWearStats([
+        { articleIds: ['a', 'b'], outfitId: 'o1', wornAt: '2025-01-01T00:00:00.000Z' },
+        { articleIds: ['a', 'b'], outfitId: 'o1', wornAt: '2025-03-01T00:00:00.000Z' },
+        { articleIds: ['a'], outfitId: null, wornAt: null }
+      ]);
+
+      expect(stats.articles.a).toEqual({ wearCount: 3, lastWorn: '2025-03-01T00:00:00.000Z' });
+      expect(stats.articles.b).toEqual({ wearCount: 2, lastWorn: '2025-03-01T00:00:00.000Z' });
+      expect(stats.outfits.o1).toEqual({ wearCount: 2, lastWorn: '2025-03-01T00:00:00.000Z' });
+    });
+  });
+
+  describe('buildSeedWearEvents', () => {
+    it('should reproduce existing counters when derived', () => {
+      const articles = [
+        { id: 'a', wearCount: 3 },
+        { id: 'b', wearCount: 2 },
+        { id: 'c', wearCount: 0 }
+      ];
+      const outfits = [
+        { id: 'o1', articleIds: ['a', 'b'], wearCount: 2, lastWorn: '2025-04-01T00:00:00.000Z' }
+      ];
+
+      const events = buildSeedWearEvents(articles, outfits);
+      const stats = deriveWearStats(events);
+
+      expect(events.every(e => e.seeded)).toBe(true);
+      expect(stats.articles.a.wearCount).toBe(3);
+      expect(stats.articles.b.wearCount).toBe(2);
+      expect(stats.articles.c).toBeUndefined();
+      expect(stats.outfits.o1).toEqual({ wearCount: 2, lastWorn: '2025-04-01T00:00:00.000Z' });
+    });
+  });
+});
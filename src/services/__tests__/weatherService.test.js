@@ -0,0 +1,131 @@
+// weatherService.test.js
+// Unit tests for weather sources and today's conditions
+// Run with: npx jest src/services/__tests__/weatherService.test.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  getTemperatureBand,
+  normalizeConditions,
+  createHttpWeatherSource,
+  setWeatherSource,
+  getWeatherSource,
+  getTodaysConditions,
+  setManualConditions,
+  clearManualConditions
+} from '../weatherService';
+import { MANUAL_WEATHER_KEY } from '../constants';
+import { logWarning } from '../errorHandlingService';
+
+jest.mock('../errorHandlingService', () => ({
+  logError: jest.fn(),
+  logWarning: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+// Local stand-in for the forecast API
+function stubFetch(status, body) {
+  return jest.fn().mockResolvedValue({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body
+  });
+}
+
+describe('weatherService', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    setWeatherSource(null);
+    jest.clearAllMocks();
+  });
+
+  it('should classify temperatures into bands', () => {
+    expect(getTemperatureBand(-3)).toBe('cold');
+    expect(getTemperatureBand(10)).toBe('cool');
+    expect(getTemperatureBand(20)).toBe('mild');
+    expect(getTemperatureBand(24)).toBe('hot');
+  });
+
+  it('should validate conditions', () => {
+    expect(normalizeConditions({ temperatureC: '12.34', precipitation: 1 }, 'manual')).toEqual({
+      temperatureC: 12.3,
+      precipitation: true,
+      source: 'manual',
+      observedAt: expect.any(String)
+    });
+    expect(() => normalizeConditions({ temperatureC: 'warm' }, 'manual')).toThrow('Temperature must be a number.');
+  });
+
+  describe('manual conditions', () => {
+    it('should return conditions entered today and prefer them over the automatic source', async () => {
+      setWeatherSource({ id: 'stub', getConditions: async () => ({ temperatureC: 30, precipitation: false }) });
+      await setManualConditions({ temperatureC: 5, precipitation: true });
+
+      expect(await getTodaysConditions()).toEqual(expect.objectContaining({ temperatureC: 5, precipitation: true, source: 'manual' }));
+
+      await clearManualConditions();
+      expect((await getTodaysConditions()).temperatureC).toBe(30);
+    });
+
+    it('should ignore conditions entered on an earlier day', async () => {
+      await AsyncStorage.setItem(MANUAL_WEATHER_KEY, JSON.stringify({
+        dateKey: '2000-01-01',
+        conditions: { temperatureC: 5, precipitation: true, source: 'manual' }
+      }));
+
+      expect(await getTodaysConditions()).toBeNull();
+    });
+  });
+
+  describe('HTTP source', () => {
+    it('should map the forecast response to conditions', async () => {
+      const fetchImpl = stubFetch(200, { current: { time: '2025-07-01T12:00', temperature_2m: 8.2, precipitation: 0, weather_code: 61 } });
+      const source = createHttpWeatherSource({ latitude: 52.5, longitude: 13.4, baseUrl: 'http://localhost/forecast', fetchImpl });
+
+      const conditions = await source.getConditions();
+
+      expect(fetchImpl.mock.calls[0][0]).toBe(
+        'http://localhost/forecast?latitude=52.5&longitude=13.4&current=temperature_2m,precipitation,weather_code'
+      );
+      expect(conditions).toEqual(expect.objectContaining({ temperatureC: 8.2, precipitation: true, source: 'http' }));
+    });
+
+    it('should treat measured precipitation as rain', async () => {
+      const fetchImpl = stubFetch(200, { current: { temperature_2m: 18, precipitation: 0.4, weather_code: 3 } });
+      const source = createHttpWeatherSource({ latitude: 1, longitude: 2, fetchImpl });
+
+      expect((await source.getConditions()).precipitation).toBe(true);
+    });
+
+    it('should require a location', () => {
+      expect(() => createHttpWeatherSource({})).toThrow('HTTP weather source needs a latitude and longitude.');
+    });
+
+    it('should fall back to unknown weather when the source fails', async () => {
+      const fetchImpl = stubFetch(503, {});
+      setWeatherSource(createHttpWeatherSource({ latitude: 1, longitude: 2, fetchImpl }));
+
+      expect(await getTodaysConditions()).toBeNull();
+      expect(logWarning).toHaveBeenCalledWith('[weatherService]', 'Weather source "http" failed: Weather API request failed with status 503');
+      // No retries; suggestions should not wait on the weather
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to unknown weather when the source does not answer in time', async () => {
+      // Never answers; only settles when the request is aborted
+      const fetchImpl = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('Aborted')));
+      }));
+      setWeatherSource(createHttpWeatherSource({ latitude: 1, longitude: 2, timeoutMs: 20, fetchImpl }));
+
+      expect(await getTodaysConditions()).toBeNull();
+      expect(logWarning).toHaveBeenCalledWith('[weatherService]', 'Weather source "http" failed: Weather API request timed out after 20 ms');
+    });
+  });
+
+  it('should only accept sources that implement getConditions', () => {
+    expect(() => setWeatherSource({ id: 'broken' })).toThrow('Weather source must implement getConditions().');
+    const stub = { id: 'stub', getConditions: async () => null };
+    setWeatherSource(stub);
+    expect(getWeatherSource()).toBe(stub);
+  });
+});
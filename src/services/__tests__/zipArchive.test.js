@@ -0,0 +1,110 @@
+// zipArchive.test.js
+// Unit tests for the zip archive writer and reader used by closet backups
+// Run with: npx jest src/services/__tests__/zipArchive.test.js
+
+import { crc32, encodeText, decodeText, createZipWriter, openZipReader, isZipArchive } from '../zipArchive';
+
+// In-memory files keyed by URI
+const mockFiles = {};
+jest.mock('expo-file-system/next', () => {
+  class File {
+    constructor(uri) {
+      this.uri = uri;
+    }
+    get exists() {
+      return this.uri in mockFiles;
+    }
+    get size() {
+      return this.exists ? mockFiles[this.uri].length : null;
+    }
+    create() {
+      mockFiles[this.uri] = new Uint8Array(0);
+    }
+    delete() {
+      delete mockFiles[this.uri];
+    }
+    open() {
+      const { uri } = this;
+      if (!this.exists) throw new Error(`No file at ${uri}`);
+      return {
+        offset: 0,
+        readBytes(length) {
+          const bytes = mockFiles[uri].slice(this.offset, this.offset + length);
+          this.offset += bytes.length;
+          return bytes;
+        },
+        writeBytes(bytes) {
+          const next = new Uint8Array(Math.max(mockFiles[uri].length, this.offset + bytes.length));
+          next.set(mockFiles[uri]);
+          next.set(bytes, this.offset);
+          mockFiles[uri] = next;
+          this.offset += bytes.length;
+        },
+        close() {}
+      };
+    }
+  }
+  return { File };
+});
+
+const ARCHIVE = 'file:///docs/backup.zip';
+
+const writeArchive = entries => {
+  const zip = createZipWriter(ARCHIVE);
+  Object.entries(entries).forEach(([path, bytes]) => zip.addEntry(path, bytes));
+  zip.close();
+};
+
+describe('zipArchive', () => {
+  beforeEach(() => {
+    Object.keys(mockFiles).forEach(key => delete mockFiles[key]);
+  });
+
+  it('should compute the standard CRC-32', () => {
+    expect(crc32(encodeText('123456789'))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  it('should round-trip UTF-8 text', () => {
+    const text = 'Navy “wool” blazer – größe M 👔';
+
+    expect(decodeText(encodeText(text))).toBe(text);
+  });
+
+  it('should read back every entry it wrote', () => {
+    const image = Uint8Array.from([0xff, 0xd8, 0x00, 0x10, 0xff, 0xd9]);
+    writeArchive({ 'images/a.jpg': image, 'closet.json': encodeText('{"name":"Jupe plissée"}') });
+
+    expect(isZipArchive(ARCHIVE)).toBe(true);
+    const zip = openZipReader(ARCHIVE);
+    expect(zip.paths).toEqual(['images/a.jpg', 'closet.json']);
+    expect(zip.read('images/a.jpg')).toEqual(image);
+    expect(JSON.parse(decodeText(zip.read('closet.json')))).toEqual({ name: 'Jupe plissée' });
+    expect(() => zip.read('missing.json')).toThrow('The archive has no entry missing.json.');
+    zip.close();
+  });
+
+  it('should replace an existing file', () => {
+    mockFiles[ARCHIVE] = encodeText('old contents that are longer than the new archive '.repeat(10));
+
+    writeArchive({ 'a.txt': encodeText('a') });
+
+    expect(openZipReader(ARCHIVE).paths).toEqual(['a.txt']);
+  });
+
+  it('should detect damaged entries', () => {
+    writeArchive({ 'a.txt': encodeText('hello') });
+    // The entry's data follows its 30-byte header and 5-byte name
+    mockFiles[ARCHIVE][35] = 'j'.charCodeAt(0);
+
+    expect(() => openZipReader(ARCHIVE).read('a.txt')).toThrow('The archive entry a.txt is damaged.');
+  });
+
+  it('should tell other files apart', () => {
+    mockFiles['file:///docs/backup.json'] = encodeText('{"manifest":{"format":"digital-closet-backup"}}');
+
+    expect(isZipArchive('file:///docs/backup.json')).toBe(false);
+    expect(isZipArchive('file:///docs/missing.zip')).toBe(false);
+    expect(() => openZipReader('file:///docs/backup.json')).toThrow('The archive has no central directory.');
+  });
+});
@@ -0,0 +1,447 @@
+// backupService.js
+// Service for exporting and importing the whole closet as a single portable backup file
+// The backup is a zip archive holding a manifest, every closet store and the referenced image files,
+// so it survives losing the phone and can be shared anywhere. Images are written and restored one file
+// at a time (see zipArchive.js), so the size of the closet is not limited by memory.
+//
+// Archive entries (schemaVersion 2):
+//   manifest.json  { format, schemaVersion, createdAt, counts: { articles, outfits, wearEvents, plans, images },
+//                    images: [{ path, sourceUri }] }
+//   closet.json    { articles, outfits, wearLog, outfitPlans, categoryTaxonomy }
+//   images/...     the image files, as they are on the device
+// categoryTaxonomy holds only user-added categories (see categoryService) and is optional on import.
+// Backups from schemaVersion 1 are single JSON documents ({ manifest, data, images: [{ path, sourceUri, base64 }] })
+// and can still be imported.
+
+import * as FileSystem from 'expo-file-system';
+import { File } from 'expo-file-system/next';
+import { getClosetRepository } from './closetRepository';
+import { saveImageFromBase64, saveImageFromBytes, deleteLocalImage } from './imageStorageService';
+import { getCustomTaxonomy, saveCustomTaxonomy, updateCustomTaxonomy, mergeCustomTaxonomy } from './categoryService';
+import { getPlans, updatePlans } from './outfitPlanService';
+import { createZipWriter, openZipReader, isZipArchive, encodeText, decodeText } from './zipArchive';
+import { repairReferentialIntegrity } from './migrationService';
+import uuid from './uuid';
+import ClothingArticle from '../models/ClothingArticle';
+import { logError, logWarning, logInfo } from './errorHandlingService';
+
+export const BACKUP_FORMAT = 'digital-closet-backup';
+export const BACKUP_SCHEMA_VERSION = 2;
+
+const MANIFEST_ENTRY = 'manifest.json';
+const CLOSET_ENTRY = 'closet.json';
+
+const BACKUP_DIRECTORY = `${FileSystem.documentDirectory}backups/`;
+
+// Article fields that may point at image files on this device
+const IMAGE_URI_FIELDS = ['localImageUri', 'croppedImageUri', 'imageUri'];
+
+/**
+ * Read every closet store.
+ * @returns {Promise<{articles: Array, outfits: Array, wearLog: Array, outfitPlans: Array, categoryTaxonomy: Object}>}
+ */
+async function readCloset() {
+  const [[articles, outfits, wearLog], outfitPlans, categoryTaxonomy] = await Promise.all([
+    getClosetRepository().transaction(tx => Promise.all([tx.getArticles(), tx.getOutfits(), tx.getWearEvents()])),
+    getPlans(),
+    getCustomTaxonomy(),
+  ]);
+  return { articles, outfits, wearLog, outfitPlans, categoryTaxonomy };
+}
+
+/**
+ * Collect the distinct local file URIs referenced by articles.
+ * Remote URLs and data: URIs are portable already and are left in the article data.
+ * @param {Array} articles - Articles to scan
+ * @returns {Array<string>} Local file URIs
+ */
+export function collectImageUris(articles) {
+  const uris = new Set();
+  (articles || []).forEach(article => {
+    IMAGE_URI_FIELDS.forEach(field => {
+      const value = article[field];
+      if (typeof value === 'string' && value.startsWith('file://')) {
+        uris.add(value);
+      }
+    });
+  });
+  return [...uris];
+}
+
+/**
+ * Build a backup archive's manifest and closet data.
+ * @param {Object} data - { articles, outfits, wearLog, outfitPlans, categoryTaxonomy }
+ * @param {Array<{path: string, sourceUri: string}>} images - Image entries in the archive
+ * @returns {{manifest: Object, data: Object, images: Array}} Backup archive (images are listed in the manifest)
+ */
+export function buildBackupArchive(data, images = []) {
+  const normalized = {
+    articles: data.articles || [],
+    outfits: data.outfits || [],
+    wearLog: data.wearLog || [],
+    outfitPlans: data.outfitPlans || [],
+    categoryTaxonomy: data.categoryTaxonomy || { categories: [], subcategories: {} },
+  };
+  return {
+    manifest: {
+      format: BACKUP_FORMAT,
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      createdAt: new Date().toISOString(),
+      counts: {
+        articles: normalized.articles.length,
+        outfits: normalized.outfits.length,
+        wearEvents: normalized.wearLog.length,
+        plans: normalized.outfitPlans.length,
+        images: images.length,
+      },
+      images,
+    },
+    data: normalized,
+    images,
+  };
+}
+
+/**
+ * Check that an archive is a backup this app version can import.
+ * @param {Object} archive - Parsed backup file
+ * @returns {Object} The archive's manifest
+ * @throws {Error} If the archive is not a valid or supported backup
+ */
+export function validateBackup(archive) {
+  const manifest = archive && archive.manifest;
+  if (!manifest || manifest.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a Digital Closet backup.');
+  }
+  if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 1) {
+    throw new Error('Backup has an invalid schema version.');
+  }
+  if (manifest.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    throw new Error(`Backup schema version ${manifest.schemaVersion} is newer than this app supports (${BACKUP_SCHEMA_VERSION}). Update the app and try again.`);
+  }
+  const { data } = archive;
+  if (!data || !Array.isArray(data.articles) || !Array.isArray(data.outfits)) {
+    throw new Error('Backup is missing closet data.');
+  }
+  const images = manifest.schemaVersion === 1 ? archive.images : manifest.images;
+  if (images !== undefined && !Array.isArray(images)) {
+    throw new Error('Backup image list is malformed.');
+  }
+  return manifest;
+}
+
+/**
+ * Bring a backup's articles into their stored form through the ClothingArticle model, like every other way
+ * articles enter the closet.
+ * @private
+ * @throws {Error} Naming every article that fails the model's validation and why
+ */
+function normalizeBackupArticles(articles) {
+  const problems = [];
+  const normalized = articles.map(article => {
+    try {
+      return ClothingArticle.fromJSON(article).validate().toJSON();
+    } catch (e) {
+      problems.push(`Article ${article && article.id}: ${e.message}`);
+      return null;
+    }
+  });
+  if (problems.length > 0) {
+    throw new Error(`Backup has invalid articles. ${problems.join(' ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Give every incoming record whose id is already taken a fresh id.
+ * @param {Array} records - Incoming records
+ * @param {Set<string>} takenIds - Ids already in use
+ * @returns {{records: Array, idMap: Object<string, string>}} Remapped records and old -> new id map
+ */
+function remapConflictingIds(records, takenIds) {
+  const idMap = {};
+  const remapped = records.map(record => {
+    if (!takenIds.has(record.id)) {
+      takenIds.add(record.id);
+      return record;
+    }
+    const newId = uuid();
+    idMap[record.id] = newId;
+    takenIds.add(newId);
+    return { ...record, id: newId };
+  });
+  return { records: remapped, idMap };
+}
+
+/**
+ * Merge incoming closet data into the current closet, remapping ids that collide.
+ * References between stores (outfit articleIds, wear events, plans) follow the remapped ids.
+ * @param {Object} current - { articles, outfits, wearLog, outfitPlans } on this device
+ * @param {Object} incoming - Same shape, from the backup
+ * @returns {{data: Object, remappedCount: number}} Merged data and how many ids were remapped
+ */
+export function mergeClosetData(current, incoming) {
+  const mapId = (idMap, id) => (id && idMap[id]) || id;
+
+  const articles = remapConflictingIds(incoming.articles || [], new Set(current.articles.map(a => a.id)));
+  const outfits = remapConflictingIds(incoming.outfits || [], new Set(current.outfits.map(o => o.id)));
+  const events = remapConflictingIds(incoming.wearLog || [], new Set(current.wearLog.map(e => e.id)));
+  const plans = remapConflictingIds(incoming.outfitPlans || [], new Set(current.outfitPlans.map(p => p.id)));
+
+  const importedOutfits = outfits.records.map(o => ({
+    ...o,
+    articleIds: (o.articleIds || []).map(id => mapId(articles.idMap, id)),
+  }));
+  const importedEvents = events.records.map(e => ({
+    ...e,
+    outfitId: mapId(outfits.idMap, e.outfitId),
+    articleIds: (e.articleIds || []).map(id => mapId(articles.idMap, id)),
+  }));
+  const importedPlans = plans.records.map(p => ({
+    ...p,
+    outfitId: mapId(outfits.idMap, p.outfitId),
+    wornEventId: mapId(events.idMap, p.wornEventId),
+  }));
+
+  const remappedCount = [articles, outfits, events, plans]
+    .reduce((sum, result) => sum + Object.keys(result.idMap).length, 0);
+
+  return {
+    data: {
+      articles: [...current.articles, ...articles.records],
+      outfits: [...current.outfits, ...importedOutfits],
+      wearLog: [...current.wearLog, ...importedEvents],
+      outfitPlans: [...current.outfitPlans, ...importedPlans],
+    },
+    remappedCount,
+  };
+}
+
+/**
+ * Entry path for an image in the archive, unique within it.
+ * @private
+ */
+function imageEntryPath(sourceUri, usedPaths) {
+  const name = sourceUri.split('/').pop();
+  let path = `images/${name}`;
+  for (let copy = 1; usedPaths.has(path); copy++) {
+    path = `images/${copy}-${name}`;
+  }
+  usedPaths.add(path);
+  return path;
+}
+
+/**
+ * Export the closet to a backup file in documentDirectory/backups/.
+ * Images that can no longer be read are skipped and reported.
+ * @returns {Promise<{uri: string, manifest: Object, missingImages: number}>}
+ */
+export async function exportCloset() {
+  let uri = null;
+  try {
+    const closet = await readCloset();
+    const dirInfo = await FileSystem.getInfoAsync(BACKUP_DIRECTORY);
+    if (!dirInfo.exists) {
+      await FileSystem.makeDirectoryAsync(BACKUP_DIRECTORY, { intermediates: true });
+    }
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    uri = `${BACKUP_DIRECTORY}digital-closet-${stamp}.zip`;
+
+    const zip = createZipWriter(uri);
+    const images = [];
+    let missingImages = 0;
+    let archive;
+    try {
+      // One image in memory at a time
+      const usedPaths = new Set();
+      for (const sourceUri of collectImageUris(closet.articles)) {
+        let bytes;
+        try {
+          bytes = new File(sourceUri).bytes();
+        } catch (e) {
+          missingImages += 1;
+          logWarning('[backupService]', `Skipping unreadable image ${sourceUri}`);
+          continue;
+        }
+        const path = imageEntryPath(sourceUri, usedPaths);
+        zip.addEntry(path, bytes);
+        images.push({ path, sourceUri });
+      }
+
+      archive = buildBackupArchive(closet, images);
+      zip.addEntry(CLOSET_ENTRY, encodeText(JSON.stringify(archive.data)));
+      zip.addEntry(MANIFEST_ENTRY, encodeText(JSON.stringify(archive.manifest)));
+    } finally {
+      zip.close();
+    }
+
+    logInfo('[backupService]', `Exported ${closet.articles.length} articles and ${images.length} images to ${uri}`);
+    return { uri, manifest: archive.manifest, missingImages };
+  } catch (e) {
+    logError('[backupService]', 'exportCloset error', e);
+    if (uri) {
+      // A half-written archive cannot be imported; do not leave it behind
+      await FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {});
+    }
+    throw e;
+  }
+}
+
+/**
+ * Open a backup file: a zip archive, or a single JSON document for schemaVersion 1.
+ * @private
+ * @returns {{archive: Object, zip: Object|null}} The archive with its image list, and the open zip to read
+ *   images from (the caller closes it)
+ */
+async function openBackup(uri) {
+  if (!isZipArchive(uri)) {
+    const archive = JSON.parse(await FileSystem.readAsStringAsync(uri));
+    return { archive, zip: null };
+  }
+  const zip = openZipReader(uri);
+  try {
+    const manifest = JSON.parse(decodeText(zip.read(MANIFEST_ENTRY)));
+    const data = JSON.parse(decodeText(zip.read(CLOSET_ENTRY)));
+    return { archive: { manifest, data, images: manifest.images }, zip };
+  } catch (e) {
+    zip.close();
+    throw e;
+  }
+}
+
+/**
+ * Import a backup file, either merging it into the closet or replacing the closet.
+ * The closet is committed first, in one transaction; plans and user-added categories are only written once it
+ * is in. If the import fails before then, nothing is changed and the restored image files are deleted again.
+ * @param {string} uri - Location of the backup file
+ * @param {Object} [options]
+ * @param {'merge'|'replace'} [options.mode='merge'] - Merge keeps existing data; replace overwrites it
+ * @returns {Promise<{mode: string, manifest: Object, imported: Object, remappedCount: number}>}
+ * @throws {Error} If the file cannot be read, is not a supported backup or holds invalid articles
+ */
+export async function importCloset(uri, options = {}) {
+  const mode = options.mode || 'merge';
+  if (mode !== 'merge' && mode !== 'replace') {
+    throw new Error(`Unknown import mode: ${mode}`);
+  }
+
+  let archive;
+  let zip;
+  try {
+    ({ archive, zip } = await openBackup(uri));
+  } catch (e) {
+    logError('[backupService]', 'importCloset read error', e);
+    throw new Error('Could not read the backup file.');
+  }
+
+  try {
+    const manifest = validateBackup(archive);
+    const backupArticles = normalizeBackupArticles(archive.data.articles);
+
+    // Restore image files first, one at a time, then point articles at their new location
+    const uriMap = {};
+    let incoming;
+    let result;
+    let stagedPlanIds;
+    try {
+      for (const image of archive.images || []) {
+        const extension = (image.path || '').split('.').pop() || 'jpg';
+        uriMap[image.sourceUri] = zip
+          ? await saveImageFromBytes(zip.read(image.path), extension)
+          : await saveImageFromBase64(image.base64, extension);
+      }
+      incoming = {
+        ...archive.data,
+        articles: backupArticles.map(article => {
+          const restored = { ...article };
+          IMAGE_URI_FIELDS.forEach(field => {
+            if (uriMap[restored[field]]) {
+              restored[field] = uriMap[restored[field]];
+            }
+          });
+          return restored;
+        }),
+      };
+
+      // The closet is read and written in one transaction, so changes made meanwhile are not lost.
+      // Plans are read now so imported ids can be remapped around them, but written after the commit.
+      await getClosetRepository().transaction(async tx => {
+        const [articles, outfits, wearLog] = await Promise.all([tx.getArticles(), tx.getOutfits(), tx.getWearEvents()]);
+        let outfitPlans = [];
+        await updatePlans(plans => {
+          outfitPlans = plans;
+          return null;
+        });
+        stagedPlanIds = new Set(outfitPlans.map(p => p.id));
+        result = mode === 'replace'
+          ? {
+              data: {
+                articles: incoming.articles,
+                outfits: incoming.outfits,
+                wearLog: incoming.wearLog || [],
+                outfitPlans: incoming.outfitPlans || [],
+              },
+              remappedCount: 0,
+            }
+          : mergeClosetData({ articles, outfits, wearLog, outfitPlans }, incoming);
+        await tx.replaceArticles(result.data.articles);
+        await tx.replaceOutfits(result.data.outfits);
+        await tx.replaceWearEvents(result.data.wearLog);
+      });
+    } catch (e) {
+      await removeRestoredImages(Object.values(uriMap));
+      throw e;
+    }
+
+    // The closet is in; add the imported plans to the plans as they are now (replace takes the backup's).
+    // Plans removed since they were read stay removed.
+    const importedPlans = mode === 'replace'
+      ? result.data.outfitPlans
+      : result.data.outfitPlans.filter(p => !stagedPlanIds.has(p.id));
+    // User-added categories: replace takes the backup's, merge keeps ours and adds new ones
+    const incomingTaxonomy = archive.data.categoryTaxonomy || { categories: [], subcategories: {} };
+    try {
+      await updatePlans(plans => (mode === 'replace' ? importedPlans : [...plans, ...importedPlans]));
+      if (mode === 'replace') {
+        await saveCustomTaxonomy(incomingTaxonomy);
+      } else {
+        await updateCustomTaxonomy(current => mergeCustomTaxonomy(current, incomingTaxonomy));
+      }
+    } catch (e) {
+      throw new Error(`The closet was imported, but its plans or categories could not be saved: ${e.message}`);
+    }
+
+    // A backup can hold outfits naming articles it does not contain, or plans for outfits it does not contain
+    const repair = await repairReferentialIntegrity();
+    if (!repair.success) {
+      logWarning('[backupService]', `Could not check references after the import: ${repair.error}`);
+    }
+
+    const imported = {
+      articles: incoming.articles.length,
+      outfits: incoming.outfits.length,
+      wearEvents: (incoming.wearLog || []).length,
+      plans: (incoming.outfitPlans || []).length,
+      images: Object.keys(uriMap).length,
+    };
+    logInfo('[backupService]', `Imported backup (${mode}): ${imported.articles} articles, ${imported.outfits} outfits`);
+    return { mode, manifest, imported, remappedCount: result.remappedCount };
+  } catch (e) {
+    logError('[backupService]', 'importCloset error', e);
+    throw e;
+  } finally {
+    if (zip) {
+      zip.close();
+    }
+  }
+}
+
+/**
+ * Delete image files restored by an import that failed; nothing references them.
+ * Any file that cannot be deleted is picked up by the orphan collector.
+ * @private
+ */
+async function removeRestoredImages(uris) {
+  for (const restoredUri of uris) {
+    await deleteLocalImage(restoredUri);
+  }
+}
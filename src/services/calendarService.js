@@ -0,0 +1,114 @@
+// calendarService.js
+// Date helpers and data assembly for the outfit calendar / wear diary
+// Days are keyed by local calendar date (YYYY-MM-DD) so a wear logged at 11pm stays on that day.
+
+/**
+ * Convert a date into a local YYYY-MM-DD key.
+ * @param {Date|string} value - Date or ISO timestamp
+ * @returns {string} Local date key
+ */
+export function toDateKey(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD key into a local Date at midnight.
+ * @param {string} dateKey - Local date key
+ * @returns {Date}
+ */
+export function fromDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Shift a date key by a number of days.
+ * @param {string} dateKey - Local date key
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} New date key
+ */
+export function addDays(dateKey, days) {
+  const date = fromDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+}
+
+/**
+ * Get today's local date key.
+ * @returns {string}
+ */
+export function todayKey() {
+  return toDateKey(new Date());
+}
+
+/**
+ * Build the seven day keys of the week (Sunday first) containing a date.
+ * @param {string} dateKey - Any day in the week
+ * @returns {Array<string>} Seven date keys
+ */
+export function getWeekDays(dateKey) {
+  const start = addDays(dateKey, -fromDateKey(dateKey).getDay());
+  return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+}
+
+/**
+ * Build a month grid of full weeks (Sunday first), padded with days from adjacent months.
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @returns {Array<Array<{dateKey: string, inMonth: boolean}>>} Weeks of seven days
+ */
+export function getMonthGrid(year, month) {
+  const first = toDateKey(new Date(year, month, 1));
+  const last = toDateKey(new Date(year, month + 1, 0));
+  const weeks = [];
+  let weekStart = getWeekDays(first)[0];
+  while (weekStart <= last) {
+    weeks.push(getWeekDays(weekStart).map(dateKey => ({
+      dateKey,
+      inMonth: fromDateKey(dateKey).getMonth() === month,
+    })));
+    weekStart = addDays(weekStart, 7);
+  }
+  return weeks;
+}
+
+/**
+ * Group wear events and outfit plans by day.
+ * Undated (seeded) wear events have no day and are skipped.
+ * @param {Array} events - Wear events from wearLogService
+ * @param {Array} plans - Outfit plans from outfitPlanService
+ * @param {Array} outfits - Stored outfits, used to resolve outfit details
+ * @returns {Object<string, {worn: Array<{event: Object, outfit: Object|null}>, planned: Array<{plan: Object, outfit: Object}>}>}
+ */
+export function buildCalendarEntries(events, plans, outfits) {
+  const outfitsById = {};
+  (outfits || []).forEach(o => { outfitsById[o.id] = o; });
+
+  const entries = {};
+  const entryFor = dateKey => {
+    if (!entries[dateKey]) {
+      entries[dateKey] = { worn: [], planned: [] };
+    }
+    return entries[dateKey];
+  };
+
+  for (const event of events || []) {
+    if (!event.wornAt) continue;
+    const outfit = event.outfitId ? outfitsById[event.outfitId] || null : null;
+    entryFor(toDateKey(event.wornAt)).worn.push({ event, outfit });
+  }
+
+  const eventIds = new Set((events || []).map(e => e.id));
+  for (const plan of plans || []) {
+    // Plans for deleted outfits are hidden; plans already worn show up as wears instead
+    // (unless that wear was undone, which puts the plan back on the calendar)
+    const outfit = outfitsById[plan.outfitId];
+    if (!outfit || (plan.wornEventId && eventIds.has(plan.wornEventId))) continue;
+    entryFor(plan.date).planned.push({ plan, outfit });
+  }
+
+  return entries;
+}
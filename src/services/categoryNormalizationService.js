@@ -0,0 +1,240 @@
+// categoryNormalizationService.js
+// Provider-aware normalization of detector labels into taxonomy categories
+// Each detection provider has its own vocabulary (GarmentVision's fixed category list, Clarifai concepts,
+// free-form OpenAI names), so labels are resolved in order of trust:
+//   1. provider table  - exact entry in the provider's label table
+//   2. taxonomy        - exact category/subcategory label or id from categoryService
+//   3. stem            - singular/plural variant of a taxonomy label ("blouses" -> "blouse")
+//   4. token           - a word inside a longer label ("slim-fit navy blazer" -> "blazer"), last word first
+//   5. fuzzy           - small spelling differences ("sweter" -> "sweater")
+// Every result reports a confidence in [0, 1]; results below CATEGORY_CONFIDENCE_THRESHOLD are
+// uncertain and the user is asked to confirm them during verification.
+
+import { buildTaxonomy, UNCATEGORIZED } from './categoryService';
+
+export const CATEGORY_CONFIDENCE_THRESHOLD = 0.75;
+
+const CONFIDENCE = {
+  provider: 1,
+  taxonomy: 0.9,
+  stem: 0.8,
+  token: 0.7,
+  fuzzy: 0.6,
+};
+
+// Provider tables map a provider label to 'category', 'category/subcategory' or
+// { category, subcategory?, confidence? } when the label is known to be ambiguous.
+
+// GarmentVision asks GPT-4o for one of: jacket, shirt, pants, skirt, dress, shoes, accessory
+export const GARMENT_VISION_CATEGORY_TABLE = {
+  jacket: 'outerwear/jackets',
+  shirt: 'tops/shirts',
+  pants: 'bottoms/trousers',
+  skirt: 'bottoms/skirts',
+  dress: 'dresses',
+  shoes: 'shoes',
+  accessory: 'accessories',
+};
+
+// Clarifai apparel concepts (see CLOTHING_CONCEPTS)
+export const CLARIFAI_CATEGORY_TABLE = {
+  footwear: 'shoes',
+  suit: 'outerwear/blazers',
+  'fashion accessory': 'accessories',
+  sweatshirt: 'tops/sweatshirts',
+  // Generic labels: a best guess the user should confirm
+  clothing: { category: 'tops', confidence: 0.4 },
+  vest: { category: 'outerwear', confidence: 0.6 },
+};
+
+// OpenAI Vision returns free-form garment names; the taxonomy covers most of them
+export const OPENAI_CATEGORY_TABLE = {
+  top: 'tops',
+  bottom: 'bottoms',
+  outfit: { category: 'tops', confidence: 0.3 },
+};
+
+/**
+ * Lowercase, trim and collapse whitespace in a label.
+ * @private
+ */
+function normalizeLabel(label) {
+  return typeof label === 'string' ? label.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+}
+
+/**
+ * Resolve a provider table entry into a result.
+ * @private
+ */
+function fromTableEntry(entry) {
+  if (typeof entry === 'string') {
+    const [category, subcategory] = entry.split('/');
+    return { category, subcategory: subcategory || null, confidence: CONFIDENCE.provider };
+  }
+  return {
+    category: entry.category,
+    subcategory: entry.subcategory || null,
+    confidence: typeof entry.confidence === 'number' ? entry.confidence : CONFIDENCE.provider,
+  };
+}
+
+/**
+ * Exact match of a label against taxonomy labels and ids; subcategories win.
+ * @private
+ */
+function matchTaxonomy(label, taxonomy) {
+  for (const category of taxonomy) {
+    const sub = category.subcategories.find(s => s.id === label || s.labels.includes(label));
+    if (sub) return { category: category.id, subcategory: sub.id };
+  }
+  const category = taxonomy.find(c => c.id === label || c.labels.includes(label));
+  return category ? { category: category.id, subcategory: null } : null;
+}
+
+/**
+ * Singular/plural variants of a word.
+ * @private
+ */
+function stemVariants(word) {
+  const variants = [];
+  if (word.endsWith('ies')) variants.push(`${word.slice(0, -3)}y`);
+  if (word.endsWith('es')) variants.push(word.slice(0, -2));
+  if (word.endsWith('s')) variants.push(word.slice(0, -1));
+  if (!word.endsWith('s')) variants.push(`${word}s`, `${word}es`);
+  return variants;
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ * @private
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Closest taxonomy label within a small edit distance (1 for short words, 2 for longer ones).
+ * @private
+ */
+function matchFuzzy(word, taxonomy) {
+  if (word.length < 4) return null;
+  const maxDistance = word.length >= 7 ? 2 : 1;
+  let best = null;
+  taxonomy.forEach(category => {
+    const candidates = [
+      ...category.labels.map(label => ({ label, subcategory: null })),
+      ...category.subcategories.flatMap(sub => sub.labels.map(label => ({ label, subcategory: sub.id }))),
+    ];
+    candidates.forEach(({ label, subcategory }) => {
+      const distance = editDistance(word, label);
+      if (distance <= maxDistance && (!best || distance < best.distance)) {
+        best = { category: category.id, subcategory, distance };
+      }
+    });
+  });
+  return best;
+}
+
+/**
+ * Normalize one detector label into a taxonomy category.
+ * @param {string} label - Label from the detection provider
+ * @param {Object} [options]
+ * @param {Object} [options.table] - The provider's label table (see *_CATEGORY_TABLE)
+ * @param {Array} [options.taxonomy] - Taxonomy from categoryService.getTaxonomy() (defaults to the built-in one)
+ * @returns {{category: string, subcategory: string|null, confidence: number,
+ *   matchedBy: 'provider'|'taxonomy'|'stem'|'token'|'fuzzy'|'none'}}
+ */
+export function normalizeCategory(label, options = {}) {
+  const taxonomy = options.taxonomy || buildTaxonomy();
+  const table = options.table || {};
+  const normalized = normalizeLabel(label);
+  const none = { category: UNCATEGORIZED, subcategory: null, confidence: 0, matchedBy: 'none' };
+  if (!normalized) return none;
+
+  // 1. Provider table; entries pointing at categories that no longer exist are ignored
+  if (table[normalized]) {
+    const result = fromTableEntry(table[normalized]);
+    const category = taxonomy.find(c => c.id === result.category);
+    if (category) {
+      const subcategory = category.subcategories.some(s => s.id === result.subcategory) ? result.subcategory : null;
+      return { ...result, subcategory, matchedBy: 'provider' };
+    }
+  }
+
+  // 2. Exact taxonomy label
+  const exact = matchTaxonomy(normalized, taxonomy);
+  if (exact) return { ...exact, confidence: CONFIDENCE.taxonomy, matchedBy: 'taxonomy' };
+
+  // 3. Singular/plural variants
+  for (const variant of stemVariants(normalized)) {
+    const stemmed = matchTaxonomy(variant, taxonomy);
+    if (stemmed) return { ...stemmed, confidence: CONFIDENCE.stem, matchedBy: 'stem' };
+  }
+
+  // 4. Words inside a longer label; the head noun is usually last ("navy wool blazer")
+  const words = normalized.split(/[^a-z0-9-]+/).filter(Boolean);
+  if (words.length > 1) {
+    for (const word of [...words].reverse()) {
+      const match = matchTaxonomy(word, taxonomy) ||
+        stemVariants(word).map(v => matchTaxonomy(v, taxonomy)).find(Boolean);
+      if (match) return { ...match, confidence: CONFIDENCE.token, matchedBy: 'token' };
+    }
+  }
+
+  // 5. Near misses
+  for (const word of [...words].reverse()) {
+    const fuzzy = matchFuzzy(word, taxonomy);
+    if (fuzzy) {
+      return {
+        category: fuzzy.category,
+        subcategory: fuzzy.subcategory,
+        confidence: Math.max(CONFIDENCE.fuzzy - 0.1 * (fuzzy.distance - 1), 0.1),
+        matchedBy: 'fuzzy',
+      };
+    }
+  }
+
+  return none;
+}
+
+/**
+ * Normalize a detected article using its provider label, falling back to its description or name
+ * when that gives a more confident answer.
+ * @param {Object} article - Detected article
+ * @param {Object} provider - Detection provider from providerRegistry (labelKey, categoryTable)
+ * @param {Array} [taxonomy] - Taxonomy (defaults to the built-in one)
+ * @returns {{category: string, subcategory: string|null, confidence: number, matchedBy: string}}
+ */
+export function normalizeArticleCategory(article, provider, taxonomy) {
+  const table = provider.categoryTable;
+  const primary = normalizeCategory(article[provider.labelKey], { table, taxonomy });
+  if (primary.confidence >= CATEGORY_CONFIDENCE_THRESHOLD) {
+    return primary;
+  }
+  const fallback = [article.description, article.name]
+    .filter(text => typeof text === 'string' && text !== article[provider.labelKey])
+    .map(text => normalizeCategory(text, { table, taxonomy }))
+    .reduce((best, result) => (result.confidence > best.confidence ? result : best), primary);
+  return fallback;
+}
+
+/**
+ * Whether a normalization result should be confirmed by the user.
+ * @param {{confidence: number}} result - normalizeCategory result
+ * @returns {boolean}
+ */
+export function isUncertainCategory(result) {
+  return !result || result.confidence < CATEGORY_CONFIDENCE_THRESHOLD;
+}
@@ -0,0 +1,439 @@
+// categoryService.js
+// Service for the article category taxonomy: built-in categories plus user-added categories and subcategories
+// The taxonomy is the single source of truth for category ids, display order, labels and detector label mapping.
+//
+// Taxonomy shape (array, in display order):
+//   [{ id, label, builtIn, labels: string[], subcategories: [{ id, label, builtIn, labels: string[] }] }]
+// `labels` are detector labels (lowercase) that map onto the category or subcategory.
+// Only user additions are stored; built-ins always come from DEFAULT_TAXONOMY so new app versions can extend them.
+//
+// Stored shape (CATEGORY_TAXONOMY_KEY):
+//   { categories: [{ id, label, labels }], subcategories: { [parentId]: [{ id, label, labels }] } }
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { CATEGORY_TAXONOMY_KEY } from './constants';
+import { logError, logInfo } from './errorHandlingService';
+
+// Category id for articles whose category is missing or not in the taxonomy
+export const UNCATEGORIZED = 'other';
+
+const MAX_LABEL_LENGTH = 30;
+
+export const DEFAULT_TAXONOMY = [
+  {
+    id: 'outerwear',
+    label: 'Outerwear',
+    labels: ['vest', 'outerwear'],
+    subcategories: [
+      { id: 'jackets', label: 'Jackets', labels: ['jacket', 'jackets', 'windbreaker', 'parka'] },
+      { id: 'coats', label: 'Coats', labels: ['coat', 'coats', 'trench coat'] },
+      { id: 'blazers', label: 'Blazers', labels: ['blazer', 'blazers', 'suit'] },
+    ],
+  },
+  {
+    id: 'tops',
+    label: 'Tops',
+    labels: ['top', 'tops', 'blouse', 'blouses', 'tank top', 'tank tops'],
+    subcategories: [
+      { id: 't-shirts', label: 'T-Shirts', labels: ['t-shirt', 't-shirts', 'tee', 'tees'] },
+      { id: 'shirts', label: 'Shirts', labels: ['shirt', 'shirts', 'polo', 'polos'] },
+      { id: 'knitwear', label: 'Knitwear', labels: ['sweater', 'sweaters', 'cardigan', 'cardigans', 'jumper'] },
+      { id: 'sweatshirts', label: 'Sweatshirts', labels: ['sweatshirt', 'sweatshirts', 'hoodie', 'hoodies'] },
+    ],
+  },
+  {
+    id: 'bottoms',
+    label: 'Bottoms',
+    labels: ['bottoms', 'leggings'],
+    subcategories: [
+      { id: 'jeans', label: 'Jeans', labels: ['jeans'] },
+      { id: 'trousers', label: 'Trousers', labels: ['pants', 'trousers', 'chinos'] },
+      { id: 'shorts', label: 'Shorts', labels: ['shorts'] },
+      { id: 'skirts', label: 'Skirts', labels: ['skirt', 'skirts'] },
+    ],
+  },
+  {
+    id: 'dresses',
+    label: 'Dresses',
+    labels: ['dress', 'dresses', 'gown', 'jumpsuit'],
+    subcategories: [],
+  },
+  {
+    id: 'shoes',
+    label: 'Shoes',
+    labels: ['shoe', 'shoes', 'footwear', 'heel', 'heels', 'loafer', 'loafers'],
+    subcategories: [
+      { id: 'sneakers', label: 'Sneakers', labels: ['sneaker', 'sneakers', 'trainers'] },
+      { id: 'boots', label: 'Boots', labels: ['boot', 'boots'] },
+      { id: 'sandals', label: 'Sandals', labels: ['sandal', 'sandals'] },
+    ],
+  },
+  {
+    id: 'accessories',
+    label: 'Accessories',
+    labels: ['accessory', 'accessories', 'fashion accessory', 'glove', 'gloves', 'sock', 'socks', 'tie', 'glasses', 'sunglasses', 'watch'],
+    subcategories: [
+      { id: 'hats', label: 'Hats', labels: ['hat', 'hats', 'cap', 'caps', 'beanie'] },
+      { id: 'scarves', label: 'Scarves', labels: ['scarf', 'scarves'] },
+      { id: 'belts', label: 'Belts', labels: ['belt', 'belts'] },
+      { id: 'jewelry', label: 'Jewelry', labels: ['jewelry', 'necklace', 'bracelet', 'earrings', 'ring'] },
+    ],
+  },
+  {
+    id: 'bags',
+    label: 'Bags',
+    labels: ['bag', 'bags', 'purse', 'handbag', 'backpack', 'tote'],
+    subcategories: [],
+  },
+];
+
+/**
+ * Turn a display label into a category id ("Work Wear" -> "work-wear").
+ * @param {string} label - Display label
+ * @returns {string} Id slug
+ */
+export function slugifyCategory(label) {
+  return String(label || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Normalize a list of detector labels to lowercase, trimmed and distinct.
+ * @private
+ */
+function normalizeLabels(labels) {
+  return [...new Set((labels || []).map(l => String(l).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Combine the built-in taxonomy with stored user additions. Pure.
+ * @param {Object} [custom] - Stored user additions ({ categories, subcategories })
+ * @returns {Array} Taxonomy in display order (built-ins first, then custom categories)
+ */
+export function buildTaxonomy(custom = {}) {
+  const customSubs = custom.subcategories || {};
+  const withCustomSubs = (category, builtIn) => ({
+    ...category,
+    builtIn,
+    labels: normalizeLabels(category.labels),
+    subcategories: [
+      ...(category.subcategories || []).map(sub => ({ ...sub, builtIn, labels: normalizeLabels(sub.labels) })),
+      ...(customSubs[category.id] || []).map(sub => ({ ...sub, builtIn: false, labels: normalizeLabels(sub.labels) })),
+    ],
+  });
+  return [
+    ...DEFAULT_TAXONOMY.map(category => withCustomSubs(category, true)),
+    ...(custom.categories || []).map(category => withCustomSubs(category, false)),
+  ];
+}
+
+/**
+ * Read the stored user additions.
+ * @private
+ */
+async function readCustomTaxonomy() {
+  const stored = await AsyncStorage.getItem(CATEGORY_TAXONOMY_KEY);
+  const parsed = stored ? JSON.parse(stored) : {};
+  return { categories: parsed.categories || [], subcategories: parsed.subcategories || {} };
+}
+
+/**
+ * Get the stored user additions to the taxonomy (used by backups).
+ * @returns {Promise<{categories: Array, subcategories: Object}>}
+ */
+export async function getCustomTaxonomy() {
+  try {
+    return await readCustomTaxonomy();
+  } catch (e) {
+    logError('[categoryService]', 'getCustomTaxonomy error', e);
+    return { categories: [], subcategories: {} };
+  }
+}
+
+/**
+ * Replace the stored user additions (used by backups and migrations).
+ * @param {{categories: Array, subcategories: Object}} custom - User additions
+ * @returns {Promise<void>}
+ */
+export async function saveCustomTaxonomy(custom) {
+  await AsyncStorage.setItem(CATEGORY_TAXONOMY_KEY, JSON.stringify({
+    categories: custom.categories || [],
+    subcategories: custom.subcategories || {},
+  }));
+}
+
+/**
+ * Change the stored user additions, reading them strictly first (a read failure must not be taken for
+ * "no additions" and overwrite them).
+ * @param {Function} change - Called with the stored additions; returns the additions to store
+ * @returns {Promise<{categories: Array, subcategories: Object}>} The stored additions
+ * @throws {Error} If the additions cannot be read or saved
+ */
+export async function updateCustomTaxonomy(change) {
+  const next = change(await readCustomTaxonomy());
+  await saveCustomTaxonomy(next);
+  return next;
+}
+
+/**
+ * Get the full taxonomy: built-in categories plus user additions.
+ * Falls back to the built-in taxonomy if stored additions cannot be read.
+ * @returns {Promise<Array>} Taxonomy in display order
+ */
+export async function getTaxonomy() {
+  return buildTaxonomy(await getCustomTaxonomy());
+}
+
+/**
+ * List the category ids of a taxonomy in display order.
+ * @param {Array} [taxonomy] - Taxonomy (defaults to the built-in one)
+ * @returns {Array<string>}
+ */
+export function getCategoryIds(taxonomy = buildTaxonomy()) {
+  return taxonomy.map(category => category.id);
+}
+
+/**
+ * Find a category in a taxonomy.
+ * @param {Array} taxonomy - Taxonomy to search
+ * @param {string} id - Category id
+ * @returns {Object|undefined}
+ */
+export function findCategory(taxonomy, id) {
+  return taxonomy.find(category => category.id === id);
+}
+
+/**
+ * Check that a category (and optional subcategory) exist in a taxonomy.
+ * @param {Array} taxonomy - Taxonomy to check against
+ * @param {string} categoryId - Category id
+ * @param {string} [subcategoryId] - Subcategory id
+ * @returns {boolean}
+ */
+export function isValidCategory(taxonomy, categoryId, subcategoryId) {
+  const category = findCategory(taxonomy, categoryId);
+  if (!category) return false;
+  if (!subcategoryId) return true;
+  return category.subcategories.some(sub => sub.id === subcategoryId);
+}
+
+/**
+ * Map a detector label onto the taxonomy. Subcategory labels win over category labels.
+ * @param {string} label - Detector label (e.g. 'Sweater', 'footwear')
+ * @param {Array} [taxonomy] - Taxonomy to map onto (defaults to the built-in one)
+ * @returns {{category: string, subcategory: string|null}} category is 'other' when nothing matches
+ */
+export function mapLabelToTaxonomy(label, taxonomy = buildTaxonomy()) {
+  const normalized = typeof label === 'string' ? label.trim().toLowerCase() : '';
+  if (normalized) {
+    for (const category of taxonomy) {
+      const sub = category.subcategories.find(s => s.labels.includes(normalized) || s.id === normalized);
+      if (sub) {
+        return { category: category.id, subcategory: sub.id };
+      }
+    }
+    const category = taxonomy.find(c => c.labels.includes(normalized) || c.id === normalized);
+    if (category) {
+      return { category: category.id, subcategory: null };
+    }
+  }
+  return { category: UNCATEGORIZED, subcategory: null };
+}
+
+/**
+ * The built-in category a category belongs to, so features built around the built-ins (e.g. outfit suggestion
+ * slots) can use articles in user-added categories too. A custom category is matched by its name, its detector
+ * labels, then the words of its name ("Rain Jackets" -> outerwear), against the built-in taxonomy.
+ * @param {Array} taxonomy - Taxonomy the category comes from
+ * @param {string} categoryId - Category id
+ * @returns {string|null} Built-in category id, or null when the category matches none
+ */
+export function resolveBuiltInCategory(taxonomy, categoryId) {
+  if (DEFAULT_TAXONOMY.some(category => category.id === categoryId)) {
+    return categoryId;
+  }
+  const category = findCategory(taxonomy, categoryId);
+  if (!category) return null;
+  const builtIns = buildTaxonomy();
+  const candidates = [category.label, ...category.labels, ...slugifyCategory(category.label).split('-')];
+  for (const candidate of candidates) {
+    const match = mapLabelToTaxonomy(candidate, builtIns).category;
+    if (match !== UNCATEGORIZED) return match;
+  }
+  return null;
+}
+
+/**
+ * Display text for an article's category, e.g. "Tops > Knitwear".
+ * @param {Array} taxonomy - Taxonomy for labels
+ * @param {string} categoryId - Category id
+ * @param {string} [subcategoryId] - Subcategory id
+ * @returns {string}
+ */
+export function formatCategory(taxonomy, categoryId, subcategoryId) {
+  const category = findCategory(taxonomy, categoryId);
+  if (!category) return 'Other';
+  const sub = subcategoryId && category.subcategories.find(s => s.id === subcategoryId);
+  return sub ? `${category.label} > ${sub.label}` : category.label;
+}
+
+/**
+ * Sort articles by their category's position in the taxonomy; unknown categories go last.
+ * @param {Array} articles - Articles to sort (not modified)
+ * @param {Array} taxonomy - Taxonomy giving the order
+ * @returns {Array} Sorted copy
+ */
+export function sortArticlesByTaxonomy(articles, taxonomy) {
+  const ids = getCategoryIds(taxonomy);
+  const rank = article => {
+    const index = ids.indexOf(article.category);
+    return index === -1 ? ids.length : index;
+  };
+  return [...articles].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Validate a new category or subcategory label and derive its id.
+ * @private
+ */
+function validateNewEntry(label, takenIds, kind) {
+  const trimmed = typeof label === 'string' ? label.trim() : '';
+  if (!trimmed) {
+    throw new Error(`${kind} name cannot be empty.`);
+  }
+  if (trimmed.length > MAX_LABEL_LENGTH) {
+    throw new Error(`${kind} name must be at most ${MAX_LABEL_LENGTH} characters.`);
+  }
+  const id = slugifyCategory(trimmed);
+  if (!id || id === UNCATEGORIZED) {
+    throw new Error(`"${trimmed}" cannot be used as a ${kind.toLowerCase()} name.`);
+  }
+  if (takenIds.includes(id)) {
+    throw new Error(`${kind} "${trimmed}" already exists.`);
+  }
+  return { id, label: trimmed };
+}
+
+/**
+ * Add a user-defined top-level category.
+ * @param {string} label - Display name
+ * @param {Object} [options]
+ * @param {Array<string>} [options.labels] - Detector labels that should map to it
+ * @returns {Promise<Object>} The new category
+ * @throws {Error} If the name is empty, too long or already taken
+ */
+export async function addCategory(label, options = {}) {
+  const custom = await readCustomTaxonomy();
+  const taxonomy = buildTaxonomy(custom);
+  const entry = validateNewEntry(label, getCategoryIds(taxonomy), 'Category');
+  const category = { ...entry, labels: normalizeLabels(options.labels) };
+  await saveCustomTaxonomy({ ...custom, categories: [...custom.categories, category] });
+  logInfo('[categoryService]', `Added category ${category.id}`);
+  return { ...category, builtIn: false, subcategories: [] };
+}
+
+/**
+ * Add a user-defined subcategory under any category (built-in or custom).
+ * @param {string} parentId - Parent category id
+ * @param {string} label - Display name
+ * @param {Object} [options]
+ * @param {Array<string>} [options.labels] - Detector labels that should map to it
+ * @returns {Promise<Object>} The new subcategory
+ * @throws {Error} If the parent does not exist or the name is invalid or taken
+ */
+export async function addSubcategory(parentId, label, options = {}) {
+  const custom = await readCustomTaxonomy();
+  const parent = findCategory(buildTaxonomy(custom), parentId);
+  if (!parent) {
+    throw new Error(`Category ${parentId} not found.`);
+  }
+  const entry = validateNewEntry(label, parent.subcategories.map(s => s.id), 'Subcategory');
+  const subcategory = { ...entry, labels: normalizeLabels(options.labels) };
+  await saveCustomTaxonomy({
+    ...custom,
+    subcategories: {
+      ...custom.subcategories,
+      [parentId]: [...(custom.subcategories[parentId] || []), subcategory],
+    },
+  });
+  logInfo('[categoryService]', `Added subcategory ${parentId} > ${subcategory.id}`);
+  return { ...subcategory, builtIn: false };
+}
+
+/**
+ * Remove a user-defined category and its subcategories.
+ * Articles keep the id and show up as uncategorized until recategorized.
+ * @param {string} id - Category id
+ * @returns {Promise<void>}
+ * @throws {Error} If the category is built in or does not exist
+ */
+export async function removeCategory(id) {
+  if (DEFAULT_TAXONOMY.some(category => category.id === id)) {
+    throw new Error('Built-in categories cannot be removed.');
+  }
+  const custom = await readCustomTaxonomy();
+  if (!custom.categories.some(category => category.id === id)) {
+    throw new Error(`Category ${id} not found.`);
+  }
+  const { [id]: removedSubs, ...subcategories } = custom.subcategories;
+  await saveCustomTaxonomy({
+    categories: custom.categories.filter(category => category.id !== id),
+    subcategories,
+  });
+  logInfo('[categoryService]', `Removed category ${id}`);
+}
+
+/**
+ * Remove a user-defined subcategory.
+ * @param {string} parentId - Parent category id
+ * @param {string} id - Subcategory id
+ * @returns {Promise<void>}
+ * @throws {Error} If the subcategory is built in or does not exist
+ */
+export async function removeSubcategory(parentId, id) {
+  const custom = await readCustomTaxonomy();
+  const subs = custom.subcategories[parentId] || [];
+  if (!subs.some(sub => sub.id === id)) {
+    const builtIn = DEFAULT_TAXONOMY.some(c => c.id === parentId && c.subcategories.some(sub => sub.id === id));
+    throw new Error(builtIn ? 'Built-in subcategories cannot be removed.' : `Subcategory ${id} not found.`);
+  }
+  await saveCustomTaxonomy({
+    ...custom,
+    subcategories: { ...custom.subcategories, [parentId]: subs.filter(sub => sub.id !== id) },
+  });
+  logInfo('[categoryService]', `Removed subcategory ${parentId} > ${id}`);
+}
+
+/**
+ * Merge two sets of user additions, keeping the current entry when ids collide. Pure.
+ * @param {{categories: Array, subcategories: Object}} current - Additions on this device
+ * @param {{categories: Array, subcategories: Object}} incoming - Additions from elsewhere (e.g. a backup)
+ * @returns {{categories: Array, subcategories: Object}}
+ */
+export function mergeCustomTaxonomy(current, incoming) {
+  const categoryIds = new Set([
+    ...DEFAULT_TAXONOMY.map(category => category.id),
+    ...(current.categories || []).map(category => category.id),
+  ]);
+  const categories = [
+    ...(current.categories || []),
+    ...((incoming && incoming.categories) || []).filter(category => !categoryIds.has(category.id)),
+  ];
+
+  const subcategories = { ...(current.subcategories || {}) };
+  Object.entries((incoming && incoming.subcategories) || {}).forEach(([parentId, subs]) => {
+    const parent = DEFAULT_TAXONOMY.find(category => category.id === parentId);
+    const taken = new Set([
+      ...(parent ? parent.subcategories.map(sub => sub.id) : []),
+      ...(subcategories[parentId] || []).map(sub => sub.id),
+    ]);
+    const added = subs.filter(sub => !taken.has(sub.id));
+    if (added.length) {
+      subcategories[parentId] = [...(subcategories[parentId] || []), ...added];
+    }
+  });
+  return { categories, subcategories };
+}
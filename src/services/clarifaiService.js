@@ -1,14 +1,17 @@
 // Clarifai detection provider for clothing articles.
-// Used by imageProcessingService.js. Swap this file for a new provider as needed.
+// Registered as the 'clarifai' provider in detectionProviders.js.
 import { CLARIFAI_API_KEY, CLARIFAI_USER_ID, CLARIFAI_APP_ID, CLARIFAI_MODEL_ID, CLARIFAI_MODEL_VERSION_ID } from '@env';
 import { CLOTHING_CONCEPTS } from './constants';
 import * as FileSystem from 'expo-file-system';
 import { mapClarifaiLabelToCategory } from './clarifaiCategoryMapper';
+import { requestJson } from './httpClient';
 
 // Main Clarifai clothing detection service
 // imageUri: local or remote URI to the image
+// options: { signal } - AbortSignal that cancels the API request
 // Returns: Array of { id, name, confidence, boundingBox } objects
-export async function separateClothingItemsWithClarifai(imageUri) {
+// Throws: HttpError when the Clarifai request fails (see httpClient)
+export async function separateClothingItemsWithClarifai(imageUri, options = {}) {
   // NOTE: For local images, Clarifai requires base64 or a publicly accessible URL.
 
   const CLARIFAI_API_URL = `https://api.clarifai.com/v2/models/${CLARIFAI_MODEL_ID}/versions/${CLARIFAI_MODEL_VERSION_ID}/outputs`;
@@ -25,14 +28,12 @@ export async function separateClothingItemsWithClarifai(imageUri) {
     } else {
       imageData.url = imageUri;
     }
-    const response = await fetch(CLARIFAI_API_URL, {
+    const data = await requestJson(CLARIFAI_API_URL, {
       method: 'POST',
       headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
         'Authorization': `Key ${CLARIFAI_API_KEY}`,
       },
-      body: JSON.stringify({
+      json: {
         user_app_id: {
           user_id: CLARIFAI_USER_ID,
           app_id: CLARIFAI_APP_ID,
@@ -44,19 +45,10 @@ export async function separateClothingItemsWithClarifai(imageUri) {
             },
           },
         ],
-      }),
+      },
+      signal: options.signal,
+      label: 'Clarifai',
     });
-
-    if (!response.ok) {
-      let errorText = '';
-      try {
-        errorText = await response.text();
-      } catch (e) {
-        // ignore
-      }
-      throw new Error(`Clarifai API error: ${response.status}`);
-    }
-    const data = await response.json();
     // Extract clothing items from Clarifai regions (with bounding boxes)
     const regions = data.outputs[0]?.data?.regions || [];
     if (!Array.isArray(regions)) {
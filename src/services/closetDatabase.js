@@ -0,0 +1,309 @@
+// closetDatabase.js
+// SQLite backend for the closet repository (see closetRepository.js)
+// Works on a database opened with expo-sqlite's openDatabaseAsync (App.js opens CLOSET_DATABASE_NAME at startup).
+//
+// Tables:
+//   articles         one row per article, ordered by position (oldest first)
+//   outfits          one row per outfit, ordered by position (newest first)
+//   outfit_articles  the article ids of each outfit, in order; like in AsyncStorage they may point at deleted articles
+//   wear_events      one row per wear event, in the order recorded
+// The data column holds the full record as JSON (outfits without their articleIds); the other columns copy the
+// fields worth indexing. Lookups by id go through the primary keys and lookups by article through
+// idx_outfit_articles_article; updates rewrite single rows by id. The schema version is kept in PRAGMA user_version.
+
+import { createClosetRepository } from './closetRepository';
+import { logInfo } from './errorHandlingService';
+
+export const CLOSET_DATABASE_NAME = 'closet.db';
+
+// Schema changes, one entry per version; never edit a released entry, append a new one
+const SCHEMA_STEPS = [
+  `
+  CREATE TABLE IF NOT EXISTS articles (
+    id TEXT PRIMARY KEY NOT NULL,
+    position INTEGER NOT NULL,
+    category TEXT,
+    status TEXT,
+    wear_count INTEGER NOT NULL DEFAULT 0,
+    last_worn TEXT,
+    added_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_articles_position ON articles (position);
+  CREATE INDEX IF NOT EXISTS idx_articles_category ON articles (category);
+  CREATE TABLE IF NOT EXISTS outfits (
+    id TEXT PRIMARY KEY NOT NULL,
+    position INTEGER NOT NULL,
+    name TEXT,
+    wear_count INTEGER NOT NULL DEFAULT 0,
+    last_worn TEXT,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_outfits_position ON outfits (position);
+  CREATE TABLE IF NOT EXISTS outfit_articles (
+    outfit_id TEXT NOT NULL,
+    article_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    PRIMARY KEY (outfit_id, position)
+  );
+  CREATE INDEX IF NOT EXISTS idx_outfit_articles_article ON outfit_articles (article_id);
+  CREATE TABLE IF NOT EXISTS wear_events (
+    id TEXT PRIMARY KEY NOT NULL,
+    position INTEGER NOT NULL,
+    outfit_id TEXT,
+    worn_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_wear_events_position ON wear_events (position);
+  CREATE INDEX IF NOT EXISTS idx_wear_events_outfit ON wear_events (outfit_id);
+  CREATE INDEX IF NOT EXISTS idx_wear_events_worn_at ON wear_events (worn_at);
+  `,
+];
+
+export const CLOSET_DATABASE_VERSION = SCHEMA_STEPS.length;
+
+// Stay well under SQLite's limit on bound parameters per statement
+const MAX_IDS_PER_STATEMENT = 500;
+
+const countOf = value => (typeof value === 'number' ? value : 0);
+
+// Table and indexed columns of each collection
+const TABLES = {
+  articles: {
+    table: 'articles',
+    columns: ['category', 'status', 'wear_count', 'last_worn', 'added_at'],
+    values: a => [a.category || null, a.status || null, countOf(a.wearCount), a.lastWorn || null, a.addedAt || null],
+  },
+  outfits: {
+    table: 'outfits',
+    columns: ['name', 'wear_count', 'last_worn', 'created_at'],
+    values: o => [o.name || null, countOf(o.wearCount), o.lastWorn || null, o.createdAt || null],
+  },
+  wearEvents: {
+    table: 'wear_events',
+    columns: ['outfit_id', 'worn_at'],
+    values: e => [e.outfitId || null, e.wornAt || null],
+  },
+};
+
+/**
+ * Create or upgrade the tables to CLOSET_DATABASE_VERSION.
+ * @param {Object} db - Database from openDatabaseAsync
+ * @returns {Promise<number>} Schema version reached
+ */
+export async function initializeClosetSchema(db) {
+  // WAL lets reads go on while a transaction commits
+  await db.execAsync('PRAGMA journal_mode = WAL;');
+  const row = await db.getFirstAsync('PRAGMA user_version');
+  let version = row ? row.user_version : 0;
+  while (version < SCHEMA_STEPS.length) {
+    const step = SCHEMA_STEPS[version];
+    const next = version + 1;
+    await db.withExclusiveTransactionAsync(async txn => {
+      await txn.execAsync(step);
+      await txn.execAsync(`PRAGMA user_version = ${next}`);
+    });
+    logInfo('[closetDatabase]', `Upgraded closet database to version ${next}`);
+    version = next;
+  }
+  return version;
+}
+
+/**
+ * Put the article ids stored in outfit_articles back on their outfits.
+ * @private
+ * @param {Array} outfits - Outfits as stored in the data column
+ * @param {Array} links - { outfit_id, article_id } rows, in order per outfit
+ */
+function withArticleIds(outfits, links) {
+  const articleIdsByOutfit = {};
+  links.forEach(link => {
+    (articleIdsByOutfit[link.outfit_id] = articleIdsByOutfit[link.outfit_id] || []).push(link.article_id);
+  });
+  return outfits.map(outfit => ({ ...outfit, articleIds: articleIdsByOutfit[outfit.id] || [] }));
+}
+
+/**
+ * Read a collection in order.
+ * @private
+ */
+async function readCollection(db, collection) {
+  const rows = await db.getAllAsync(`SELECT data FROM ${TABLES[collection].table} ORDER BY position`);
+  const items = rows.map(row => JSON.parse(row.data));
+  if (collection !== 'outfits') {
+    return items;
+  }
+  const links = await db.getAllAsync('SELECT outfit_id, article_id FROM outfit_articles ORDER BY outfit_id, position');
+  return withArticleIds(items, links);
+}
+
+/**
+ * Run a query once per chunk of ids and collect the rows.
+ * @private
+ * @param {Function} sql - (placeholders) => query for one chunk of ids
+ */
+async function selectByIds(db, ids, sql) {
+  const rows = [];
+  for (let start = 0; start < ids.length; start += MAX_IDS_PER_STATEMENT) {
+    const chunk = ids.slice(start, start + MAX_IDS_PER_STATEMENT);
+    rows.push(...await db.getAllAsync(sql(chunk.map(() => '?').join(', ')), chunk));
+  }
+  return rows;
+}
+
+/**
+ * Read the rows with the given ids, or the outfits holding any of the given articles (see closetRepository find).
+ * @private
+ * @param {Object} query - { ids } or { articleIds }
+ */
+async function findRows(db, collection, query) {
+  let { ids } = query;
+  if (query.articleIds) {
+    const links = await selectByIds(db, [...new Set(query.articleIds)], placeholders =>
+      `SELECT DISTINCT outfit_id FROM outfit_articles WHERE article_id IN (${placeholders})`);
+    ids = links.map(link => link.outfit_id);
+  }
+  ids = [...new Set(ids)];
+  const rows = await selectByIds(db, ids, placeholders =>
+    `SELECT data FROM ${TABLES[collection].table} WHERE id IN (${placeholders}) ORDER BY position`);
+  const items = rows.map(row => JSON.parse(row.data));
+  if (collection !== 'outfits' || items.length === 0) {
+    return items;
+  }
+  const links = await selectByIds(db, items.map(outfit => outfit.id), placeholders =>
+    `SELECT outfit_id, article_id FROM outfit_articles WHERE outfit_id IN (${placeholders}) ORDER BY outfit_id, position`);
+  return withArticleIds(items, links);
+}
+
+/**
+ * Store the article ids of an outfit in outfit_articles, replacing its old ones.
+ * @private
+ */
+async function linkOutfitArticles(txn, outfitId, articleIds) {
+  await txn.runAsync('DELETE FROM outfit_articles WHERE outfit_id = ?', [outfitId]);
+  for (const [index, articleId] of (articleIds || []).entries()) {
+    await txn.runAsync(
+      'INSERT INTO outfit_articles (outfit_id, article_id, position) VALUES (?, ?, ?)',
+      [outfitId, articleId, index]
+    );
+  }
+}
+
+/**
+ * Insert rows at the end (or the start) of a collection, or update them in place when the id exists.
+ * @private
+ */
+async function putRows(txn, collection, items, prepend) {
+  const { table, columns, values } = TABLES[collection];
+  const names = [...columns, 'data'];
+  const position = prepend
+    ? `(SELECT COALESCE(MIN(position) - 1, 0) FROM ${table})`
+    : `(SELECT COALESCE(MAX(position) + 1, 0) FROM ${table})`;
+  const sql = `INSERT INTO ${table} (id, position, ${names.join(', ')}) ` +
+    `VALUES (?, ${position}, ${names.map(() => '?').join(', ')}) ` +
+    `ON CONFLICT (id) DO UPDATE SET ${names.map(name => `${name} = excluded.${name}`).join(', ')}`;
+
+  // Each prepended row goes before the previous one, so prepend backwards to keep the given order
+  const ordered = prepend ? [...items].reverse() : items;
+  for (const item of ordered) {
+    if (collection !== 'outfits') {
+      await txn.runAsync(sql, [item.id, ...values(item), JSON.stringify(item)]);
+      continue;
+    }
+    const { articleIds, ...outfit } = item;
+    await txn.runAsync(sql, [item.id, ...values(item), JSON.stringify(outfit)]);
+    await linkOutfitArticles(txn, item.id, articleIds);
+  }
+}
+
+/**
+ * Update rows in place by id; items without a row are skipped.
+ * @private
+ */
+async function updateRows(txn, collection, items) {
+  const { table, columns, values } = TABLES[collection];
+  const sql = `UPDATE ${table} SET ${[...columns, 'data'].map(name => `${name} = ?`).join(', ')} WHERE id = ?`;
+  for (const item of items) {
+    if (collection !== 'outfits') {
+      await txn.runAsync(sql, [...values(item), JSON.stringify(item), item.id]);
+      continue;
+    }
+    const { articleIds, ...outfit } = item;
+    const { changes } = await txn.runAsync(sql, [...values(item), JSON.stringify(outfit), item.id]);
+    if (changes > 0) {
+      await linkOutfitArticles(txn, item.id, articleIds);
+    }
+  }
+}
+
+/**
+ * Delete rows by id (and the article links of deleted outfits).
+ * @private
+ */
+async function deleteRows(txn, collection, ids) {
+  const { table } = TABLES[collection];
+  for (let start = 0; start < ids.length; start += MAX_IDS_PER_STATEMENT) {
+    const chunk = ids.slice(start, start + MAX_IDS_PER_STATEMENT);
+    const placeholders = chunk.map(() => '?').join(', ');
+    await txn.runAsync(`DELETE FROM ${table} WHERE id IN (${placeholders})`, chunk);
+    if (collection === 'outfits') {
+      await txn.runAsync(`DELETE FROM outfit_articles WHERE outfit_id IN (${placeholders})`, chunk);
+    }
+  }
+}
+
+/**
+ * Delete every row of a collection.
+ * @private
+ */
+async function clearRows(txn, collection) {
+  await txn.runAsync(`DELETE FROM ${TABLES[collection].table}`);
+  if (collection === 'outfits') {
+    await txn.runAsync('DELETE FROM outfit_articles');
+  }
+}
+
+/**
+ * Run one buffered change (see closetRepository.applyChanges) as SQL.
+ * @private
+ */
+async function applyChange(txn, collection, change) {
+  if (change.type === 'put') {
+    await putRows(txn, collection, change.items, change.prepend);
+  } else if (change.type === 'update') {
+    await updateRows(txn, collection, change.items);
+  } else if (change.type === 'delete') {
+    await deleteRows(txn, collection, change.ids);
+  } else {
+    await clearRows(txn, collection);
+    if (change.type === 'replace') {
+      await putRows(txn, collection, change.items, false);
+    }
+  }
+}
+
+/**
+ * Repository storing the closet in SQLite. Creates or upgrades the tables first.
+ * @param {Object} db - Database from openDatabaseAsync(CLOSET_DATABASE_NAME)
+ * @returns {Promise<Object>} Repository (see closetRepository.createClosetRepository)
+ */
+export async function createSqliteClosetRepository(db) {
+  await initializeClosetSchema(db);
+  return createClosetRepository({
+    name: 'sqlite',
+    read: collection => readCollection(db, collection),
+    find: (collection, query) => findRows(db, collection, query),
+    // The wear log is seeded before the closet moves here, so the table always counts as initialized
+    exists: async () => true,
+    async commit(batches) {
+      await db.withExclusiveTransactionAsync(async txn => {
+        for (const { collection, changes } of batches) {
+          for (const change of changes) {
+            await applyChange(txn, collection, change);
+          }
+        }
+      });
+    },
+  });
+}
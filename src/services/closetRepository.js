@@ -0,0 +1,398 @@
+// closetRepository.js
+// Repository layer for the closet data: articles, outfits and the wear log
+// galleryService, outfitService, wearLogService and backupService read and write these collections through the
+// active repository instead of touching storage themselves. Two backends implement it:
+//   - AsyncStorage (default): each collection is one JSON array under its key (galleryArticles, OUTFITS, wearLog)
+//   - SQLite (see closetDatabase.js): one row per article, outfit, outfit article and wear event
+// The closet moves to SQLite once, through the 'closet-database' migration (see migrationService); the storage
+// it lives in is remembered under CLOSET_STORAGE_KEY.
+//
+// Every repository method runs in a transaction, and transaction(fn) groups several of them: reads are cached and
+// see the transaction's own writes, writes are buffered and committed together after fn resolves, and nothing is
+// written if fn throws. SQLite commits atomically and only touches the rows that changed; AsyncStorage rewrites
+// each changed collection once. Lookups by id (getArticlesById, ...) and by article (getOutfitsWithArticles) only
+// read the matching rows where the backend can find them (SQLite, through its indexes); elsewhere they filter the
+// whole collection.
+// Transactions run one at a time (storageMutex), across all repositories, so a read-modify-write done inside one
+// transaction never loses a concurrent update. A transaction callback must not start another repository transaction
+// and wait for it (that deadlocks); use tx.transaction() or the tx methods instead.
+// Changes committed to the closet the services use are published to subscribeToClosetChanges() listeners
+// (closetStore keeps the screens' copy of the closet up to date with them).
+//
+// Collections keep their order: articles oldest first, outfits newest first (new outfits are prepended),
+// wear events in the order they were recorded.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { GALLERY_ARTICLES_KEY, OUTFITS_KEY, WEAR_LOG_KEY, CLOSET_STORAGE_KEY } from './constants';
+import { logError, logWarning, logInfo } from './errorHandlingService';
+import { createMutex } from './storageMutex';
+
+export const CLOSET_COLLECTIONS = ['articles', 'outfits', 'wearEvents'];
+
+/**
+ * Apply buffered changes to a collection.
+ * @param {Array|null} items - Stored items (null when the collection does not exist)
+ * @param {Array} changes - { type: 'put'|'update'|'delete'|'replace'|'clear', items?, ids?, prepend? } in order
+ * @returns {Array|null} Resulting items (null once cleared)
+ */
+export function applyChanges(items, changes) {
+  let result = items ? [...items] : null;
+  for (const change of changes) {
+    if (change.type === 'clear') {
+      result = null;
+    } else if (change.type === 'replace') {
+      result = [...change.items];
+    } else if (change.type === 'delete') {
+      const ids = new Set(change.ids);
+      result = (result || []).filter(item => !ids.has(item.id));
+    } else if (change.type === 'update') {
+      // update: replace items with the same id in place, ignore the others
+      const updates = new Map(change.items.map(item => [item.id, item]));
+      result = result && result.map(item => (updates.has(item.id) ? updates.get(item.id) : item));
+    } else {
+      // put: replace items with the same id in place, add the others at the end (or the start)
+      const updates = new Map(change.items.map(item => [item.id, item]));
+      const merged = (result || []).map(item => {
+        if (!updates.has(item.id)) return item;
+        const updated = updates.get(item.id);
+        updates.delete(item.id);
+        return updated;
+      });
+      const added = [...updates.values()];
+      result = change.prepend ? [...added, ...merged] : [...merged, ...added];
+    }
+  }
+  return result;
+}
+
+/**
+ * Test for the items a find query ({ ids } or { articleIds }) asks for.
+ * @private
+ */
+function matcherFor(query) {
+  if (query.ids) {
+    const ids = new Set(query.ids);
+    return item => ids.has(item.id);
+  }
+  const articleIds = new Set(query.articleIds);
+  return outfit => Array.isArray(outfit.articleIds) && outfit.articleIds.some(id => articleIds.has(id));
+}
+
+/**
+ * Start a transaction on a backend.
+ * @private
+ */
+function createTransaction(backend) {
+  const loaded = {};
+  const changes = {};
+  const changedCollections = [];
+  let committed = false;
+
+  const read = async (collection) => {
+    if (!(collection in loaded)) {
+      loaded[collection] = await backend.read(collection);
+    }
+    return applyChanges(loaded[collection], changes[collection] || []) || [];
+  };
+
+  // Items matching a query ({ ids } or { articleIds }), as the transaction sees them
+  const find = async (collection, query) => {
+    const matches = matcherFor(query);
+    if (!backend.find || collection in loaded) {
+      return (await read(collection)).filter(matches);
+    }
+    const values = query.ids || query.articleIds;
+    if (values.length === 0) {
+      return [];
+    }
+    const pending = changes[collection] || [];
+    // Rows this transaction wrote may match now without matching in storage, so they are read as well
+    const writtenIds = pending.flatMap(change =>
+      (change.type === 'put' || change.type === 'update' ? change.items.map(item => item.id) : []));
+    const [found, written] = await Promise.all([
+      backend.find(collection, query),
+      writtenIds.length > 0 ? backend.find(collection, { ids: writtenIds }) : [],
+    ]);
+    const foundIds = new Set(found.map(item => item.id));
+    const stored = [...found, ...written.filter(item => !foundIds.has(item.id))];
+    return (applyChanges(stored, pending) || []).filter(matches);
+  };
+
+  const write = async (collection, change) => {
+    if (committed) {
+      throw new Error('This closet transaction has already been committed.');
+    }
+    if (!changes[collection]) {
+      changes[collection] = [];
+      changedCollections.push(collection);
+    }
+    changes[collection].push(change);
+  };
+
+  const tx = {
+    getArticles: () => read('articles'),
+    getArticlesById: ids => find('articles', { ids }),
+    putArticles: articles => write('articles', { type: 'put', items: articles }),
+    updateArticles: articles => write('articles', { type: 'update', items: articles }),
+    deleteArticles: ids => write('articles', { type: 'delete', ids }),
+    replaceArticles: articles => write('articles', { type: 'replace', items: articles }),
+    clearArticles: () => write('articles', { type: 'clear' }),
+
+    getOutfits: () => read('outfits'),
+    getOutfitsById: ids => find('outfits', { ids }),
+    getOutfitsWithArticles: articleIds => find('outfits', { articleIds }),
+    putOutfits: (outfits, options = {}) => write('outfits', { type: 'put', items: outfits, prepend: !!options.prepend }),
+    updateOutfits: outfits => write('outfits', { type: 'update', items: outfits }),
+    deleteOutfits: ids => write('outfits', { type: 'delete', ids }),
+    replaceOutfits: outfits => write('outfits', { type: 'replace', items: outfits }),
+
+    getWearEvents: () => read('wearEvents'),
+    getWearEventsById: ids => find('wearEvents', { ids }),
+    addWearEvents: events => write('wearEvents', { type: 'put', items: events }),
+    deleteWearEvents: ids => write('wearEvents', { type: 'delete', ids }),
+    replaceWearEvents: events => write('wearEvents', { type: 'replace', items: events }),
+    hasWearLog: async () => !!changes.wearEvents || backend.exists('wearEvents'),
+
+    // Nested transactions join the outer one
+    transaction: fn => fn(tx),
+  };
+
+  // Returns the committed batches
+  const commit = async () => {
+    committed = true;
+    const batches = changedCollections.map(collection => ({
+      collection,
+      changes: changes[collection],
+      loaded: collection in loaded ? loaded[collection] : undefined,
+    }));
+    if (batches.length > 0) {
+      await backend.commit(batches);
+    }
+    return batches;
+  };
+
+  return { tx, commit };
+}
+
+// Methods every repository and transaction offers (see createTransaction)
+const REPOSITORY_METHODS = [
+  'getArticles', 'getArticlesById', 'putArticles', 'updateArticles', 'deleteArticles', 'replaceArticles',
+  'clearArticles',
+  'getOutfits', 'getOutfitsById', 'getOutfitsWithArticles', 'putOutfits', 'updateOutfits', 'deleteOutfits',
+  'replaceOutfits',
+  'getWearEvents', 'getWearEventsById', 'addWearEvents', 'deleteWearEvents', 'replaceWearEvents', 'hasWearLog',
+];
+
+// One lock for every repository, so moving the closet between them is serialized with everything else
+const runExclusive = createMutex();
+
+// Backend behind each repository
+const backends = new WeakMap();
+
+// Listeners for changes committed to the active closet
+const changeListeners = new Set();
+
+/**
+ * Tell listeners about changes committed to the active closet.
+ * @private
+ */
+function publishChanges(batches) {
+  const published = batches.map(({ collection, changes }) => ({ collection, changes }));
+  changeListeners.forEach(listener => {
+    try {
+      listener(published);
+    } catch (e) {
+      logWarning('[closetRepository]', `Closet change listener failed: ${e.message}`);
+    }
+  });
+}
+
+/**
+ * Run fn in a transaction on a backend and commit it. The caller holds the lock.
+ * @private
+ */
+async function runTransaction(backend, fn) {
+  const { tx, commit } = createTransaction(backend);
+  const result = await fn(tx);
+  const batches = await commit();
+  // Writes to a backend the services do not use (e.g. the database while the closet is copied into it) stay quiet
+  if (batches.length > 0 && (backend === closetBackend || backend === activeBackend)) {
+    publishChanges(batches);
+  }
+  return result;
+}
+
+/**
+ * Listen for changes committed to the closet the services use. Listeners run while the transaction still holds
+ * the lock, in commit order, so they must not wait for another transaction.
+ * @param {Function} listener - Called with [{ collection, changes }] (see applyChanges) after every commit
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToClosetChanges(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Build a repository on a storage backend.
+ * @param {Object} backend
+ * @param {string} backend.name - Storage name, recorded under CLOSET_STORAGE_KEY (e.g. 'asyncStorage', 'sqlite')
+ * @param {Function} backend.read - (collection) => Promise<Array|null>, items in order (null when missing)
+ * @param {Function} backend.exists - (collection) => Promise<boolean>
+ * @param {Function} [backend.find] - (collection, { ids } | { articleIds }) => Promise<Array>, the stored items
+ *   with those ids, or the outfits holding any of those articles; without it lookups filter backend.read
+ * @param {Function} backend.commit - ([{ collection, changes, loaded }]) => Promise<void>; loaded is the data the
+ *   transaction read, when it read that collection
+ * @returns {Object} Repository: transaction(fn) plus the methods in REPOSITORY_METHODS, each in its own transaction
+ */
+export function createClosetRepository(backend) {
+  const repository = {
+    get name() {
+      return backend.name;
+    },
+    transaction: fn => runExclusive(() => runTransaction(backend, fn)),
+  };
+  backends.set(repository, backend);
+  REPOSITORY_METHODS.forEach(method => {
+    repository[method] = (...args) => repository.transaction(tx => tx[method](...args));
+  });
+  return repository;
+}
+
+// Where each collection lives in AsyncStorage
+const ASYNC_STORAGE_KEYS = {
+  articles: GALLERY_ARTICLES_KEY,
+  outfits: OUTFITS_KEY,
+  wearEvents: WEAR_LOG_KEY,
+};
+
+/**
+ * Repository keeping each collection as one JSON array in AsyncStorage.
+ * @param {Object} [keys] - Storage key per collection (defaults to galleryArticles, OUTFITS and wearLog)
+ * @returns {Object} Repository
+ */
+export function createAsyncStorageClosetRepository(keys = ASYNC_STORAGE_KEYS) {
+  const read = async (collection) => {
+    const stored = await AsyncStorage.getItem(keys[collection]);
+    return stored ? JSON.parse(stored) : null;
+  };
+
+  return createClosetRepository({
+    name: 'asyncStorage',
+    read,
+    async exists(collection) {
+      const stored = await AsyncStorage.getItem(keys[collection]);
+      return stored !== null && stored !== undefined;
+    },
+    async commit(batches) {
+      for (const { collection, changes, loaded } of batches) {
+        // Changes that start by replacing the collection do not need the stored data
+        const startsOver = changes[0].type === 'replace' || changes[0].type === 'clear';
+        const base = loaded !== undefined || startsOver ? loaded || null : await read(collection);
+        const result = applyChanges(base, changes);
+        if (result === null) {
+          await AsyncStorage.removeItem(keys[collection]);
+        } else {
+          await AsyncStorage.setItem(keys[collection], JSON.stringify(result));
+        }
+      }
+    },
+  });
+}
+
+const defaultBackend = backends.get(createAsyncStorageClosetRepository());
+let activeBackend = defaultBackend;
+let closetDatabase = null;
+
+// The repository the services use. It resolves the active backend once it holds the lock, so work queued before
+// the closet moves to the database still lands in the database.
+const closetBackend = {
+  get name() {
+    return activeBackend.name;
+  },
+  read: collection => activeBackend.read(collection),
+  exists: collection => activeBackend.exists(collection),
+  get find() {
+    return activeBackend.find;
+  },
+  commit: batches => activeBackend.commit(batches),
+};
+const closetRepository = createClosetRepository(closetBackend);
+
+/**
+ * The repository the services read and write through; it follows setClosetRepository() and the move to the database.
+ * @returns {Object} Repository
+ */
+export function getClosetRepository() {
+  return closetRepository;
+}
+
+/**
+ * Switch the storage the services use (null goes back to AsyncStorage).
+ * @param {Object|null} repository - Repository from createClosetRepository()
+ */
+export function setClosetRepository(repository) {
+  activeBackend = repository ? backends.get(repository) : defaultBackend;
+}
+
+/**
+ * Make the SQLite repository available at startup, before migrations run.
+ * If the closet already moved to it, it becomes the active storage right away;
+ * otherwise the 'closet-database' migration moves the closet into it.
+ * @param {Object|null} repository - Repository from createSqliteClosetRepository() (null detaches it)
+ * @returns {Promise<boolean>} Whether the closet lives in the database
+ */
+export async function attachClosetDatabase(repository) {
+  closetDatabase = repository;
+  if (!repository) {
+    return false;
+  }
+  if (await AsyncStorage.getItem(CLOSET_STORAGE_KEY) === repository.name) {
+    setClosetRepository(repository);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Copy the closet from AsyncStorage into the attached database in one transaction, then switch to it.
+ * Holds the lock throughout, so no write can slip in between the copy and the switch.
+ * The AsyncStorage copy is left in place. Safe to run again: the database is overwritten, not appended to.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only count the records that would be copied
+ * @returns {Promise<{success: boolean, migratedCount: number, totalCount: number, error?: string}>}
+ */
+export async function moveClosetToDatabase(options = {}) {
+  if (!closetDatabase) {
+    return { success: false, error: 'The closet database is not available', migratedCount: 0, totalCount: 0 };
+  }
+  const target = backends.get(closetDatabase);
+  try {
+    return await runExclusive(async () => {
+      let copiedCount = 0;
+      if (activeBackend !== target) {
+        const [articles, outfits, wearEvents] = await runTransaction(activeBackend, tx =>
+          Promise.all([tx.getArticles(), tx.getOutfits(), tx.getWearEvents()]));
+        copiedCount = articles.length + outfits.length + wearEvents.length;
+        if (options.dryRun) {
+          return { success: true, migratedCount: copiedCount, totalCount: copiedCount };
+        }
+
+        await runTransaction(target, async tx => {
+          await tx.replaceArticles(articles);
+          await tx.replaceOutfits(outfits);
+          await tx.replaceWearEvents(wearEvents);
+        });
+        logInfo('[closetRepository]', `Copied ${articles.length} articles, ${outfits.length} outfits and ${wearEvents.length} wear events to ${target.name}`);
+      }
+      if (!options.dryRun) {
+        await AsyncStorage.setItem(CLOSET_STORAGE_KEY, target.name);
+        activeBackend = target;
+      }
+      return { success: true, migratedCount: copiedCount, totalCount: copiedCount };
+    });
+  } catch (e) {
+    logError('[closetRepository]', 'moveClosetToDatabase error', e);
+    return { success: false, error: e.message || String(e), migratedCount: 0, totalCount: 0 };
+  }
+}
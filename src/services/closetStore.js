@@ -0,0 +1,97 @@
+// closetStore.js
+// In-memory copy of the closet (articles and outfits) shared by the screens
+// galleryService and outfitService write through the closet repository, which publishes every change it commits;
+// the store applies those changes to its copy and tells subscribers, so each screen sees an edit made anywhere in
+// the app without re-reading storage. ClosetContext.js wraps the store for React (ClosetProvider, useArticles,
+// useOutfits).
+//
+// The copy is loaded once with loadCloset(); changes committed before that are already in what it reads.
+
+import { getClosetRepository, subscribeToClosetChanges, applyChanges } from './closetRepository';
+import { logError, logWarning } from './errorHandlingService';
+
+// Collections the store keeps a copy of
+const STORE_COLLECTIONS = ['articles', 'outfits'];
+
+const INITIAL_STATE = { articles: [], outfits: [], loaded: false, error: null };
+
+let state = INITIAL_STATE;
+let loading = null;
+const listeners = new Set();
+
+/**
+ * Replace the state and tell subscribers.
+ * @private
+ */
+function setState(changes) {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => {
+    try {
+      listener(state);
+    } catch (e) {
+      logWarning('[closetStore]', `Closet listener failed: ${e.message}`);
+    }
+  });
+}
+
+/**
+ * Current closet. Each change produces a new state object and new arrays for the collections that changed,
+ * so it can be compared by reference.
+ * @returns {{articles: Array, outfits: Array, loaded: boolean, error: string|null}}
+ */
+export function getClosetState() {
+  return state;
+}
+
+/**
+ * Listen for closet changes.
+ * @param {Function} listener - Called with the new state after every change
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToCloset(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Read articles and outfits from storage into the store. Calls made while a load runs share it.
+ * Never rejects: a failed load keeps the previous copy and sets state.error.
+ * @returns {Promise<Object>} The new state
+ */
+export function loadCloset() {
+  if (!loading) {
+    // Reading and publishing in one transaction keeps commits from landing in between
+    loading = getClosetRepository().transaction(async tx => {
+      const [articles, outfits] = await Promise.all([tx.getArticles(), tx.getOutfits()]);
+      setState({ articles, outfits, loaded: true, error: null });
+    }).catch(e => {
+      logError('[closetStore]', 'loadCloset error', e);
+      setState({ error: e.message || String(e) });
+    }).then(() => {
+      loading = null;
+      return state;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Forget the copy (e.g. after switching storage); the next loadCloset() starts over.
+ */
+export function resetClosetStore() {
+  setState(INITIAL_STATE);
+}
+
+// Apply committed changes to the loaded copy
+subscribeToClosetChanges(batches => {
+  if (!state.loaded) return;
+  const changed = {};
+  batches.forEach(({ collection, changes }) => {
+    if (STORE_COLLECTIONS.includes(collection)) {
+      changed[collection] = applyChanges(changed[collection] || state[collection], changes) || [];
+    }
+  });
+  if (Object.keys(changed).length > 0) {
+    setState(changed);
+  }
+});
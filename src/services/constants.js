@@ -3,7 +3,38 @@
 // Also centralizes AsyncStorage keys for consistency and maintainability.
 
 export const GALLERY_ARTICLES_KEY = 'galleryArticles';
+export const OUTFITS_KEY = 'OUTFITS';
 
 export const CLOTHING_CONCEPTS = [
   'Jacket', 'Jeans', 'Footwear', 'Shirt', 'Pants', 'Dress', 'Skirt', 'Shorts', 'Coat', 'Sweater', 'T-shirt', 'Blouse', 'Suit', 'Hat', 'Scarf', 'Glove', 'Sock', 'Hoodie', 'Sweatshirt', 'Tank top', 'Vest', 'Cardigan', 'Boot', 'Sandal', 'Sneaker', 'Shoe', 'Tie', 'Belt', 'Cap', 'Glasses', 'Watch', 'Bag', 'Purse', 'Backpack', 'Handbag', 'Clothing', 'Fashion accessory'
 ];
+
+// AsyncStorage key for user-added categories and subcategories (see categoryService)
+export const CATEGORY_TAXONOMY_KEY = 'categoryTaxonomy';
+
+// AsyncStorage key for the timestamped wear event log
+export const WEAR_LOG_KEY = 'wearLog';
+
+// AsyncStorage key for outfits planned on future dates (calendar)
+export const OUTFIT_PLANS_KEY = 'outfitPlans';
+
+// AsyncStorage key for the detection provider selected in Settings
+export const DETECTION_PROVIDER_KEY = 'detectionProvider';
+
+// AsyncStorage key for articles the user pinned into outfit suggestions
+export const SUGGESTION_PINS_KEY = 'suggestionPins';
+
+// AsyncStorage key for today's weather entered by hand (see weatherService)
+export const MANUAL_WEATHER_KEY = 'manualWeather';
+
+// AsyncStorage key for the durable GarmentVision job queue (see jobQueueService)
+export const JOB_QUEUE_KEY = 'jobQueue';
+
+// AsyncStorage keys for the versioned data migrations (see migrationService):
+// the schema version reached, per-migration status, and the snapshot taken before the running migration
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+export const MIGRATION_STATUS_KEY = 'migrationStatus';
+export const MIGRATION_SNAPSHOT_KEY = 'migrationSnapshot';
+
+// AsyncStorage key naming the storage the closet lives in once it moved out of AsyncStorage (see closetRepository)
+export const CLOSET_STORAGE_KEY = 'closetStorage';
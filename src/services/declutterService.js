@@ -0,0 +1,83 @@
+// declutterService.js
+// Suggests articles to let go of, based on the wear data galleryService already tracks
+// (wearCount, lastWorn, addedAt). getDeclutterSuggestions is pure so it can be unit tested without storage.
+
+import { getAllArticles, getArticleStatus } from './galleryService';
+import { logError } from './errorHandlingService';
+
+// Look-back periods offered in the Declutter view, in months
+export const DECLUTTER_PERIOD_OPTIONS = [3, 6, 12];
+
+const DEFAULT_OPTIONS = {
+  months: 6,
+  lowWearCount: 2,
+};
+
+/**
+ * The date `months` calendar months before `now`.
+ * @private
+ */
+function monthsBefore(now, months) {
+  const date = new Date(now);
+  date.setMonth(date.getMonth() - months);
+  return date;
+}
+
+/**
+ * Find active articles that have not earned their place over the last `months` months.
+ * An article is suggested when it has been in the closet for the whole period and either
+ * was never worn, was not worn during the period, or has been worn at most `lowWearCount` times.
+ * Articles without addedAt (saved before it was recorded) count as old enough.
+ * @param {Array} articles - Stored articles
+ * @param {Object} [options]
+ * @param {number} [options.months=6] - Look-back period in months
+ * @param {number} [options.lowWearCount=2] - Wear counts at or below this are "low"
+ * @param {Date|string|number} [options.now] - Current time (defaults to now)
+ * @returns {Array<{article: Object, reason: 'neverWorn'|'notWornRecently'|'lowWear', wearCount: number,
+ *   lastWorn: string|null}>} Suggestions, never-worn first, then longest since last worn
+ */
+export function getDeclutterSuggestions(articles, options = {}) {
+  const { months, lowWearCount } = { ...DEFAULT_OPTIONS, ...options };
+  if (typeof months !== 'number' || months <= 0) {
+    throw new Error('months must be a positive number.');
+  }
+  const now = options.now ? new Date(options.now) : new Date();
+  const cutoff = monthsBefore(now, months).toISOString();
+  const reasonOrder = { neverWorn: 0, notWornRecently: 1, lowWear: 2 };
+
+  return (articles || [])
+    .filter(article => getArticleStatus(article) === 'active')
+    .filter(article => !article.addedAt || article.addedAt <= cutoff)
+    .map(article => {
+      const wearCount = typeof article.wearCount === 'number' ? article.wearCount : 0;
+      const lastWorn = article.lastWorn || null;
+      let reason = null;
+      if (wearCount === 0) {
+        reason = 'neverWorn';
+      } else if (!lastWorn || lastWorn < cutoff) {
+        reason = 'notWornRecently';
+      } else if (wearCount <= lowWearCount) {
+        reason = 'lowWear';
+      }
+      return { article, reason, wearCount, lastWorn };
+    })
+    .filter(suggestion => suggestion.reason)
+    .sort((a, b) =>
+      reasonOrder[a.reason] - reasonOrder[b.reason] ||
+      (a.lastWorn || '').localeCompare(b.lastWorn || '') ||
+      a.wearCount - b.wearCount);
+}
+
+/**
+ * Load declutter suggestions for the stored closet.
+ * @param {Object} [options] - See getDeclutterSuggestions
+ * @returns {Promise<Array>} Suggestions (empty on error)
+ */
+export async function loadDeclutterSuggestions(options = {}) {
+  try {
+    return getDeclutterSuggestions(await getAllArticles(), options);
+  } catch (e) {
+    logError('[declutterService]', 'loadDeclutterSuggestions error', e);
+    return [];
+  }
+}
@@ -0,0 +1,74 @@
+// detectionProviders.js
+// Registers the built-in detection providers with providerRegistry
+// To add a provider, register it here; verificationService and Settings pick it up automatically.
+// Import registry functions from this module so the built-in providers are always registered first.
+
+import { registerProvider } from './providerRegistry';
+import { runGarmentVisionJob } from './jobQueueService';
+import { separateClothingItemsWithClarifai } from './clarifaiService';
+import { separateClothingItemsWithOpenAI } from './openaiVisionService';
+import { cropArticlesFromImage } from './imageProcessingService';
+import { detectMockArticles, cropMockArticles } from './mockDetectionService';
+import {
+  GARMENT_VISION_CATEGORY_TABLE,
+  CLARIFAI_CATEGORY_TABLE,
+  OPENAI_CATEGORY_TABLE,
+} from './categoryNormalizationService';
+
+// GarmentVision: GPT-4o describes each garment, DALL-E renders a product image during detection.
+// Runs through the durable job queue so an interrupted pipeline resumes instead of starting over.
+registerProvider({
+  id: 'garmentVision',
+  label: 'GarmentVision',
+  description: 'OpenAI describes each garment and renders a clean product photo.',
+  inputType: 'base64',
+  labelKey: 'category',
+  categoryTable: GARMENT_VISION_CATEGORY_TABLE,
+  detect: (base64Image, options = {}) =>
+    runGarmentVisionJob(base64Image, { openaiApiKey: options.openaiApiKey, signal: options.signal }),
+});
+
+// Clarifai: bounding boxes from the apparel model, cropped from the photo after selection
+registerProvider({
+  id: 'clarifai',
+  label: 'Clarifai',
+  description: 'Detects garments with bounding boxes and crops them from your photo.',
+  inputType: 'uri',
+  labelKey: 'name',
+  categoryTable: CLARIFAI_CATEGORY_TABLE,
+  detect: (imageUri, options = {}) => separateClothingItemsWithClarifai(imageUri, { signal: options.signal }),
+  crop: cropArticlesFromImage,
+});
+
+// OpenAI Vision: GPT-4o bounding boxes, cropped from the photo after selection
+registerProvider({
+  id: 'openai',
+  label: 'OpenAI Vision',
+  description: 'GPT-4o finds garments and crops them from your photo.',
+  inputType: 'uri',
+  labelKey: 'name',
+  categoryTable: OPENAI_CATEGORY_TABLE,
+  detect: (imageUri, options = {}) => separateClothingItemsWithOpenAI(imageUri, { signal: options.signal }),
+  crop: cropArticlesFromImage,
+});
+
+// Mock: fixed fixture articles for any photo; works offline without API keys
+registerProvider({
+  id: 'mock',
+  label: 'Mock (offline)',
+  description: 'Returns sample garments for any photo. For development and testing.',
+  inputType: 'uri',
+  labelKey: 'name',
+  detect: imageUri => detectMockArticles(imageUri),
+  crop: cropMockArticles,
+});
+
+export {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  getActiveProvider,
+  getActiveProviderId,
+  setActiveProvider,
+} from './providerRegistry';
@@ -36,4 +36,62 @@ export function logWarning(context, message) {
  */
 export function logInfo(context, message) {
   console.log(`${context} ${message}`);
-}
\ No newline at end of file
+}
+// What the user sees for each pipeline error type (see pipelineErrors.js)
+const USER_FACING_ERRORS = {
+  auth: {
+    title: 'API key problem',
+    message: 'The image service did not accept the API key. Check the key in your app settings (.env) and try again.',
+  },
+  quota: {
+    title: 'Service busy',
+    message: 'The image service is receiving too many requests or its usage limit was reached. Wait a minute and try again.',
+  },
+  network: {
+    title: 'Connection problem',
+    message: 'Could not reach the image service. Check your internet connection and try again.',
+  },
+  'no-garments': {
+    title: 'No clothing found',
+    message: 'No clothing was found in this photo. Try a well-lit photo with the garments clearly visible.',
+  },
+  parse: {
+    title: 'Unexpected response',
+    message: 'The image service sent a response that could not be read. Trying again usually helps.',
+  },
+  generation: {
+    title: 'Image generation failed',
+    message: 'Product images could not be created for these items.',
+  },
+  unknown: {
+    title: 'Something went wrong',
+    message: 'Something went wrong while processing. Please try again.',
+  },
+};
+
+// Retry button label for the stage that failed
+const RETRY_LABELS = {
+  prepare: 'Retry Photo',
+  detect: 'Retry Photo',
+  generate: 'Retry Images',
+  download: 'Retry Images',
+  finish: 'Try Again',
+};
+
+/**
+ * Map an error to what the user should see: a title, an actionable message and whether to offer a retry.
+ * Pipeline errors (see pipelineErrors.js) are mapped by type; anything else is treated as unknown.
+ * @param {Error|Object|null} error - Error with optional `type`, `stage` and `retryable` fields
+ * @returns {{type: string, stage: string|null, title: string, message: string, retryable: boolean, retryLabel: string}}
+ */
+export function getUserFacingError(error) {
+  const type = error && USER_FACING_ERRORS[error.type] ? error.type : 'unknown';
+  const stage = (error && error.stage) || null;
+  return {
+    type,
+    stage,
+    ...USER_FACING_ERRORS[type],
+    retryable: error && typeof error.retryable === 'boolean' ? error.retryable : true,
+    retryLabel: RETRY_LABELS[stage] || 'Try Again',
+  };
+}
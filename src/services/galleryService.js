@@ -1,12 +1,24 @@
 // galleryService.js
 // Service for managing closet/gallery articles (CRUD, persistence)
-// Follows Clean Architecture: all AsyncStorage/data logic is here
+// Follows Clean Architecture: all article data logic is here; storage goes through closetRepository, which publishes
+// every committed change to the closet store (closetStore.js) that screens subscribe to
 // Updated May 2025: Added wearCount tracking functionality
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { GALLERY_ARTICLES_KEY } from './constants';
-import { migrateAllArticleImages, migrateArticleImage } from './imageStorageService';
+import { getClosetRepository } from './closetRepository';
+import {
+  migrateAllArticleImages,
+  migrateArticleImage,
+  deleteArticleImages,
+  findOrphanedImages,
+  deleteOrphanedImages
+} from './imageStorageService';
 import { logError, logWarning, logInfo } from './errorHandlingService';
+import { touchOutfitsForArticle, detachArticlesFromOutfits } from './outfitService';
+import { removePlansForOutfits } from './outfitPlanService';
+import { getJobImageReferences } from './jobQueueService';
+import { addWearEvent, normalizeWornAt } from './wearLogService';
+import { getTaxonomy, buildTaxonomy, findCategory, getCategoryIds } from './categoryService';
+import ClothingArticle, { primaryImageUri, validateArticleField } from '../models/ClothingArticle';
 
 /**
  * Get all articles from the closet/gallery.
@@ -15,10 +27,8 @@ import { logError, logWarning, logInfo } from './errorHandlingService';
  * @returns {Promise<Array>} Array of articles (empty if none)
  */
 export async function getAllArticles(options = { migrateImages: false }) {
-  // Debug: Log raw AsyncStorage value
   try {
-    const stored = await AsyncStorage.getItem(GALLERY_ARTICLES_KEY);
-    const articles = stored ? JSON.parse(stored) : [];
+    const articles = await getClosetRepository().getArticles();
     
     // Optionally migrate images for articles with only imageUrl
     if (options.migrateImages && articles.length > 0) {
@@ -26,12 +36,12 @@ export async function getAllArticles(options = { migrateImages: false }) {
       const migratedArticles = await migrateAllArticleImages(articles);
       
       // Save the migrated articles back to storage if any were updated
-      const needsSaving = migratedArticles.some((article, index) => 
+      const changedArticles = migratedArticles.filter((article, index) => 
         article.localImageUri !== articles[index].localImageUri
       );
       
-      if (needsSaving) {
-        await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(migratedArticles));
+      if (changedArticles.length > 0) {
+        await saveLocalImageUris(changedArticles);
         logInfo('[galleryService]', 'Saved migrated articles');
       }
       
@@ -45,6 +55,26 @@ export async function getAllArticles(options = { migrateImages: false }) {
   }
 }
 
+/**
+ * Record the local copies of downloaded images on the stored articles.
+ * Only localImageUri is written, onto the articles as stored now, so changes saved while the images
+ * were downloading are kept.
+ * @param {Array} migratedArticles - Articles carrying their new localImageUri
+ * @returns {Promise<number>} Number of articles updated
+ */
+export async function saveLocalImageUris(migratedArticles) {
+  const uris = new Map(migratedArticles.filter(a => a.localImageUri).map(a => [a.id, a.localImageUri]));
+  return getClosetRepository().transaction(async tx => {
+    const updated = (await tx.getArticlesById([...uris.keys()]))
+      .filter(article => article.localImageUri !== uris.get(article.id))
+      .map(article => ({ ...article, localImageUri: uris.get(article.id) }));
+    if (updated.length > 0) {
+      await tx.updateArticles(updated);
+    }
+    return updated.length;
+  });
+}
+
 /**
  * Filter out duplicate articles based on their ID
  * @param {Array} newArticles - New articles to filter
@@ -57,14 +87,38 @@ function filterDuplicateArticles(newArticles, existingArticles) {
 }
 
 /**
- * Ensure all articles have wearCount initialized to 0 if not present
- * @param {Array} articles - Articles to initialize
- * @returns {Array} Articles with wearCount initialized
+ * Bring new articles into their stored form through the ClothingArticle model
+ * (wearCount starts at 0, tags are trimmed)
+ * @param {Array} articles - Articles to normalize
+ * @returns {Array} Articles in stored form
+ * @throws {Error} Naming every article that fails the model's validation and why
  */
-function initializeWearCount(articles) {
+function normalizeNewArticles(articles) {
+  const problems = [];
+  const normalized = articles.map(article => {
+    try {
+      return ClothingArticle.fromJSON(article).validate().toJSON();
+    } catch (e) {
+      problems.push(`Article ${article && article.id}: ${e.message}`);
+      return null;
+    }
+  });
+  if (problems.length > 0) {
+    throw new Error(`No articles were added. ${problems.join(' ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Stamp articles with the time they were added to the closet (kept if already present)
+ * @param {Array} articles - Articles to stamp
+ * @returns {Array} Articles with addedAt set
+ */
+function stampAddedAt(articles) {
+  const addedAt = new Date().toISOString();
   return articles.map(article => ({
     ...article,
-    wearCount: article.wearCount || 0
+    addedAt: article.addedAt || addedAt
   }));
 }
 
@@ -75,7 +129,7 @@ function initializeWearCount(articles) {
  */
 function validateArticleImageFields(articles) {
   return articles.filter(article => {
-    const hasImageField = article.croppedImageUri || article.imageUri || article.imageUrl || article.localImageUri;
+    const hasImageField = !!primaryImageUri(article);
     if (!hasImageField) {
       logWarning('[galleryService]', `Skipping article with ID ${article.id} due to missing image fields`);
     }
@@ -139,9 +193,7 @@ function normalizeAddArticlesOptions(options = {}) {
 async function processNewArticles(newArticles, existingArticles, options) {
   // Filter out articles with duplicate IDs
   let filteredNew = filterDuplicateArticles(newArticles, existingArticles);
-  
-  // Ensure all new articles have wearCount initialized to 0
-  filteredNew = initializeWearCount(filteredNew);
+  filteredNew = stampAddedAt(filteredNew);
   
   // Validate image fields if option is enabled
   if (options.validateImageFields) {
@@ -156,32 +208,30 @@ async function processNewArticles(newArticles, existingArticles, options) {
   return filteredNew;
 }
 
-/**
- * Save articles to AsyncStorage
- * @param {Array} existingArticles - Current articles in storage
- * @param {Array} newArticles - New articles to add
- * @returns {Promise<Array>} Combined array of all articles
- */
-async function saveArticlesToStorage(existingArticles, newArticles) {
-  const combined = [...existingArticles, ...newArticles];
-  await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(combined));
-  return combined;
-}
-
 /**
  * Add new articles (array) to the closet, filtering by unique id and validating image fields.
+ * Images are downloaded before the articles are saved, so other closet changes are not held up by the network.
  * @param {Array} newArticles
  * @param {Object} options
  * @param {boolean} [options.validateImageFields=true] - If true, only save articles with at least one image field
  * @param {boolean} [options.migrateImages=true] - If true, download and store remote images locally
- * @returns {Promise<Array>} Combined array of all articles
+ * @returns {Promise<Array>} Combined array of all articles ([] if storage fails)
+ * @throws {Error} If any article fails the ClothingArticle model's validation; nothing is added then
  */
 export async function addArticles(newArticles, options) {
+  // Checked up front so invalid articles reach the caller instead of being dropped on the way to storage
+  const normalizedArticles = normalizeNewArticles(newArticles);
   try {
     const normalizedOptions = normalizeAddArticlesOptions(options);
-    const existingArticles = await getAllArticles();
-    const processedArticles = await processNewArticles(newArticles, existingArticles, normalizedOptions);
-    return await saveArticlesToStorage(existingArticles, processedArticles);
+    const processedArticles = await processNewArticles(
+      normalizedArticles, await getClosetRepository().getArticles(), normalizedOptions);
+    return await getClosetRepository().transaction(async tx => {
+      // Read again: articles with the same ids may have been saved while the images were downloading
+      const existingArticles = await tx.getArticles();
+      const addedArticles = filterDuplicateArticles(processedArticles, existingArticles);
+      await tx.putArticles(addedArticles);
+      return [...existingArticles, ...addedArticles];
+    });
   } catch (e) {
     logError('[galleryService]', 'addArticles error', e);
     return [];
@@ -190,14 +240,27 @@ export async function addArticles(newArticles, options) {
 
 /**
  * Delete articles by array of ids.
+ * The ids are also removed from every outfit that references them, so outfits never hold dangling ids,
+ * and the image files the articles owned are deleted.
  * @param {Array} idsToDelete
+ * @param {Object} [options]
+ * @param {boolean} [options.deleteEmptyOutfits=false] - Also delete outfits left with no articles (and their plans)
  * @returns {Promise<Array>} Updated array of articles
  */
-export async function deleteArticlesById(ids) {
+export async function deleteArticlesById(ids, options = {}) {
   try {
-    const articles = await getAllArticles();
+    // Articles and outfits are committed together; images are only deleted once nothing references them
+    const { articles, deletedOutfitIds } = await getClosetRepository().transaction(async tx => {
+      const stored = await tx.getArticles();
+      await tx.deleteArticles(ids);
+      const detached = await detachArticlesFromOutfits(ids, { deleteEmptyOutfits: options.deleteEmptyOutfits, tx });
+      return { articles: stored, deletedOutfitIds: detached.deletedOutfitIds };
+    });
+    if (deletedOutfitIds.length > 0) {
+      await removePlansForOutfits(deletedOutfitIds);
+    }
     const filtered = articles.filter(a => !ids.includes(a.id));
-    await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(filtered));
+    await removeImagesOf(articles.filter(a => ids.includes(a.id)), filtered);
     return filtered;
   } catch (e) {
     logError('[galleryService]', 'deleteArticlesById error', e);
@@ -206,85 +269,458 @@ export async function deleteArticlesById(ids) {
 }
 
 /**
- * Increment the wearCount for specific articles by their IDs
+ * Delete the image files of removed articles. Failures are logged, not thrown: the articles are
+ * already gone and any file left behind is picked up by the orphan collector.
+ * @private
+ */
+async function removeImagesOf(removedArticles, remainingArticles = []) {
+  try {
+    const deletedCount = await deleteArticleImages(removedArticles, remainingArticles);
+    if (deletedCount > 0) {
+      logInfo('[galleryService]', `Deleted ${deletedCount} image files`);
+    }
+  } catch (e) {
+    logWarning('[galleryService]', 'Failed to delete article images', e);
+  }
+}
+
+// Lifecycle statuses. Only active articles show in the wardrobe by default; the others stay in
+// storage so outfit history and stats keep working.
+export const ARTICLE_STATUSES = ['active', 'archived', 'donated', 'sold', 'lost'];
+
+/**
+ * Lifecycle status of an article. Articles saved before statuses existed are active,
+ * or archived when they carry the older archived flag.
+ * @param {Object} article - Article
+ * @returns {'active'|'archived'|'donated'|'sold'|'lost'}
+ */
+export function getArticleStatus(article) {
+  if (article && ARTICLE_STATUSES.includes(article.status)) {
+    return article.status;
+  }
+  return article && article.archived ? 'archived' : 'active';
+}
+
+/**
+ * Change the lifecycle status of articles.
+ * @param {Array<string>} ids - Article ids
+ * @param {'active'|'archived'|'donated'|'sold'|'lost'} status - New status
+ * @param {Object} [options]
+ * @param {Date|string} [options.date] - When the change happened (defaults to now)
+ * @param {number|string|null} [options.salePrice] - Sale price, only for 'sold'
+ * @returns {Promise<Array>} Updated array of articles
+ * @throws {Error} If the status, date or sale price is invalid, or storage fails
+ */
+export async function setArticleStatus(ids, status, options = {}) {
+  if (!ARTICLE_STATUSES.includes(status)) {
+    throw new Error(`Status must be one of: ${ARTICLE_STATUSES.join(', ')}.`);
+  }
+  const date = options.date === undefined || options.date === null ? new Date() : new Date(options.date);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error('Status date is not a valid date.');
+  }
+  let salePrice = null;
+  if (options.salePrice !== undefined && options.salePrice !== null && options.salePrice !== '') {
+    if (status !== 'sold') {
+      throw new Error('Only sold articles can have a sale price.');
+    }
+    salePrice = typeof options.salePrice === 'string' ? Number(options.salePrice.trim()) : options.salePrice;
+    if (typeof salePrice !== 'number' || !Number.isFinite(salePrice) || salePrice < 0) {
+      throw new Error('salePrice must be a non-negative number.');
+    }
+    salePrice = Math.round(salePrice * 100) / 100;
+  }
+
+  try {
+    const idSet = new Set(ids);
+    const statusChangedAt = date.toISOString();
+    const updated = await getClosetRepository().transaction(async tx => {
+      const articles = (await tx.getArticles()).map(article => {
+        if (!idSet.has(article.id)) return article;
+        // The status field replaces the older archived/archivedAt flags
+        const { archived, archivedAt, ...rest } = article;
+        return { ...rest, status, statusChangedAt, salePrice };
+      });
+      await tx.putArticles(articles.filter(article => idSet.has(article.id)));
+      return articles;
+    });
+    logInfo('[galleryService]', `Set status ${status} on ${idSet.size} articles`);
+    return updated;
+  } catch (e) {
+    logError('[galleryService]', 'setArticleStatus error', e);
+    throw e;
+  }
+}
+
+/**
+ * Archive or restore articles: the non-destructive alternative to deleting.
+ * @param {Array<string>} ids - Article ids
+ * @param {boolean} [archived=true] - false restores the articles to active
+ * @returns {Promise<Array>} Updated array of articles
+ */
+export async function archiveArticles(ids, archived = true) {
+  return setArticleStatus(ids, archived ? 'archived' : 'active');
+}
+
+/**
+ * Increment the wearCount for specific articles by their IDs and record the wear in the wear log
  * @param {Array<string>} articleIds - Array of article IDs to increment wear count for
- * @returns {Promise<Array>} Updated array of all articles
+ * @param {Object} [options]
+ * @param {Date|string} [options.wornAt] - When the articles were worn (defaults to now)
+ * @param {boolean} [options.recordEvent=true] - If false, only update the counters (caller logs the event)
+ * @param {Object} [options.tx] - Closet transaction to join (e.g. one that also updates the worn outfit)
+ * @returns {Promise<Array>} The worn articles as updated (only their rows are read and written)
  */
-export async function incrementWearCount(articleIds) {
+export async function incrementWearCount(articleIds, options = {}) {
+  const repository = options.tx || getClosetRepository();
   try {
     if (!articleIds || !articleIds.length) {
       logWarning('[galleryService]', 'No article IDs provided to incrementWearCount');
-      return await getAllArticles();
+      return [];
     }
     
     logInfo('[galleryService]', `Incrementing wearCount for ${articleIds.length} articles`);
-    const articles = await getAllArticles();
     const idSet = new Set(articleIds);
+    const wornAt = normalizeWornAt(options.wornAt);
     
-    // Create a new array with updated wearCount values
-    const updated = articles.map(article => {
-      if (idSet.has(article.id)) {
+    // The counters and the wear event they cache are committed together
+    return await repository.transaction(async tx => {
+      const articles = (await tx.getArticlesById([...idSet])).map(article => {
         // Increment wearCount, ensuring it exists and is a number
         const currentCount = typeof article.wearCount === 'number' ? article.wearCount : 0;
         return {
           ...article,
-          wearCount: currentCount + 1
+          wearCount: currentCount + 1,
+          lastWorn: article.lastWorn && article.lastWorn > wornAt ? article.lastWorn : wornAt
         };
+      });
+      await tx.updateArticles(articles);
+      if (options.recordEvent !== false) {
+        await addWearEvent({ articleIds, wornAt }, { tx });
       }
-      return article;
+      return articles;
     });
-    
-    await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(updated));
-    return updated;
   } catch (e) {
     logError('[galleryService]', 'incrementWearCount error', e);
     throw e;
   }
 }
 
+// Editable article fields and their maximum lengths (category and subcategory are validated separately)
+const EDITABLE_TEXT_FIELDS = {
+  description: 60,
+  color: 30,
+  brand: 40,
+  size: 20,
+  material: 30,
+  notes: 500,
+};
+
+// How warm an article keeps its wearer, coolest first (used by weather-aware suggestions)
+export const ARTICLE_WARMTH_LEVELS = ['light', 'medium', 'warm'];
+
+// Words in an article's description, subcategory or material that hint at its warmth when none is set
+const WARM_HINTS = [
+  'wool', 'woolen', 'knit', 'knitwear', 'sweater', 'cardigan', 'jumper', 'sweatshirt', 'hoodie',
+  'fleece', 'puffer', 'parka', 'cashmere', 'thermal', 'boot',
+];
+const LIGHT_HINTS = ['linen', 'tank', 'shorts', 'sandal', 'mesh'];
+
+/**
+ * Warmth of an article: the value the user set, otherwise a guess from its category and wording
+ * (outerwear and knits are warm, linen and sandals are light, everything else is medium).
+ * @param {Object} article - Article
+ * @returns {'light'|'medium'|'warm'}
+ */
+export function getArticleWarmth(article) {
+  if (!article) return 'medium';
+  if (ARTICLE_WARMTH_LEVELS.includes(article.warmth)) {
+    return article.warmth;
+  }
+  const words = [article.description, article.subcategory, article.material]
+    .filter(value => typeof value === 'string')
+    .join(' ')
+    .toLowerCase()
+    .split(/[^a-z]+/);
+  const mentions = hint => words.includes(hint) || words.includes(`${hint}s`);
+  if (LIGHT_HINTS.some(mentions)) return 'light';
+  if (article.category === 'outerwear' || WARM_HINTS.some(mentions)) return 'warm';
+  return 'medium';
+}
+
+/**
+ * Validate and normalize a patch for updateArticle.
+ * Text fields are trimmed and price is rounded to cents; empty strings and null clear the field.
+ * warmth is one of ARTICLE_WARMTH_LEVELS and waterResistant a boolean; null clears either.
+ * purchaseDate (YYYY-MM-DD), season and tags are checked by the ClothingArticle model; tags are trimmed and deduplicated.
+ * @param {Object} patch - Fields to update
+ * @param {Array} taxonomy - Category taxonomy from categoryService
+ * @returns {Object} Normalized patch
+ * @throws {Error} If the patch contains unknown fields or invalid values
+ */
+function validateArticlePatch(patch, taxonomy) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new Error('Article changes must be an object.');
+  }
+
+  const normalized = {};
+  for (const [field, value] of Object.entries(patch)) {
+    if (field === 'category') {
+      if (!findCategory(taxonomy, value)) {
+        throw new Error(`Category must be one of: ${getCategoryIds(taxonomy).join(', ')}.`);
+      }
+      normalized.category = value;
+    } else if (field === 'subcategory') {
+      if (value !== null && value !== undefined && typeof value !== 'string') {
+        throw new Error('subcategory must be text.');
+      }
+      normalized.subcategory = value || null;
+    } else if (field === 'price') {
+      if (value === null || value === undefined || value === '') {
+        normalized.price = null;
+        continue;
+      }
+      const price = typeof value === 'string' ? Number(value.trim()) : value;
+      if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+        throw new Error('price must be a non-negative number.');
+      }
+      normalized.price = Math.round(price * 100) / 100;
+    } else if (field === 'warmth') {
+      if (value !== null && value !== undefined && value !== '' && !ARTICLE_WARMTH_LEVELS.includes(value)) {
+        throw new Error(`warmth must be one of: ${ARTICLE_WARMTH_LEVELS.join(', ')}.`);
+      }
+      normalized.warmth = value || null;
+    } else if (field === 'waterResistant') {
+      if (value !== null && value !== undefined && typeof value !== 'boolean') {
+        throw new Error('waterResistant must be true or false.');
+      }
+      normalized.waterResistant = typeof value === 'boolean' ? value : null;
+    } else if (field === 'purchaseDate' || field === 'season') {
+      const checked = value === '' || value === undefined ? null : value;
+      validateArticleField(field, checked);
+      normalized[field] = checked;
+    } else if (field === 'tags') {
+      const tags = value === null || value === undefined ? [] : value;
+      validateArticleField('tags', tags);
+      normalized.tags = [...new Set(tags.map(tag => tag.trim()))];
+    } else if (field in EDITABLE_TEXT_FIELDS) {
+      if (value === null || value === undefined) {
+        normalized[field] = null;
+        continue;
+      }
+      if (typeof value !== 'string') {
+        throw new Error(`${field} must be text.`);
+      }
+      const trimmed = value.trim();
+      if (trimmed.length > EDITABLE_TEXT_FIELDS[field]) {
+        throw new Error(`${field} must be at most ${EDITABLE_TEXT_FIELDS[field]} characters.`);
+      }
+      normalized[field] = trimmed || null;
+    } else {
+      throw new Error(`Field "${field}" cannot be edited.`);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Check a patch's subcategory against the article's (possibly new) category.
+ * Changing the category clears a subcategory that does not belong to the new one.
+ * @param {Object} changes - Normalized patch
+ * @param {Object} article - The article being updated
+ * @param {Array} taxonomy - Category taxonomy from categoryService
+ * @returns {Object} Patch with subcategory resolved
+ * @throws {Error} If the subcategory does not belong to the category
+ */
+function resolveSubcategory(changes, article, taxonomy) {
+  const category = findCategory(taxonomy, changes.category || article.category);
+  const subcategoryIds = category ? category.subcategories.map(sub => sub.id) : [];
+  if (changes.subcategory) {
+    if (!subcategoryIds.includes(changes.subcategory)) {
+      throw new Error(`Subcategory must be one of: ${subcategoryIds.join(', ') || '(none)'}.`);
+    }
+    return changes;
+  }
+  if (changes.category && article.subcategory && !subcategoryIds.includes(article.subcategory)) {
+    return { ...changes, subcategory: null };
+  }
+  return changes;
+}
+
+/**
+ * Update a single article's editable fields (category, subcategory, description, color, brand, size, material,
+ * notes, price, purchaseDate, season, tags, warmth, waterResistant).
+ * Outfits referencing the article are touched in the same transaction so they pick up the change.
+ * @param {string} id - Article ID
+ * @param {Object} patch - Fields to update
+ * @returns {Promise<Object>} The updated article
+ * @throws {Error} If validation fails, the article does not exist, or storage fails
+ */
+export async function updateArticle(id, patch) {
+  const taxonomy = await getTaxonomy();
+  const validated = validateArticlePatch(patch, taxonomy);
+
+  try {
+    const updatedArticle = await getClosetRepository().transaction(async tx => {
+      const [article] = await tx.getArticlesById([id]);
+      if (!article) {
+        throw new Error(`Article ${id} not found.`);
+      }
+      const changes = resolveSubcategory(validated, article, taxonomy);
+      const updated = {
+        ...article,
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      };
+      await tx.updateArticles([updated]);
+      await touchOutfitsForArticle(id, updated.updatedAt, { tx });
+      return updated;
+    });
+
+    logInfo('[galleryService]', `Updated article ${id}`);
+    return updatedArticle;
+  } catch (e) {
+    logError('[galleryService]', 'updateArticle error', e);
+    throw e;
+  }
+}
+
+// Sort orders accepted by filterArticles
+export const ARTICLE_SORT_OPTIONS = ['newest', 'mostWorn', 'leastWorn'];
+
+/**
+ * Lowercased, trimmed color of an article ('' when unset).
+ * @private
+ */
+function normalizedColor(article) {
+  return typeof article.color === 'string' ? article.color.trim().toLowerCase() : '';
+}
+
+/**
+ * An article is untagged when it has no known category or no color,
+ * i.e. it would not show up under a category or color filter.
+ * @private
+ */
+function isUntagged(article, categoryIds) {
+  return !categoryIds.includes(article.category) || !normalizedColor(article);
+}
+
+/**
+ * List the distinct colors used in the closet, for building filter chips.
+ * @param {Array} articles - Articles to scan
+ * @returns {Array<string>} Lowercased colors, sorted alphabetically
+ */
+export function getArticleColors(articles) {
+  const colors = new Set((articles || []).map(normalizedColor).filter(Boolean));
+  return [...colors].sort();
+}
+
+/**
+ * Search, filter and sort articles. Pure: does not read storage.
+ * All criteria are optional and combine with AND; multiple values within a list combine with OR.
+ * @param {Array} articles - Articles in storage order (oldest first)
+ * @param {Object} [criteria]
+ * @param {string} [criteria.query] - Text matched case-insensitively against description, name and color;
+ *   every word must match
+ * @param {Array<string>} [criteria.categories] - Keep articles in any of these categories
+ * @param {Array<string>} [criteria.colors] - Keep articles with any of these colors (case-insensitive)
+ * @param {number} [criteria.minWears] - Minimum wear count (inclusive)
+ * @param {number} [criteria.maxWears] - Maximum wear count (inclusive)
+ * @param {boolean} [criteria.untagged] - Only articles missing a category or color
+ * @param {Array} [criteria.taxonomy] - Taxonomy deciding which categories are known (defaults to the built-in one)
+ * @param {boolean} [criteria.neverWorn] - Only articles that have never been worn
+ * @param {Array<string>} [criteria.statuses=['active']] - Lifecycle statuses to keep; archived, donated,
+ *   sold and lost articles are hidden by default
+ * @param {'newest'|'mostWorn'|'leastWorn'} [criteria.sort] - Sort order; storage order when omitted
+ * @returns {Array} Matching articles
+ * @throws {Error} If the sort order is unknown
+ */
+export function filterArticles(articles, criteria = {}) {
+  const { query, categories, colors, minWears, maxWears, untagged, neverWorn, sort } = criteria;
+  const statuses = criteria.statuses || ['active'];
+  const categoryIds = getCategoryIds(criteria.taxonomy || buildTaxonomy());
+  if (sort && !ARTICLE_SORT_OPTIONS.includes(sort)) {
+    throw new Error(`Sort must be one of: ${ARTICLE_SORT_OPTIONS.join(', ')}.`);
+  }
+
+  const terms = typeof query === 'string' ? query.toLowerCase().split(/\s+/).filter(Boolean) : [];
+  const colorSet = colors && colors.length ? new Set(colors.map(c => c.trim().toLowerCase())) : null;
+  const wearsOf = article => (typeof article.wearCount === 'number' ? article.wearCount : 0);
+
+  const matches = (articles || [])
+    .map((article, index) => ({ article, index }))
+    .filter(({ article }) => {
+      if (!statuses.includes(getArticleStatus(article))) return false;
+      if (terms.length) {
+        const haystack = [article.description, article.name, article.color]
+          .filter(value => typeof value === 'string')
+          .join(' ')
+          .toLowerCase();
+        if (!terms.every(term => haystack.includes(term))) return false;
+      }
+      if (categories && categories.length && !categories.includes(article.category)) return false;
+      if (colorSet && !colorSet.has(normalizedColor(article))) return false;
+      if (typeof minWears === 'number' && wearsOf(article) < minWears) return false;
+      if (typeof maxWears === 'number' && wearsOf(article) > maxWears) return false;
+      if (untagged && !isUntagged(article, categoryIds)) return false;
+      if (neverWorn && wearsOf(article) > 0) return false;
+      return true;
+    });
+
+  // Newest uses addedAt, falling back to storage position for articles saved before it existed;
+  // ties keep storage order so results are stable
+  const comparators = {
+    newest: (a, b) => (b.article.addedAt || '').localeCompare(a.article.addedAt || '') || b.index - a.index,
+    mostWorn: (a, b) => wearsOf(b.article) - wearsOf(a.article) || a.index - b.index,
+    leastWorn: (a, b) => wearsOf(a.article) - wearsOf(b.article) || a.index - b.index,
+  };
+  if (sort) {
+    matches.sort(comparators[sort]);
+  }
+  return matches.map(({ article }) => article);
+}
+
 /**
  * Migrate existing articles to ensure they have wearCount field
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only count the articles that would change
  * @returns {Promise<{success: boolean, migratedCount: number, totalCount: number}>}
  */
-export async function migrateArticlesWearCount() {
+export async function migrateArticlesWearCount(options = {}) {
   try {
     logInfo('[galleryService]', 'Starting wearCount migration');
     
-    // Get all articles without triggering other migrations
-    const articles = await getAllArticles({ migrateImages: false });
-    
-    if (!articles || articles.length === 0) {
-      logInfo('[galleryService]', 'No articles found to migrate wearCount');
-      return { success: true, migratedCount: 0, totalCount: 0 };
-    }
-    
-    // Count articles needing migration (those without wearCount)
-    const needsMigration = articles.filter(article => 
-      typeof article.wearCount !== 'number'
-    );
-    
-    logInfo('[galleryService]', `Found ${needsMigration.length} of ${articles.length} articles needing wearCount migration`);
-    
-    if (needsMigration.length === 0) {
-      return { success: true, migratedCount: 0, totalCount: articles.length };
-    }
-    
-    // Update all articles to ensure they have wearCount
-    const migratedArticles = articles.map(article => ({
-      ...article,
-      wearCount: typeof article.wearCount === 'number' ? article.wearCount : 0
-    }));
-    
-    // Save the migrated articles back to storage
-    await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(migratedArticles));
-    
-    logInfo('[galleryService]', `Successfully migrated wearCount for ${needsMigration.length} articles`);
-    
-    return { 
-      success: true, 
-      migratedCount: needsMigration.length, 
-      totalCount: articles.length 
-    };
+    return await getClosetRepository().transaction(async tx => {
+      // Read the stored articles directly, without triggering other migrations
+      const articles = await tx.getArticles();
+      
+      if (articles.length === 0) {
+        logInfo('[galleryService]', 'No articles found to migrate wearCount');
+        return { success: true, migratedCount: 0, totalCount: 0 };
+      }
+      
+      // Count articles needing migration (those without wearCount)
+      const needsMigration = articles.filter(article => 
+        typeof article.wearCount !== 'number'
+      );
+      
+      logInfo('[galleryService]', `Found ${needsMigration.length} of ${articles.length} articles needing wearCount migration`);
+      
+      if (needsMigration.length === 0 || options.dryRun) {
+        return { success: true, migratedCount: needsMigration.length, totalCount: articles.length };
+      }
+      
+      // Save the articles missing a wearCount with 0 wears
+      await tx.putArticles(needsMigration.map(article => ({ ...article, wearCount: 0 })));
+      
+      logInfo('[galleryService]', `Successfully migrated wearCount for ${needsMigration.length} articles`);
+      
+      return { 
+        success: true, 
+        migratedCount: needsMigration.length, 
+        totalCount: articles.length 
+      };
+    });
   } catch (error) {
     logError('[galleryService]', 'Error during wearCount migration', error);
     return { 
@@ -297,14 +733,54 @@ export async function migrateArticlesWearCount() {
 }
 
 /**
- * Clear all articles from the closet (dev utility).
+ * Clear all articles from the closet (dev utility), deleting their image files.
  * @returns {Promise<void>}
  */
 export async function clearAllArticles() {
   try {
-    await AsyncStorage.removeItem(GALLERY_ARTICLES_KEY);
+    const articles = await getClosetRepository().transaction(async tx => {
+      const stored = await tx.getArticles();
+      await tx.clearArticles();
+      return stored;
+    });
+    await removeImagesOf(articles);
   } catch (e) {
     logError('[galleryService]', 'clearAllArticles error', e);
     throw e;
   }
 }
+
+/**
+ * Everything that may reference an image file: articles, outfits and the results of queued jobs.
+ * Unlike getAllArticles, a failed or corrupt read throws: an empty list here would mark every image as orphaned.
+ * @returns {Promise<Array>} Article-shaped references
+ * @throws {Error} If the closet or the job queue cannot be read
+ */
+export async function getImageReferences() {
+  const [[articles, outfits], jobImages] = await Promise.all([
+    getClosetRepository().transaction(tx => Promise.all([tx.getArticles(), tx.getOutfits()])),
+    getJobImageReferences(),
+  ]);
+  return [...articles, ...outfits, ...jobImages];
+}
+
+/**
+ * Report image files nothing references (see imageStorageService.findOrphanedImages).
+ * @param {Object} [options] - See findOrphanedImages
+ * @returns {Promise<Object>} Orphan report
+ * @throws {Error} If the references cannot be read
+ */
+export async function findUnreferencedImages(options) {
+  return findOrphanedImages(await getImageReferences(), options);
+}
+
+/**
+ * Delete image files nothing references. The references are read right before deleting, so files referenced
+ * since a scan are kept; if any read fails nothing is deleted.
+ * @param {Object} [options] - See findOrphanedImages
+ * @returns {Promise<{deletedCount: number, reclaimedBytes: number}>}
+ * @throws {Error} If the references cannot be read
+ */
+export async function deleteUnreferencedImages(options) {
+  return deleteOrphanedImages(await getImageReferences(), options);
+}
@@ -1,17 +1,21 @@
 // garmentDescriptionService.js
 // Service for garment image description using GPT-4o Vision API.
 // Exposes: describeGarmentImage(base64Image, options)
-// options: { openaiApiKey }
+// options: { openaiApiKey, signal }
+
+import { requestJson } from './httpClient';
+import { PipelineError, PIPELINE_ERROR_TYPES, toPipelineError } from './pipelineErrors';
 
 /**
  * Describe a garment image using GPT-4o vision API.
  * @param {string} base64Image - JPEG base64 string
- * @param {object} options - { openaiApiKey: string }
+ * @param {object} options - { openaiApiKey: string, signal?: AbortSignal }
  * @returns {Promise<string>} - Garment description
+ * @throws {PipelineError} If the key is missing, the request fails or the answer cannot be read
  */
 export async function describeGarmentImage(base64Image, options) {
-  const { openaiApiKey } = options;
-  if (!openaiApiKey) throw new Error('Missing OpenAI API key');
+  const { openaiApiKey, signal } = options;
+  if (!openaiApiKey) throw new PipelineError(PIPELINE_ERROR_TYPES.AUTH, 'Missing OpenAI API key', { stage: 'detect' });
 
   // Stricter system prompt
   const systemPrompt = `You are a highly accurate, concise fashion analyst. When given an image, identify up to four distinct articles of clothing and output them as a compact JSON array called clothingItems.\n\nFor each item, include:\n  • id: integer (1–4)\n  • description: ≤6-word phrase (e.g., \"women’s slim-fit navy blazer\")\n  • category: one of [jacket, shirt, pants, skirt, dress, shoes, accessory]\n  • color: primary color name\n\nOutput ONLY a valid JSON array named clothingItems. Do not include any explanation, prose, or text outside the JSON. If you cannot identify any clothing, return an empty array: [].`;
@@ -34,23 +38,28 @@ export async function describeGarmentImage(base64Image, options) {
     }
   ];
 
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${openaiApiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o-mini',
-      messages
-    })
-  });
-  const json = await res.json();
+  let json;
+  try {
+    json = await requestJson('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${openaiApiKey}`,
+      },
+      json: {
+        model: 'gpt-4o-mini',
+        messages
+      },
+      signal,
+      label: 'OpenAI'
+    });
+  } catch (err) {
+    throw toPipelineError(err, 'detect');
+  }
   // For debugging only; remove or wrap in debug flag for production
   // console.log('[garmentDescriptionService] Full OpenAI API response:', JSON.stringify(json));
   if (!json.choices || !json.choices[0] || !json.choices[0].message || typeof json.choices[0].message.content !== 'string') {
     console.error('[garmentDescriptionService] Unexpected API response structure:', json);
-    return [];
+    throw new PipelineError(PIPELINE_ERROR_TYPES.PARSE, 'OpenAI response has no message content', { stage: 'detect' });
   }
   let contentStr = json.choices[0].message.content.trim();
   // For debugging only; remove or wrap in debug flag for production
@@ -74,7 +83,7 @@ export async function describeGarmentImage(base64Image, options) {
     if (!Array.isArray(clothingItems)) throw new Error('clothingItems is not an array');
   } catch (err) {
     console.error('[garmentDescriptionService] Failed to parse model JSON:', err, contentStr);
-    return [];
+    throw new PipelineError(PIPELINE_ERROR_TYPES.PARSE, `Could not parse garments from the model output: ${err.message}`, { stage: 'detect', cause: err });
   }
   return clothingItems;
 }
@@ -1,37 +1,49 @@
 // garmentImageGenerationService.js
 // Service for garment image generation using DALL-E API.
 // Exposes: generateGarmentImage(description, options)
-// options: { openaiApiKey }
+// options: { openaiApiKey, signal }
+
+import { requestJson } from './httpClient';
+import { PipelineError, PIPELINE_ERROR_TYPES, toPipelineError } from './pipelineErrors';
+
+// Image generation is slow; allow it longer than the default timeout
+const GENERATION_TIMEOUT_MS = 90000;
 
 /**
  * Generate a garment image using DALL-E API from a text description.
  * @param {string} description - Text description of the garment
- * @param {object} options - { openaiApiKey: string }
+ * @param {object} options - { openaiApiKey: string, signal?: AbortSignal }
  * @returns {Promise<string>} - URL of generated image
+ * @throws {PipelineError} If the key is missing, the request fails or no image comes back
  */
 export async function generateGarmentImage(description, options) {
-  const { openaiApiKey } = options;
-  if (!openaiApiKey) throw new Error('Missing OpenAI API key');
+  const { openaiApiKey, signal } = options;
+  if (!openaiApiKey) throw new PipelineError(PIPELINE_ERROR_TYPES.AUTH, 'Missing OpenAI API key', { stage: 'generate' });
 
-
-  const res = await fetch('https://api.openai.com/v1/images/generations', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${openaiApiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'dall-e-2', // DALL-E 2 used for lower cost and lower resolution. Upgrade to DALL-E 3 when smaller sizes are supported.
-      prompt: description, // Pass the description string directly as the prompt
-      n: 1,
-      size: '512x512' // DALL-E 2 supports 256x256, 512x512, 1024x1024. Using 512x512 for mobile-friendly balance.
-    })
-  });
-  const json = await res.json();
+  let json;
+  try {
+    json = await requestJson('https://api.openai.com/v1/images/generations', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${openaiApiKey}`,
+      },
+      json: {
+        model: 'dall-e-2', // DALL-E 2 used for lower cost and lower resolution. Upgrade to DALL-E 3 when smaller sizes are supported.
+        prompt: description, // Pass the description string directly as the prompt
+        n: 1,
+        size: '512x512' // DALL-E 2 supports 256x256, 512x512, 1024x1024. Using 512x512 for mobile-friendly balance.
+      },
+      timeoutMs: GENERATION_TIMEOUT_MS,
+      signal,
+      label: 'OpenAI'
+    });
+  } catch (err) {
+    throw toPipelineError(err, 'generate');
+  }
   if (!json.data || !json.data[0] || !json.data[0].url) {
     // Log error only in development; avoid leaking sensitive info in production
     console.error('[garmentImageGenerationService] Unexpected DALL-E API response:', json);
-    throw new Error('DALL-E API response missing expected image URL');
+    throw new PipelineError(PIPELINE_ERROR_TYPES.GENERATION, 'DALL-E API response missing expected image URL', { stage: 'generate' });
   }
   return json.data[0].url;
 }
@@ -9,6 +9,7 @@
 import { downloadAndSaveImage } from './imageStorageService';
 import { describeGarmentImage } from './garmentDescriptionService';
 import { generateGarmentImage } from './garmentImageGenerationService';
+import { PipelineError, PIPELINE_ERROR_TYPES, toPipelineError } from './pipelineErrors';
 
 /**
  * Utility: Convert a base64 data URI to a Blob (for multipart/form-data)
@@ -30,11 +31,11 @@ export function dataUriToBlob(dataUri) {
  * Validates the processing options
  * @param {object} options - Processing options
  * @returns {string} openaiApiKey - Validated API key
- * @throws {Error} If API key is missing
+ * @throws {PipelineError} If API key is missing
  */
 function validateProcessingOptions(options) {
   const { openaiApiKey } = options;
-  if (!openaiApiKey) throw new Error('Missing OpenAI API key');
+  if (!openaiApiKey) throw new PipelineError(PIPELINE_ERROR_TYPES.AUTH, 'Missing OpenAI API key', { stage: 'detect' });
   return openaiApiKey;
 }
 
@@ -43,22 +44,24 @@ function validateProcessingOptions(options) {
  * @param {string} base64Image - JPEG base64 string from ImagePicker
  * @param {string} openaiApiKey - OpenAI API key
  * @returns {Promise<Array>} Array of clothing items
+ * @throws {PipelineError} If description fails or finds no clothing (type 'no-garments')
  */
 async function getClothingItemsFromImage(base64Image, openaiApiKey) {
+  let clothingItems;
   try {
-    const clothingItems = await describeGarmentImage(base64Image, { openaiApiKey });
+    clothingItems = await describeGarmentImage(base64Image, { openaiApiKey });
     console.log('[garmentVisionService] describeGarmentImage result:', clothingItems);
-    
-    if (!Array.isArray(clothingItems) || clothingItems.length === 0) {
-      console.warn('[garmentVisionService] No clothing items detected in the image.');
-      return { error: true, message: 'No clothing items detected in the image.', stage: 'describeGarmentImage' };
-    }
-    
-    return clothingItems;
   } catch (err) {
     console.error('[garmentVisionService] Error in describeGarmentImage:', err);
-    return { error: true, message: err.message || String(err), stage: 'describeGarmentImage' };
+    throw toPipelineError(err, 'detect');
+  }
+  
+  if (!Array.isArray(clothingItems) || clothingItems.length === 0) {
+    console.warn('[garmentVisionService] No clothing items detected in the image.');
+    throw new PipelineError(PIPELINE_ERROR_TYPES.NO_GARMENTS, 'No clothing items detected in the image.', { stage: 'detect' });
   }
+  
+  return clothingItems;
 }
 
 /**
@@ -86,9 +89,10 @@ async function processClothingItem(item, openaiApiKey) {
       // We still have the imageUrl, so we can continue even if local storage fails
     }
   } catch (e) {
-    // If DALL-E fails, set imageUrl to null and add error property
+    // If DALL-E fails, set imageUrl to null and add error properties
     article.imageUrl = null;
     article.error = e.message || 'Image generation failed';
+    article.errorType = toPipelineError(e, 'generate').type;
     console.error(`[garmentVisionService] Error generating image for item ${article.id}:`, e);
   }
   
@@ -135,16 +139,12 @@ function finalizePipelineResults(results) {
  * @param {string} base64Image - JPEG base64 string from ImagePicker
  * @param {string} openaiApiKey - Validated OpenAI API key
  * @param {Object} options - Processing options
- * @returns {Promise<Array|Object>} Processed articles or error object
+ * @returns {Promise<Array>} Processed articles
+ * @throws {PipelineError} If garment detection fails
  */
 async function runGarmentVisionPipeline(base64Image, openaiApiKey, options = {}) {
   // Step 1: Get garment items from image (GPT-4o Vision)
   const clothingItems = await getClothingItemsFromImage(base64Image, openaiApiKey);
-  
-  // Check if error occurred during garment detection
-  if (clothingItems.error) {
-    return clothingItems;
-  }
 
   // Step 2: Process all clothing items through image generation
   const results = await processClothingItemsBatch(clothingItems, openaiApiKey, options);
@@ -154,19 +154,14 @@ async function runGarmentVisionPipeline(base64Image, openaiApiKey, options = {})
 
 /**
  * Main GarmentVision processing pipeline
+ * Modular pipeline: 1) Get garment description (GPT-4o), 2) Generate image (DALL-E)
+ * Items whose image could not be generated keep imageUrl null with `error` and `errorType` set.
  *
  * @param {string} base64Image - JPEG base64 string from ImagePicker
  * @param {object} options - { openaiApiKey: string, parallel?: boolean, ... }
- * @returns {Promise<{
- *   boundingBox: {x: number, y: number, w: number, h: number},
- *   maskPngB64: string, // base64 PNG
- *   retouchedUrl: string, // final studio-style PNG URL
- *   metadata: object // optional: color, type, etc.
- * }>} Processed garment data
+ * @returns {Promise<Array>} Articles with description, category, imageUrl and localImageUri
+ * @throws {PipelineError} If the key is missing or garment detection fails (see pipelineErrors)
  */
-// Modular pipeline: 1) Get garment description (GPT-4o), 2) Generate image (DALL-E)
-
-// Returns: { description, generatedImageUrl }
 export async function processGarmentImage(base64Image, options) {
   console.log('[garmentVisionService] processGarmentImage called with base64Image length:', base64Image?.length, 'options:', options);
   
@@ -178,6 +173,6 @@ export async function processGarmentImage(base64Image, options) {
     return await runGarmentVisionPipeline(base64Image, openaiApiKey, options);
   } catch (err) {
     console.error('[garmentVisionService] Pipeline error:', err);
-    return { error: true, message: err.message || String(err), stage: 'pipeline' };
+    throw toPipelineError(err, 'detect');
   }
 }
@@ -0,0 +1,284 @@
+// httpClient.js
+// Shared HTTP client for calls to external APIs (OpenAI, Clarifai)
+// Every request gets a timeout, retries with exponential backoff on 429/5xx, timeouts and network errors
+// (honoring Retry-After), cancellation through an AbortSignal, and failures reported as HttpError.
+//
+// HttpError codes:
+//   'http'     - the server answered with a non-2xx status (see status and body)
+//   'timeout'  - no response within timeoutMs
+//   'network'  - the request never got a response (offline, DNS, TLS...)
+//   'aborted'  - cancelled through the caller's signal
+//   'parse'    - the response body was not valid JSON
+
+import {
+  HTTP_TIMEOUT_MS,
+  HTTP_MAX_RETRIES,
+  HTTP_RETRY_BASE_DELAY_MS,
+  HTTP_RETRY_MAX_DELAY_MS,
+} from '../config/http';
+import { logWarning } from './errorHandlingService';
+
+export const HTTP_ERROR_CODES = {
+  HTTP: 'http',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  ABORTED: 'aborted',
+  PARSE: 'parse',
+};
+
+// Statuses worth trying again: rate limits and transient server or gateway failures
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Error thrown by request() and requestJson() for every kind of failure.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details
+   * @param {string} details.code - One of HTTP_ERROR_CODES
+   * @param {number|null} [details.status] - HTTP status, when the server answered
+   * @param {string|null} [details.url] - Requested URL
+   * @param {Object|string|null} [details.body] - Response body (parsed JSON when possible)
+   * @param {boolean} [details.retryable] - Whether trying again later may succeed
+   * @param {number|null} [details.retryAfterMs] - Delay requested by the server's Retry-After header
+   */
+  constructor(message, { code, status = null, url = null, body = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.code = code;
+    this.status = status;
+    this.url = url;
+    this.body = body;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.attempts = 1;
+  }
+}
+
+/**
+ * Whether a response status is worth retrying.
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * Parse a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string|null} value - Header value
+ * @param {number} [now=Date.now()] - Current time in ms, for HTTP dates
+ * @returns {number|null} Delay in ms, or null when missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Delay before a retry: the server's Retry-After when given, otherwise exponential backoff.
+ * Either way the delay is capped at maxDelayMs.
+ * @param {number} retry - Retry number (1 for the first retry)
+ * @param {Object} [options]
+ * @param {number} [options.baseDelayMs] - Delay before the first retry
+ * @param {number} [options.maxDelayMs] - Longest delay
+ * @param {number|null} [options.retryAfterMs] - Delay requested by the server
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(retry, {
+  baseDelayMs = HTTP_RETRY_BASE_DELAY_MS,
+  maxDelayMs = HTTP_RETRY_MAX_DELAY_MS,
+  retryAfterMs = null,
+} = {}) {
+  const delay = retryAfterMs !== null && retryAfterMs !== undefined
+    ? retryAfterMs
+    : baseDelayMs * 2 ** (retry - 1);
+  return Math.min(delay, maxDelayMs);
+}
+
+/**
+ * @private
+ */
+function abortedError(url, label) {
+  return new HttpError(`${label} request was cancelled`, { code: HTTP_ERROR_CODES.ABORTED, url });
+}
+
+/**
+ * Wait between retries; rejects as soon as the caller's signal aborts.
+ * @private
+ */
+function sleep(ms, signal, url, label) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortedError(url, label));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortedError(url, label));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * One fetch with its own timeout, also aborted by the caller's signal.
+ * @private
+ */
+async function fetchOnce(doFetch, url, init, { timeoutMs, signal, label }) {
+  if (signal && signal.aborted) throw abortedError(url, label);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeoutMs > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs)
+    : null;
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    return await doFetch(url, { ...init, signal: controller.signal });
+  } catch (e) {
+    if (signal && signal.aborted) throw abortedError(url, label);
+    if (timedOut) {
+      throw new HttpError(`${label} request timed out after ${timeoutMs} ms`, {
+        code: HTTP_ERROR_CODES.TIMEOUT,
+        url,
+        retryable: true,
+      });
+    }
+    throw new HttpError(`${label} network error: ${e.message || String(e)}`, {
+      code: HTTP_ERROR_CODES.NETWORK,
+      url,
+      retryable: true,
+    });
+  } finally {
+    if (timer) clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Turn a non-2xx response into an HttpError, keeping the body and the API's own message.
+ * @private
+ */
+async function errorFromResponse(response, url, label) {
+  let body = null;
+  try {
+    const text = await response.text();
+    try {
+      body = JSON.parse(text);
+    } catch (e) {
+      body = text || null;
+    }
+  } catch (e) {
+    // Body unreadable; the status is enough
+  }
+  // OpenAI: { error: { message } }, Clarifai: { status: { description } }
+  const detail = body && typeof body === 'object'
+    ? (body.error && body.error.message) || (body.status && body.status.description) || null
+    : body;
+  const headers = response.headers;
+  const retryAfter = headers && typeof headers.get === 'function' ? headers.get('retry-after') : null;
+  return new HttpError(
+    `${label} request failed with status ${response.status}${detail ? `: ${String(detail).slice(0, 200)}` : ''}`,
+    {
+      code: HTTP_ERROR_CODES.HTTP,
+      status: response.status,
+      url,
+      body,
+      retryable: isRetryableStatus(response.status),
+      retryAfterMs: parseRetryAfter(retryAfter),
+    }
+  );
+}
+
+/**
+ * Send a request, retrying transient failures. Resolves only with a 2xx response.
+ * @param {string} url - Request URL
+ * @param {Object} [options]
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.headers] - Request headers
+ * @param {*} [options.body] - Raw request body
+ * @param {*} [options.json] - Body to send as JSON (sets Content-Type)
+ * @param {number} [options.timeoutMs] - Timeout per attempt (0 disables it)
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs] - Backoff before the first retry
+ * @param {number} [options.maxDelayMs] - Longest backoff or Retry-After wait
+ * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+ * @param {string} [options.label='HTTP'] - Name of the API, used in messages (e.g. 'OpenAI')
+ * @param {Function} [options.fetchImpl=fetch] - fetch implementation
+ * @returns {Promise<Response>} The response
+ * @throws {HttpError} When the request fails for good
+ */
+export async function request(url, options = {}) {
+  const {
+    method = 'GET',
+    headers = {},
+    body,
+    json,
+    timeoutMs = HTTP_TIMEOUT_MS,
+    retries = HTTP_MAX_RETRIES,
+    baseDelayMs = HTTP_RETRY_BASE_DELAY_MS,
+    maxDelayMs = HTTP_RETRY_MAX_DELAY_MS,
+    signal,
+    label = 'HTTP',
+    fetchImpl,
+  } = options;
+  const doFetch = fetchImpl || fetch;
+  const init = json !== undefined
+    ? { method, headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(json) }
+    : { method, headers, body };
+
+  for (let attempt = 1; ; attempt++) {
+    let error;
+    try {
+      const response = await fetchOnce(doFetch, url, init, { timeoutMs, signal, label });
+      if (response.ok) return response;
+      error = await errorFromResponse(response, url, label);
+    } catch (e) {
+      if (!(e instanceof HttpError)) throw e;
+      error = e;
+    }
+    error.attempts = attempt;
+    if (!error.retryable || attempt > retries) throw error;
+
+    const delay = getRetryDelay(attempt, { baseDelayMs, maxDelayMs, retryAfterMs: error.retryAfterMs });
+    logWarning('[httpClient]', `${error.message}; retrying in ${delay} ms (attempt ${attempt + 1} of ${retries + 1})`);
+    await sleep(delay, signal, url, label);
+  }
+}
+
+/**
+ * Send a request with request() and parse the JSON response.
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Same options as request()
+ * @returns {Promise<*>} Parsed response body
+ * @throws {HttpError} When the request fails or the body is not JSON (code 'parse')
+ */
+export async function requestJson(url, options = {}) {
+  const { headers = {}, label = 'HTTP' } = options;
+  const response = await request(url, { ...options, headers: { Accept: 'application/json', ...headers } });
+  try {
+    return await response.json();
+  } catch (e) {
+    throw new HttpError(`${label} returned a response that is not valid JSON`, {
+      code: HTTP_ERROR_CODES.PARSE,
+      status: response.status,
+      url,
+    });
+  }
+}
@@ -1,38 +1,15 @@
 // imageProcessingService.js
-// Central abstraction for clothing article detection.
-// Switch providers (Clarifai, mock, or OpenAI 4o) by changing DETECTION_PROVIDER below.
-// All UI should call only detectClothingArticles(imageUri) for detection.
-import { separateClothingItemsWithClarifai } from './clarifaiService';
-
-import { separateClothingItemsWithOpenAI } from './openaiVisionService';
+// Image helpers shared by detection providers.
+// Provider selection lives in providerRegistry/detectionProviders; this module only crops.
 import { Image } from 'react-native';
 
-// Set this flag to switch providers: 'clarifai', 'mock', 'openai'.
-// To change detection provider, update DETECTION_PROVIDER below.
-const DETECTION_PROVIDER = 'clarifai';
-
 /**
- * Main detection API for the app.
- * Returns an array of { id, name, confidence, boundingBox, imageUri, croppedImageUri }
- * regardless of provider.
- *
- * To switch providers, change DETECTION_PROVIDER above.
- * To add a new provider (e.g., OpenAI 4o), add a new branch below.
+ * Crop detected articles out of the original photo using their normalized bounding boxes.
+ * Articles without a usable bounding box are returned unchanged.
+ * @param {string} imageUri - Original image URI
+ * @param {Array} articles - Articles with boundingBox { left_col, top_row, right_col, bottom_row }
+ * @returns {Promise<Array>} Articles with croppedImageUri where cropping succeeded
  */
-export async function detectClothingArticles(imageUri) {
-  if (DETECTION_PROVIDER === 'clarifai') {
-    if (__DEV__) console.info('[imageProcessingService] Using CLARIFAI service for imageUri:', imageUri);
-    return await separateClothingItemsWithClarifai(imageUri);
-  } else if (DETECTION_PROVIDER === 'openai') {
-    if (__DEV__) console.info('[imageProcessingService] Using OPENAI service for imageUri:', imageUri);
-    return await separateClothingItemsWithOpenAI(imageUri);
-
-  } else {
-    if (__DEV__) console.error('Unknown DETECTION_PROVIDER: ' + DETECTION_PROVIDER);
-    throw new Error('Unknown DETECTION_PROVIDER: ' + DETECTION_PROVIDER);
-  }
-}
-
 export async function cropArticlesFromImage(imageUri, articles) {
   console.log('[cropArticlesFromImage] ENTRY', { imageUri, numArticles: articles.length });
   if (!imageUri || !Array.isArray(articles)) {
@@ -1,14 +1,22 @@
 // imageStorageService.js
 // Service for downloading, storing, and managing image files locally
 // Addresses the image persistence issue with expiring OpenAI DALL-E URLs
+// Also owns cleanup: deleting an article's image files and collecting orphaned files
 
 import * as FileSystem from 'expo-file-system';
+import { File } from 'expo-file-system/next';
 import { Platform } from 'react-native';
 import generateUuid from './uuid';
 
 // Constants
 const IMAGE_DIRECTORY = `${FileSystem.documentDirectory}images/`;
 
+// Article fields that may point at image files
+const IMAGE_URI_FIELDS = ['localImageUri', 'croppedImageUri', 'imageUri'];
+
+// Files younger than this are never collected: they may belong to an article still being verified
+const ORPHAN_MIN_AGE_MS = 10 * 60 * 1000;
+
 /**
  * Initialize the images directory if it doesn't exist
  * @returns {Promise<void>}
@@ -68,6 +76,50 @@ export async function downloadAndSaveImage(imageUrl, filename = null) {
   }
 }
 
+/**
+ * Write base64-encoded image data into the images directory
+ * @param {string} base64 - Base64 image data (no data: prefix)
+ * @param {string} [extension='jpg'] - File extension for the new file
+ * @returns {Promise<string>} - Local URI of the saved image
+ */
+export async function saveImageFromBase64(base64, extension = 'jpg') {
+  if (!base64) {
+    throw new Error('No image data provided');
+  }
+
+  try {
+    await initializeImageStorage();
+    const localUri = `${IMAGE_DIRECTORY}${generateUuid()}.${extension}`;
+    await FileSystem.writeAsStringAsync(localUri, base64, { encoding: FileSystem.EncodingType.Base64 });
+    return localUri;
+  } catch (error) {
+    console.error('[imageStorageService] Error saving base64 image:', error);
+    throw error;
+  }
+}
+
+/**
+ * Write raw image file contents (e.g. an image restored from a backup) into the images directory
+ * @param {Uint8Array} bytes - Image file contents
+ * @param {string} [extension='jpg'] - File extension for the new file
+ * @returns {Promise<string>} - Local URI of the saved image
+ */
+export async function saveImageFromBytes(bytes, extension = 'jpg') {
+  if (!bytes || bytes.length === 0) {
+    throw new Error('No image data provided');
+  }
+
+  try {
+    await initializeImageStorage();
+    const localUri = `${IMAGE_DIRECTORY}${generateUuid()}.${extension}`;
+    new File(localUri).write(bytes);
+    return localUri;
+  } catch (error) {
+    console.error('[imageStorageService] Error saving image bytes:', error);
+    throw error;
+  }
+}
+
 /**
  * Check if a local image file exists
  * @param {string} localUri - Local URI of the image
@@ -152,3 +204,116 @@ export async function migrateAllArticleImages(articles) {
   
   return migratedArticles;
 }
+
+/**
+ * Whether a URI points at a file in the app's images directory (i.e. a file this service owns).
+ * Photos in the camera roll, cache files and remote URLs are never deleted.
+ * @param {string} uri - Image URI
+ * @returns {boolean}
+ */
+export function isOwnedImageUri(uri) {
+  return typeof uri === 'string' && uri.startsWith(IMAGE_DIRECTORY) && uri.length > IMAGE_DIRECTORY.length;
+}
+
+/**
+ * Collect the distinct owned image files referenced by articles.
+ * @param {Array} articles - Articles to scan
+ * @returns {Array<string>} Owned file URIs
+ */
+export function getOwnedImageUris(articles) {
+  const uris = new Set();
+  (articles || []).forEach(article => {
+    IMAGE_URI_FIELDS.forEach(field => {
+      if (isOwnedImageUri(article[field])) {
+        uris.add(article[field]);
+      }
+    });
+  });
+  return [...uris];
+}
+
+/**
+ * Delete the image files owned by removed articles.
+ * Files still referenced by a remaining article (e.g. restored from the same backup) are kept.
+ * @param {Array} removedArticles - Articles being deleted
+ * @param {Array} [remainingArticles=[]] - Articles that stay in the closet
+ * @returns {Promise<number>} Number of files deleted
+ */
+export async function deleteArticleImages(removedArticles, remainingArticles = []) {
+  const stillUsed = new Set(getOwnedImageUris(remainingArticles));
+  let deletedCount = 0;
+  for (const uri of getOwnedImageUris(removedArticles)) {
+    if (!stillUsed.has(uri) && await deleteLocalImage(uri)) {
+      deletedCount += 1;
+    }
+  }
+  return deletedCount;
+}
+
+/**
+ * List the files in the images directory.
+ * @returns {Promise<Array<{uri: string, size: number, modificationTime: number|null}>>}
+ *   modificationTime is in seconds since the epoch, as reported by expo-file-system
+ */
+export async function listStoredImages() {
+  const dirInfo = await FileSystem.getInfoAsync(IMAGE_DIRECTORY);
+  if (!dirInfo.exists) return [];
+
+  const names = await FileSystem.readDirectoryAsync(IMAGE_DIRECTORY);
+  const files = [];
+  for (const name of names) {
+    const uri = `${IMAGE_DIRECTORY}${name}`;
+    const info = await FileSystem.getInfoAsync(uri, { size: true });
+    if (info.exists && !info.isDirectory) {
+      files.push({ uri, size: info.size || 0, modificationTime: info.modificationTime || null });
+    }
+  }
+  return files;
+}
+
+/**
+ * Find image files that no article references.
+ * @param {Array} articles - Every article in the closet
+ * @param {Object} [options]
+ * @param {number} [options.minAgeMs] - Ignore files modified more recently than this (default 10 minutes)
+ * @param {number} [options.now] - Current time in ms (for tests)
+ * @returns {Promise<{files: Array<{uri: string, size: number}>, totalFiles: number, totalBytes: number,
+ *   reclaimableBytes: number}>}
+ */
+export async function findOrphanedImages(articles, options = {}) {
+  const minAgeMs = typeof options.minAgeMs === 'number' ? options.minAgeMs : ORPHAN_MIN_AGE_MS;
+  const now = options.now || Date.now();
+  const referenced = new Set(getOwnedImageUris(articles));
+  const stored = await listStoredImages();
+
+  const files = stored.filter(file => {
+    if (referenced.has(file.uri)) return false;
+    return !file.modificationTime || now - file.modificationTime * 1000 >= minAgeMs;
+  });
+  return {
+    files,
+    totalFiles: stored.length,
+    totalBytes: stored.reduce((sum, file) => sum + file.size, 0),
+    reclaimableBytes: files.reduce((sum, file) => sum + file.size, 0),
+  };
+}
+
+/**
+ * Delete image files that no article references.
+ * @param {Array} articles - Every article in the closet
+ * @param {Object} [options] - See findOrphanedImages
+ * @returns {Promise<{deletedCount: number, reclaimedBytes: number}>}
+ */
+export async function deleteOrphanedImages(articles, options = {}) {
+  const { files } = await findOrphanedImages(articles, options);
+  let deletedCount = 0;
+  let reclaimedBytes = 0;
+  for (const file of files) {
+    if (await deleteLocalImage(file.uri)) {
+      deletedCount += 1;
+      reclaimedBytes += file.size;
+    }
+  }
+  console.log(`[imageStorageService] Garbage collected ${deletedCount} orphaned images (${reclaimedBytes} bytes)`);
+  return { deletedCount, reclaimedBytes };
+}
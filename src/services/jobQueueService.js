@@ -0,0 +1,486 @@
+// jobQueueService.js
+// Durable queue for the GarmentVision pipeline (describe -> generate images -> download images)
+// Jobs are persisted in AsyncStorage after every step, so work survives the app being backgrounded or killed
+// and a network drop only costs the step that was running. App.js resumes the queue on start.
+//
+// Job states:
+//   pending -> describing -> generating -> downloading -> done
+//                    \______________\______________\____-> failed (after MAX_ATTEMPTS, or an error retrying cannot fix)
+// A step that fails is retried with exponential backoff; the job keeps its state and a nextAttemptAt.
+// Failures are recorded as lastError, lastErrorType and lastErrorStage (see pipelineErrors.js).
+// The photo being processed is kept as a file under documentDirectory/jobs/ until the job is removed.
+// Removing a running job aborts its API request, so a cancelled job stops without waiting for OpenAI.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { JOB_QUEUE_KEY } from './constants';
+import { createMutex } from './storageMutex';
+import { describeGarmentImage } from './garmentDescriptionService';
+import { generateGarmentImage } from './garmentImageGenerationService';
+import { PipelineError, PIPELINE_ERROR_TYPES, toPipelineError } from './pipelineErrors';
+import { downloadAndSaveImage } from './imageStorageService';
+import { logError, logWarning, logInfo } from './errorHandlingService';
+import generateUuid from './uuid';
+
+export const JOB_STATES = ['pending', 'describing', 'generating', 'downloading', 'done', 'failed'];
+
+// States the runner still has work for
+const ACTIVE_STATES = ['pending', 'describing', 'generating', 'downloading'];
+
+// Pipeline stage (see pipelineErrors) that a failure in each state belongs to
+const STAGE_BY_STATE = {
+  pending: 'detect',
+  describing: 'detect',
+  generating: 'generate',
+  downloading: 'download',
+};
+
+export const MAX_ATTEMPTS = 4;
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const JOB_DIRECTORY = `${FileSystem.documentDirectory}jobs/`;
+
+// Serializes every read-modify-write of the queue, so the runner, new jobs and removals never lose each other's changes
+const runExclusive = createMutex();
+
+const listeners = new Set();
+// AbortController of each running job, by job id (removeJob aborts it)
+const runningControllers = new Map();
+let queueOptions = {};
+let running = null;
+let rerunRequested = false;
+let wakeTimer = null;
+
+/**
+ * Delay before the next attempt after `attempts` failed attempts: 5s, 10s, 20s... capped at 5 minutes.
+ * @param {number} attempts - Failed attempts so far (1 or more)
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Read all jobs, oldest first, letting read and parse errors through.
+ * @private
+ */
+async function readJobs() {
+  const stored = await AsyncStorage.getItem(JOB_QUEUE_KEY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Read all jobs, oldest first.
+ * @returns {Promise<Array>} Jobs ([] if the queue cannot be read)
+ */
+export async function getJobs() {
+  try {
+    return await readJobs();
+  } catch (e) {
+    logError('[jobQueueService]', 'getJobs error', e);
+    return [];
+  }
+}
+
+/**
+ * Read one job.
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>}
+ */
+export async function getJob(id) {
+  return (await getJobs()).find(job => job.id === id) || null;
+}
+
+/**
+ * Persist the job list and tell subscribers.
+ * @private
+ */
+async function writeJobs(jobs) {
+  await AsyncStorage.setItem(JOB_QUEUE_KEY, JSON.stringify(jobs));
+  listeners.forEach(listener => {
+    try {
+      listener(jobs);
+    } catch (e) {
+      logWarning('[jobQueueService]', `Job listener failed: ${e.message}`);
+    }
+  });
+}
+
+/**
+ * Change the stored job list under the queue's mutex, re-reading it first so concurrent edits are not lost.
+ * A queue that cannot be read is left alone rather than replaced with the change applied to an empty list.
+ * @private
+ * @param {Function} change - Called with the stored jobs; returns the new list, or null to leave the queue as it is
+ * @returns {Promise<void>}
+ * @throws {Error} If the stored queue cannot be read or parsed
+ */
+function updateJobs(change) {
+  return runExclusive(async () => {
+    const next = change(await readJobs());
+    if (next) {
+      await writeJobs(next);
+    }
+  });
+}
+
+/**
+ * Apply changes to a stored job.
+ * @private
+ * @returns {Promise<Object|null>} The updated job, or null if it was removed (e.g. cancelled)
+ */
+async function patchJob(id, changes) {
+  let updated = null;
+  await updateJobs(jobs => {
+    const index = jobs.findIndex(job => job.id === id);
+    if (index === -1) return null;
+    updated = { ...jobs[index], ...changes, updatedAt: new Date().toISOString() };
+    const next = [...jobs];
+    next[index] = updated;
+    return next;
+  });
+  return updated;
+}
+
+/**
+ * Listen for queue changes.
+ * @param {Function} listener - Called with the full job list after every change
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToJobs(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Set options the runner needs that must not be persisted (the OpenAI API key).
+ * @param {Object} options - { openaiApiKey }
+ */
+export function configureJobQueue(options) {
+  queueOptions = { ...queueOptions, ...options };
+}
+
+/**
+ * Queue a photo for the GarmentVision pipeline. The photo is written to the jobs directory so it
+ * survives restarts; call processJobs() to start work.
+ * @param {string} base64Image - JPEG base64 string (no data: prefix)
+ * @returns {Promise<Object>} The new job
+ * @throws {Error} If no image is given or it cannot be stored
+ */
+export async function enqueueGarmentVisionJob(base64Image) {
+  if (!base64Image) {
+    throw new Error('No image provided');
+  }
+  const id = generateUuid();
+  const dirInfo = await FileSystem.getInfoAsync(JOB_DIRECTORY);
+  if (!dirInfo.exists) {
+    await FileSystem.makeDirectoryAsync(JOB_DIRECTORY, { intermediates: true });
+  }
+  const inputUri = `${JOB_DIRECTORY}${id}.jpg`;
+  await FileSystem.writeAsStringAsync(inputUri, base64Image, { encoding: FileSystem.EncodingType.Base64 });
+
+  const now = new Date().toISOString();
+  const job = {
+    id,
+    type: 'garmentVision',
+    state: 'pending',
+    inputUri,
+    items: [],
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+    lastErrorType: null,
+    lastErrorStage: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await updateJobs(jobs => [...jobs, job]);
+  logInfo('[jobQueueService]', `Queued job ${id}`);
+  return job;
+}
+
+/**
+ * Run the remaining steps of a job, saving after each one.
+ * Returns early when the job is removed mid-way.
+ * @private
+ */
+async function runJobSteps(job, signal) {
+  const { openaiApiKey } = queueOptions;
+  if (!openaiApiKey) {
+    throw new PipelineError(PIPELINE_ERROR_TYPES.AUTH, 'Missing OpenAI API key', { stage: 'detect' });
+  }
+  let current = job;
+
+  if (current.state === 'pending' || current.state === 'describing') {
+    current = await patchJob(current.id, { state: 'describing' });
+    if (!current) return null;
+    const base64Image = await FileSystem.readAsStringAsync(current.inputUri, { encoding: FileSystem.EncodingType.Base64 });
+    const items = await describeGarmentImage(base64Image, { openaiApiKey, signal });
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new PipelineError(PIPELINE_ERROR_TYPES.NO_GARMENTS, 'No clothing items detected in the image.', { stage: 'detect' });
+    }
+    current = await patchJob(current.id, { state: 'generating', items });
+    if (!current) return null;
+  }
+
+  if (current.state === 'generating') {
+    for (let index = 0; index < current.items.length; index++) {
+      if (current.items[index].imageUrl) continue;
+      const imageUrl = await generateGarmentImage(current.items[index].description, { openaiApiKey, signal });
+      current = await patchJob(current.id, {
+        items: current.items.map((item, i) => (i === index ? { ...item, imageUrl } : item)),
+      });
+      if (!current) return null;
+    }
+    current = await patchJob(current.id, { state: 'downloading' });
+    if (!current) return null;
+  }
+
+  if (current.state === 'downloading') {
+    for (let index = 0; index < current.items.length; index++) {
+      const item = current.items[index];
+      if (item.localImageUri || !item.imageUrl) continue;
+      const localImageUri = await downloadAndSaveImage(item.imageUrl);
+      current = await patchJob(current.id, {
+        items: current.items.map((entry, i) => (i === index ? { ...entry, localImageUri } : entry)),
+      });
+      if (!current) return null;
+    }
+    current = await patchJob(current.id, {
+      state: 'done',
+      attempts: 0,
+      nextAttemptAt: null,
+      lastError: null,
+      lastErrorType: null,
+      lastErrorStage: null,
+    });
+  }
+
+  return current;
+}
+
+/**
+ * Run one job, recording failures and scheduling its retry.
+ * @private
+ */
+async function runJob(job) {
+  const controller = new AbortController();
+  runningControllers.set(job.id, controller);
+  try {
+    return await runJobSteps(job, controller.signal);
+  } catch (e) {
+    const attempts = (job.attempts || 0) + 1;
+    const latest = await getJob(job.id);
+    const error = toPipelineError(e, STAGE_BY_STATE[(latest || job).state]);
+    // Errors retrying cannot fix (no garments, a rejected API key...) fail the job right away
+    const failed = !error.retryable || attempts >= MAX_ATTEMPTS;
+    logWarning('[jobQueueService]', `Job ${job.id} ${failed ? 'failed' : 'will retry'}: ${error.message}`);
+    if (!latest) return null;
+    return patchJob(job.id, {
+      state: failed ? 'failed' : latest.state,
+      attempts,
+      lastError: error.message,
+      lastErrorType: error.type,
+      lastErrorStage: error.stage,
+      nextAttemptAt: failed ? null : new Date(Date.now() + getRetryDelay(attempts)).toISOString(),
+    });
+  } finally {
+    runningControllers.delete(job.id);
+  }
+}
+
+/**
+ * Whether a job has work to do now.
+ * @private
+ */
+function isDue(job, now) {
+  return ACTIVE_STATES.includes(job.state) && (!job.nextAttemptAt || new Date(job.nextAttemptAt).getTime() <= now);
+}
+
+/**
+ * Wake the runner when the earliest waiting retry is due.
+ * @private
+ */
+function scheduleWake(jobs) {
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+  const retryTimes = jobs
+    .filter(job => ACTIVE_STATES.includes(job.state) && job.nextAttemptAt)
+    .map(job => new Date(job.nextAttemptAt).getTime());
+  if (retryTimes.length === 0) return;
+  const delay = Math.max(Math.min(...retryTimes) - Date.now(), 0);
+  wakeTimer = setTimeout(() => {
+    wakeTimer = null;
+    processJobs();
+  }, delay);
+}
+
+/**
+ * Work through every due job, oldest first, one at a time.
+ * Calling it while the queue is running makes the runner look again once it finishes.
+ * @returns {Promise<void>}
+ */
+export function processJobs() {
+  if (running) {
+    rerunRequested = true;
+    return running;
+  }
+  running = (async () => {
+    let jobs = await getJobs();
+    let next = jobs.find(job => isDue(job, Date.now()));
+    while (next) {
+      await runJob(next);
+      jobs = await getJobs();
+      next = jobs.find(job => isDue(job, Date.now()));
+    }
+    scheduleWake(jobs);
+  })()
+    .catch(e => logError('[jobQueueService]', 'processJobs error', e))
+    .finally(() => {
+      running = null;
+      if (rerunRequested) {
+        rerunRequested = false;
+        processJobs();
+      }
+    });
+  return running;
+}
+
+/**
+ * Resume unfinished jobs, e.g. on app start.
+ * @param {Object} options - { openaiApiKey }
+ * @returns {Promise<void>}
+ */
+export function resumeJobQueue(options) {
+  configureJobQueue(options);
+  return processJobs();
+}
+
+/**
+ * Wait until a job is done or failed.
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} The finished job
+ * @throws {Error} If the job is removed before it finishes
+ */
+export function waitForJob(id) {
+  return new Promise((resolve, reject) => {
+    const check = jobs => {
+      const job = jobs.find(entry => entry.id === id);
+      if (!job) {
+        unsubscribe();
+        reject(new Error('Job was cancelled.'));
+      } else if (job.state === 'done' || job.state === 'failed') {
+        unsubscribe();
+        resolve(job);
+      }
+    };
+    const unsubscribe = subscribeToJobs(check);
+    getJobs().then(check);
+  });
+}
+
+/**
+ * Retry a failed job from the step it failed on.
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} The updated job
+ * @throws {Error} If the job does not exist
+ */
+export async function retryJob(id) {
+  const job = await getJob(id);
+  if (!job) {
+    throw new Error(`Job ${id} not found.`);
+  }
+  const resumeState = job.items.length === 0 ? 'pending' : job.items.some(item => !item.imageUrl) ? 'generating' : 'downloading';
+  const updated = await patchJob(id, {
+    state: job.state === 'failed' ? resumeState : job.state,
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+    lastErrorType: null,
+    lastErrorStage: null,
+  });
+  processJobs();
+  return updated;
+}
+
+/**
+ * Remove a job and its stored photo. A running job has its API request aborted and stops after its current step.
+ * @param {string} id - Job id
+ * @returns {Promise<boolean>} True if a job was removed
+ */
+export async function removeJob(id) {
+  let job = null;
+  await updateJobs(jobs => {
+    job = jobs.find(entry => entry.id === id);
+    return job ? jobs.filter(entry => entry.id !== id) : null;
+  });
+  if (!job) return false;
+  const controller = runningControllers.get(id);
+  if (controller) {
+    controller.abort();
+  }
+  try {
+    await FileSystem.deleteAsync(job.inputUri, { idempotent: true });
+  } catch (e) {
+    logWarning('[jobQueueService]', `Could not delete photo for job ${id}: ${e.message}`);
+  }
+  return true;
+}
+
+/**
+ * Articles from a finished job, ready for verification.
+ * @param {Object} job - A job in the 'done' state
+ * @returns {Array} Articles with description, category, color, imageUrl and localImageUri
+ */
+export function getJobArticles(job) {
+  return job && job.state === 'done' ? job.items.map(item => ({ ...item })) : [];
+}
+
+/**
+ * Image files referenced by unfinished or unreviewed jobs, shaped like articles so the orphan
+ * collector in imageStorageService keeps them.
+ * @returns {Promise<Array<{localImageUri: string}>>}
+ * @throws {Error} If the queue cannot be read (an empty list would let the collector delete job images)
+ */
+export async function getJobImageReferences() {
+  const jobs = await readJobs();
+  return jobs.flatMap(job => job.items.filter(item => item.localImageUri).map(item => ({ localImageUri: item.localImageUri })));
+}
+
+/**
+ * Run the GarmentVision pipeline through the durable queue and wait for its articles.
+ * If the app is closed while waiting, the job finishes after the next start and can be reviewed from the Jobs screen.
+ * @param {string} base64Image - JPEG base64 string (no data: prefix)
+ * @param {Object} options - { openaiApiKey, signal }; aborting the signal removes the job
+ * @returns {Promise<Array>} Detected articles with generated images
+ * @throws {PipelineError} If the job fails or is cancelled
+ */
+export async function runGarmentVisionJob(base64Image, options = {}) {
+  const { openaiApiKey, signal } = options;
+  if (openaiApiKey) {
+    configureJobQueue({ openaiApiKey });
+  }
+  const job = await enqueueGarmentVisionJob(base64Image);
+  const finished = waitForJob(job.id);
+  const cancel = () => removeJob(job.id);
+  if (signal) {
+    if (signal.aborted) cancel();
+    else signal.addEventListener('abort', cancel, { once: true });
+  }
+  processJobs();
+  let result;
+  try {
+    result = await finished;
+  } finally {
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+  if (result.state === 'failed') {
+    throw new PipelineError(result.lastErrorType || PIPELINE_ERROR_TYPES.UNKNOWN, result.lastError || 'Processing failed', {
+      stage: result.lastErrorStage || 'detect',
+    });
+  }
+  await removeJob(job.id);
+  return getJobArticles(result);
+}
@@ -45,3 +45,31 @@ export async function pickImageWithPermission() {
     return { error: 'Failed to pick photo.' };
   }
 }
+
+/**
+ * Launch image picker allowing several photos at once (batch capture).
+ * Photos are returned as file URIs; base64 is not requested to keep memory use down for large batches.
+ * @param {Object} [options]
+ * @param {number} [options.selectionLimit=0] - Maximum photos to pick (0 = no limit)
+ * @returns {Promise<{ imageUris?: Array<string>, error?: string, canceled?: boolean }>}
+ */
+export async function pickImagesWithPermission({ selectionLimit = 0 } = {}) {
+  try {
+    const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (status !== 'granted') {
+      return { error: 'Photo library permission required. Please allow photo library access in your device settings.' };
+    }
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.images,
+      allowsMultipleSelection: true,
+      selectionLimit,
+    });
+    if (result.canceled) return { canceled: true };
+    const imageUris = (result.assets || []).map(asset => asset.uri).filter(Boolean);
+    if (imageUris.length > 0) return { imageUris };
+    return { error: 'No photos were returned.' };
+  } catch (e) {
+    console.error('[mediaService] Failed to pick photos:', e);
+    return { error: 'Failed to pick photos.' };
+  }
+}
@@ -2,18 +2,42 @@
 // Service for handling data migrations and fixes for the Digital Closet app
 // Addresses issues like image persistence and data model changes
 // Updated May 2025: Added wearCount migration
+// Added wear-log seeding from existing wearCount counters
+// Added a referential integrity check between articles, outfits and plans (also run on every start and after imports)
+// Added the move of the closet from AsyncStorage into the SQLite database (see closetRepository)
+//
+// Migrations are numbered and run in order, each exactly once. The highest applied version is stored as
+// the schema version, and each migration's status is stored too. Before a migration runs, the AsyncStorage keys
+// it writes are snapshotted. If it fails, or the app is killed part-way through, the snapshot is restored.
+// Files written by a rolled-back migration (e.g. downloaded images) are left to the orphan clean up in Storage.
+// Migrations up to 4 run while the closet is still in AsyncStorage, so their snapshots cover what they change.
 
-import { getAllArticles, migrateArticlesWearCount } from './galleryService';
+import { getAllArticles, migrateArticlesWearCount, saveLocalImageUris } from './galleryService';
+import { getOutfits, detachArticlesFromOutfits } from './outfitService';
+import { updatePlans } from './outfitPlanService';
+import { hasWearLog, buildSeedWearEvents, saveWearEvents } from './wearLogService';
 import { migrateAllArticleImages } from './imageStorageService';
+import { getClosetRepository, moveClosetToDatabase } from './closetRepository';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { GALLERY_ARTICLES_KEY } from './constants';
+import {
+  GALLERY_ARTICLES_KEY,
+  OUTFITS_KEY,
+  OUTFIT_PLANS_KEY,
+  WEAR_LOG_KEY,
+  CLOSET_STORAGE_KEY,
+  SCHEMA_VERSION_KEY,
+  MIGRATION_STATUS_KEY,
+  MIGRATION_SNAPSHOT_KEY
+} from './constants';
 
 /**
  * Migrate all articles with remote imageUrl to have local image copies
  * This fixes the image persistence issue with expiring OpenAI DALL-E URLs
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only count the articles that would be migrated
  * @returns {Promise<{success: boolean, migratedCount: number, totalCount: number}>}
  */
-export async function migrateRemoteImagesToLocal() {
+export async function migrateRemoteImagesToLocal(options = {}) {
   try {
     console.log('[migrationService] Starting image persistence migration');
     
@@ -32,15 +56,15 @@ export async function migrateRemoteImagesToLocal() {
     
     console.log(`[migrationService] Found ${needsMigration.length} of ${articles.length} articles needing image migration`);
     
-    if (needsMigration.length === 0) {
-      return { success: true, migratedCount: 0, totalCount: articles.length };
+    if (needsMigration.length === 0 || options.dryRun) {
+      return { success: true, migratedCount: needsMigration.length, totalCount: articles.length };
     }
     
     // Migrate all articles
     const migratedArticles = await migrateAllArticleImages(articles);
     
-    // Save the migrated articles back to storage
-    await AsyncStorage.setItem(GALLERY_ARTICLES_KEY, JSON.stringify(migratedArticles));
+    // Save the new local image URIs back to storage
+    await saveLocalImageUris(migratedArticles);
     
     console.log(`[migrationService] Successfully migrated ${needsMigration.length} articles`);
     
@@ -61,41 +85,347 @@ export async function migrateRemoteImagesToLocal() {
 }
 
 /**
- * Run all necessary migrations based on app version
- * This function should be called during app startup
- * @param {string} currentVersion - Current app version
- * @returns {Promise<{success: boolean, migrations: Array}>}
+ * Seed the wear log from the legacy wearCount/lastWorn counters.
+ * Runs only while the wear log has never been written, so existing history is never duplicated.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only count the events that would be seeded
+ * @returns {Promise<{success: boolean, migratedCount: number, totalCount: number}>}
  */
-export async function runMigrations(currentVersion) {
+export async function migrateWearLogFromCounts(options = {}) {
   try {
-    console.log(`[migrationService] Running migrations for version ${currentVersion}`);
+    if (await hasWearLog()) {
+      return { success: true, migratedCount: 0, totalCount: 0 };
+    }
     
-    const completedMigrations = [];
+    console.log('[migrationService] Seeding wear log from existing wear counts');
+    const articles = await getAllArticles({ migrateImages: false });
+    const outfits = await getOutfits();
+    const events = buildSeedWearEvents(articles, outfits);
+    if (options.dryRun) {
+      return { success: true, migratedCount: events.length, totalCount: articles.length + outfits.length };
+    }
     
-    // Migration: Image persistence
-    const imageMigrationResult = await migrateRemoteImagesToLocal();
-    completedMigrations.push({
-      name: 'image-persistence',
-      ...imageMigrationResult
-    });
+    // Write even an empty log so this migration never runs again
+    await saveWearEvents(events);
     
-    // Migration: Add wearCount field to articles
-    const wearCountMigrationResult = await migrateArticlesWearCount();
-    completedMigrations.push({
-      name: 'wear-count',
-      ...wearCountMigrationResult
+    console.log(`[migrationService] Seeded ${events.length} wear events`);
+    return { success: true, migratedCount: events.length, totalCount: articles.length + outfits.length };
+  } catch (error) {
+    console.error('[migrationService] Error seeding wear log:', error);
+    return { 
+      success: false, 
+      error: error.message || String(error),
+      migratedCount: 0, 
+      totalCount: 0 
+    };
+  }
+}
+
+/**
+ * Repair dangling references: article ids that no longer exist are removed from outfits (the outfits themselves
+ * are kept), and plans for deleted outfits are dropped. Older versions deleted articles without updating outfits;
+ * an interrupted delete or a restored backup can still leave such references, so besides running once as a
+ * migration this runs on every start (App.js) and after every backup import.
+ * The closet and plans are read strictly: if either cannot be read, nothing is changed.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only count what would be repaired
+ * @returns {Promise<{success: boolean, migratedCount: number, totalCount: number}>}
+ *   migratedCount is the number of repaired outfits and plans
+ */
+export async function repairReferentialIntegrity(options = {}) {
+  try {
+    const closet = await getClosetRepository().transaction(async tx => {
+      const articleIds = new Set((await tx.getArticles()).map(a => a.id));
+      const outfits = await tx.getOutfits();
+      const danglingIds = [...new Set(
+        outfits.flatMap(o => (Array.isArray(o.articleIds) ? o.articleIds : []))
+          .filter(id => !articleIds.has(id))
+      )];
+      const brokenOutfits = outfits.filter(o => Array.isArray(o.articleIds) && o.articleIds.some(id => !articleIds.has(id)));
+      if (!options.dryRun && danglingIds.length > 0) {
+        await detachArticlesFromOutfits(danglingIds, { tx });
+      }
+      return { outfitIds: new Set(outfits.map(o => o.id)), brokenOutfitCount: brokenOutfits.length, danglingCount: danglingIds.length };
+    });
+
+    // Plans are changed after the closet commit (the closet lock is always taken before the plan lock)
+    let planCount = 0;
+    let orphanedPlanCount = 0;
+    await updatePlans(plans => {
+      const validPlans = plans.filter(p => closet.outfitIds.has(p.outfitId));
+      planCount = plans.length;
+      orphanedPlanCount = plans.length - validPlans.length;
+      return options.dryRun || orphanedPlanCount === 0 ? null : validPlans;
     });
+
+    const repairedCount = closet.brokenOutfitCount + orphanedPlanCount;
+    if (repairedCount > 0 && !options.dryRun) {
+      console.log(`[migrationService] Repaired ${closet.brokenOutfitCount} outfits with ${closet.danglingCount} missing articles and removed ${orphanedPlanCount} orphaned plans`);
+    }
+    return { success: true, migratedCount: repairedCount, totalCount: closet.outfitIds.size + planCount };
+  } catch (error) {
+    console.error('[migrationService] Error repairing references:', error);
+    return { 
+      success: false, 
+      error: error.message || String(error),
+      migratedCount: 0, 
+      totalCount: 0 
+    };
+  }
+}
+
+// Ordered, numbered migrations. Never renumber or remove a migration that has shipped; append new ones.
+// keys: AsyncStorage keys the migration writes, snapshotted before it runs so a failure can be rolled back.
+// up(options): runs the migration, honoring options.dryRun; resolves to { success, migratedCount, totalCount, error? }.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'image-persistence',
+    keys: [GALLERY_ARTICLES_KEY],
+    up: migrateRemoteImagesToLocal,
+  },
+  {
+    version: 2,
+    name: 'wear-count',
+    keys: [GALLERY_ARTICLES_KEY],
+    up: migrateArticlesWearCount,
+  },
+  {
+    // Seeds from the counters, so it must run after wear-count
+    version: 3,
+    name: 'wear-log',
+    keys: [WEAR_LOG_KEY],
+    up: migrateWearLogFromCounts,
+  },
+  {
+    version: 4,
+    name: 'referential-integrity',
+    keys: [OUTFITS_KEY, OUTFIT_PLANS_KEY],
+    up: repairReferentialIntegrity,
+  },
+  {
+    // Needs the database App.js attaches at startup; fails, and is retried next launch, without it.
+    // The copy is one database transaction, so only the storage flag needs a snapshot.
+    version: 5,
+    name: 'closet-database',
+    keys: [CLOSET_STORAGE_KEY],
+    up: moveClosetToDatabase,
+  },
+];
+
+/**
+ * Check that migrations are numbered in increasing order with unique names.
+ * @param {Array} migrations - Migration list
+ * @throws {Error} If the list is malformed
+ */
+export function validateMigrations(migrations) {
+  const names = new Set();
+  migrations.forEach((migration, index) => {
+    if (!Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error(`Migration ${migration.name || index} needs a positive integer version.`);
+    }
+    if (index > 0 && migration.version <= migrations[index - 1].version) {
+      throw new Error(`Migration ${migration.version} is out of order.`);
+    }
+    if (!migration.name || names.has(migration.name)) {
+      throw new Error(`Migration ${migration.version} needs a unique name.`);
+    }
+    if (typeof migration.up !== 'function' || !Array.isArray(migration.keys)) {
+      throw new Error(`Migration ${migration.version} needs keys and an up function.`);
+    }
+    names.add(migration.name);
+  });
+}
+
+/**
+ * Schema version reached by the stored data (0 before any migration ran).
+ * @returns {Promise<number>}
+ */
+export async function getSchemaVersion() {
+  const stored = await AsyncStorage.getItem(SCHEMA_VERSION_KEY);
+  const version = stored ? parseInt(stored, 10) : 0;
+  return Number.isNaN(version) ? 0 : version;
+}
+
+/**
+ * Recorded status of every migration that has run, keyed by version.
+ * @returns {Promise<Object<string, {name: string, status: 'running'|'applied'|'rolled-back', appVersion: string,
+ *   startedAt: string, finishedAt?: string, migratedCount?: number, totalCount?: number, error?: string}>>}
+ */
+export async function getMigrationStatus() {
+  const stored = await AsyncStorage.getItem(MIGRATION_STATUS_KEY);
+  return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * Merge a migration's status entry into the stored statuses.
+ * @private
+ */
+async function recordStatus(migration, entry) {
+  const statuses = await getMigrationStatus();
+  statuses[migration.version] = { ...statuses[migration.version], name: migration.name, ...entry };
+  await AsyncStorage.setItem(MIGRATION_STATUS_KEY, JSON.stringify(statuses));
+}
+
+/**
+ * Save the current values of the keys a migration writes (null for keys that do not exist yet).
+ * @private
+ */
+async function takeSnapshot(migration) {
+  const values = {};
+  for (const key of migration.keys) {
+    values[key] = await AsyncStorage.getItem(key);
+  }
+  const snapshot = { version: migration.version, name: migration.name, takenAt: new Date().toISOString(), values };
+  await AsyncStorage.setItem(MIGRATION_SNAPSHOT_KEY, JSON.stringify(snapshot));
+  return snapshot;
+}
+
+/**
+ * Put the snapshotted values back and discard the snapshot.
+ * @private
+ */
+async function restoreSnapshot(snapshot) {
+  for (const [key, value] of Object.entries(snapshot.values)) {
+    if (value === null || value === undefined) {
+      await AsyncStorage.removeItem(key);
+    } else {
+      await AsyncStorage.setItem(key, value);
+    }
+  }
+  await AsyncStorage.removeItem(MIGRATION_SNAPSHOT_KEY);
+}
+
+/**
+ * A snapshot left behind means the app stopped while a migration was running: roll its partial writes back.
+ * If the migration had already been recorded as applied, the snapshot is simply stale and is dropped.
+ * @private
+ */
+async function recoverInterruptedMigration(appVersion) {
+  const stored = await AsyncStorage.getItem(MIGRATION_SNAPSHOT_KEY);
+  if (!stored) return;
+  const snapshot = JSON.parse(stored);
+  if (snapshot.version <= await getSchemaVersion()) {
+    await AsyncStorage.removeItem(MIGRATION_SNAPSHOT_KEY);
+    return;
+  }
+  console.warn(`[migrationService] Migration ${snapshot.version} (${snapshot.name}) was interrupted; rolling back`);
+  await restoreSnapshot(snapshot);
+  await recordStatus(snapshot, {
+    status: 'rolled-back',
+    appVersion,
+    finishedAt: new Date().toISOString(),
+    error: 'Interrupted before it finished',
+  });
+}
+
+/**
+ * Run one migration, rolling it back from its snapshot if it fails.
+ * @private
+ */
+async function applyMigration(migration, appVersion) {
+  const startedAt = new Date().toISOString();
+  const snapshot = await takeSnapshot(migration);
+  await recordStatus(migration, { status: 'running', appVersion, startedAt, error: null });
+
+  let result;
+  try {
+    result = await migration.up({ dryRun: false });
+    if (!result || result.success === false) {
+      throw new Error((result && result.error) || 'Migration reported a failure');
+    }
+  } catch (error) {
+    const message = error.message || String(error);
+    console.error(`[migrationService] Migration ${migration.version} (${migration.name}) failed; rolling back:`, error);
+    await restoreSnapshot(snapshot);
+    await recordStatus(migration, { status: 'rolled-back', finishedAt: new Date().toISOString(), error: message });
+    return {
+      version: migration.version,
+      name: migration.name,
+      success: false,
+      error: message,
+      migratedCount: 0,
+      totalCount: 0
+    };
+  }
+
+  // Record the new version before dropping the snapshot, so an interruption in between is never rolled back
+  await AsyncStorage.setItem(SCHEMA_VERSION_KEY, String(migration.version));
+  await AsyncStorage.removeItem(MIGRATION_SNAPSHOT_KEY);
+  await recordStatus(migration, {
+    status: 'applied',
+    finishedAt: new Date().toISOString(),
+    migratedCount: result.migratedCount || 0,
+    totalCount: result.totalCount || 0,
+  });
+  return {
+    version: migration.version,
+    name: migration.name,
+    success: true,
+    migratedCount: result.migratedCount || 0,
+    totalCount: result.totalCount || 0
+  };
+}
+
+/**
+ * Run the migrations the stored data has not had yet, in order, each once.
+ * Stops at the first failure (later migrations may depend on it); the failed one is rolled back and retried next launch.
+ * This function should be called during app startup
+ * @param {string} currentVersion - Current app version, recorded with each migration's status
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what each pending migration would change without writing anything.
+ *   Every migration is measured against the current data, as if the ones before it had not run.
+ * @param {Array} [options.migrations=MIGRATIONS] - Migration list (for tests)
+ * @returns {Promise<{success: boolean, dryRun: boolean, schemaVersion: number, migrations: Array, error?: string}>}
+ *   migrations holds { version, name, success, migratedCount, totalCount, error? } for each migration attempted
+ */
+export async function runMigrations(currentVersion, options = {}) {
+  const { dryRun = false, migrations = MIGRATIONS } = options;
+  try {
+    validateMigrations(migrations);
+    if (!dryRun) {
+      await recoverInterruptedMigration(currentVersion);
+    }
     
-    // Add more migrations here as needed
+    let schemaVersion = await getSchemaVersion();
+    const pending = migrations.filter(migration => migration.version > schemaVersion);
+    console.log(`[migrationService] App ${currentVersion}: schema version ${schemaVersion}, ${pending.length} pending migrations${dryRun ? ' (dry run)' : ''}`);
+    
+    const results = [];
+    for (const migration of pending) {
+      let result;
+      if (dryRun) {
+        const report = await migration.up({ dryRun: true });
+        result = { version: migration.version, name: migration.name, ...report };
+      } else {
+        result = await applyMigration(migration, currentVersion);
+      }
+      results.push(result);
+      if (!result.success) {
+        return {
+          success: false,
+          dryRun,
+          schemaVersion,
+          error: `Migration ${migration.version} (${migration.name}) failed: ${result.error}`,
+          migrations: results
+        };
+      }
+      if (!dryRun) {
+        schemaVersion = migration.version;
+      }
+    }
     
     return {
       success: true,
-      migrations: completedMigrations
+      dryRun,
+      schemaVersion,
+      migrations: results
     };
   } catch (error) {
     console.error('[migrationService] Error running migrations:', error);
     return {
       success: false,
+      dryRun,
       error: error.message || String(error),
       migrations: []
     };
@@ -0,0 +1,76 @@
+// mockDetectionService.js
+// Offline detection provider that returns the same fixture articles for any photo
+// Registered as 'mock' in detectionProviders.js so the capture -> verification -> gallery flow
+// can be exercised without network access or API keys.
+// Fixture images are tiny inline PNGs (data: URIs), so nothing is downloaded or written to disk.
+
+// 8x8 solid-colour PNGs, one per fixture garment
+const FIXTURE_IMAGES = {
+  jacket: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAAEUlEQVR42mOwju7BihiGlgQAQCxIgR9QK0EAAAAASUVORK5CYII=',
+  shirt: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAAEUlEQVR42mN48eQOVsQwtCQAb6aqAcYrqDsAAAAASUVORK5CYII=',
+  jeans: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAAEUlEQVR42mPQt4vBihiGlgQAl6UyQbhDqlQAAAAASUVORK5CYII=',
+  sneakers: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAAD0lEQVR42mNQwgEYhpYEAPdPGYHsPFwdAAAAAElFTkSuQmCC',
+};
+
+// Detection results in the same shape as clarifaiService / openaiVisionService
+export const MOCK_FIXTURE_ARTICLES = [
+  {
+    name: 'jacket',
+    description: 'Navy denim jacket',
+    color: 'navy',
+    confidence: 0.97,
+    boundingBox: { top_row: 0.05, left_col: 0.1, bottom_row: 0.45, right_col: 0.9 },
+    imageUri: FIXTURE_IMAGES.jacket,
+  },
+  {
+    name: 'shirt',
+    description: 'Cream oxford shirt',
+    color: 'cream',
+    confidence: 0.93,
+    boundingBox: { top_row: 0.1, left_col: 0.2, bottom_row: 0.5, right_col: 0.8 },
+    imageUri: FIXTURE_IMAGES.shirt,
+  },
+  {
+    name: 'jeans',
+    description: 'Dark wash jeans',
+    color: 'indigo',
+    confidence: 0.91,
+    boundingBox: { top_row: 0.45, left_col: 0.25, bottom_row: 0.85, right_col: 0.75 },
+    imageUri: FIXTURE_IMAGES.jeans,
+  },
+  {
+    name: 'sneakers',
+    description: 'Black leather sneakers',
+    color: 'black',
+    confidence: 0.88,
+    boundingBox: { top_row: 0.85, left_col: 0.3, bottom_row: 0.98, right_col: 0.7 },
+    imageUri: FIXTURE_IMAGES.sneakers,
+  },
+];
+
+/**
+ * Return the fixture articles for any input image.
+ * @param {string} imageUri - Ignored; any photo produces the same results
+ * @returns {Promise<Array<{name: string, description: string, color: string, confidence: number,
+ *   boundingBox: Object, imageUri: string}>>} Fresh copies of the fixtures
+ */
+export async function detectMockArticles(imageUri) {
+  return MOCK_FIXTURE_ARTICLES.map(article => ({
+    ...article,
+    boundingBox: { ...article.boundingBox },
+  }));
+}
+
+/**
+ * "Crop" selected articles by attaching their fixture image, mirroring cropArticlesFromImage
+ * without touching the original photo.
+ * @param {string} imageUri - Original image URI (unused)
+ * @param {Array} articles - Selected articles
+ * @returns {Promise<Array>} Articles with croppedImageUri set
+ */
+export async function cropMockArticles(imageUri, articles) {
+  return articles.map(article => ({
+    ...article,
+    croppedImageUri: FIXTURE_IMAGES[article.name] || article.imageUri,
+  }));
+}
@@ -1,15 +1,21 @@
 // openaiVisionService.js
 // Provider for clothing detection using OpenAI Vision (e.g., GPT-4o).
+// Registered as the 'openai' provider in detectionProviders.js.
 // Returns: [{ id, name, confidence, boundingBox }].
 
 import { OPENAI_API_KEY } from '@env';
+import { requestJson } from './httpClient';
+import { PipelineError, PIPELINE_ERROR_TYPES } from './pipelineErrors';
 
 /**
  * Detect clothing articles in an image using OpenAI Vision.
  * @param {string} imageUri - Local URI to the image file
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the API request
  * @returns {Promise<Array<{ id, name, confidence, boundingBox }>>}
+ * @throws {HttpError} If the OpenAI request fails (see httpClient)
  */
-export async function separateClothingItemsWithOpenAI(imageUri) {
+export async function separateClothingItemsWithOpenAI(imageUri, options = {}) {
   // Convert the local file to base64
   let base64Image;
   try {
@@ -45,35 +51,22 @@ export async function separateClothingItemsWithOpenAI(imageUri) {
     ],
   };
 
-  // Call OpenAI API
-  let result;
+  // Call OpenAI API (timeouts, retries and error shape handled by httpClient)
+  let data;
   try {
-    result = await fetch(apiUrl, {
+    data = await requestJson(apiUrl, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json',
         'Authorization': `Bearer ${OPENAI_API_KEY}`,
       },
-      body: JSON.stringify(payload),
+      json: payload,
+      signal: options.signal,
+      label: 'OpenAI Vision',
     });
-  } catch (e) {
-    if (__DEV__) console.error('[openaiVisionService] Network or fetch error:', e);
-    throw new Error('OpenAI Vision API network error: ' + e.message);
-  }
-
-  if (!result.ok) {
-    const errorText = await result.text();
-    if (__DEV__) console.error('[openaiVisionService] OpenAI API returned error:', errorText);
-    throw new Error('OpenAI Vision API error: ' + errorText);
-  }
-
-  let data;
-  try {
-    data = await result.json();
     if (__DEV__) console.log('[openaiVisionService] OpenAI API response:', data);
   } catch (e) {
-    if (__DEV__) console.error('[openaiVisionService] Failed to parse OpenAI API JSON:', e);
-    throw new Error('Failed to parse OpenAI Vision API response JSON: ' + e.message);
+    if (__DEV__) console.error('[openaiVisionService] OpenAI API request failed:', e);
+    throw e;
   }
 
   let articles = [];
@@ -99,7 +92,7 @@ export async function separateClothingItemsWithOpenAI(imageUri) {
     articles = JSON.parse(cleanedText);
   } catch (e) {
     if (__DEV__) console.error('[openaiVisionService] Failed to extract/parse OpenAI output:', rawText, e);
-    throw new Error('Failed to parse OpenAI Vision response: ' + e.message);
+    throw new PipelineError(PIPELINE_ERROR_TYPES.PARSE, 'Failed to parse OpenAI Vision response: ' + e.message, { stage: 'detect', cause: e });
   }
 
   // Add fallback IDs if missing
@@ -0,0 +1,218 @@
+// outfitPlanService.js
+// Service for planning outfits on calendar days
+// Plans are stored offline in AsyncStorage; marking a plan as worn goes through
+// outfitService.markOutfitAsWorn so counters and the wear log stay in sync.
+// Plan changes go through updatePlans(), which serializes them. It may be called while the closet lock is held
+// (backup import does), so work inside it must never wait for a closet transaction.
+//
+// Plan shape:
+//   { id, outfitId, date: 'YYYY-MM-DD', createdAt: ISO string, wornEventId: string|null }
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { OUTFIT_PLANS_KEY } from './constants';
+import { createMutex } from './storageMutex';
+import uuid from './uuid';
+import { markOutfitAsWorn } from './outfitService';
+import { getWearEvents } from './wearLogService';
+import { todayKey } from './calendarService';
+import { logError, logInfo } from './errorHandlingService';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const runExclusive = createMutex();
+
+// Plans markPlanAsWorn is recording a wear for; claimed under the plan lock and released when it finishes or fails
+const plansBeingMarked = new Set();
+
+/**
+ * Read all plans from storage.
+ * @returns {Promise<Array>}
+ */
+async function readPlans() {
+  const stored = await AsyncStorage.getItem(OUTFIT_PLANS_KEY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Replace all stored plans.
+ * @param {Array} plans - Plans to store
+ * @returns {Promise<void>}
+ */
+export async function savePlans(plans) {
+  await AsyncStorage.setItem(OUTFIT_PLANS_KEY, JSON.stringify(plans));
+}
+
+/**
+ * Change the stored plans one writer at a time, re-reading them first so concurrent edits are not lost.
+ * @param {Function} change - Called with the stored plans; returns (or resolves with) the new list,
+ *   or null to leave the plans as they are
+ * @returns {Promise<Array|null>} The plans written, or null if nothing was written
+ */
+export function updatePlans(change) {
+  return runExclusive(async () => {
+    const next = await change(await readPlans());
+    if (next) {
+      await savePlans(next);
+    }
+    return next || null;
+  });
+}
+
+/**
+ * Get outfit plans, ordered by date.
+ * @param {Object} [filter]
+ * @param {string} [filter.from] - Inclusive YYYY-MM-DD lower bound
+ * @param {string} [filter.to] - Inclusive YYYY-MM-DD upper bound
+ * @returns {Promise<Array>} Matching plans (empty on error)
+ */
+export async function getPlans(filter = {}) {
+  try {
+    const plans = await readPlans();
+    return plans
+      .filter(p => (!filter.from || p.date >= filter.from) && (!filter.to || p.date <= filter.to))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  } catch (e) {
+    logError('[outfitPlanService]', 'getPlans error', e);
+    return [];
+  }
+}
+
+/**
+ * Plan an outfit for today or a future date.
+ * @param {string} outfitId - Outfit to plan
+ * @param {string} date - Day to wear it (YYYY-MM-DD)
+ * @returns {Promise<Object>} The stored plan
+ * @throws {Error} If the date is invalid or in the past
+ */
+export async function planOutfit(outfitId, date) {
+  if (!outfitId) {
+    throw new Error('Choose an outfit to plan.');
+  }
+  if (!DATE_KEY_PATTERN.test(date || '')) {
+    throw new Error('Plan date must be YYYY-MM-DD.');
+  }
+  if (date < todayKey()) {
+    throw new Error('Outfits can only be planned for today or a future date.');
+  }
+  const plan = {
+    id: uuid(),
+    outfitId,
+    date,
+    createdAt: new Date().toISOString(),
+    wornEventId: null,
+  };
+  try {
+    await updatePlans(plans => [...plans, plan]);
+    logInfo('[outfitPlanService]', `Planned outfit ${outfitId} for ${date}`);
+    return plan;
+  } catch (e) {
+    logError('[outfitPlanService]', 'planOutfit error', e);
+    throw e;
+  }
+}
+
+/**
+ * Remove a plan.
+ * @param {string} planId - ID of the plan
+ * @returns {Promise<boolean>} True if a plan was removed
+ */
+export async function removePlan(planId) {
+  try {
+    const remaining = await updatePlans(plans => {
+      const kept = plans.filter(p => p.id !== planId);
+      return kept.length === plans.length ? null : kept;
+    });
+    return remaining !== null;
+  } catch (e) {
+    logError('[outfitPlanService]', 'removePlan error', e);
+    throw e;
+  }
+}
+
+/**
+ * Remove every plan for some outfits (used when outfits are deleted).
+ * @param {Array<string>} outfitIds - IDs of the deleted outfits
+ * @returns {Promise<number>} Number of plans removed
+ */
+export async function removePlansForOutfits(outfitIds) {
+  const ids = new Set(outfitIds);
+  let removedCount = 0;
+  await updatePlans(plans => {
+    const kept = plans.filter(p => !ids.has(p.outfitId));
+    removedCount = plans.length - kept.length;
+    return removedCount > 0 ? kept : null;
+  });
+  if (removedCount > 0) {
+    logInfo('[outfitPlanService]', `Removed ${removedCount} plans for deleted outfits`);
+  }
+  return removedCount;
+}
+
+/**
+ * Mark a planned outfit as worn on its planned day.
+ * The plan is claimed under the plan lock first, so a second call for the same plan (a double tap) while the
+ * first is still recording the wear is turned away instead of recording it twice.
+ * @param {string} planId - ID of the plan
+ * @returns {Promise<{success: boolean, plan?: Object, outfit?: Object, event?: Object, error?: string}>}
+ */
+export async function markPlanAsWorn(planId) {
+  try {
+    let plan = null;
+    let claimed = false;
+    await updatePlans(plans => {
+      plan = plans.find(p => p.id === planId) || null;
+      claimed = !!plan && !plansBeingMarked.has(planId);
+      if (claimed) {
+        plansBeingMarked.add(planId);
+      }
+      return null;
+    });
+    if (!plan) {
+      return { success: false, error: 'Plan not found' };
+    }
+    if (!claimed) {
+      return { success: false, error: 'This plan is already being marked as worn' };
+    }
+    try {
+      return await wearClaimedPlan(plan);
+    } finally {
+      plansBeingMarked.delete(planId);
+    }
+  } catch (e) {
+    logError('[outfitPlanService]', 'markPlanAsWorn error', e);
+    return { success: false, error: e.message || String(e) };
+  }
+}
+
+/**
+ * Record the wear for a plan claimed by markPlanAsWorn.
+ * @private
+ */
+async function wearClaimedPlan(plan) {
+  if (plan.wornEventId) {
+    // Allow re-marking only if the earlier wear was undone
+    const events = await getWearEvents({ outfitId: plan.outfitId });
+    if (events.some(e => e.id === plan.wornEventId)) {
+      return { success: false, error: 'This plan was already marked as worn' };
+    }
+  }
+  if (plan.date > todayKey()) {
+    return { success: false, error: 'A planned outfit can be marked as worn once its day arrives' };
+  }
+
+  const result = await markOutfitAsWorn(plan.outfitId, { wornAt: plan.date });
+  if (!result.success || !result.event) {
+    return { success: false, error: result.error || 'Outfit has no articles to wear' };
+  }
+
+  // Plans may have changed while the outfit was marked: re-read them and patch only this one
+  // (a plan removed meanwhile stays removed)
+  let updatedPlan = { ...plan, wornEventId: result.event.id };
+  await updatePlans(plans => {
+    const current = plans.find(p => p.id === plan.id);
+    if (!current) return null;
+    updatedPlan = { ...current, wornEventId: result.event.id };
+    return plans.map(p => (p.id === plan.id ? updatedPlan : p));
+  });
+  return { success: true, plan: updatedPlan, outfit: result.outfit, event: result.event };
+}
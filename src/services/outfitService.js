@@ -1,20 +1,22 @@
 // outfitService.js
 // Service module for managing outfits in Digital Closet
-// Handles all AsyncStorage operations and business logic for outfits
+// Handles the business logic for outfits; storage goes through closetRepository, whose commits reach the
+// screens through the closet store (closetStore.js)
 // Updated May 2025: Added functionality to track outfit usage
+// Wear history lives in wearLogService; outfit wearCount/lastWorn are derived from it
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import uuid from 'react-native-uuid';
 import { incrementWearCount } from './galleryService';
-
-const OUTFITS_KEY = 'OUTFITS';
+import { addWearEvent, removeWearEvent, deriveWearStats } from './wearLogService';
+import { getClosetRepository } from './closetRepository';
+import { removePlansForOutfits } from './outfitPlanService';
 
 /**
  * Save a new outfit to storage.
  * @param {Object} params
  * @param {string} params.name - Name of the outfit
  * @param {Array} params.articles - Array of article objects
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} The saved outfit
  * @throws {Error} if saving fails
  */
 export async function saveOutfit({ name, articles }) {
@@ -25,23 +27,15 @@ export async function saveOutfit({ name, articles }) {
   if (!trimmedName) {
     throw new Error('Outfit name cannot be empty.');
   }
-  let existing = [];
-  try {
-    const stored = await AsyncStorage.getItem(OUTFITS_KEY);
-    if (stored) {
-      existing = JSON.parse(stored);
-    }
-  } catch (parseErr) {
-    // If parsing fails, start fresh
-    existing = [];
-  }
   const newOutfit = {
     id: uuid.v4(),
     name: trimmedName,
     articleIds: articles.map((a) => a.id),
     createdAt: new Date().toISOString(),
   };
-  await AsyncStorage.setItem(OUTFITS_KEY, JSON.stringify([newOutfit, ...existing]));
+  // Newest outfits come first
+  await getClosetRepository().putOutfits([newOutfit], { prepend: true });
+  return newOutfit;
 }
 
 /**
@@ -51,9 +45,8 @@ export async function saveOutfit({ name, articles }) {
 export async function getOutfits() {
   try {
     console.log('[outfitService] Getting outfits from storage');
-    const stored = await AsyncStorage.getItem(OUTFITS_KEY);
-    if (stored) {
-      const outfits = JSON.parse(stored);
+    const outfits = await getClosetRepository().getOutfits();
+    if (outfits.length > 0) {
       console.log(`[outfitService] Found ${outfits.length} outfits in storage`);
       return outfits;
     }
@@ -66,71 +59,71 @@ export async function getOutfits() {
 }
 
 /**
- * Remove an outfit by id.
+ * Remove an outfit by id, with its plans.
+ * Plans are removed once the outfit is gone; any left behind by a failure are dropped by the startup
+ * integrity check (migrationService.repairReferentialIntegrity).
  * @param {string} id - Outfit ID
  * @returns {Promise<void>}
  */
 export async function removeOutfit(id) {
   try {
-    const stored = await AsyncStorage.getItem(OUTFITS_KEY);
-    let outfits = stored ? JSON.parse(stored) : [];
-    outfits = outfits.filter((o) => o.id !== id);
-    await AsyncStorage.setItem(OUTFITS_KEY, JSON.stringify(outfits));
+    await getClosetRepository().deleteOutfits([id]);
+    await removePlansForOutfits([id]);
   } catch (e) {
     console.error('[outfitService] Failed to remove outfit:', e);
   }
 }
 
 /**
- * Mark an outfit as worn, incrementing the wearCount for all articles in the outfit
+ * Mark an outfit as worn: records a wear event and increments the wearCount for all articles in the outfit
  * @param {string} outfitId - ID of the outfit that was worn
- * @returns {Promise<{success: boolean, articlesUpdated: number}>}
+ * @param {Object} [options]
+ * @param {Date|string} [options.wornAt] - When it was worn (defaults to now; pass a past date to backfill)
+ * @returns {Promise<{success: boolean, articlesUpdated: number, outfit?: Object, event?: Object}>}
  */
-export async function markOutfitAsWorn(outfitId) {
+export async function markOutfitAsWorn(outfitId, options = {}) {
   try {
     console.log(`[outfitService] Marking outfit ${outfitId} as worn`);
     
-    // Get the outfit
-    const outfits = await getOutfits();
-    const outfit = outfits.find(o => o.id === outfitId);
+    // The wear event, the article counters derived from it and the outfit's counters are committed together
+    const worn = await getClosetRepository().transaction(async tx => {
+      const [outfit] = await tx.getOutfitsById([outfitId]);
+      if (!outfit || !outfit.articleIds || !outfit.articleIds.length) {
+        return { outfit };
+      }
+      const { articleIds } = outfit;
+      const event = await addWearEvent({ articleIds, outfitId, wornAt: options.wornAt }, { tx });
+      await incrementWearCount(articleIds, { wornAt: event.wornAt, recordEvent: false, tx });
+      // lastWorn only moves forward when backfilling
+      const updated = {
+        ...outfit,
+        lastWorn: outfit.lastWorn && outfit.lastWorn > event.wornAt ? outfit.lastWorn : event.wornAt,
+        wearCount: (outfit.wearCount || 0) + 1
+      };
+      await tx.updateOutfits([updated]);
+      return { outfit: updated, event };
+    });
     
-    if (!outfit) {
+    if (!worn.outfit) {
       console.error(`[outfitService] Outfit with ID ${outfitId} not found`);
       return { success: false, articlesUpdated: 0, error: 'Outfit not found' };
     }
     
-    // Get the article IDs from the outfit
-    const { articleIds } = outfit;
-    
-    if (!articleIds || !articleIds.length) {
+    if (!worn.event) {
       console.warn(`[outfitService] Outfit ${outfitId} has no articles`);
       return { success: true, articlesUpdated: 0 };
     }
     
-    // Increment wear count for all articles in the outfit
-    await incrementWearCount(articleIds);
-    
-    // Update the outfit's lastWorn date (for potential future use)
-    const updatedOutfits = outfits.map(o => {
-      if (o.id === outfitId) {
-        return {
-          ...o,
-          lastWorn: new Date().toISOString(),
-          wearCount: (o.wearCount || 0) + 1
-        };
-      }
-      return o;
-    });
-    
-    // Save the updated outfits
-    await AsyncStorage.setItem(OUTFITS_KEY, JSON.stringify(updatedOutfits));
+    const { outfit: updatedOutfit, event } = worn;
+    const { articleIds } = updatedOutfit;
     
     console.log(`[outfitService] Successfully marked outfit ${outfitId} as worn, updated ${articleIds.length} articles`);
     
     return { 
       success: true, 
       articlesUpdated: articleIds.length,
-      outfit: updatedOutfits.find(o => o.id === outfitId)
+      outfit: updatedOutfit,
+      event
     };
   } catch (error) {
     console.error('[outfitService] Error marking outfit as worn:', error);
@@ -141,3 +134,295 @@ export async function markOutfitAsWorn(outfitId) {
     };
   }
 }
+
+/**
+ * Recompute wearCount and lastWorn for every article and outfit from the wear log.
+ * The log is read and the counters written in one transaction, so a wear recorded meanwhile is never dropped.
+ * @returns {Promise<{articles: Array, outfits: Array}>} Updated articles and outfits
+ */
+export async function syncWearStatsFromLog() {
+  return getClosetRepository().transaction(async tx => {
+    const stats = deriveWearStats(await tx.getWearEvents());
+    const withStats = (items, statsById) => items.map(item => {
+      const itemStats = statsById[item.id] || { wearCount: 0, lastWorn: null };
+      return { ...item, wearCount: itemStats.wearCount, lastWorn: itemStats.lastWorn };
+    });
+    
+    const articles = withStats(await tx.getArticles(), stats.articles);
+    const outfits = withStats(await tx.getOutfits(), stats.outfits);
+    await tx.putArticles(articles);
+    await tx.putOutfits(outfits);
+    return { articles, outfits };
+  });
+}
+
+/**
+ * Delete a wear event (e.g. undo a mistaken "I wore this") and re-derive all wear counters.
+ * @param {string} eventId - ID of the wear event
+ * @returns {Promise<{success: boolean, outfit?: Object, error?: string}>}
+ */
+export async function deleteWearEvent(eventId) {
+  try {
+    const removed = await removeWearEvent(eventId);
+    if (!removed) {
+      return { success: false, error: 'Wear event not found' };
+    }
+    const { outfits } = await syncWearStatsFromLog();
+    console.log(`[outfitService] Deleted wear event ${eventId}`);
+    return {
+      success: true,
+      outfit: removed.outfitId ? outfits.find(o => o.id === removed.outfitId) : undefined
+    };
+  } catch (error) {
+    console.error('[outfitService] Error deleting wear event:', error);
+    return { success: false, error: error.message || String(error) };
+  }
+}
+
+/**
+ * Stamp every outfit that references an article with a new updatedAt,
+ * so outfit views know to re-read the edited article.
+ * @param {string} articleId - ID of the article that changed
+ * @param {string} [timestamp] - ISO timestamp to record (defaults to now)
+ * @param {Object} [options]
+ * @param {Object} [options.tx] - Closet transaction to join, so the outfits are stamped in the same commit as the
+ *   article change
+ * @returns {Promise<number>} Number of outfits updated
+ */
+export async function touchOutfitsForArticle(articleId, timestamp = new Date().toISOString(), options = {}) {
+  const touchedCount = await (options.tx || getClosetRepository()).transaction(async tx => {
+    const touched = (await tx.getOutfitsWithArticles([articleId])).map(o => ({ ...o, updatedAt: timestamp }));
+    if (touched.length > 0) {
+      await tx.updateOutfits(touched);
+    }
+    return touched.length;
+  });
+
+  if (touchedCount > 0) {
+    console.log(`[outfitService] Touched ${touchedCount} outfits referencing article ${articleId}`);
+  }
+  return touchedCount;
+}
+
+/**
+ * Validate an outfit's article id list: non-empty, strings only, no duplicates.
+ * @private
+ */
+function validateArticleIds(articleIds) {
+  if (!Array.isArray(articleIds) || articleIds.length === 0) {
+    throw new Error('An outfit needs at least 1 article.');
+  }
+  if (articleIds.some(id => typeof id !== 'string' || !id)) {
+    throw new Error('Article ids must be non-empty strings.');
+  }
+  if (new Set(articleIds).size !== articleIds.length) {
+    throw new Error('An article can only appear once in an outfit.');
+  }
+}
+
+/**
+ * Update an outfit's name and/or articles in place.
+ * The outfit keeps its id, createdAt and wear history (wearCount, lastWorn and wear log events).
+ * @param {string} outfitId - ID of the outfit to update
+ * @param {Object} patch
+ * @param {string} [patch.name] - New name
+ * @param {Array<string>} [patch.articleIds] - New ordered list of article ids
+ * @returns {Promise<Object>} The updated outfit
+ * @throws {Error} if the outfit does not exist or the patch is invalid
+ */
+export async function updateOutfit(outfitId, patch = {}) {
+  const updates = {};
+  if (patch.name !== undefined) {
+    const trimmedName = typeof patch.name === 'string' ? patch.name.trim() : '';
+    if (!trimmedName) {
+      throw new Error('Outfit name cannot be empty.');
+    }
+    updates.name = trimmedName;
+  }
+  if (patch.articleIds !== undefined) {
+    validateArticleIds(patch.articleIds);
+    updates.articleIds = [...patch.articleIds];
+  }
+
+  const updated = await changeOutfit(outfitId, () => updates);
+  console.log(`[outfitService] Updated outfit ${outfitId}`);
+  return updated;
+}
+
+/**
+ * Read an outfit, work out its changes and save them in one transaction,
+ * so concurrent edits of the same outfit apply one after the other.
+ * @private
+ * @param {string} outfitId - ID of the outfit
+ * @param {Function} change - (outfit) => fields to update; throw to leave the outfit unchanged
+ * @returns {Promise<Object>} The updated outfit
+ */
+async function changeOutfit(outfitId, change) {
+  return getClosetRepository().transaction(async tx => {
+    const [outfit] = await tx.getOutfitsById([outfitId]);
+    if (!outfit) {
+      throw new Error(`Outfit ${outfitId} not found.`);
+    }
+    const updated = { ...outfit, ...change(outfit), updatedAt: new Date().toISOString() };
+    await tx.updateOutfits([updated]);
+    return updated;
+  });
+}
+
+/**
+ * Add articles to the end of an outfit; ids already in the outfit are ignored.
+ * @param {string} outfitId - ID of the outfit
+ * @param {Array<string>} articleIds - Article ids to add
+ * @returns {Promise<Object>} The updated outfit
+ */
+export async function addArticlesToOutfit(outfitId, articleIds) {
+  return changeOutfit(outfitId, outfit => {
+    const current = outfit.articleIds || [];
+    const additions = (articleIds || []).filter((id, index, ids) =>
+      !current.includes(id) && ids.indexOf(id) === index);
+    const next = [...current, ...additions];
+    validateArticleIds(next);
+    return { articleIds: next };
+  });
+}
+
+/**
+ * Remove an article from an outfit. The last article cannot be removed; delete the outfit instead.
+ * @param {string} outfitId - ID of the outfit
+ * @param {string} articleId - Article id to remove
+ * @returns {Promise<Object>} The updated outfit
+ */
+export async function removeArticleFromOutfit(outfitId, articleId) {
+  return changeOutfit(outfitId, outfit => {
+    const current = outfit.articleIds || [];
+    if (!current.includes(articleId)) {
+      throw new Error(`Article ${articleId} is not in this outfit.`);
+    }
+    const next = current.filter(id => id !== articleId);
+    validateArticleIds(next);
+    return { articleIds: next };
+  });
+}
+
+/**
+ * Reorder an outfit's articles.
+ * @param {string} outfitId - ID of the outfit
+ * @param {Array<string>} articleIds - The outfit's article ids in their new order
+ * @returns {Promise<Object>} The updated outfit
+ * @throws {Error} if articleIds is not a reordering of the outfit's current articles
+ */
+export async function reorderOutfitArticles(outfitId, articleIds) {
+  return changeOutfit(outfitId, outfit => {
+    const current = outfit.articleIds || [];
+    const sameArticles = Array.isArray(articleIds) &&
+      articleIds.length === current.length &&
+      current.every(id => articleIds.includes(id));
+    if (!sameArticles) {
+      throw new Error('Reordering must keep exactly the same articles.');
+    }
+    validateArticleIds(articleIds);
+    return { articleIds: [...articleIds] };
+  });
+}
+
+/**
+ * Move one article id to a new position in a list (pure helper for reorder UIs).
+ * @param {Array<string>} articleIds - Current order
+ * @param {number} fromIndex - Index of the article to move
+ * @param {number} toIndex - Target index (clamped to the list bounds)
+ * @returns {Array<string>} A new array in the new order
+ */
+export function moveArticleId(articleIds, fromIndex, toIndex) {
+  const next = [...articleIds];
+  if (fromIndex < 0 || fromIndex >= next.length) return next;
+  const target = Math.max(0, Math.min(next.length - 1, toIndex));
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(target, 0, moved);
+  return next;
+}
+
+/**
+ * Duplicate an outfit as a starting point for a variation.
+ * The copy gets a new id and starts with no wear history.
+ * @param {string} outfitId - ID of the outfit to copy
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name for the copy (defaults to "<name> (copy)")
+ * @returns {Promise<Object>} The new outfit
+ */
+export async function duplicateOutfit(outfitId, options = {}) {
+  const outfit = (await getOutfits()).find(o => o.id === outfitId);
+  if (!outfit) {
+    throw new Error(`Outfit ${outfitId} not found.`);
+  }
+  const name = (options.name !== undefined ? String(options.name) : `${outfit.name} (copy)`).trim();
+  if (!name) {
+    throw new Error('Outfit name cannot be empty.');
+  }
+
+  const copy = {
+    id: uuid.v4(),
+    name,
+    articleIds: [...(outfit.articleIds || [])],
+    createdAt: new Date().toISOString(),
+    duplicatedFrom: outfit.id,
+  };
+  await getClosetRepository().putOutfits([copy], { prepend: true });
+  console.log(`[outfitService] Duplicated outfit ${outfitId} as ${copy.id}`);
+  return copy;
+}
+
+/**
+ * Find the outfits that reference any of the given articles.
+ * @param {Array<string>} articleIds - Article ids about to be deleted
+ * @returns {Promise<{outfits: Array, emptiedOutfits: Array}>} Outfits using the articles, and the
+ *   subset that would be left with no articles if they were removed
+ */
+export async function getOutfitsUsingArticles(articleIds) {
+  const idSet = new Set(articleIds || []);
+  const outfits = (await getOutfits()).filter(o =>
+    Array.isArray(o.articleIds) && o.articleIds.some(id => idSet.has(id)));
+  return {
+    outfits,
+    emptiedOutfits: outfits.filter(o => o.articleIds.every(id => idSet.has(id))),
+  };
+}
+
+/**
+ * Remove article ids from every outfit that references them (cascade for article deletion).
+ * @param {Array<string>} articleIds - Article ids to remove
+ * @param {Object} [options]
+ * @param {boolean} [options.deleteEmptyOutfits=false] - Delete outfits left with no articles
+ *   (otherwise they are kept, empty, so the user can add new articles to them)
+ * @param {Object} [options.tx] - Closet transaction to join, so the outfits change in the same commit as the
+ *   caller's other writes (e.g. deleting the articles); without it the outfits are committed on their own
+ * @returns {Promise<{updatedOutfitIds: Array<string>, deletedOutfitIds: Array<string>}>}
+ */
+export async function detachArticlesFromOutfits(articleIds, options = {}) {
+  const idSet = new Set(articleIds || []);
+  const updatedOutfits = [];
+  const deletedOutfitIds = [];
+  const timestamp = new Date().toISOString();
+
+  await (options.tx || getClosetRepository()).transaction(async tx => {
+    (await tx.getOutfitsWithArticles([...idSet])).forEach(o => {
+      const kept = o.articleIds.filter(id => !idSet.has(id));
+      if (kept.length === 0 && options.deleteEmptyOutfits) {
+        deletedOutfitIds.push(o.id);
+        return;
+      }
+      updatedOutfits.push({ ...o, articleIds: kept, updatedAt: timestamp });
+    });
+    if (updatedOutfits.length > 0) {
+      await tx.updateOutfits(updatedOutfits);
+    }
+    if (deletedOutfitIds.length > 0) {
+      await tx.deleteOutfits(deletedOutfitIds);
+    }
+  });
+
+  const updatedOutfitIds = updatedOutfits.map(o => o.id);
+  if (updatedOutfitIds.length > 0 || deletedOutfitIds.length > 0) {
+    console.log(`[outfitService] Detached ${idSet.size} articles: updated ${updatedOutfitIds.length} outfits, deleted ${deletedOutfitIds.length}`);
+  }
+  return { updatedOutfitIds, deletedOutfitIds };
+}
@@ -0,0 +1,356 @@
+// outfitSuggestionService.js
+// Rule-based outfit generator built from the articles already in the closet
+// An outfit is one top, one bottom and shoes, plus optional outerwear (categories from galleryService data).
+// Articles in user-added categories fill the slot of the built-in category theirs resolves to (see categoryService).
+// Candidate outfits are scored by rules, highest first:
+//   - Color harmony: neutrals go with anything; same, analogous or complementary colors are rewarded;
+//     clashing colors are penalized and more than two accent colors are never combined
+//   - Recency: articles worn in the last few days are skipped, and long-unworn, rarely worn articles are preferred
+//   - Pins: articles the user pinned are always used in their slot
+//   - Weather (when known): outerwear is required when cold or wet and left out when hot and dry,
+//     articles far too warm or too light are skipped, water-sensitive shoes and outerwear (suede...) are
+//     skipped in rain, and warmth close to the day's temperature is preferred
+// suggestOutfits is pure so it can be unit tested without storage; randomness is injectable.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getAllArticles, getArticleStatus, getArticleWarmth, ARTICLE_WARMTH_LEVELS } from './galleryService';
+import { getTodaysConditions, getTemperatureBand } from './weatherService';
+import { buildTaxonomy, getTaxonomy, resolveBuiltInCategory } from './categoryService';
+import { SUGGESTION_PINS_KEY } from './constants';
+import { logError } from './errorHandlingService';
+
+// Outfit slots in display order, and the built-in categories that can fill them
+export const SUGGESTION_SLOTS = [
+  { slot: 'outerwear', category: 'outerwear', required: false },
+  { slot: 'top', category: 'tops', required: true },
+  { slot: 'bottom', category: 'bottoms', required: true },
+  { slot: 'shoes', category: 'shoes', required: true },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  count: 1,
+  avoidRecentDays: 2,
+  candidatesPerSlot: 8,
+};
+
+// Color words mapped to a color family; anything unknown counts as neutral
+const COLOR_FAMILIES = {
+  neutral: ['black', 'white', 'grey', 'gray', 'charcoal', 'navy', 'beige', 'cream', 'ivory', 'tan', 'khaki',
+    'camel', 'brown', 'taupe', 'denim', 'silver', 'off-white', 'stone', 'nude'],
+  red: ['red', 'burgundy', 'maroon', 'wine', 'crimson', 'rust'],
+  orange: ['orange', 'coral', 'peach', 'terracotta'],
+  yellow: ['yellow', 'mustard', 'gold', 'lemon'],
+  green: ['green', 'olive', 'sage', 'mint', 'emerald', 'teal'],
+  blue: ['blue', 'cobalt', 'turquoise', 'sky', 'aqua', 'indigo'],
+  purple: ['purple', 'violet', 'lavender', 'lilac', 'plum'],
+  pink: ['pink', 'fuchsia', 'magenta', 'rose', 'blush'],
+};
+
+// Materials rain ruins, unless the article is marked water-resistant
+const WATER_SENSITIVE_MATERIALS = ['suede', 'nubuck', 'velvet', 'silk', 'satin'];
+
+// Slots that get wet in rain
+const RAIN_EXPOSED_SLOTS = ['outerwear', 'shoes'];
+
+// Best warmth for each temperature band, as an index into ARTICLE_WARMTH_LEVELS
+const IDEAL_WARMTH = { cold: 2, cool: 1.5, mild: 1, hot: 0 };
+
+// Neighbouring families on the color wheel, and opposite ones
+const ANALOGOUS_PAIRS = ['red|orange', 'orange|yellow', 'yellow|green', 'green|blue', 'blue|purple', 'purple|pink', 'pink|red'];
+const COMPLEMENTARY_PAIRS = ['red|green', 'orange|blue', 'yellow|purple'];
+
+/**
+ * Color family of an article from its free-text color ("Light Blue" -> blue, "Navy" -> neutral).
+ * @param {Object} article - Article
+ * @returns {string} Family name from COLOR_FAMILIES
+ */
+export function getColorFamily(article) {
+  const words = typeof article.color === 'string' ? article.color.toLowerCase().split(/[^a-z-]+/).filter(Boolean) : [];
+  // The last word is usually the hue ("dark green"); modifiers come first
+  for (const word of words.reverse()) {
+    const family = Object.keys(COLOR_FAMILIES).find(name => COLOR_FAMILIES[name].includes(word));
+    if (family) return family;
+  }
+  return 'neutral';
+}
+
+/**
+ * Score how well two color families go together.
+ * @private
+ */
+function pairHarmony(a, b) {
+  if (a === 'neutral' || b === 'neutral' || a === b) return 1;
+  const key = [a, b].sort().join('|');
+  const matches = pairs => pairs.some(pair => pair.split('|').sort().join('|') === key);
+  if (matches(ANALOGOUS_PAIRS) || matches(COMPLEMENTARY_PAIRS)) return 0.5;
+  return -2;
+}
+
+/**
+ * Color harmony of a set of articles.
+ * @param {Array} articles - Articles in the outfit
+ * @returns {{score: number, verdict: 'neutral'|'harmonious'|'clashing'|'tooManyColors'}}
+ */
+export function scoreColorHarmony(articles) {
+  const families = articles.map(getColorFamily);
+  const accents = new Set(families.filter(family => family !== 'neutral'));
+  if (accents.size > 2) {
+    return { score: -Infinity, verdict: 'tooManyColors' };
+  }
+  let score = 0;
+  for (let i = 0; i < families.length; i++) {
+    for (let j = i + 1; j < families.length; j++) {
+      score += pairHarmony(families[i], families[j]);
+    }
+  }
+  const clashing = families.some((a, i) => families.some((b, j) => j > i && pairHarmony(a, b) < 0));
+  return {
+    score,
+    verdict: clashing ? 'clashing' : accents.size === 0 ? 'neutral' : 'harmonious',
+  };
+}
+
+/**
+ * Whether rain would damage an article: made of a sensitive material (from its material or description)
+ * and not marked water-resistant.
+ * @param {Object} article - Article
+ * @returns {boolean}
+ */
+export function isWaterSensitive(article) {
+  if (!article || article.waterResistant === true) return false;
+  const text = [article.material, article.description]
+    .filter(value => typeof value === 'string')
+    .join(' ')
+    .toLowerCase();
+  return WATER_SENSITIVE_MATERIALS.some(material => text.includes(material));
+}
+
+/**
+ * How well an article suits the weather in a slot: warmth near the ideal for the temperature scores up to 0.5,
+ * far off down to -0.5, and water-resistant shoes and outerwear earn 0.5 more in rain. 0 when weather is unknown.
+ * @param {Object} article - Article
+ * @param {Object|null} weather - Conditions from weatherService
+ * @param {string} slot - Slot the article fills
+ * @returns {number}
+ */
+export function scoreWeatherFit(article, weather, slot) {
+  if (!weather) return 0;
+  const warmth = ARTICLE_WARMTH_LEVELS.indexOf(getArticleWarmth(article));
+  let fit = 0.5 - 0.5 * Math.abs(warmth - IDEAL_WARMTH[getTemperatureBand(weather.temperatureC)]);
+  if (weather.precipitation && RAIN_EXPOSED_SLOTS.includes(slot) && article.waterResistant === true) {
+    fit += 0.5;
+  }
+  return fit;
+}
+
+/**
+ * Whether a slot must be filled, or must stay empty, in the given weather.
+ * @private
+ */
+function slotRulesForWeather({ slot, required }, weather) {
+  if (!weather || slot !== 'outerwear') return { required, excluded: false };
+  const band = getTemperatureBand(weather.temperatureC);
+  return {
+    required: band === 'cold' || (weather.precipitation && band !== 'hot'),
+    excluded: band === 'hot' && !weather.precipitation,
+  };
+}
+
+/**
+ * Whether an article is wrong for the weather: warm clothes when hot, light clothes when cold,
+ * and water-sensitive shoes or outerwear in rain.
+ * @private
+ */
+function unsuitableForWeather(article, slot, weather) {
+  const band = getTemperatureBand(weather.temperatureC);
+  const warmth = getArticleWarmth(article);
+  if ((band === 'hot' && warmth === 'warm') || (band === 'cold' && warmth === 'light')) return true;
+  return !!weather.precipitation && RAIN_EXPOSED_SLOTS.includes(slot) && isWaterSensitive(article);
+}
+
+/**
+ * How much an article deserves a turn: long-unworn and rarely worn articles score higher (0 to 1.5).
+ * @private
+ */
+function freshnessScore(article, now) {
+  const wearCount = typeof article.wearCount === 'number' ? article.wearCount : 0;
+  const daysSinceWorn = article.lastWorn ? (now - new Date(article.lastWorn).getTime()) / DAY_MS : Infinity;
+  return Math.min(daysSinceWorn, 30) / 30 + 0.5 / (1 + wearCount);
+}
+
+/**
+ * Whether an article was worn within the last `days` days.
+ * @private
+ */
+function wornRecently(article, days, now) {
+  return !!article.lastWorn && now - new Date(article.lastWorn).getTime() < days * DAY_MS;
+}
+
+/**
+ * Built-in category an article's category resolves to, looked up once per category.
+ * @private
+ */
+function createSlotCategoryResolver(taxonomy) {
+  const resolved = new Map();
+  return article => {
+    if (!resolved.has(article.category)) {
+      resolved.set(article.category, resolveBuiltInCategory(taxonomy, article.category));
+    }
+    return resolved.get(article.category);
+  };
+}
+
+/**
+ * Compose outfit suggestions from the closet.
+ * @param {Array} articles - Stored articles (only active ones are used)
+ * @param {Object} [options]
+ * @param {number} [options.count=1] - Maximum number of suggestions
+ * @param {Array<string>} [options.pinnedIds] - Articles that must be used in their slot
+ * @param {number} [options.avoidRecentDays=2] - Skip unpinned articles worn within this many days
+ * @param {number} [options.candidatesPerSlot=8] - How many of the freshest articles per slot are combined
+ * @param {Date|string|number} [options.now] - Current time (defaults to now)
+ * @param {Function} [options.random=Math.random] - Random source for variety between calls
+ * @param {Object|null} [options.weather] - Today's conditions from weatherService; weather rules are skipped when absent
+ * @param {Array} [options.taxonomy] - Category taxonomy, to slot articles in user-added categories (defaults to the
+ *   built-in one)
+ * @returns {{suggestions: Array<{articles: Array, articleIds: Array<string>, slots: Object, score: number,
+ *   colorVerdict: string}>, missingSlots: Array<string>}} Suggestions, best first; missingSlots lists
+ *   required slots the closet cannot fill
+ * @throws {Error} If two pinned articles compete for the same slot
+ */
+export function suggestOutfits(articles, options = {}) {
+  const { count, avoidRecentDays, candidatesPerSlot } = { ...DEFAULT_OPTIONS, ...options };
+  const now = options.now ? new Date(options.now).getTime() : Date.now();
+  const random = options.random || Math.random;
+  const pinnedIds = options.pinnedIds || [];
+  const weather = options.weather || null;
+  const active = (articles || []).filter(article => getArticleStatus(article) === 'active');
+  const slotCategoryOf = createSlotCategoryResolver(options.taxonomy || buildTaxonomy());
+
+  // Pins win their slot outright
+  const pinnedBySlot = {};
+  SUGGESTION_SLOTS.forEach(({ slot, category }) => {
+    const pinned = active.filter(a => pinnedIds.includes(a.id) && slotCategoryOf(a) === category);
+    if (pinned.length > 1) {
+      throw new Error(`Only one ${slot} can be pinned.`);
+    }
+    if (pinned.length === 1) pinnedBySlot[slot] = pinned[0];
+  });
+
+  // Freshest candidates per slot, with a little jitter so repeated calls vary
+  const candidates = {};
+  const missingSlots = [];
+  SUGGESTION_SLOTS.forEach(slotDefinition => {
+    const { slot, category } = slotDefinition;
+    if (pinnedBySlot[slot]) {
+      candidates[slot] = [pinnedBySlot[slot]];
+      return;
+    }
+    const { required, excluded } = slotRulesForWeather(slotDefinition, weather);
+    if (excluded) {
+      candidates[slot] = [null];
+      return;
+    }
+    const pool = active
+      .filter(a => slotCategoryOf(a) === category && !wornRecently(a, avoidRecentDays, now))
+      .filter(a => !weather || !unsuitableForWeather(a, slot, weather))
+      .map(a => ({ article: a, rank: freshnessScore(a, now) + scoreWeatherFit(a, weather, slot) + random() * 0.3 }))
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, candidatesPerSlot)
+      .map(({ article }) => article);
+    if (required && pool.length === 0) missingSlots.push(slot);
+    candidates[slot] = required ? pool : [null, ...pool];
+  });
+  if (missingSlots.length > 0) {
+    return { suggestions: [], missingSlots };
+  }
+
+  // Score every combination of the candidates
+  const combos = SUGGESTION_SLOTS.reduce((partials, { slot }) =>
+    partials.flatMap(partial => candidates[slot].map(article => ({ ...partial, [slot]: article }))), [{}]);
+  const scored = combos
+    .map(slots => {
+      const outfitArticles = SUGGESTION_SLOTS.map(({ slot }) => slots[slot]).filter(Boolean);
+      const harmony = scoreColorHarmony(outfitArticles);
+      const freshness = outfitArticles.reduce((sum, a) => sum + freshnessScore(a, now), 0) / outfitArticles.length;
+      const weatherFit = SUGGESTION_SLOTS
+        .filter(({ slot }) => slots[slot])
+        .reduce((sum, { slot }) => sum + scoreWeatherFit(slots[slot], weather, slot), 0) / outfitArticles.length;
+      return {
+        articles: outfitArticles,
+        articleIds: outfitArticles.map(a => a.id),
+        slots,
+        score: harmony.score + freshness + weatherFit + random() * 0.3,
+        colorVerdict: harmony.verdict,
+      };
+    })
+    .filter(suggestion => suggestion.colorVerdict !== 'tooManyColors')
+    .sort((a, b) => b.score - a.score);
+
+  // Prefer variety: each suggestion changes at least the top or the bottom
+  const suggestions = [];
+  for (const suggestion of scored) {
+    if (suggestions.length >= count) break;
+    const repeats = suggestions.some(s => s.slots.top === suggestion.slots.top && s.slots.bottom === suggestion.slots.bottom);
+    if (!repeats) suggestions.push(suggestion);
+  }
+  return { suggestions, missingSlots: [] };
+}
+
+/**
+ * Default name for a suggested outfit, from its top and bottom ("White oxford + Navy chinos").
+ * @param {{slots: Object}} suggestion - A suggestion from suggestOutfits
+ * @returns {string}
+ */
+export function nameSuggestedOutfit(suggestion) {
+  const label = article => article.description || article.name || article.category;
+  return [suggestion.slots.top, suggestion.slots.bottom].filter(Boolean).map(label).join(' + ') || 'Suggested outfit';
+}
+
+/**
+ * Read the ids of articles pinned into suggestions.
+ * @returns {Promise<Array<string>>}
+ */
+export async function getPinnedArticleIds() {
+  try {
+    const stored = await AsyncStorage.getItem(SUGGESTION_PINS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (e) {
+    logError('[outfitSuggestionService]', 'getPinnedArticleIds error', e);
+    return [];
+  }
+}
+
+/**
+ * Pin or unpin an article for future suggestions.
+ * @param {string} articleId - Article id
+ * @param {boolean} pinned - Whether the article should be pinned
+ * @returns {Promise<Array<string>>} Updated pinned ids
+ */
+export async function setArticlePinned(articleId, pinned) {
+  const current = await getPinnedArticleIds();
+  const next = pinned
+    ? [...current.filter(id => id !== articleId), articleId]
+    : current.filter(id => id !== articleId);
+  await AsyncStorage.setItem(SUGGESTION_PINS_KEY, JSON.stringify(next));
+  return next;
+}
+
+/**
+ * Suggest outfits from the stored closet using the stored pins, taxonomy and today's weather.
+ * Pins for articles that are gone or no longer active are ignored.
+ * @param {Object} [options] - See suggestOutfits (pinnedIds defaults to the stored pins, taxonomy to
+ *   categoryService.getTaxonomy(), weather to weatherService.getTodaysConditions())
+ * @returns {Promise<{suggestions: Array, missingSlots: Array<string>, weather: Object|null}>}
+ */
+export async function loadOutfitSuggestions(options = {}) {
+  const [articles, pinnedIds, taxonomy, weather] = await Promise.all([
+    getAllArticles(),
+    getPinnedArticleIds(),
+    getTaxonomy(),
+    'weather' in options ? options.weather : getTodaysConditions(),
+  ]);
+  return { ...suggestOutfits(articles, { pinnedIds, taxonomy, ...options, weather }), weather };
+}
@@ -0,0 +1,111 @@
+// pipelineErrors.js
+// Typed errors for the detection pipeline (GarmentVision, Clarifai, OpenAI Vision)
+// Services throw PipelineError; verificationService turns any error into one with toPipelineError(),
+// and errorHandlingService.getUserFacingError() maps it to a message and retry action for the screens.
+//
+// Types:
+//   auth        - API key missing or rejected
+//   quota       - rate limit or usage quota reached
+//   network     - offline, timeout or the service is temporarily down
+//   no-garments - the photo has no recognizable clothing
+//   parse       - the service answered with something we cannot read
+//   generation  - product images could not be generated
+//   unknown     - anything else
+//
+// Stages: 'prepare' (reading the photo), 'detect', 'generate', 'download', 'finish' (cropping and saving the selection)
+
+import { HttpError, HTTP_ERROR_CODES } from './httpClient';
+
+export const PIPELINE_ERROR_TYPES = {
+  AUTH: 'auth',
+  QUOTA: 'quota',
+  NETWORK: 'network',
+  NO_GARMENTS: 'no-garments',
+  PARSE: 'parse',
+  GENERATION: 'generation',
+  UNKNOWN: 'unknown',
+};
+
+export const PIPELINE_STAGES = ['prepare', 'detect', 'generate', 'download', 'finish'];
+
+// Whether trying again can help, unless the error says otherwise
+const RETRYABLE_BY_TYPE = {
+  auth: false,
+  quota: true,
+  network: true,
+  'no-garments': false,
+  parse: true,
+  generation: true,
+  unknown: true,
+};
+
+/**
+ * Error raised anywhere in the detection pipeline.
+ */
+export class PipelineError extends Error {
+  /**
+   * @param {string} type - One of PIPELINE_ERROR_TYPES
+   * @param {string} message - Technical message, for logs
+   * @param {Object} [details]
+   * @param {string|null} [details.stage] - Stage that failed (see PIPELINE_STAGES)
+   * @param {boolean} [details.retryable] - Whether trying again may help (defaults by type)
+   * @param {*} [details.cause] - Original error
+   */
+  constructor(type, message, { stage = null, retryable, cause = null } = {}) {
+    super(message);
+    this.name = 'PipelineError';
+    this.type = type;
+    this.stage = stage;
+    this.retryable = retryable !== undefined ? retryable : RETRYABLE_BY_TYPE[type] !== false;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Classify an HTTP failure.
+ * @private
+ */
+function fromHttpError(error, stage) {
+  const details = { stage, cause: error };
+  if (error.code === HTTP_ERROR_CODES.PARSE) {
+    return new PipelineError(PIPELINE_ERROR_TYPES.PARSE, error.message, details);
+  }
+  if (error.code !== HTTP_ERROR_CODES.HTTP) {
+    // Timeouts, network failures and cancellations
+    return new PipelineError(PIPELINE_ERROR_TYPES.NETWORK, error.message, details);
+  }
+  if (error.status === 401 || error.status === 403) {
+    return new PipelineError(PIPELINE_ERROR_TYPES.AUTH, error.message, details);
+  }
+  if (error.status === 429) {
+    // OpenAI reports an exhausted balance as 429 too; waiting will not fix that one
+    const apiCode = error.body && error.body.error && error.body.error.code;
+    return new PipelineError(PIPELINE_ERROR_TYPES.QUOTA, error.message, { ...details, retryable: apiCode !== 'insufficient_quota' });
+  }
+  if (error.retryable) {
+    return new PipelineError(PIPELINE_ERROR_TYPES.NETWORK, error.message, details);
+  }
+  if (stage === 'generate') {
+    // e.g. the prompt was refused by the image model
+    return new PipelineError(PIPELINE_ERROR_TYPES.GENERATION, error.message, { ...details, retryable: false });
+  }
+  return new PipelineError(PIPELINE_ERROR_TYPES.UNKNOWN, error.message, { ...details, retryable: false });
+}
+
+/**
+ * Turn any error into a PipelineError. PipelineErrors are kept (filling in a missing stage).
+ * @param {*} error - Error, HttpError, PipelineError or any thrown value
+ * @param {string|null} [stage] - Stage the error came from
+ * @returns {PipelineError}
+ */
+export function toPipelineError(error, stage = null) {
+  if (error instanceof PipelineError) {
+    if (!error.stage) error.stage = stage;
+    return error;
+  }
+  if (error instanceof HttpError) {
+    return fromHttpError(error, stage);
+  }
+  const message = error instanceof Error ? error.message : String(error);
+  return new PipelineError(PIPELINE_ERROR_TYPES.UNKNOWN, message, { stage, cause: error });
+}
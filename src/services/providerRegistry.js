@@ -0,0 +1,128 @@
+// providerRegistry.js
+// Registry of clothing detection providers and the runtime provider selection
+// Providers register themselves in detectionProviders.js; verificationService only talks to this interface.
+//
+// Provider interface:
+//   {
+//     id: string,                       // stable key, persisted as the selected provider
+//     label: string,                    // shown in Settings
+//     description?: string,             // one-line explanation for Settings
+//     inputType: 'uri' | 'base64',      // what detect() expects
+//     labelKey: string,                 // article field holding the provider's category label
+//     categoryTable?: Object,           // provider label -> category (see categoryNormalizationService)
+//     detect(input, options): Promise<Array>,          // required: find articles in the image (options.signal cancels it)
+//     crop?(imageUri, articles): Promise<Array>,       // optional: crop selected articles from the photo
+//     generate?(articles, options): Promise<Array>,    // optional: render product images for selected articles
+//   }
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DETECTION_PROVIDER_KEY } from './constants';
+import { IMAGE_PROCESSING_PROVIDER } from '../config/imageProvider';
+import { logWarning } from './errorHandlingService';
+
+const providers = new Map();
+
+const INPUT_TYPES = ['uri', 'base64'];
+
+/**
+ * Register (or replace) a detection provider.
+ * @param {Object} provider - Provider implementing the interface above
+ * @returns {Object} The registered provider
+ * @throws {Error} If the provider does not implement the interface
+ */
+export function registerProvider(provider) {
+  if (!provider || typeof provider.id !== 'string' || !provider.id) {
+    throw new Error('Detection provider needs a string id.');
+  }
+  if (typeof provider.detect !== 'function') {
+    throw new Error(`Detection provider "${provider.id}" must implement detect().`);
+  }
+  if (!INPUT_TYPES.includes(provider.inputType)) {
+    throw new Error(`Detection provider "${provider.id}" has invalid inputType "${provider.inputType}".`);
+  }
+  if (provider.categoryTable !== undefined &&
+      (typeof provider.categoryTable !== 'object' || provider.categoryTable === null || Array.isArray(provider.categoryTable))) {
+    throw new Error(`Detection provider "${provider.id}" categoryTable must be an object.`);
+  }
+  ['crop', 'generate'].forEach(hook => {
+    if (provider[hook] !== undefined && typeof provider[hook] !== 'function') {
+      throw new Error(`Detection provider "${provider.id}" ${hook} must be a function.`);
+    }
+  });
+  const registered = { label: provider.id, labelKey: 'category', ...provider };
+  providers.set(provider.id, registered);
+  return registered;
+}
+
+/**
+ * Remove a provider from the registry.
+ * @param {string} id - Provider id
+ * @returns {boolean} True if a provider was removed
+ */
+export function unregisterProvider(id) {
+  return providers.delete(id);
+}
+
+/**
+ * Look up a registered provider.
+ * @param {string} id - Provider id
+ * @returns {Object|undefined}
+ */
+export function getProvider(id) {
+  return providers.get(id);
+}
+
+/**
+ * List all registered providers in registration order.
+ * @returns {Array<Object>}
+ */
+export function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Get the id of the provider selected in Settings, falling back to the configured default
+ * when nothing is stored or the stored provider is no longer registered.
+ * @returns {Promise<string>}
+ */
+export async function getActiveProviderId() {
+  try {
+    const stored = await AsyncStorage.getItem(DETECTION_PROVIDER_KEY);
+    if (stored && providers.has(stored)) {
+      return stored;
+    }
+    if (stored) {
+      logWarning('[providerRegistry]', `Stored provider "${stored}" is not registered, using default`);
+    }
+  } catch (e) {
+    logWarning('[providerRegistry]', 'Could not read selected provider, using default');
+  }
+  return IMAGE_PROCESSING_PROVIDER;
+}
+
+/**
+ * Get the active provider.
+ * @returns {Promise<Object>}
+ * @throws {Error} If neither the selected nor the default provider is registered
+ */
+export async function getActiveProvider() {
+  const id = await getActiveProviderId();
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error(`Unknown detection provider: ${id}`);
+  }
+  return provider;
+}
+
+/**
+ * Persist the provider to use for future detections.
+ * @param {string} id - Provider id
+ * @returns {Promise<void>}
+ * @throws {Error} If the provider is not registered
+ */
+export async function setActiveProvider(id) {
+  if (!providers.has(id)) {
+    throw new Error(`Unknown detection provider: ${id}`);
+  }
+  await AsyncStorage.setItem(DETECTION_PROVIDER_KEY, id);
+}
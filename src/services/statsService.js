@@ -0,0 +1,183 @@
+// statsService.js
+// Closet analytics computed live from galleryService, outfitService and the wear log
+// computeClosetStats and buildRecentActivity are pure so they can be unit tested without storage.
+
+import { getAllArticles } from './galleryService';
+import { getOutfits } from './outfitService';
+import { getWearEvents } from './wearLogService';
+import { getWeekDays, fromDateKey, todayKey, addDays } from './calendarService';
+import { logError } from './errorHandlingService';
+
+const DEFAULT_LIMIT = 3;
+
+/**
+ * Count wear events that fall in the current calendar week (Sunday first).
+ * @param {Array} wearEvents - Wear events
+ * @param {string} [referenceDay] - Any YYYY-MM-DD in the week (defaults to today)
+ * @returns {number}
+ */
+export function countWearsThisWeek(wearEvents, referenceDay = todayKey()) {
+  const days = getWeekDays(referenceDay);
+  const from = fromDateKey(days[0]).toISOString();
+  const to = fromDateKey(addDays(days[6], 1)).toISOString();
+  return (wearEvents || []).filter(e => e.wornAt && e.wornAt >= from && e.wornAt < to).length;
+}
+
+/**
+ * Compute closet metrics.
+ * @param {Object} params
+ * @param {Array} params.articles - Stored articles
+ * @param {Array} params.outfits - Stored outfits
+ * @param {Array} params.wearEvents - Wear events
+ * @param {string} [params.referenceDay] - Day used for "this week" (defaults to today)
+ * @param {number} [params.limit=3] - How many most/least worn items to return
+ * @returns {{
+ *   articleCount: number,
+ *   outfitCount: number,
+ *   wearsThisWeek: number,
+ *   mostWorn: Array,
+ *   leastWorn: Array,
+ *   categoryBreakdown: Array<{category: string, count: number, percentage: number}>,
+ *   costPerWear: {pricedCount: number, totalValue: number, averageCostPerWear: number|null,
+ *                 items: Array<{article: Object, price: number, wearCount: number, costPerWear: number|null}>}
+ * }}
+ */
+export function computeClosetStats({ articles = [], outfits = [], wearEvents = [], referenceDay, limit = DEFAULT_LIMIT }) {
+  const wearCountOf = a => (typeof a.wearCount === 'number' ? a.wearCount : 0);
+
+  const mostWorn = articles
+    .filter(a => wearCountOf(a) > 0)
+    .sort((a, b) => wearCountOf(b) - wearCountOf(a))
+    .slice(0, limit);
+
+  const leastWorn = [...articles]
+    .sort((a, b) => wearCountOf(a) - wearCountOf(b))
+    .slice(0, limit);
+
+  const counts = {};
+  articles.forEach(a => {
+    const category = a.category || 'other';
+    counts[category] = (counts[category] || 0) + 1;
+  });
+  const categoryBreakdown = Object.entries(counts)
+    .map(([category, count]) => ({
+      category,
+      count,
+      percentage: Math.round((count / articles.length) * 100)
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  // Cost per wear is only meaningful for priced items; never-worn items have no cost per wear yet
+  const pricedItems = articles
+    .filter(a => typeof a.price === 'number' && a.price >= 0)
+    .map(a => ({
+      article: a,
+      price: a.price,
+      wearCount: wearCountOf(a),
+      costPerWear: wearCountOf(a) > 0 ? a.price / wearCountOf(a) : null
+    }))
+    .sort((a, b) => (b.costPerWear ?? Infinity) - (a.costPerWear ?? Infinity));
+  const totalValue = pricedItems.reduce((sum, item) => sum + item.price, 0);
+  const totalPricedWears = pricedItems.reduce((sum, item) => sum + item.wearCount, 0);
+
+  return {
+    articleCount: articles.length,
+    outfitCount: outfits.length,
+    wearsThisWeek: countWearsThisWeek(wearEvents, referenceDay),
+    mostWorn,
+    leastWorn,
+    categoryBreakdown,
+    costPerWear: {
+      pricedCount: pricedItems.length,
+      totalValue,
+      averageCostPerWear: totalPricedWears > 0 ? totalValue / totalPricedWears : null,
+      items: pricedItems
+    }
+  };
+}
+
+/**
+ * Build a newest-first activity feed from wears, new outfits and added/edited articles.
+ * @param {Object} params
+ * @param {Array} params.articles - Stored articles
+ * @param {Array} params.outfits - Stored outfits
+ * @param {Array} params.wearEvents - Wear events
+ * @param {number} [params.limit=10] - Maximum number of entries
+ * @returns {Array<{id: string, type: 'wear'|'outfit-created'|'article-added'|'article-updated', date: string, title: string, icon: string}>}
+ */
+export function buildRecentActivity({ articles = [], outfits = [], wearEvents = [], limit = 10 }) {
+  const outfitsById = {};
+  outfits.forEach(o => { outfitsById[o.id] = o; });
+  const nameOf = a => a.description || a.name || a.category || 'Article';
+  const activity = [];
+
+  wearEvents.forEach(event => {
+    if (!event.wornAt) return;
+    const outfit = event.outfitId ? outfitsById[event.outfitId] : null;
+    const count = event.articleIds.length;
+    activity.push({
+      id: `wear-${event.id}`,
+      type: 'wear',
+      date: event.wornAt,
+      title: outfit ? `Wore ${outfit.name}` : `Wore ${count} item${count === 1 ? '' : 's'}`,
+      icon: 'checkmark-circle-outline'
+    });
+  });
+
+  outfits.forEach(outfit => {
+    if (!outfit.createdAt) return;
+    activity.push({
+      id: `outfit-${outfit.id}`,
+      type: 'outfit-created',
+      date: outfit.createdAt,
+      title: `Created outfit ${outfit.name}`,
+      icon: 'shirt-outline'
+    });
+  });
+
+  articles.forEach(article => {
+    if (article.addedAt) {
+      activity.push({
+        id: `added-${article.id}`,
+        type: 'article-added',
+        date: article.addedAt,
+        title: `Added ${nameOf(article)}`,
+        icon: 'add-circle-outline'
+      });
+    }
+    if (article.updatedAt && article.updatedAt !== article.addedAt) {
+      activity.push({
+        id: `updated-${article.id}`,
+        type: 'article-updated',
+        date: article.updatedAt,
+        title: `Edited ${nameOf(article)}`,
+        icon: 'create-outline'
+      });
+    }
+  });
+
+  return activity
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, limit);
+}
+
+/**
+ * Load everything from storage and compute stats plus the recent activity feed.
+ * @returns {Promise<Object>} computeClosetStats result with a `recentActivity` array
+ */
+export async function getClosetStats() {
+  try {
+    const [articles, outfits, wearEvents] = await Promise.all([
+      getAllArticles(),
+      getOutfits(),
+      getWearEvents()
+    ]);
+    return {
+      ...computeClosetStats({ articles, outfits, wearEvents }),
+      recentActivity: buildRecentActivity({ articles, outfits, wearEvents })
+    };
+  } catch (e) {
+    logError('[statsService]', 'getClosetStats error', e);
+    throw e;
+  }
+}
@@ -0,0 +1,19 @@
+// storageMutex.js
+// Mutex for read-modify-write sequences on storage
+// AsyncStorage has no isolation: two writers that read the same key and write it back lose one of the updates.
+// Work run through the same mutex runs one at a time, in call order, so every writer sees the previous one's result.
+
+/**
+ * Create a mutex.
+ * Work passed to runExclusive must not call runExclusive on the same mutex and wait for it: that never resolves.
+ * @returns {Function} runExclusive(fn): runs fn once all earlier work has settled; resolves or rejects like fn
+ */
+export function createMutex() {
+  let tail = Promise.resolve();
+  return function runExclusive(fn) {
+    const result = tail.then(() => fn());
+    // A failure belongs to the caller that queued the work; the next one still runs
+    tail = result.catch(() => {});
+    return result;
+  };
+}
@@ -3,87 +3,235 @@
 // Follows Clean Architecture: screens call these functions for all verification operations
 
 import * as ImageManipulator from 'expo-image-manipulator';
-import { detectClothingArticles, cropArticlesFromImage } from './imageProcessingService';
-import { processGarmentImage } from './garmentVisionService';
-import { mapClarifaiLabelToCategory } from './clarifaiCategoryMapper';
+import { getProvider, getActiveProvider } from './detectionProviders';
+import { getTaxonomy } from './categoryService';
+import { normalizeArticleCategory, isUncertainCategory } from './categoryNormalizationService';
+import { getJob, getJobArticles } from './jobQueueService';
+import { PipelineError, PIPELINE_ERROR_TYPES, toPipelineError } from './pipelineErrors';
+import { getUserFacingError } from './errorHandlingService';
 import uuid from './uuid';
-import { IMAGE_PROCESSING_PROVIDER } from '../config/imageProvider';
+
+/**
+ * Resolve the provider for a verification run: an explicit id wins, otherwise the one selected in Settings.
+ * @private
+ */
+async function resolveProvider(providerId) {
+  if (!providerId) {
+    return await getActiveProvider();
+  }
+  const provider = getProvider(providerId);
+  if (!provider) {
+    throw new Error(`Unknown detection provider: ${providerId}`);
+  }
+  return provider;
+}
+
+/**
+ * Describe a failure for the screens: `error` is the message to show, `errorInfo` adds the
+ * error type, failed stage, title and whether to offer a retry (see errorHandlingService.getUserFacingError).
+ * @private
+ */
+function describeFailure(err, stage) {
+  const errorInfo = getUserFacingError(toPipelineError(err, stage));
+  return { error: errorInfo.message, errorInfo };
+}
 
 /**
  * Process an image to detect clothing articles
+ * Each article gets a `categorySuggestion` ({ category, subcategory, confidence, matchedBy, uncertain })
+ * so the screen can ask the user to confirm uncertain categories.
  * @param {string} imageUri - URI of the image to process
  * @param {Object} options - Processing options
  * @param {string} [options.openaiApiKey] - OpenAI API key for GarmentVision
- * @returns {Promise<{articles: Array, error: string|null}>} Detected articles and any error
+ * @param {string} [options.providerId] - Detection provider to use (defaults to the active provider)
+ * @param {AbortSignal} [options.signal] - Cancels the provider's API requests
+ * @returns {Promise<{articles: Array, error: string|null, errorInfo?: Object, providerId?: string}>} Detected articles,
+ *   any error (with errorInfo when detection failed) and the provider used (pass it back to processSelectedArticles)
  */
 export async function processImageForVerification(imageUri, options = {}) {
   if (!imageUri) return { articles: [], error: 'No image provided' };
   
   try {
-    if (IMAGE_PROCESSING_PROVIDER === 'garmentVision') {
-      return await processWithGarmentVision(imageUri, options);
-    } else {
-      return await processWithClarifai(imageUri);
-    }
+    const provider = await resolveProvider(options.providerId);
+    const result = await detectWithProvider(provider, imageUri, options);
+    return { ...result, providerId: provider.id };
   } catch (err) {
     console.error('[verificationService] processImageForVerification error:', err);
-    return { 
-      articles: [], 
-      error: 'Failed to process image (detection or conversion error). Please try again.' 
-    };
+    return { articles: [], ...describeFailure(err, 'detect') };
+  }
+}
+
+/**
+ * Detect articles in several photos, one photo at a time, with progress.
+ * Every photo is run through processImageForVerification with the same provider; a photo that fails
+ * is marked failed and the queue moves on. Results stay grouped by photo so processSelectedBatch
+ * can crop each article from the photo it came from.
+ * @param {Array<string>} imageUris - Photos to process, in order
+ * @param {Object} [options] - Options for processImageForVerification, plus:
+ * @param {Function} [options.onProgress] - Called with { completed, total, photos } before each photo and at the end
+ * @param {Function} [options.shouldContinue] - Return false to stop; unprocessed photos stay 'pending'
+ * @returns {Promise<{photos: Array<{imageUri: string, status: 'pending'|'processing'|'done'|'failed',
+ *   articles: Array, error: string|null, errorInfo: Object|null}>, providerId: string|null, error: string|null}>}
+ */
+export async function processImagesForVerification(imageUris, options = {}) {
+  const { onProgress, shouldContinue, ...detectOptions } = options;
+  const uris = (imageUris || []).filter(Boolean);
+  if (uris.length === 0) return { photos: [], providerId: null, error: 'No images provided' };
+
+  let providerId;
+  try {
+    providerId = (await resolveProvider(detectOptions.providerId)).id;
+  } catch (err) {
+    console.error('[verificationService] processImagesForVerification error:', err);
+    return { photos: [], providerId: null, error: err.message };
+  }
+
+  let photos = uris.map(imageUri => ({ imageUri, status: 'pending', articles: [], error: null, errorInfo: null }));
+  const report = completed => onProgress && onProgress({ completed, total: photos.length, photos });
+  const updatePhoto = (index, changes) => {
+    photos = photos.map((photo, i) => (i === index ? { ...photo, ...changes } : photo));
+  };
+
+  for (let index = 0; index < photos.length; index++) {
+    if (shouldContinue && !shouldContinue()) break;
+    updatePhoto(index, { status: 'processing' });
+    report(index);
+    const { articles, error, errorInfo } = await processImageForVerification(photos[index].imageUri, { ...detectOptions, providerId });
+    updatePhoto(index, {
+      status: error ? 'failed' : 'done',
+      articles: articles || [],
+      error: error || null,
+      errorInfo: errorInfo || null,
+    });
   }
+  report(photos.filter(photo => photo.status === 'done' || photo.status === 'failed').length);
+
+  return { photos, providerId, error: null };
 }
 
 /**
- * Process image with GarmentVision (OpenAI)
+ * Finish a batch: process the selected articles of each photo with processSelectedArticles
+ * and combine the results. Photos that fail do not stop the others.
+ * @param {Array} photos - Photos from processImagesForVerification
+ * @param {Array<string>} selectedIds - IDs of selected articles across all photos
+ * @param {Object} [options] - Options for processSelectedArticles (providerId)
+ * @returns {Promise<{finalArticles: Array, error: string|null, errorInfo?: Object, failedCount: number}>} Processed
+ *   articles, a summary error (with the first failure's errorInfo) when some photos failed, and how many photos failed
+ */
+export async function processSelectedBatch(photos, selectedIds, options = {}) {
+  const photosWithSelection = (photos || []).filter(photo =>
+    photo.articles.some(article => selectedIds.includes(article.id)));
+  if (photosWithSelection.length === 0) {
+    return { finalArticles: [], error: 'No articles selected', failedCount: 0 };
+  }
+
+  const finalArticles = [];
+  const failures = [];
+  for (const photo of photosWithSelection) {
+    const result = await processSelectedArticles(photo.imageUri, photo.articles, selectedIds, options);
+    if (result.error) {
+      failures.push(result);
+    } else {
+      finalArticles.push(...result.finalArticles);
+    }
+  }
+
+  if (failures.length === 0) return { finalArticles, error: null, failedCount: 0 };
+  const error = photosWithSelection.length === 1
+    ? failures[0].error
+    : `${failures.length} of ${photosWithSelection.length} photos could not be processed: ${failures[0].error}`;
+  return { finalArticles, error, errorInfo: failures[0].errorInfo, failedCount: failures.length };
+}
+
+/**
+ * Run a provider's detect step, converting the image to the input it expects
  * @private
  */
-async function processWithGarmentVision(imageUri, options) {
-  // Extract base64 image data
-  const base64Result = await extractBase64FromUri(imageUri);
-  
-  if (base64Result.error) {
-    return { articles: [], error: base64Result.error };
+async function detectWithProvider(provider, imageUri, options) {
+  let input = imageUri;
+  if (provider.inputType === 'base64') {
+    const base64Result = await extractBase64FromUri(imageUri);
+    if (base64Result.error) {
+      return { articles: [], ...describeFailure(new PipelineError(PIPELINE_ERROR_TYPES.UNKNOWN, base64Result.error), 'prepare') };
+    }
+    input = base64Result.base64Image;
   }
   
   try {
-    const result = await processGarmentImage(base64Result.base64Image, { 
-      openaiApiKey: options.openaiApiKey 
-    });
-    
-    // Assign UUIDs and return processed articles
-    const articles = (Array.isArray(result) ? result : [result]).map(article => ({
-      ...article,
-      id: uuid(),
-    }));
+    const detected = await provider.detect(input, options);
+    const articles = await prepareDetectedArticles(detected, provider);
     
     return { articles, error: null };
   } catch (err) {
-    console.error('[verificationService] GarmentVision processing error:', err);
-    return { 
-      articles: [], 
-      error: 'Failed to process image with GarmentVision. Please try again.' 
-    };
+    console.error(`[verificationService] ${provider.label} processing error:`, err);
+    return { articles: [], ...describeFailure(err, 'detect') };
   }
 }
 
 /**
- * Process image with Clarifai
+ * Give detected articles fresh ids and category suggestions
+ * @throws {PipelineError} If the provider returned no articles or something other than a list
  * @private
  */
-async function processWithClarifai(imageUri) {
+async function prepareDetectedArticles(detected, provider) {
+  if (!Array.isArray(detected)) {
+    throw new PipelineError(PIPELINE_ERROR_TYPES.PARSE, `${provider.label} returned an unexpected result.`, { stage: 'detect' });
+  }
+  if (detected.length === 0) {
+    throw new PipelineError(PIPELINE_ERROR_TYPES.NO_GARMENTS, `${provider.label} found no clothing in the photo.`, { stage: 'detect' });
+  }
+  // Assign UUIDs so articles from different photos never collide
+  const taxonomy = await getTaxonomy();
+  return detected.map(article => ({
+    ...article,
+    id: uuid(),
+    categorySuggestion: suggestCategory(article, provider, taxonomy),
+  }));
+}
+
+/**
+ * Load the articles of a finished GarmentVision job (see jobQueueService) for review,
+ * e.g. a job that completed after the app was closed.
+ * @param {string} jobId - Job id
+ * @returns {Promise<{articles: Array, error: string|null, providerId?: string}>} Same shape as processImageForVerification
+ */
+export async function processJobForVerification(jobId) {
   try {
-    const articles = await detectClothingArticles(imageUri);
-    return { articles, error: null };
+    const job = await getJob(jobId);
+    if (!job || job.state !== 'done') {
+      return { articles: [], error: 'This job has no results to review.' };
+    }
+    const provider = await resolveProvider(job.type);
+    const articles = await prepareDetectedArticles(getJobArticles(job), provider);
+    return { articles, error: null, providerId: provider.id };
   } catch (err) {
-    console.error('[verificationService] Clarifai processing error:', err);
-    return { 
-      articles: [], 
-      error: 'Failed to detect clothing with Clarifai. Please try again.' 
-    };
+    console.error('[verificationService] processJobForVerification error:', err);
+    return { articles: [], ...describeFailure(err, 'detect') };
   }
 }
 
+/**
+ * Normalize an article's category and flag whether the user should confirm it
+ * @private
+ */
+function suggestCategory(article, provider, taxonomy) {
+  const result = normalizeArticleCategory(article, provider, taxonomy);
+  return { ...result, uncertain: isUncertainCategory(result) };
+}
+
+/**
+ * Record the user's category choice for a detected article; it wins over the normalized category.
+ * @param {Array} articles - Detected articles
+ * @param {string} articleId - Article to update
+ * @param {{category: string, subcategory?: string|null}} choice - Category picked by the user
+ * @returns {Array} New articles array
+ */
+export function setArticleCategoryChoice(articles, articleId, choice) {
+  return articles.map(article => (article.id === articleId
+    ? { ...article, categoryChoice: { category: choice.category, subcategory: choice.subcategory || null } }
+    : article));
+}
+
 /**
  * Extract base64 data from image URI
  * @private
@@ -125,39 +273,53 @@ async function extractBase64FromUri(imageUri) {
  * @param {string} imageUri - Original image URI
  * @param {Array} articles - All detected articles
  * @param {Array} selectedIds - IDs of selected articles
- * @returns {Promise<{finalArticles: Array, error: string|null}>} Processed articles and any error
+ * @param {Object} [options]
+ * @param {string} [options.providerId] - Provider that detected the articles (defaults to the active provider)
+ * @returns {Promise<{finalArticles: Array, error: string|null, errorInfo?: Object}>} Processed articles and any error
  */
-export async function processSelectedArticles(imageUri, articles, selectedIds) {
+export async function processSelectedArticles(imageUri, articles, selectedIds, options = {}) {
   if (!selectedIds.length) {
     return { finalArticles: [], error: 'No articles selected' };
   }
   
   const confirmedArticles = articles.filter(a => selectedIds.includes(a.id));
+  let stage = 'finish';
   
   try {
-    if (IMAGE_PROCESSING_PROVIDER === 'garmentVision') {
-      // For GarmentVision, just map categories
-      const finalArticles = confirmedArticles.map(article => ({
-        ...article,
-        category: mapClarifaiLabelToCategory(article.category)
-      }));
-      
-      return { finalArticles, error: null };
-    } else {
-      // For Clarifai, crop articles from image
-      const croppedArticles = await cropArticlesFromImage(imageUri, confirmedArticles);
-      
-      // Ensure each article has a valid category and UUID
-      const finalArticles = croppedArticles.map(article => ({
-        ...article,
-        id: uuid(),
-        category: mapClarifaiLabelToCategory(article.name)
-      }));
-      
-      return { finalArticles, error: null };
+    const provider = await resolveProvider(options.providerId);
+    let processed = confirmedArticles;
+    
+    // Providers that detect bounding boxes crop the selected articles from the photo
+    if (provider.crop) {
+      const cropped = await provider.crop(imageUri, processed);
+      processed = cropped.map(article => ({ ...article, id: uuid() }));
+    }
+    
+    // Providers that render product images do so only for the articles the user kept
+    if (provider.generate) {
+      stage = 'generate';
+      processed = await provider.generate(processed, options);
+      stage = 'finish';
     }
+    
+    // Resolve each article's category: the user's choice wins, otherwise normalize the provider label
+    const taxonomy = await getTaxonomy();
+    const finalArticles = processed.map(article => {
+      const { categorySuggestion, categoryChoice, ...rest } = article;
+      const resolved = categoryChoice
+        ? { ...categoryChoice, confidence: 1 }
+        : normalizeArticleCategory(article, provider, taxonomy);
+      return {
+        ...rest,
+        category: resolved.category,
+        subcategory: resolved.subcategory || null,
+        categoryConfidence: resolved.confidence
+      };
+    });
+    
+    return { finalArticles, error: null };
   } catch (err) {
     console.error('[verificationService] processSelectedArticles error:', err);
-    return { finalArticles: [], error: 'Failed to crop or process images.' };
+    return { finalArticles: [], ...describeFailure(err, stage) };
   }
 }
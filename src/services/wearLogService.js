@@ -0,0 +1,233 @@
+// wearLogService.js
+// Service for the wear log: timestamped wear events per article and per outfit
+// The log is the source of truth; wearCount/lastWorn on articles and outfits are derived caches.
+//
+// Event shape:
+//   { id, outfitId: string|null, articleIds: string[], wornAt: ISO string|null, recordedAt: ISO string, seeded?: true }
+// wornAt is null only for events seeded from legacy counters (date unknown).
+
+import { getClosetRepository } from './closetRepository';
+import uuid from './uuid';
+import { logError, logInfo } from './errorHandlingService';
+
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Normalize a wear date into an ISO timestamp.
+ * Date-only strings (YYYY-MM-DD) are pinned to local noon so they stay on the same calendar day.
+ * @param {Date|string} [value] - Date, ISO string or YYYY-MM-DD (defaults to now)
+ * @returns {string} ISO timestamp
+ * @throws {Error} If the value is not a valid date
+ */
+export function normalizeWornAt(value) {
+  if (value === undefined || value === null) {
+    return new Date().toISOString();
+  }
+  let date;
+  if (typeof value === 'string' && DATE_ONLY_PATTERN.test(value)) {
+    const [, year, month, day] = value.match(DATE_ONLY_PATTERN);
+    date = new Date(Number(year), Number(month) - 1, Number(day), 12, 0, 0);
+  } else {
+    date = value instanceof Date ? value : new Date(value);
+  }
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid wear date: ${value}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Read the raw wear log from storage.
+ * @returns {Promise<Array>} All wear events (empty if none)
+ */
+async function readWearLog() {
+  return getClosetRepository().getWearEvents();
+}
+
+/**
+ * Replace the whole wear log (used by migrations and imports).
+ * @param {Array} events - Wear events to store
+ * @returns {Promise<void>}
+ */
+export async function saveWearEvents(events) {
+  await getClosetRepository().replaceWearEvents(events);
+}
+
+/**
+ * Check whether the wear log has ever been initialized.
+ * @returns {Promise<boolean>}
+ */
+export async function hasWearLog() {
+  return getClosetRepository().hasWearLog();
+}
+
+/**
+ * Compare two events newest first; undated (seeded) events sort last.
+ */
+function compareByWornAtDesc(a, b) {
+  if (!a.wornAt && !b.wornAt) return 0;
+  if (!a.wornAt) return 1;
+  if (!b.wornAt) return -1;
+  return b.wornAt.localeCompare(a.wornAt);
+}
+
+/**
+ * Get wear events, newest first.
+ * @param {Object} [filter]
+ * @param {string} [filter.articleId] - Only events that include this article
+ * @param {string} [filter.outfitId] - Only events for this outfit
+ * @param {string} [filter.from] - Inclusive ISO lower bound on wornAt (excludes undated events)
+ * @param {string} [filter.to] - Exclusive ISO upper bound on wornAt (excludes undated events)
+ * @returns {Promise<Array>} Matching events (empty on error)
+ */
+export async function getWearEvents(filter = {}) {
+  try {
+    const events = await readWearLog();
+    return events
+      .filter(event => {
+        if (filter.articleId && !event.articleIds.includes(filter.articleId)) return false;
+        if (filter.outfitId && event.outfitId !== filter.outfitId) return false;
+        if ((filter.from || filter.to) && !event.wornAt) return false;
+        if (filter.from && event.wornAt < filter.from) return false;
+        if (filter.to && event.wornAt >= filter.to) return false;
+        return true;
+      })
+      .sort(compareByWornAtDesc);
+  } catch (e) {
+    logError('[wearLogService]', 'getWearEvents error', e);
+    return [];
+  }
+}
+
+/**
+ * Record a wear event.
+ * @param {Object} params
+ * @param {Array<string>} params.articleIds - Articles that were worn
+ * @param {string|null} [params.outfitId=null] - Outfit that was worn, if any
+ * @param {Date|string} [params.wornAt] - When it was worn (defaults to now; past dates backfill)
+ * @param {Object} [options]
+ * @param {Object} [options.tx] - Closet transaction to join, so the event is committed with the wear counters
+ * @returns {Promise<Object>} The stored event
+ */
+export async function addWearEvent({ articleIds, outfitId = null, wornAt }, options = {}) {
+  if (!Array.isArray(articleIds) || articleIds.length === 0) {
+    throw new Error('A wear event needs at least one article.');
+  }
+  const event = {
+    id: uuid(),
+    outfitId,
+    articleIds: [...articleIds],
+    wornAt: normalizeWornAt(wornAt),
+    recordedAt: new Date().toISOString(),
+  };
+  try {
+    await (options.tx || getClosetRepository()).addWearEvents([event]);
+    logInfo('[wearLogService]', `Recorded wear event ${event.id} for ${articleIds.length} articles`);
+    return event;
+  } catch (e) {
+    logError('[wearLogService]', 'addWearEvent error', e);
+    throw e;
+  }
+}
+
+/**
+ * Delete a wear event (undo a mistaken tap).
+ * @param {string} eventId - ID of the event to remove
+ * @returns {Promise<Object|null>} The removed event, or null if it did not exist
+ */
+export async function removeWearEvent(eventId) {
+  try {
+    const removed = await getClosetRepository().transaction(async tx => {
+      const [event = null] = await tx.getWearEventsById([eventId]);
+      if (event) {
+        await tx.deleteWearEvents([eventId]);
+      }
+      return event;
+    });
+    if (removed) {
+      logInfo('[wearLogService]', `Removed wear event ${eventId}`);
+    }
+    return removed;
+  } catch (e) {
+    logError('[wearLogService]', 'removeWearEvent error', e);
+    throw e;
+  }
+}
+
+/**
+ * Derive wearCount and lastWorn per article and per outfit from a list of events.
+ * @param {Array} events - Wear events
+ * @returns {{articles: Object<string, {wearCount: number, lastWorn: string|null}>,
+ *            outfits: Object<string, {wearCount: number, lastWorn: string|null}>}}
+ */
+export function deriveWearStats(events) {
+  const stats = { articles: {}, outfits: {} };
+  const bump = (bucket, id, wornAt) => {
+    const entry = bucket[id] || { wearCount: 0, lastWorn: null };
+    entry.wearCount += 1;
+    if (wornAt && (!entry.lastWorn || wornAt > entry.lastWorn)) {
+      entry.lastWorn = wornAt;
+    }
+    bucket[id] = entry;
+  };
+
+  for (const event of events || []) {
+    for (const articleId of event.articleIds || []) {
+      bump(stats.articles, articleId, event.wornAt);
+    }
+    if (event.outfitId) {
+      bump(stats.outfits, event.outfitId, event.wornAt);
+    }
+  }
+  return stats;
+}
+
+/**
+ * Build wear events that reproduce existing wearCount/lastWorn counters.
+ * Outfit wears are seeded first (the most recent one dated at the outfit's lastWorn);
+ * any remaining article wears become undated article-only events.
+ * @param {Array} articles - Stored articles
+ * @param {Array} outfits - Stored outfits
+ * @returns {Array} Seeded wear events
+ */
+export function buildSeedWearEvents(articles, outfits) {
+  const recordedAt = new Date().toISOString();
+  const events = [];
+  const seededByArticle = {};
+
+  for (const outfit of outfits || []) {
+    const count = typeof outfit.wearCount === 'number' ? outfit.wearCount : 0;
+    const articleIds = Array.isArray(outfit.articleIds) ? outfit.articleIds : [];
+    if (count <= 0 || articleIds.length === 0) continue;
+    for (let i = 0; i < count; i++) {
+      events.push({
+        id: uuid(),
+        outfitId: outfit.id,
+        articleIds: [...articleIds],
+        wornAt: i === 0 ? outfit.lastWorn || null : null,
+        recordedAt,
+        seeded: true,
+      });
+      articleIds.forEach(id => {
+        seededByArticle[id] = (seededByArticle[id] || 0) + 1;
+      });
+    }
+  }
+
+  for (const article of articles || []) {
+    const count = typeof article.wearCount === 'number' ? article.wearCount : 0;
+    const remaining = count - (seededByArticle[article.id] || 0);
+    for (let i = 0; i < remaining; i++) {
+      events.push({
+        id: uuid(),
+        outfitId: null,
+        articleIds: [article.id],
+        wornAt: null,
+        recordedAt,
+        seeded: true,
+      });
+    }
+  }
+
+  return events;
+}
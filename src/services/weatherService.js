@@ -0,0 +1,186 @@
+// weatherService.js
+// Today's weather for outfit suggestions, from a pluggable weather source
+// Conditions entered by hand always win for the day they were entered; otherwise the active source is asked.
+//
+// Weather source interface:
+//   {
+//     id: string,                                   // e.g. 'manual', 'http'
+//     getConditions(): Promise<Conditions|null>,    // today's conditions, or null when unknown
+//   }
+//
+// Conditions:
+//   { temperatureC: number, precipitation: boolean, source: string, observedAt: string (ISO) }
+//
+// Tests (and other environments) swap the HTTP source for a local stub with setWeatherSource().
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { MANUAL_WEATHER_KEY } from './constants';
+import { todayKey } from './calendarService';
+import { WEATHER_LOCATION, WEATHER_TIMEOUT_MS } from '../config/weather';
+import { logWarning } from './errorHandlingService';
+import { requestJson } from './httpClient';
+
+const OPEN_METEO_URL = 'https://api.open-meteo.com/v1/forecast';
+
+// WMO weather codes reported as drizzle, rain, snow, showers or thunderstorms
+const WET_WEATHER_CODES = [
+  [51, 67],
+  [71, 77],
+  [80, 86],
+  [95, 99],
+];
+
+// Upper temperature bounds (exclusive, °C) of each band, coldest first; anything warmer is 'hot'
+const TEMPERATURE_BANDS = [
+  { band: 'cold', below: 10 },
+  { band: 'cool', below: 17 },
+  { band: 'mild', below: 24 },
+];
+
+/**
+ * Classify a temperature into the bands suggestion rules work with.
+ * @param {number} temperatureC - Temperature in °C
+ * @returns {'cold'|'cool'|'mild'|'hot'}
+ */
+export function getTemperatureBand(temperatureC) {
+  const match = TEMPERATURE_BANDS.find(({ below }) => temperatureC < below);
+  return match ? match.band : 'hot';
+}
+
+/**
+ * Validate raw conditions and fill in defaults.
+ * @param {Object} raw - { temperatureC, precipitation, observedAt? }
+ * @param {string} source - Id of the source that produced them
+ * @returns {Object} Conditions
+ * @throws {Error} If the temperature is missing or not a number
+ */
+export function normalizeConditions(raw, source) {
+  const temperatureC = raw && typeof raw.temperatureC === 'string' ? Number(raw.temperatureC.trim()) : raw && raw.temperatureC;
+  if (typeof temperatureC !== 'number' || !Number.isFinite(temperatureC)) {
+    throw new Error('Temperature must be a number.');
+  }
+  return {
+    temperatureC: Math.round(temperatureC * 10) / 10,
+    precipitation: !!raw.precipitation,
+    source,
+    observedAt: raw.observedAt || new Date().toISOString(),
+  };
+}
+
+/**
+ * Weather source backed by conditions the user entered today (see setManualConditions).
+ * Conditions entered on an earlier day are ignored.
+ * @returns {Object} Weather source
+ */
+export function createManualWeatherSource() {
+  return {
+    id: 'manual',
+    getConditions: async () => {
+      const stored = await AsyncStorage.getItem(MANUAL_WEATHER_KEY);
+      if (!stored) return null;
+      const { dateKey, conditions } = JSON.parse(stored);
+      return dateKey === todayKey() ? conditions : null;
+    },
+  };
+}
+
+/**
+ * Weather source that fetches current conditions from an Open-Meteo compatible HTTP API.
+ * @param {Object} config
+ * @param {number} config.latitude - Location latitude
+ * @param {number} config.longitude - Location longitude
+ * @param {string} [config.baseUrl] - Forecast endpoint (defaults to Open-Meteo)
+ * @param {number} [config.timeoutMs] - Give up on the request after this long (no retries; suggestions should not wait)
+ * @param {Function} [config.fetchImpl=fetch] - fetch implementation
+ * @returns {Object} Weather source
+ * @throws {Error} If the location is missing
+ */
+export function createHttpWeatherSource({
+  latitude,
+  longitude,
+  baseUrl = OPEN_METEO_URL,
+  timeoutMs = WEATHER_TIMEOUT_MS,
+  fetchImpl,
+} = {}) {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    throw new Error('HTTP weather source needs a latitude and longitude.');
+  }
+  return {
+    id: 'http',
+    getConditions: async () => {
+      const url = `${baseUrl}?latitude=${latitude}&longitude=${longitude}&current=temperature_2m,precipitation,weather_code`;
+      const data = await requestJson(url, { timeoutMs, retries: 0, label: 'Weather API', fetchImpl });
+      const current = data && data.current;
+      if (!current || typeof current.temperature_2m !== 'number') {
+        throw new Error('Weather API returned no current conditions.');
+      }
+      const code = current.weather_code;
+      const wetCode = typeof code === 'number' && WET_WEATHER_CODES.some(([from, to]) => code >= from && code <= to);
+      return normalizeConditions({
+        temperatureC: current.temperature_2m,
+        precipitation: wetCode || current.precipitation > 0,
+        observedAt: current.time ? new Date(current.time).toISOString() : undefined,
+      }, 'http');
+    },
+  };
+}
+
+const manualSource = createManualWeatherSource();
+let activeSource = WEATHER_LOCATION ? createHttpWeatherSource(WEATHER_LOCATION) : null;
+
+/**
+ * Replace the automatic weather source (null disables it, leaving manual entry only).
+ * @param {Object|null} source - Source implementing the interface above
+ * @throws {Error} If the source does not implement getConditions()
+ */
+export function setWeatherSource(source) {
+  if (source !== null && (!source || typeof source.getConditions !== 'function')) {
+    throw new Error('Weather source must implement getConditions().');
+  }
+  activeSource = source;
+}
+
+/**
+ * The automatic weather source in use, or null.
+ * @returns {Object|null}
+ */
+export function getWeatherSource() {
+  return activeSource;
+}
+
+/**
+ * Today's conditions: manual entry first, then the automatic source.
+ * Source failures are logged and treated as unknown weather, so suggestions still work offline.
+ * @returns {Promise<Object|null>} Conditions, or null when unknown
+ */
+export async function getTodaysConditions() {
+  for (const source of [manualSource, activeSource].filter(Boolean)) {
+    try {
+      const conditions = await source.getConditions();
+      if (conditions) return conditions;
+    } catch (e) {
+      logWarning('[weatherService]', `Weather source "${source.id}" failed: ${e.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Store today's conditions entered by hand.
+ * @param {Object} conditions - { temperatureC, precipitation }
+ * @returns {Promise<Object>} The stored conditions
+ * @throws {Error} If the temperature is not a number
+ */
+export async function setManualConditions(conditions) {
+  const normalized = normalizeConditions(conditions, 'manual');
+  await AsyncStorage.setItem(MANUAL_WEATHER_KEY, JSON.stringify({ dateKey: todayKey(), conditions: normalized }));
+  return normalized;
+}
+
+/**
+ * Forget the conditions entered by hand, falling back to the automatic source.
+ * @returns {Promise<void>}
+ */
+export async function clearManualConditions() {
+  await AsyncStorage.removeItem(MANUAL_WEATHER_KEY);
+}
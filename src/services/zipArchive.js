@@ -0,0 +1,246 @@
+// zipArchive.js
+// Minimal ZIP archive writer and reader for closet backups
+// Entries are stored without compression (images are compressed already) and go straight to and from the
+// archive file through expo-file-system file handles, one entry at a time, so a closet with hundreds of images
+// never has to fit in memory. Archives open in any zip tool.
+// Not supported: compression, ZIP64 (archives over 4 GB), archive comments, multi-disk archives.
+
+import { File } from 'expo-file-system/next';
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const ZIP_VERSION = 20;
+// General purpose flag 11: entry names are UTF-8
+const UTF8_NAMES_FLAG = 0x0800;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 checksum of some bytes, as stored in ZIP headers.
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode text as UTF-8.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function encodeText(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Decode UTF-8 bytes. Hermes has no TextDecoder, so the decoding is done here.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function decodeText(bytes) {
+  const codePoints = [];
+  let text = '';
+  for (let i = 0; i < bytes.length;) {
+    const byte = bytes[i];
+    let codePoint;
+    if (byte < 0x80) {
+      codePoint = byte;
+      i += 1;
+    } else if (byte >= 0xf0) {
+      codePoint = ((byte & 0x07) << 18) | ((bytes[i + 1] & 0x3f) << 12) | ((bytes[i + 2] & 0x3f) << 6) | (bytes[i + 3] & 0x3f);
+      i += 4;
+    } else if (byte >= 0xe0) {
+      codePoint = ((byte & 0x0f) << 12) | ((bytes[i + 1] & 0x3f) << 6) | (bytes[i + 2] & 0x3f);
+      i += 3;
+    } else {
+      codePoint = ((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f);
+      i += 2;
+    }
+    codePoints.push(codePoint);
+    // Flush in chunks; String.fromCodePoint takes its arguments on the stack
+    if (codePoints.length === 8192) {
+      text += String.fromCodePoint(...codePoints);
+      codePoints.length = 0;
+    }
+  }
+  return text + String.fromCodePoint(...codePoints);
+}
+
+/**
+ * @private
+ */
+function writeHeader(size, fields) {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  fields.forEach(([width, value]) => {
+    if (width === 4) view.setUint32(offset, value, true);
+    else view.setUint16(offset, value, true);
+    offset += width;
+  });
+  return bytes;
+}
+
+/**
+ * Create a ZIP archive, replacing any file at the URI. Add entries with addEntry(), then call close() to write
+ * the central directory; an archive that is never closed cannot be read.
+ * @param {string} uri - file:// URI of the archive
+ * @returns {{addEntry: Function, close: Function}}
+ *   addEntry(path, bytes) writes one entry; close() finishes the archive
+ * @throws {Error} If the file cannot be created
+ */
+export function createZipWriter(uri) {
+  const file = new File(uri);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  const handle = file.open();
+  const entries = [];
+  let offset = 0;
+
+  const write = bytes => {
+    handle.writeBytes(bytes);
+    offset += bytes.length;
+  };
+
+  return {
+    addEntry(path, bytes) {
+      const name = encodeText(path);
+      const entry = { name, crc: crc32(bytes), size: bytes.length, offset };
+      write(writeHeader(LOCAL_HEADER_SIZE, [
+        [4, LOCAL_HEADER_SIGNATURE], [2, ZIP_VERSION], [2, UTF8_NAMES_FLAG], [2, 0], [2, 0], [2, 0],
+        [4, entry.crc], [4, entry.size], [4, entry.size], [2, name.length], [2, 0],
+      ]));
+      write(name);
+      write(bytes);
+      entries.push(entry);
+    },
+    close() {
+      try {
+        const directoryOffset = offset;
+        entries.forEach(entry => {
+          write(writeHeader(CENTRAL_HEADER_SIZE, [
+            [4, CENTRAL_HEADER_SIGNATURE], [2, ZIP_VERSION], [2, ZIP_VERSION], [2, UTF8_NAMES_FLAG], [2, 0], [2, 0],
+            [2, 0], [4, entry.crc], [4, entry.size], [4, entry.size], [2, entry.name.length], [2, 0], [2, 0],
+            [2, 0], [2, 0], [4, 0], [4, entry.offset],
+          ]));
+          write(entry.name);
+        });
+        write(writeHeader(END_OF_CENTRAL_DIRECTORY_SIZE, [
+          [4, END_OF_CENTRAL_DIRECTORY_SIGNATURE], [2, 0], [2, 0], [2, entries.length], [2, entries.length],
+          [4, offset - directoryOffset], [4, directoryOffset], [2, 0],
+        ]));
+      } finally {
+        handle.close();
+      }
+    },
+  };
+}
+
+/**
+ * Whether a file starts like a ZIP archive.
+ * @param {string} uri - file:// URI
+ * @returns {boolean}
+ */
+export function isZipArchive(uri) {
+  const file = new File(uri);
+  if (!file.exists || (file.size || 0) < END_OF_CENTRAL_DIRECTORY_SIZE) return false;
+  const handle = file.open();
+  try {
+    return new DataView(handle.readBytes(4).buffer).getUint32(0, true) === LOCAL_HEADER_SIGNATURE;
+  } finally {
+    handle.close();
+  }
+}
+
+/**
+ * Open a ZIP archive written by createZipWriter (or any uncompressed archive without a comment).
+ * @param {string} uri - file:// URI of the archive
+ * @returns {{paths: Array<string>, read: Function, close: Function}}
+ *   read(path) returns the entry's bytes; close() releases the file
+ * @throws {Error} If the file is not a readable archive
+ */
+export function openZipReader(uri) {
+  const file = new File(uri);
+  const handle = file.open();
+  try {
+    const readAt = (position, length) => {
+      handle.offset = position;
+      const bytes = handle.readBytes(length);
+      if (bytes.length !== length) {
+        throw new Error('The archive is truncated.');
+      }
+      return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    };
+
+    const end = readAt(file.size - END_OF_CENTRAL_DIRECTORY_SIZE, END_OF_CENTRAL_DIRECTORY_SIZE);
+    if (end.getUint32(0, true) !== END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error('The archive has no central directory.');
+    }
+    const count = end.getUint16(10, true);
+    const directory = readAt(end.getUint32(16, true), end.getUint32(12, true));
+
+    const entries = new Map();
+    for (let i = 0, position = 0; i < count; i++) {
+      if (directory.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+        throw new Error('The archive directory is corrupt.');
+      }
+      if (directory.getUint16(position + 10, true) !== 0) {
+        throw new Error('Compressed archive entries are not supported.');
+      }
+      const nameLength = directory.getUint16(position + 28, true);
+      const skipLength = nameLength + directory.getUint16(position + 30, true) + directory.getUint16(position + 32, true);
+      const name = new Uint8Array(directory.buffer, directory.byteOffset + position + CENTRAL_HEADER_SIZE, nameLength);
+      entries.set(decodeText(name), {
+        crc: directory.getUint32(position + 16, true),
+        size: directory.getUint32(position + 24, true),
+        offset: directory.getUint32(position + 42, true),
+      });
+      position += CENTRAL_HEADER_SIZE + skipLength;
+    }
+
+    return {
+      paths: [...entries.keys()],
+      read(path) {
+        const entry = entries.get(path);
+        if (!entry) {
+          throw new Error(`The archive has no entry ${path}.`);
+        }
+        const header = readAt(entry.offset, LOCAL_HEADER_SIZE);
+        const dataOffset = entry.offset + LOCAL_HEADER_SIZE + header.getUint16(26, true) + header.getUint16(28, true);
+        handle.offset = dataOffset;
+        const bytes = handle.readBytes(entry.size);
+        if (bytes.length !== entry.size || crc32(bytes) !== entry.crc) {
+          throw new Error(`The archive entry ${path} is damaged.`);
+        }
+        return bytes;
+      },
+      close() {
+        handle.close();
+      },
+    };
+  } catch (e) {
+    handle.close();
+    throw e;
+  }
+}